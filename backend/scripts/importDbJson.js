@@ -0,0 +1,24 @@
+/**
+ * Import a legacy db.json file into the SQLite store
+ *
+ * Usage: npm run db:import -- [path/to/db.json]
+ * Writes to DATABASE_PATH (defaults to src/data/insurance.db); existing ids are kept
+ * and records with the same id are overwritten.
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
+const { db } = require('../src/services/database');
+
+const filePath = path.resolve(process.argv[2] || path.join(__dirname, '../src/data/db.json'));
+
+try {
+  const counts = db.importJson(filePath);
+  console.log(`Imported ${filePath}:`);
+  console.table(counts);
+} catch (error) {
+  console.error(`Failed to import ${filePath}:`, error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -1,8 +1,8 @@
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
 
 /**
  * Authentication middleware
- * Verifies JWT token and adds user info to request
+ * Verifies the access token (signature, expiry, revocation list) and adds user info to request
  */
 const auth = (req, res, next) => {
   try {
@@ -15,10 +15,12 @@ const auth = (req, res, next) => {
     const token = authHeader.substring(7);
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+      const decoded = sessionService.verifyAccessToken(token);
       req.user = {
         address: decoded.address,
-        timestamp: decoded.timestamp
+        roles: decoded.roles || [],
+        timestamp: decoded.timestamp,
+        token: decoded
       };
       next();
     } catch (jwtError) {
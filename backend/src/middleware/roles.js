@@ -0,0 +1,29 @@
+const roleService = require('../services/roleService');
+
+/**
+ * Role middleware (use after auth)
+ * Resolves the caller's current roles and requires at least one of the given roles.
+ * Roles are looked up fresh rather than trusted from the JWT, so revocations apply
+ * before the token expires.
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    const userRoles = await roleService.getRoles(req.user.address);
+    req.user.roles = userRoles;
+
+    if (!roleService.hasAnyRole(userRoles, roles)) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role middleware error:', error);
+    res.status(500).json({ error: 'Authorization error' });
+  }
+};
+
+module.exports = requireRole;
@@ -1,42 +1,25 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const { body, validationResult } = require('express-validator');
 const contractService = require('../services/contractService');
+const claimFinalizer = require('../services/claimFinalizer');
+const notificationService = require('../services/notificationService');
 const { db } = require('../services/database');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const roleService = require('../services/roleService');
 
-const router = express.Router();
+const { ROLES } = roleService;
+const { NotificationTypes } = notificationService;
 
-// Optional auth middleware - allows both authenticated and public access
-const optionalAuth = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      const jwt = require('jsonwebtoken');
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
-        req.user = {
-          address: decoded.address,
-          timestamp: decoded.timestamp
-        };
-      } catch (jwtError) {
-        console.log('Invalid token, continuing as public user');
-      }
-    }
-    next();
-  } catch (error) {
-    console.error('Optional auth middleware error:', error);
-    next();
-  }
-};
+const router = express.Router();
 
 /**
  * GET /api/admin/dashboard
  * Get admin dashboard data
  */
-router.get('/dashboard', optionalAuth, async (req, res) => {
+router.get('/dashboard', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    // In production, verify admin role
     let dashboardData;
     try {
       dashboardData = await contractService.getAdminDashboard();
@@ -69,93 +52,161 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
 
 /**
  * POST /api/admin/claims/:claimId/approve
- * Approve pending claim
+ * Approve pending claim. Claims held for manual review are not on-chain yet; approving
+ * one clears it for the holder to sign ClaimManager.submitClaim from their wallet.
+ * Claims on ClaimManager are approved by the owner's wallet calling manualApproveClaim;
+ * pass that transaction's hash so its ClaimStatusUpdated event can be checked.
  */
-router.post('/claims/:claimId/approve', async (req, res) => {
-  try {
-    const { claimId } = req.params;
+router.post('/claims/:claimId/approve',
+  auth,
+  requireRole(ROLES.CLAIMS_REVIEWER),
+  [
+    body('txHash').optional().custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Update claim status in database
-    const updatedClaim = db.updateClaim(claimId, {
-      status: 'approved',
-      approvedAt: new Date().toISOString(),
-      approvedBy: req.user?.address
-    });
+      const { claimId } = req.params;
+      const { txHash } = req.body;
 
-    if (!updatedClaim) {
-      return res.status(404).json({ error: 'Claim not found' });
-    }
+      const claim = db.data.claims.get(claimId);
+      if (!claim) {
+        return res.status(404).json({ error: 'Claim not found' });
+      }
 
-    const result = await contractService.approveClaim(claimId).catch(async () => {
-      // If blockchain fails, return demo success
-      return { 
-        claimId, 
-        txHash: '0x' + Math.random().toString(16).slice(2),
-        success: true 
-      };
-    });
-    
-    res.json({
-      success: true,
-      claimId,
-      claim: updatedClaim,
-      txHash: result.txHash,
-      message: 'Claim approved successfully'
-    });
-  } catch (error) {
-    console.error('Error approving claim:', error);
-    res.status(500).json({ error: 'Failed to approve claim' });
+      if (claim.status === 'pending_review') {
+        const clearedClaim = db.updateClaim(claimId, {
+          status: 'awaiting_signature',
+          clearedAt: new Date().toISOString(),
+          clearedBy: req.user.address
+        });
+
+        notificationService.notify(clearedClaim.userAddress, NotificationTypes.CLAIM_CLEARED, { claimId });
+
+        return res.json({
+          success: true,
+          claimId,
+          claim: clearedClaim,
+          message: 'Claim cleared; the holder can now submit it on-chain'
+        });
+      }
+
+      let approval = { status: 'approved', txHash: null };
+      if (claim.chainClaimId) {
+        if (!txHash) {
+          return res.status(400).json({ error: 'Approve the claim on-chain with ClaimManager.manualApproveClaim and pass its txHash' });
+        }
+        try {
+          approval = await contractService.verifyClaimApproval(claim.chainClaimId, txHash);
+        } catch (chainError) {
+          return res.status(400).json({ error: chainError.message });
+        }
+      }
+
+      const updatedClaim = db.updateClaim(claimId, {
+        status: approval.status,
+        approvedAt: new Date().toISOString(),
+        approvedBy: req.user.address,
+        approvalTxHash: approval.txHash
+      });
+
+      // On-chain approvals and payouts are announced by the event indexer
+      if (!claim.chainClaimId) {
+        notificationService.notify(updatedClaim.userAddress, NotificationTypes.CLAIM_APPROVED, { claimId });
+      }
+
+      res.json({
+        success: true,
+        claimId,
+        claim: updatedClaim,
+        txHash: approval.txHash,
+        message: 'Claim approved successfully'
+      });
+    } catch (error) {
+      console.error('Error approving claim:', error);
+      res.status(500).json({ error: 'Failed to approve claim' });
+    }
   }
-});
+);
 
 /**
  * POST /api/admin/claims/:claimId/reject
- * Reject pending claim
+ * Record a claim rejection. Claims on ClaimManager are rejected by the reviewer's wallet
+ * calling rejectClaim; pass that transaction's hash so the ClaimRejected event can be
+ * checked. Claims held for manual review never went on-chain and are rejected here.
  */
-router.post('/claims/:claimId/reject', async (req, res) => {
-  try {
-    const { claimId } = req.params;
-    const { reason } = req.body;
+router.post('/claims/:claimId/reject',
+  auth,
+  requireRole(ROLES.CLAIMS_REVIEWER),
+  [
+    body('reason').isString().trim().notEmpty().withMessage('Rejection reason required'),
+    body('txHash').optional().custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    // Update claim status in database
-    const updatedClaim = db.updateClaim(claimId, {
-      status: 'rejected',
-      rejectionReason: reason || 'Admin rejection',
-      rejectedAt: new Date().toISOString(),
-      rejectedBy: req.user?.address
-    });
+      const { claimId } = req.params;
+      const { reason, txHash } = req.body;
+      const claim = db.data.claims.get(claimId);
+      if (!claim) {
+        return res.status(404).json({ error: 'Claim not found' });
+      }
 
-    if (!updatedClaim) {
-      return res.status(404).json({ error: 'Claim not found' });
-    }
+      let rejection = { reason, txHash: null };
+      if (claim.chainClaimId) {
+        if (!txHash) {
+          return res.status(400).json({ error: 'Reject the claim on-chain with ClaimManager.rejectClaim and pass its txHash' });
+        }
+        try {
+          rejection = await contractService.verifyClaimRejection(claim.chainClaimId, txHash);
+        } catch (chainError) {
+          return res.status(400).json({ error: chainError.message });
+        }
+      }
 
-    const result = await contractService.rejectClaim(claimId, reason || 'Admin rejection').catch(async () => {
-      // If blockchain fails, return demo success
-      return { 
-        claimId, 
-        txHash: '0x' + Math.random().toString(16).slice(2),
-        success: true 
-      };
-    });
-    
-    res.json({
-      success: true,
-      claimId,
-      claim: updatedClaim,
-      txHash: result.txHash,
-      message: 'Claim rejected successfully'
-    });
-  } catch (error) {
-    console.error('Error rejecting claim:', error);
-    res.status(500).json({ error: 'Failed to reject claim' });
+      const updatedClaim = db.updateClaim(claimId, {
+        status: 'rejected',
+        rejectionReason: rejection.reason,
+        rejectedAt: new Date().toISOString(),
+        rejectedBy: req.user.address,
+        rejectionTxHash: rejection.txHash
+      });
+
+      // On-chain rejections are announced by the event indexer
+      if (!claim.chainClaimId) {
+        notificationService.notify(updatedClaim.userAddress, NotificationTypes.CLAIM_REJECTED, {
+          claimId,
+          reason: updatedClaim.rejectionReason
+        });
+      }
+
+      res.json({
+        success: true,
+        claimId,
+        claim: updatedClaim,
+        txHash: rejection.txHash,
+        message: 'Claim rejected successfully'
+      });
+    } catch (error) {
+      console.error('Error rejecting claim:', error);
+      res.status(500).json({ error: 'Failed to reject claim' });
+    }
   }
-});
+);
 
 /**
  * POST /api/admin/policies/:policyId/approve
  * Approve pending policy
  */
-router.post('/policies/:policyId/approve', async (req, res) => {
+router.post('/policies/:policyId/approve', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { policyId } = req.params;
 
@@ -171,6 +222,11 @@ router.post('/policies/:policyId/approve', async (req, res) => {
       return res.status(404).json({ error: 'Policy not found' });
     }
 
+    notificationService.notify(updatedPolicy.holderAddress || updatedPolicy.userAddress, NotificationTypes.POLICY_APPROVED, {
+      policyId,
+      policyType: updatedPolicy.type || 'insurance'
+    });
+
     const result = await contractService.approvePolicy(policyId).catch(async () => {
       return { 
         policyId, 
@@ -196,7 +252,7 @@ router.post('/policies/:policyId/approve', async (req, res) => {
  * POST /api/admin/policies/:policyId/reject
  * Reject pending policy
  */
-router.post('/policies/:policyId/reject', optionalAuth, async (req, res) => {
+router.post('/policies/:policyId/reject', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { policyId } = req.params;
     const { reason } = req.body;
@@ -214,6 +270,11 @@ router.post('/policies/:policyId/reject', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Policy not found' });
     }
 
+    notificationService.notify(updatedPolicy.holderAddress || updatedPolicy.userAddress, NotificationTypes.POLICY_REJECTED, {
+      policyId,
+      reason: updatedPolicy.rejectionReason
+    });
+
     const result = await contractService.rejectPolicy(policyId, reason || 'Admin rejection').catch(async () => {
       return { 
         policyId, 
@@ -235,16 +296,54 @@ router.post('/policies/:policyId/reject', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/pool/capital
+ * Get underwriting capital, share prices and queued withdrawals per token
+ */
+router.get('/pool/capital', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const capital = await contractService.getUnderwritingCapital();
+    res.json({ capital });
+  } catch (error) {
+    console.error('Error fetching underwriting capital:', error);
+    res.status(500).json({ error: 'Failed to fetch underwriting capital' });
+  }
+});
+
+/**
+ * GET /api/admin/pool/capital/:address
+ * Get an underwriter's pool share positions
+ */
+router.get('/pool/capital/:address', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+
+    const positions = await contractService.getUnderwriterPosition(address);
+    res.json({ positions });
+  } catch (error) {
+    console.error('Error fetching underwriter position:', error);
+    res.status(500).json({ error: 'Failed to fetch underwriter position' });
+  }
+});
+
 /**
  * GET /api/admin/claims/pending
  * Get pending claims for approval
  */
-router.get('/claims/pending', optionalAuth, async (req, res) => {
+router.get('/claims/pending', auth, requireRole(ROLES.CLAIMS_REVIEWER), async (req, res) => {
   try {
     // Fetch pending claims from database
     const allClaims = db.data && db.data.claims ? Array.from(db.data.claims.values()) : [];
     // Get both 'pending' and 'pending_review' statuses
-    const pendingClaims = allClaims.filter(c => c.status === 'pending' || c.status === 'pending_review');
+    const claimManager = contractService.contracts.ClaimManager;
+    const pendingClaims = allClaims
+      .filter(c => c.status === 'pending' || c.status === 'pending_review')
+      // Reviewers reject on-chain claims from their own wallet
+      .map(c => ({ ...c, claimManagerAddress: c.chainClaimId && claimManager ? claimManager.target : null }));
     
     res.json({ claims: pendingClaims });
   } catch (error) {
@@ -257,7 +356,7 @@ router.get('/claims/pending', optionalAuth, async (req, res) => {
  * GET /api/admin/policies/pending
  * Get pending policies for approval
  */
-router.get('/policies/pending', optionalAuth, async (req, res) => {
+router.get('/policies/pending', auth, requireRole(ROLES.INSURER), async (req, res) => {
   try {
     // Fetch pending policies from database
     const allPolicies = db.data && db.data.policies ? Array.from(db.data.policies.values()) : [];
@@ -274,7 +373,7 @@ router.get('/policies/pending', optionalAuth, async (req, res) => {
  * GET /api/admin/pool/liquidity
  * Get premium pool liquidity information
  */
-router.get('/pool/liquidity', optionalAuth, async (req, res) => {
+router.get('/pool/liquidity', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const liquidity = await contractService.getPoolLiquidity();
     res.json({ liquidity });
@@ -288,7 +387,7 @@ router.get('/pool/liquidity', optionalAuth, async (req, res) => {
  * GET /api/admin/claims/pending
  * Get pending claims for review
  */
-router.get('/claims/pending', optionalAuth, async (req, res) => {
+router.get('/claims/pending', auth, requireRole(ROLES.CLAIMS_REVIEWER), async (req, res) => {
   try {
     const pendingClaims = await contractService.getPendingClaims();
     res.json({ claims: pendingClaims });
@@ -302,7 +401,7 @@ router.get('/claims/pending', optionalAuth, async (req, res) => {
  * GET /api/admin/policies/stats
  * Get policy statistics
  */
-router.get('/policies/stats', optionalAuth, async (req, res) => {
+router.get('/policies/stats', auth, requireRole(ROLES.INSURER), async (req, res) => {
   try {
     const stats = await contractService.getPolicyStats();
     res.json({ stats });
@@ -316,7 +415,7 @@ router.get('/policies/stats', optionalAuth, async (req, res) => {
  * GET /api/admin/users/activity
  * Get user activity metrics
  */
-router.get('/users/activity', optionalAuth, async (req, res) => {
+router.get('/users/activity', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const activity = await contractService.getUserActivity();
     res.json({ activity });
@@ -330,7 +429,7 @@ router.get('/users/activity', optionalAuth, async (req, res) => {
  * POST /api/admin/pool/rebalance
  * Trigger pool rebalancing (emergency function)
  */
-router.post('/pool/rebalance', optionalAuth, async (req, res) => {
+router.post('/pool/rebalance', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await contractService.rebalancePool();
     res.json({
@@ -348,7 +447,7 @@ router.post('/pool/rebalance', optionalAuth, async (req, res) => {
  * GET /api/admin/oracle/status
  * Get oracle status and recent requests
  */
-router.get('/oracle/status', optionalAuth, async (req, res) => {
+router.get('/oracle/status', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const oracleStatus = await contractService.getOracleStatus();
     res.json({ oracle: oracleStatus });
@@ -358,13 +457,63 @@ router.get('/oracle/status', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/claims/investigating
+ * List on-chain claims in their investigation period with the scheduled finalization time
+ */
+router.get('/claims/investigating', auth, requireRole(ROLES.CLAIMS_REVIEWER), async (req, res) => {
+  try {
+    const scheduled = new Set(claimFinalizer.getScheduled());
+    const claims = (await contractService.getInvestigatingClaims()).map(claim => ({
+      ...claim,
+      finalizationScheduled: scheduled.has(claim.id)
+    }));
+
+    res.json({ claims });
+  } catch (error) {
+    console.error('Error fetching claims under investigation:', error);
+    res.status(500).json({ error: 'Failed to fetch claims under investigation' });
+  }
+});
+
+/**
+ * POST /api/admin/claims/:claimId/flag
+ * Flag an on-chain claim under investigation so it is not finalized automatically
+ */
+router.post('/claims/:claimId/flag',
+  auth,
+  requireRole(ROLES.CLAIMS_REVIEWER),
+  [
+    body('reason').isLength({ min: 5 }).withMessage('Flag reason required (min 5 chars)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await contractService.flagClaim(req.params.claimId, req.body.reason);
+      res.json({ success: true, ...result, message: 'Claim flagged for manual review' });
+    } catch (error) {
+      console.error('Error flagging claim:', error);
+      res.status(500).json({ error: 'Failed to flag claim' });
+    }
+  }
+);
+
 /**
  * GET /api/admin/multisig/transactions
- * Get pending multi-sig transactions
+ * Get pending multi-sig transactions (pass ?signer= to see which the signer can approve)
  */
-router.get('/multisig/transactions', optionalAuth, async (req, res) => {
+router.get('/multisig/transactions', auth, requireRole(ROLES.MULTISIG_SIGNER), async (req, res) => {
   try {
-    const transactions = await contractService.getPendingMultiSigTransactions();
+    const { signer } = req.query;
+    if (signer && !ethers.isAddress(signer)) {
+      return res.status(400).json({ error: 'Invalid signer address' });
+    }
+
+    const transactions = await contractService.getPendingMultiSigTransactions(signer || null);
     res.json({ transactions });
   } catch (error) {
     console.error('Error fetching multisig transactions:', error);
@@ -372,11 +521,200 @@ router.get('/multisig/transactions', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/governance/operations
+ * List timelocked governance operations with their ETA (?status=pending|ready|executed|cancelled)
+ */
+router.get('/governance/operations', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { minDelay, operations } = await contractService.getQueuedOperations();
+
+    res.json({
+      minDelay,
+      operations: status ? operations.filter(op => op.status === status) : operations
+    });
+  } catch (error) {
+    console.error('Error fetching governance operations:', error);
+    res.status(500).json({ error: 'Failed to fetch governance operations' });
+  }
+});
+
+/**
+ * GET /api/admin/parametric/triggers
+ * List reported parametric trigger events
+ */
+router.get('/parametric/triggers', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const triggers = await contractService.getTriggerEvents();
+    res.json({ triggers });
+  } catch (error) {
+    console.error('Error fetching trigger events:', error);
+    res.status(500).json({ error: 'Failed to fetch trigger events' });
+  }
+});
+
+/**
+ * POST /api/admin/parametric/triggers
+ * Register a parametric trigger event (e.g. protocol exploited at block N) and pay holders
+ * covered when block N was mined
+ */
+router.post('/parametric/triggers',
+  auth,
+  requireRole(ROLES.ADMIN),
+  [
+    body('policyAddress').isEthereumAddress().withMessage('Invalid policy address'),
+    body('description').isLength({ min: 5 }).withMessage('Description required (min 5 chars)'),
+    body('incidentBlock').isInt({ min: 0 }).withMessage('Incident block must be a non-negative integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { policyAddress, description } = req.body;
+      const incidentBlock = Number(req.body.incidentBlock);
+
+      // The incident time is the incident block's own timestamp, not when it was reported
+      const incidentTimestamp = await contractService.getBlockTimestamp(incidentBlock);
+      if (incidentTimestamp === null) {
+        return res.status(400).json({ error: 'Incident block not found' });
+      }
+
+      const report = await contractService.reportTriggerEvent({
+        policyAddress: ethers.getAddress(policyAddress),
+        description,
+        incidentBlock,
+        incidentTimestamp
+      });
+
+      // Pay out the first batch immediately; remaining batches via the process route
+      const processed = await contractService.processParametricTrigger(report.eventId);
+
+      res.json({
+        success: true,
+        eventId: report.eventId,
+        txHash: report.txHash,
+        payouts: processed.payouts,
+        completed: processed.completed,
+        message: 'Trigger event registered'
+      });
+    } catch (error) {
+      console.error('Error registering trigger event:', error);
+      res.status(500).json({ error: 'Failed to register trigger event' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/parametric/triggers/:eventId/process
+ * Process the next batch of holders for a trigger event
+ */
+router.post('/parametric/triggers/:eventId/process', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await contractService.processParametricTrigger(req.params.eventId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error processing trigger event:', error);
+    res.status(500).json({ error: 'Failed to process trigger event' });
+  }
+});
+
+/**
+ * GET /api/admin/roles
+ * List role grants stored off-chain (?address= for one wallet, including its on-chain roles)
+ */
+router.get('/roles', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { address } = req.query;
+    if (!address) {
+      return res.json({ assignments: db.getRoleAssignments() });
+    }
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+
+    res.json({
+      address: address.toLowerCase(),
+      roles: await roleService.getRoles(address),
+      assignments: db.getRoleAssignments(address)
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+/**
+ * POST /api/admin/roles
+ * Grant a role off-chain (on-chain roles follow contract state)
+ */
+router.post('/roles',
+  auth,
+  requireRole(ROLES.ADMIN),
+  [
+    body('address').isEthereumAddress().withMessage('Invalid Ethereum address'),
+    body('role').isIn(Object.values(ROLES)).withMessage('Invalid role')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { address, role } = req.body;
+      roleService.grantRole(address, role, req.user.address);
+
+      res.json({
+        success: true,
+        address: address.toLowerCase(),
+        roles: await roleService.getRoles(address),
+        message: `Granted ${role}`
+      });
+    } catch (error) {
+      console.error('Error granting role:', error);
+      res.status(500).json({ error: 'Failed to grant role' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/roles/:address/:role
+ * Revoke an off-chain role grant
+ */
+router.delete('/roles/:address/:role', auth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { address, role } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+
+    if (!roleService.revokeRole(address, role)) {
+      return res.status(404).json({ error: 'Role grant not found' });
+    }
+
+    res.json({
+      success: true,
+      address: address.toLowerCase(),
+      roles: await roleService.getRoles(address),
+      message: `Revoked ${role}`
+    });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
+
 /**
  * GET /api/admin/reports/monthly
  * Generate monthly report
  */
-router.get('/reports/monthly', optionalAuth, async (req, res) => {
+router.get('/reports/monthly', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { month, year } = req.query;
     const report = await contractService.generateMonthlyReport(month, year);
@@ -391,7 +729,7 @@ router.get('/reports/monthly', optionalAuth, async (req, res) => {
  * GET /api/admin/system/health
  * Get system health metrics
  */
-router.get('/system/health', optionalAuth, async (req, res) => {
+router.get('/system/health', auth, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const health = {
       timestamp: new Date().toISOString(),
@@ -1,6 +1,7 @@
 const express = require('express');
 const { db } = require('../services/database');
 const contractService = require('../services/contractService');
+const sessionService = require('../services/sessionService');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -12,9 +13,8 @@ const optionalAuth = (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const jwt = require('jsonwebtoken');
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+        const decoded = sessionService.verifyAccessToken(token);
         req.user = {
           address: decoded.address,
           timestamp: decoded.timestamp
@@ -73,7 +73,7 @@ router.get('/dashboard', optionalAuth, async (req, res) => {
     }
     
     const claimRatio = totalPolicies > 0 ? (totalClaims / totalPolicies * 100).toFixed(2) : 0;
-    const profitLoss = (analytics.totalPremiums || 0) - totalPayouts;
+    const profitLoss = (analytics.totalPremiums || 0) - (analytics.totalRefunds || 0) - totalPayouts;
     
     // Get recent activity (with safe access)
     const recentClaims = db.data && db.data.claims ? 
@@ -1,17 +1,19 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { ethers } = require('ethers');
 const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const roleService = require('../services/roleService');
+const sessionService = require('../services/sessionService');
 
 const router = express.Router();
 
 /**
  * POST /api/auth/nonce
- * Get nonce for wallet signature
+ * Issue a nonce and the Sign-In with Ethereum (EIP-4361) message to sign
  */
 router.post('/nonce',
   [
-    body('address').isEthereumAddress().withMessage('Invalid Ethereum address')
+    body('address').isEthereumAddress().withMessage('Invalid Ethereum address'),
+    body('chainId').optional().isInt({ min: 1 }).withMessage('Invalid chain ID')
   ],
   async (req, res) => {
     try {
@@ -20,20 +22,16 @@ router.post('/nonce',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { address } = req.body;
-      const nonce = Math.floor(Math.random() * 1000000);
-      
-      // Store nonce temporarily (in production, use Redis or database)
-      global.nonces = global.nonces || {};
-      global.nonces[address.toLowerCase()] = {
-        nonce,
-        timestamp: Date.now()
-      };
+      const { address, chainId } = req.body;
 
-      res.json({ 
-        nonce,
-        message: `Sign this message to authenticate: ${nonce}`
-      });
+      let challenge;
+      try {
+        challenge = sessionService.createChallenge(address, chainId === undefined ? undefined : Number(chainId));
+      } catch (challengeError) {
+        return res.status(400).json({ error: challengeError.message });
+      }
+
+      res.json(challenge);
     } catch (error) {
       console.error('Error generating nonce:', error);
       res.status(500).json({ error: 'Failed to generate nonce' });
@@ -43,13 +41,12 @@ router.post('/nonce',
 
 /**
  * POST /api/auth/verify
- * Verify wallet signature and issue JWT
+ * Verify a signed SIWE message and start a session
  */
 router.post('/verify',
   [
-    body('address').isEthereumAddress().withMessage('Invalid Ethereum address'),
-    body('signature').notEmpty().withMessage('Signature is required'),
-    body('nonce').isNumeric().withMessage('Invalid nonce')
+    body('message').isString().notEmpty().withMessage('SIWE message is required'),
+    body('signature').notEmpty().withMessage('Signature is required')
   ],
   async (req, res) => {
     try {
@@ -58,75 +55,29 @@ router.post('/verify',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { address, signature, nonce } = req.body;
-      const addressLower = address.toLowerCase();
+      const { message, signature } = req.body;
 
-      console.log('Verifying signature for address:', addressLower);
-      console.log('Nonce received:', nonce, 'Type:', typeof nonce);
-
-      // Check if nonce exists and is recent (5 minutes)
-      global.nonces = global.nonces || {};
-      const storedNonce = global.nonces[addressLower];
-      
-      if (!storedNonce) {
-        console.error('Nonce not found for address:', addressLower);
-        return res.status(400).json({ error: 'Nonce not found. Please request a new nonce.' });
-      }
-
-      if (Date.now() - storedNonce.timestamp > 5 * 60 * 1000) {
-        delete global.nonces[addressLower];
-        console.error('Nonce expired for address:', addressLower);
-        return res.status(400).json({ error: 'Nonce expired. Please request a new nonce.' });
-      }
-
-      if (storedNonce.nonce !== parseInt(nonce)) {
-        console.error('Nonce mismatch. Stored:', storedNonce.nonce, 'Received:', nonce);
-        return res.status(400).json({ error: 'Invalid nonce' });
-      }
-
-      // Verify signature using ethers v6 API
-      const message = `Sign this message to authenticate: ${nonce}`;
-      let recoveredAddress;
+      let fields;
       try {
-        // ethers v6 uses verifyMessage which handles the message hashing
-        console.log('Verifying message:', message);
-        console.log('Signature:', signature?.substring(0, 20) + '...');
-        recoveredAddress = ethers.verifyMessage(message, signature);
-        console.log('Recovered address:', recoveredAddress);
+        fields = await sessionService.verifySignIn(message, signature);
       } catch (verifyError) {
-        console.error('Signature verification error:', verifyError.message || verifyError);
-        return res.status(400).json({ 
-          error: 'Invalid signature format',
-          details: verifyError.message 
-        });
-      }
-
-      if (!recoveredAddress || recoveredAddress.toLowerCase() !== addressLower) {
-        console.error('Address mismatch. Expected:', addressLower, 'Got:', recoveredAddress?.toLowerCase());
-        return res.status(400).json({ 
-          error: 'Invalid signature - address mismatch',
-          expected: addressLower,
-          recovered: recoveredAddress?.toLowerCase()
-        });
+        return res.status(400).json({ error: verifyError.message });
       }
 
-      // Clean up nonce
-      delete global.nonces[addressLower];
+      const address = fields.address.toLowerCase();
 
-      // Generate JWT
-      const token = jwt.sign(
-        { 
-          address: addressLower,
-          timestamp: Date.now()
-        },
-        process.env.JWT_SECRET || 'default-secret',
-        { expiresIn: '24h' }
-      );
+      // Roles are embedded for the client; protected routes re-check them
+      const roles = await roleService.getRoles(address).catch(() => []);
+      const session = sessionService.issueSession(address, roles);
 
       res.json({
         success: true,
-        token,
-        address: addressLower,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt,
+        refreshExpiresAt: session.refreshExpiresAt,
+        address,
+        roles,
         message: 'Authentication successful'
       });
     } catch (error) {
@@ -138,39 +89,38 @@ router.post('/verify',
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token
+ * Exchange a refresh token for a new access token and refresh token
  */
 router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+  ],
   async (req, res) => {
     try {
-      const authHeader = req.headers.authorization;
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'No token provided' });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      const token = authHeader.substring(7);
-      
+      let session;
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
-        
-        // Issue new token
-        const newToken = jwt.sign(
-          { 
-            address: decoded.address,
-            timestamp: Date.now()
-          },
-          process.env.JWT_SECRET || 'default-secret',
-          { expiresIn: '24h' }
+        session = await sessionService.rotateRefreshToken(
+          req.body.refreshToken,
+          address => roleService.getRoles(address).catch(() => [])
         );
-
-        res.json({
-          success: true,
-          token: newToken,
-          address: decoded.address
-        });
-      } catch (jwtError) {
-        return res.status(401).json({ error: 'Invalid token' });
+      } catch (refreshError) {
+        return res.status(401).json({ error: refreshError.message });
       }
+
+      res.json({
+        success: true,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresAt: session.expiresAt,
+        refreshExpiresAt: session.refreshExpiresAt,
+        address: session.address,
+        roles: session.roles
+      });
     } catch (error) {
       console.error('Error refreshing token:', error);
       res.status(500).json({ error: 'Failed to refresh token' });
@@ -178,34 +128,55 @@ router.post('/refresh',
   }
 );
 
+/**
+ * POST /api/auth/logout
+ * Revoke the current session, or every session for the address with `all`
+ */
+router.post('/logout',
+  auth,
+  [
+    body('refreshToken').optional().isString().withMessage('Refresh token must be a string'),
+    body('all').optional().isBoolean().withMessage('all must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { refreshToken, all } = req.body;
+
+      if (all === true || all === 'true') {
+        sessionService.revokeAllSessions(req.user.address);
+      } else {
+        sessionService.revokeSession(req.user.token, refreshToken);
+      }
+
+      res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  }
+);
+
 /**
  * GET /api/auth/profile
  * Get user profile
  */
 router.get('/profile',
+  auth,
   async (req, res) => {
     try {
-      const authHeader = req.headers.authorization;
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'No token provided' });
-      }
+      const profile = {
+        address: req.user.address,
+        roles: await roleService.getRoles(req.user.address).catch(() => req.user.roles),
+        isAuthenticated: true,
+        authTimestamp: req.user.timestamp
+      };
 
-      const token = authHeader.substring(7);
-      
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
-        
-        // In production, fetch user data from database
-        const profile = {
-          address: decoded.address,
-          isAuthenticated: true,
-          authTimestamp: decoded.timestamp
-        };
-
-        res.json({ profile });
-      } catch (jwtError) {
-        return res.status(401).json({ error: 'Invalid token' });
-      }
+      res.json({ profile });
     } catch (error) {
       console.error('Error fetching profile:', error);
       res.status(500).json({ error: 'Failed to fetch profile' });
@@ -213,4 +184,4 @@ router.get('/profile',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const contractService = require('../services/contractService');
+
+const router = express.Router();
+
+/**
+ * GET /api/certificates/:policyAddress/:tokenId
+ * ERC-721 metadata for a coverage certificate (public, so wallets and marketplaces can read it)
+ */
+router.get('/:policyAddress/:tokenId', async (req, res) => {
+  try {
+    const { policyAddress, tokenId } = req.params;
+    if (!ethers.isAddress(policyAddress) || !/^\d+$/.test(tokenId)) {
+      return res.status(400).json({ error: 'Invalid policy address or token id' });
+    }
+
+    const metadata = await contractService.getCertificateMetadata(policyAddress, tokenId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    res.json(metadata);
+  } catch (error) {
+    console.error('Error fetching certificate metadata:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate metadata' });
+  }
+});
+
+module.exports = router;
@@ -4,14 +4,21 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const contractService = require('../services/contractService');
 const fraudDetection = require('../services/fraudDetection');
+const evidenceService = require('../services/evidenceService');
+const notificationService = require('../services/notificationService');
 const { db } = require('../services/database');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const roleService = require('../services/roleService');
+
+const { NotificationTypes } = notificationService;
+const { ROLES } = roleService;
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads (kept in memory, then hashed into the evidence store)
 const upload = multer({
-  dest: 'uploads/',
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/png', 'application/pdf', 'text/plain'];
@@ -25,7 +32,9 @@ const upload = multer({
 
 /**
  * POST /api/claims/submit
- * Submit insurance claim
+ * Validate a claim, score it for fraud and pin its evidence. The holder then sends
+ * ClaimManager.submitClaim from their own wallet with the returned transaction
+ * parameters and links the result with POST /api/claims/:id/link.
  */
 router.post('/submit',
   auth,
@@ -59,9 +68,20 @@ router.post('/submit',
         return res.status(400).json({ error: 'Cannot submit claim on cancelled policy' });
       }
 
-      // Check coverage limit
-      if (parseFloat(amount) > parseFloat(policyStatus.coverage)) {
-        return res.status(400).json({ error: 'Claim amount exceeds coverage' });
+      // Check remaining coverage (limit minus paid and pending claims)
+      if (parseFloat(amount) > parseFloat(policyStatus.remainingCoverage ?? policyStatus.coverage)) {
+        return res.status(400).json({
+          error: 'Claim amount exceeds remaining coverage',
+          remainingCoverage: policyStatus.remainingCoverage
+        });
+      }
+
+      const payout = await contractService.calculateNetPayout(
+        policy || { coverage: policyStatus.coverage },
+        parseFloat(amount)
+      );
+      if (payout.netPayout <= 0) {
+        return res.status(400).json({ error: 'Claim amount is within the deductible', payout });
       }
 
       // Run fraud detection
@@ -75,57 +95,77 @@ router.post('/submit',
         files: req.files || []
       });
 
-      // Prepare evidence string
-      const evidenceData = {
+      // Pin evidence files; only the manifest hash goes on-chain
+      const pinned = await evidenceService.pinClaimEvidence(
+        { description, incidentDate, txHashes },
+        req.files || []
+      );
+      const evidenceSummary = {
+        manifestHash: pinned.manifestHash,
+        files: pinned.manifest.files.map(({ name, sha256, size }) => ({ name, sha256, size }))
+      };
+
+      // ClaimManager checks isPolicyActive(msg.sender), so the holder must send the claim
+      const policyAddress = policy?.address;
+      const claimManager = contractService.contracts.ClaimManager;
+      if (!policyAddress || !claimManager) {
+        return res.status(400).json({ error: 'Policy is not deployed on-chain' });
+      }
+
+      const policyContract = contractService.getPolicyContract(policyAddress);
+      const activeOnChain = policyContract ? await policyContract.isPolicyActive(userAddress).catch(() => null) : null;
+      if (activeOnChain === false) {
+        return res.status(400).json({ error: 'Policy is not active on-chain for this wallet' });
+      }
+
+      // High-risk claims wait for a reviewer to clear them before they can be signed
+      const heldForReview = fraudCheck.riskScore > 0.8;
+      const amountUnits = ethers.parseUnits(amount.toString(), 6);
+      const claim = db.createClaimSubmission({
+        policyId,
+        policyAddress,
+        userAddress,
+        amount: parseFloat(amount),
+        amountUnits: amountUnits.toString(),
         description,
         incidentDate,
-        txHashes: txHashes || [],
-        files: req.files ? req.files.map(f => f.filename) : [],
-        timestamp: new Date().toISOString()
-      };
+        expectedPayout: payout.netPayout,
+        evidence: pinned.evidence,
+        ...(heldForReview && { status: 'pending_review' }),
+        fraudCheck: {
+          riskScore: fraudCheck.riskScore,
+          flags: fraudCheck.flags
+        }
+      });
 
-      // If high risk, save for manual review instead of rejecting
-      if (fraudCheck.riskScore > 0.8) {
-        const claim = db.createClaim({
-          policyId,
-          userAddress,
-          amount: parseFloat(amount),
-          description,
-          incidentDate,
-          status: 'pending_review',
-          evidence: JSON.stringify(evidenceData),
-          fraudCheck: {
-            riskScore: fraudCheck.riskScore,
-            flags: fraudCheck.flags
-          }
-        });
+      if (heldForReview) {
+        // On-chain submissions are announced by the event indexer
+        notificationService.notify(userAddress, NotificationTypes.CLAIM_SUBMITTED, { claimId: claim.id });
 
         return res.json({
           success: true,
           claimId: claim.id,
+          status: claim.status,
+          payout,
+          evidence: evidenceSummary,
           message: 'Claim flagged for manual review due to fraud detection',
           riskScore: fraudCheck.riskScore,
           flags: fraudCheck.flags
         });
       }
 
-      // Submit claim to blockchain
-      const claimResult = await contractService.submitClaim({
-        policyId,
-        userAddress,
-        amount: ethers.parseUnits(amount.toString(), 6),
-        evidence: JSON.stringify(evidenceData)
-      });
-
       res.json({
         success: true,
-        claimId: claimResult.claimId,
-        txHash: claimResult.txHash,
+        claimId: claim.id,
+        status: claim.status,
+        transaction: getSubmissionTransaction(claim),
+        payout,
+        evidence: evidenceSummary,
         fraudCheck: {
           riskScore: fraudCheck.riskScore,
           flags: fraudCheck.flags
         },
-        message: 'Claim submitted successfully'
+        message: 'Claim validated; submit it from your wallet'
       });
     } catch (error) {
       console.error('Error submitting claim:', error);
@@ -134,13 +174,127 @@ router.post('/submit',
   }
 );
 
+/**
+ * ClaimManager.submitClaim parameters for a submission cleared for the holder to sign
+ * (null while it is held for review, rejected or already on-chain)
+ */
+function getSubmissionTransaction(claim) {
+  const claimManager = contractService.contracts.ClaimManager;
+  if (claim.status !== 'awaiting_signature' || claim.chainClaimId || !claimManager) {
+    return null;
+  }
+
+  return {
+    to: claimManager.target,
+    policyAddress: claim.policyAddress,
+    amount: claim.amountUnits,
+    evidence: claim.evidence
+  };
+}
+
+/**
+ * POST /api/claims/:id/link
+ * Link a submission to the on-chain claim the holder's transaction created
+ */
+router.post('/:id/link',
+  auth,
+  [
+    body('txHash').custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const claim = db.data.claims.get(req.params.id);
+      if (!claim || claim.userAddress?.toLowerCase() !== req.user.address) {
+        return res.status(404).json({ error: 'Claim not found' });
+      }
+      if (claim.chainClaimId) {
+        return res.json({ success: true, claim });
+      }
+      if (claim.status !== 'awaiting_signature') {
+        return res.status(400).json({ error: 'Claim is not awaiting a wallet submission' });
+      }
+
+      let submitted;
+      try {
+        submitted = await contractService.getClaimSubmission(req.body.txHash);
+      } catch (chainError) {
+        return res.status(400).json({ error: chainError.message });
+      }
+      if (!submitted) {
+        return res.status(409).json({ error: 'Transaction is not mined yet' });
+      }
+
+      // The transaction must carry exactly the claim that was validated
+      const matches =
+        submitted.claimant.toLowerCase() === req.user.address &&
+        submitted.policyAddress.toLowerCase() === claim.policyAddress.toLowerCase() &&
+        submitted.amount.toString() === claim.amountUnits &&
+        submitted.evidence === claim.evidence;
+      if (!matches) {
+        return res.status(400).json({ error: 'Transaction does not match this claim' });
+      }
+
+      const linked = db.linkClaimSubmission({
+        claimant: req.user.address,
+        evidence: submitted.evidence,
+        chainClaimId: submitted.claimId,
+        txHash: submitted.txHash,
+        submissionId: claim.id
+      });
+
+      res.json({ success: true, claim: linked });
+    } catch (error) {
+      console.error('Error linking claim:', error);
+      res.status(500).json({ error: 'Failed to link claim' });
+    }
+  }
+);
+
+/**
+ * GET /api/claims/estimate/:policyId
+ * Preview net payout for a claim amount after deductible and co-insurance
+ */
+router.get('/estimate/:policyId', async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    const amount = parseFloat(req.query.amount);
+
+    if (isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const policy = db.data.policies.get(policyId);
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    const payout = await contractService.calculateNetPayout(policy, amount);
+    res.json({ payout });
+  } catch (error) {
+    console.error('Error estimating claim payout:', error);
+    res.status(500).json({ error: 'Failed to estimate claim payout' });
+  }
+});
+
 /**
  * GET /api/claims/:claimId
- * Get claim details
+ * Get claim details. Submissions not yet on-chain come from the database, with the
+ * submitClaim parameters once they are cleared for the holder to sign.
  */
 router.get('/:claimId', async (req, res) => {
   try {
     const { claimId } = req.params;
+
+    const submission = db.data.claims.get(claimId);
+    if (submission && !submission.chainClaimId) {
+      return res.json({ claim: submission, transaction: getSubmissionTransaction(submission) });
+    }
+
     const claim = await contractService.getClaimDetails(claimId);
     
     if (!claim) {
@@ -154,6 +308,78 @@ router.get('/:claimId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/claims/:claimId/evidence
+ * Get a claim's evidence manifest with every file re-hashed against the stored hashes
+ * (claimant and claims reviewers only)
+ */
+router.get('/:claimId/evidence', auth, async (req, res) => {
+  try {
+    const evidence = await getReadableEvidence(req.params.claimId, req.user);
+    if (evidence === null) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const report = await evidenceService.verify(evidence);
+    res.json({ claimId: req.params.claimId, evidence: report });
+  } catch (error) {
+    console.error('Error verifying claim evidence:', error);
+    res.status(500).json({ error: 'Failed to verify claim evidence' });
+  }
+});
+
+/**
+ * GET /api/claims/:claimId/evidence/:sha256
+ * Download an evidence file listed in the claim's manifest (claimant and claims reviewers only)
+ */
+router.get('/:claimId/evidence/:sha256', auth, async (req, res) => {
+  try {
+    const evidence = await getReadableEvidence(req.params.claimId, req.user);
+    const file = evidence !== null ? await evidenceService.getFile(evidence, req.params.sha256) : null;
+
+    if (!file) {
+      return res.status(404).json({ error: 'Evidence file not found or failed verification' });
+    }
+
+    res.set('Content-Type', file.mimeType || 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(file.name)}"`);
+    res.send(file.bytes);
+  } catch (error) {
+    console.error('Error fetching evidence file:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence file' });
+  }
+});
+
+/**
+ * Evidence string recorded for a database or on-chain claim, if `user` is its claimant
+ * or a claims reviewer (null if the claim does not exist or is not theirs to read)
+ */
+async function getReadableEvidence(claimId, user) {
+  let claimant;
+  let evidence;
+
+  const claim = db.data.claims.get(claimId);
+  if (claim) {
+    claimant = claim.claimantAddress || claim.userAddress;
+    evidence = claim.evidence || '';
+  } else {
+    if (!ethers.isHexString(claimId, 32)) {
+      return null;
+    }
+    const onChain = await contractService.getClaimDetails(claimId).catch(() => null);
+    if (!onChain) {
+      return null;
+    }
+    ({ claimant, evidence } = onChain);
+  }
+
+  if (claimant?.toLowerCase() === user.address) {
+    return evidence;
+  }
+  const roles = await roleService.getRoles(user.address);
+  return roleService.hasAnyRole(roles, [ROLES.CLAIMS_REVIEWER]) ? evidence : null;
+}
+
 /**
  * GET /api/claims/user/:address
  * Get user's claims
@@ -182,6 +408,10 @@ router.get('/user/:address', async (req, res) => {
       } catch (dbError) {
         console.warn('Could not fetch from database:', dbError);
       }
+    } else {
+      // Submissions held for review or still to be signed are not on-chain yet
+      const offChain = db.getClaimsByUser(normalizedAddress).filter(c => !c.chainClaimId);
+      claims = [...claims, ...offChain];
     }
     
     res.json({ claims: claims || [] });
@@ -192,43 +422,15 @@ router.get('/user/:address', async (req, res) => {
 });
 
 /**
- * POST /api/claims/:claimId/approve
- * Approve claim (admin only)
- */
-router.post('/:claimId/approve',
-  auth,
-  async (req, res) => {
-    try {
-      const { claimId } = req.params;
-      
-      // Check admin permissions
-      const isAdmin = await contractService.isAdmin(req.user.address);
-      if (!isAdmin) {
-        return res.status(403).json({ error: 'Admin access required' });
-      }
-
-      const result = await contractService.approveClaim(claimId);
-      
-      res.json({
-        success: true,
-        txHash: result.txHash,
-        message: 'Claim approved successfully'
-      });
-    } catch (error) {
-      console.error('Error approving claim:', error);
-      res.status(500).json({ error: 'Failed to approve claim' });
-    }
-  }
-);
-
-/**
- * POST /api/claims/:claimId/reject
- * Reject claim (admin only)
+ * POST /api/claims/:claimId/appeal
+ * Check that a rejected claim can still be appealed. The claimant then approves the
+ * returned bond and sends ClaimManager.fileAppeal from their own wallet; the event
+ * indexer records the appeal.
  */
-router.post('/:claimId/reject',
+router.post('/:claimId/appeal',
   auth,
   [
-    body('reason').isLength({ min: 10 }).withMessage('Rejection reason required (min 10 chars)')
+    body('grounds').isLength({ min: 10 }).withMessage('Appeal grounds required (min 10 chars)')
   ],
   async (req, res) => {
     try {
@@ -237,29 +439,85 @@ router.post('/:claimId/reject',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { claimId } = req.params;
-      const { reason } = req.body;
-      
-      // Check admin permissions
-      const isAdmin = await contractService.isAdmin(req.user.address);
-      if (!isAdmin) {
-        return res.status(403).json({ error: 'Admin access required' });
+      // Submissions are appealed through the on-chain claim they were linked to
+      const submission = db.data.claims.get(req.params.claimId);
+      const claimId = submission ? submission.chainClaimId : req.params.claimId;
+      if (!claimId || !ethers.isHexString(claimId, 32)) {
+        return res.status(submission ? 400 : 404).json({
+          error: submission ? 'Only claims submitted on-chain can be appealed' : 'Claim not found'
+        });
       }
 
-      const result = await contractService.rejectClaim(claimId, reason);
-      
+      const claim = await contractService.getClaimDetails(claimId).catch(() => null);
+      if (!claim) {
+        return res.status(404).json({ error: 'Claim not found' });
+      }
+      if (claim.claimant.toLowerCase() !== req.user.address.toLowerCase()) {
+        return res.status(403).json({ error: 'Only the claimant can appeal' });
+      }
+      if (claim.status !== 'rejected') {
+        return res.status(400).json({ error: 'Only rejected claims can be appealed' });
+      }
+      if (claim.appeal) {
+        return res.status(400).json({ error: 'Claim has already been appealed' });
+      }
+
+      const terms = await contractService.getAppealTerms();
+      const deadline = new Date(claim.processedAt.getTime() + terms.windowSeconds * 1000);
+      if (Date.now() > deadline.getTime()) {
+        return res.status(400).json({ error: 'Appeal window has closed', deadline: deadline.toISOString() });
+      }
+
+      const filing = await contractService.getAppealFiling(claimId);
+
       res.json({
         success: true,
-        txHash: result.txHash,
-        message: 'Claim rejected'
+        claimId,
+        deadline: deadline.toISOString(),
+        transaction: { ...filing, grounds: req.body.grounds },
+        message: 'Appeal validated; file it from your wallet'
       });
     } catch (error) {
-      console.error('Error rejecting claim:', error);
-      res.status(500).json({ error: 'Failed to reject claim' });
+      console.error('Error preparing appeal:', error);
+      res.status(500).json({ error: 'Failed to prepare appeal' });
     }
   }
 );
 
+/**
+ * GET /api/claims/appeals/terms
+ * Appeal bond, reviewer quorum and appeal window as set on ClaimManager
+ */
+router.get('/appeals/terms', async (req, res) => {
+  try {
+    const terms = await contractService.getAppealTerms();
+    res.json({ terms });
+  } catch (error) {
+    console.error('Error fetching appeal terms:', error);
+    res.status(500).json({ error: 'Failed to fetch appeal terms' });
+  }
+});
+
+/**
+ * GET /api/claims/appeals/pending
+ * List claims awaiting an appeal decision (pass ?reviewer= to see which the reviewer can
+ * still vote on). Reviewers vote with ClaimManager.voteOnAppeal from their own wallets.
+ */
+router.get('/appeals/pending', auth, requireRole(ROLES.CLAIMS_REVIEWER, ROLES.MULTISIG_SIGNER), async (req, res) => {
+  try {
+    const { reviewer } = req.query;
+    if (reviewer && !ethers.isAddress(reviewer)) {
+      return res.status(400).json({ error: 'Invalid reviewer address' });
+    }
+
+    const appeals = await contractService.getPendingAppeals(reviewer || null);
+    res.json({ appeals });
+  } catch (error) {
+    console.error('Error fetching pending appeals:', error);
+    res.status(500).json({ error: 'Failed to fetch pending appeals' });
+  }
+});
+
 /**
  * GET /api/claims/stats/overview
  * Get claims statistics
@@ -279,6 +537,8 @@ router.get('/stats/overview', async (req, res) => {
  * Oracle response webhook
  */
 router.post('/oracle/webhook',
+  auth,
+  requireRole(ROLES.ADMIN),
   [
     body('requestId').notEmpty().withMessage('Request ID required'),
     body('claimId').notEmpty().withMessage('Claim ID required'),
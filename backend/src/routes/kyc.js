@@ -2,6 +2,12 @@ const express = require('express');
 const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const { db } = require('../services/database');
+const notificationService = require('../services/notificationService');
+const { ROLES } = require('../services/roleService');
+
+const { NotificationTypes } = notificationService;
 
 const router = express.Router();
 
@@ -19,9 +25,6 @@ const upload = multer({
   }
 });
 
-// Mock KYC database (in production, use proper database)
-const kycDatabase = new Map();
-
 /**
  * POST /api/kyc/submit
  * Submit KYC documents (mock implementation)
@@ -76,6 +79,12 @@ router.post('/submit',
 
       // Simulate KYC verification process
       setTimeout(() => {
+        // Skip if an admin already reviewed or the user resubmitted
+        const current = db.getKyc(userAddress);
+        if (!current || current.submittedAt !== kycData.submittedAt || current.status !== 'pending') {
+          return;
+        }
+
         // Mock verification logic
         const verificationScore = Math.random();
         const isApproved = verificationScore > 0.3; // 70% approval rate
@@ -88,12 +97,17 @@ router.post('/submit',
           kycData.rejectionReason = 'Document quality insufficient or information mismatch';
         }
 
-        kycDatabase.set(userAddress, kycData);
+        db.saveKyc(userAddress, kycData);
+        notificationService.notify(
+          userAddress,
+          isApproved ? NotificationTypes.KYC_APPROVED : NotificationTypes.KYC_REJECTED,
+          { reason: kycData.rejectionReason }
+        );
         console.log(`KYC ${isApproved ? 'approved' : 'rejected'} for ${userAddress}`);
       }, 5000); // 5 second processing delay
 
       // Store initial submission
-      kycDatabase.set(userAddress, kycData);
+      db.saveKyc(userAddress, kycData);
 
       res.json({
         success: true,
@@ -116,7 +130,7 @@ router.post('/submit',
 router.get('/status', auth, async (req, res) => {
   try {
     const userAddress = req.user.address;
-    const kycData = kycDatabase.get(userAddress);
+    const kycData = db.getKyc(userAddress);
 
     if (!kycData) {
       return res.json({
@@ -143,12 +157,11 @@ router.get('/status', auth, async (req, res) => {
 
 /**
  * GET /api/kyc/admin/pending
- * Get pending KYC submissions (admin only)
+ * Get pending KYC submissions (KYC officers)
  */
-router.get('/admin/pending', auth, async (req, res) => {
+router.get('/admin/pending', auth, requireRole(ROLES.KYC_OFFICER), async (req, res) => {
   try {
-    // In production, check admin permissions
-    const pendingKyc = Array.from(kycDatabase.values())
+    const pendingKyc = db.getAllKyc()
       .filter(kyc => kyc.status === 'pending')
       .map(kyc => ({
         userAddress: kyc.userAddress,
@@ -167,10 +180,11 @@ router.get('/admin/pending', auth, async (req, res) => {
 
 /**
  * POST /api/kyc/admin/review/:address
- * Review KYC submission (admin only)
+ * Review KYC submission (KYC officers)
  */
 router.post('/admin/review/:address',
   auth,
+  requireRole(ROLES.KYC_OFFICER),
   [
     body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
     body('notes').optional().isString().withMessage('Notes must be string')
@@ -185,7 +199,7 @@ router.post('/admin/review/:address',
       const { address } = req.params;
       const { decision, notes } = req.body;
 
-      const kycData = kycDatabase.get(address);
+      const kycData = db.getKyc(address);
       if (!kycData) {
         return res.status(404).json({ error: 'KYC submission not found' });
       }
@@ -204,7 +218,12 @@ router.post('/admin/review/:address',
         kycData.rejectionReason = notes || 'Manual review rejection';
       }
 
-      kycDatabase.set(address, kycData);
+      db.saveKyc(address, kycData);
+      notificationService.notify(
+        address,
+        decision === 'approve' ? NotificationTypes.KYC_APPROVED : NotificationTypes.KYC_REJECTED,
+        { reason: kycData.rejectionReason }
+      );
 
       res.json({
         success: true,
@@ -222,9 +241,9 @@ router.post('/admin/review/:address',
  * GET /api/kyc/stats
  * Get KYC statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', auth, requireRole(ROLES.KYC_OFFICER), async (req, res) => {
   try {
-    const allKyc = Array.from(kycDatabase.values());
+    const allKyc = db.getAllKyc();
     
     const stats = {
       total: allKyc.length,
@@ -1,15 +1,17 @@
 const express = require('express');
 const { db } = require('../services/database');
-const { wsManager } = require('../services/websocket');
+const notificationService = require('../services/notificationService');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const { ROLES } = require('../services/roleService');
 
 const router = express.Router();
 
 // Get user notifications
 router.get('/', auth, (req, res) => {
   try {
-    const { walletAddress } = req.user;
-    const notifications = db.getNotificationsByUser(walletAddress);
+    const { address } = req.user;
+    const notifications = db.getNotificationsByUser(address);
     
     res.json({
       notifications,
@@ -25,21 +27,18 @@ router.get('/', auth, (req, res) => {
 router.put('/:id/read', auth, (req, res) => {
   try {
     const { id } = req.params;
-    const { walletAddress } = req.user;
+    const { address } = req.user;
     
     const notification = db.data.notifications.get(id);
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
     
-    if (notification.userAddress !== walletAddress) {
+    if (notification.userAddress?.toLowerCase() !== address) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    notification.read = true;
-    notification.readAt = new Date().toISOString();
-    db.data.notifications.set(id, notification);
-    db.saveData();
+    db.markNotificationRead(id);
     
     res.json({ message: 'Notification marked as read' });
   } catch (error) {
@@ -51,17 +50,10 @@ router.put('/:id/read', auth, (req, res) => {
 // Mark all notifications as read
 router.put('/read-all', auth, (req, res) => {
   try {
-    const { walletAddress } = req.user;
-    
-    for (const [id, notification] of db.data.notifications) {
-      if (notification.userAddress === walletAddress && !notification.read) {
-        notification.read = true;
-        notification.readAt = new Date().toISOString();
-        db.data.notifications.set(id, notification);
-      }
-    }
+    const { address } = req.user;
+    
+    db.markAllNotificationsRead(address);
     
-    db.saveData();
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
     console.error('Mark all notifications read error:', error);
@@ -73,19 +65,18 @@ router.put('/read-all', auth, (req, res) => {
 router.delete('/:id', auth, (req, res) => {
   try {
     const { id } = req.params;
-    const { walletAddress } = req.user;
+    const { address } = req.user;
     
     const notification = db.data.notifications.get(id);
     if (!notification) {
       return res.status(404).json({ error: 'Notification not found' });
     }
     
-    if (notification.userAddress !== walletAddress) {
+    if (notification.userAddress?.toLowerCase() !== address) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    db.data.notifications.delete(id);
-    db.saveData();
+    db.deleteNotification(id);
     
     res.json({ message: 'Notification deleted' });
   } catch (error) {
@@ -94,90 +85,9 @@ router.delete('/:id', auth, (req, res) => {
   }
 });
 
-// Create notification (internal use)
-function createNotification(userAddress, type, title, message, data = {}) {
-  const notification = db.createNotification({
-    userAddress,
-    type,
-    title,
-    message,
-    data
-  });
-  
-  // Send real-time notification
-  wsManager.notifyNewNotification(notification, userAddress);
-  
-  return notification;
-}
-
-// Notification types and templates
-const NotificationTypes = {
-  POLICY_PURCHASED: 'policy_purchased',
-  POLICY_EXPIRING: 'policy_expiring',
-  CLAIM_SUBMITTED: 'claim_submitted',
-  CLAIM_APPROVED: 'claim_approved',
-  CLAIM_REJECTED: 'claim_rejected',
-  CLAIM_PAID: 'claim_paid',
-  PREMIUM_DUE: 'premium_due',
-  SYSTEM_UPDATE: 'system_update'
-};
-
-const NotificationTemplates = {
-  [NotificationTypes.POLICY_PURCHASED]: {
-    title: 'Policy Purchased Successfully',
-    message: 'Your insurance policy has been activated and is now providing coverage.'
-  },
-  [NotificationTypes.POLICY_EXPIRING]: {
-    title: 'Policy Expiring Soon',
-    message: 'Your insurance policy will expire in {days} days. Renew now to maintain coverage.'
-  },
-  [NotificationTypes.CLAIM_SUBMITTED]: {
-    title: 'Claim Submitted',
-    message: 'Your claim has been submitted and is under review. Claim ID: {claimId}'
-  },
-  [NotificationTypes.CLAIM_APPROVED]: {
-    title: 'Claim Approved',
-    message: 'Great news! Your claim has been approved. Payment will be processed shortly.'
-  },
-  [NotificationTypes.CLAIM_REJECTED]: {
-    title: 'Claim Rejected',
-    message: 'Unfortunately, your claim has been rejected. Reason: {reason}'
-  },
-  [NotificationTypes.CLAIM_PAID]: {
-    title: 'Claim Payment Processed',
-    message: 'Your claim payment of {amount} has been processed and sent to your wallet.'
-  },
-  [NotificationTypes.PREMIUM_DUE]: {
-    title: 'Premium Payment Due',
-    message: 'Your premium payment is due in {days} days. Pay now to avoid policy cancellation.'
-  },
-  [NotificationTypes.SYSTEM_UPDATE]: {
-    title: 'System Update',
-    message: 'The insurance system has been updated with new features and improvements.'
-  }
-};
-
-// Helper function to create typed notifications
-function createTypedNotification(userAddress, type, data = {}) {
-  const template = NotificationTemplates[type];
-  if (!template) {
-    throw new Error(`Unknown notification type: ${type}`);
-  }
-  
-  let message = template.message;
-  
-  // Replace placeholders in message
-  Object.keys(data).forEach(key => {
-    message = message.replace(`{${key}}`, data[key]);
-  });
-  
-  return createNotification(userAddress, type, template.title, message, data);
-}
-
 // Bulk notification endpoints (admin only)
-router.post('/bulk', auth, (req, res) => {
+router.post('/bulk', auth, requireRole(ROLES.ADMIN), (req, res) => {
   try {
-    // Check if user is admin (implement proper admin check)
     const { type, message, userAddresses } = req.body;
     
     if (!type || !message) {
@@ -188,7 +98,7 @@ router.post('/bulk', auth, (req, res) => {
     const addresses = userAddresses || Array.from(db.data.users.values()).map(u => u.walletAddress);
     
     addresses.forEach(address => {
-      const notification = createNotification(address, type, 'System Notification', message);
+      const notification = notificationService.createNotification(address, type, 'System Notification', message);
       notifications.push(notification);
     });
     
@@ -203,7 +113,7 @@ router.post('/bulk', auth, (req, res) => {
 });
 
 // Get notification statistics (admin only)
-router.get('/stats', auth, (req, res) => {
+router.get('/stats', auth, requireRole(ROLES.ADMIN), (req, res) => {
   try {
     const notifications = Array.from(db.data.notifications.values());
     
@@ -228,9 +138,4 @@ router.get('/stats', auth, (req, res) => {
   }
 });
 
-module.exports = { 
-  router, 
-  createNotification, 
-  createTypedNotification, 
-  NotificationTypes 
-};
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
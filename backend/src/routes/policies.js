@@ -2,11 +2,23 @@ const express = require('express');
 const { ethers } = require('ethers');
 const { body, validationResult } = require('express-validator');
 const contractService = require('../services/contractService');
+const notificationService = require('../services/notificationService');
 const { db } = require('../services/database');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const { ROLES } = require('../services/roleService');
+
+const { NotificationTypes } = notificationService;
 
 const router = express.Router();
 
+// Check whether an address holds a purchased policy record
+const isPolicyOwner = (policy, address) => {
+  const normalized = address.toLowerCase();
+  return (policy.userAddress && policy.userAddress.toLowerCase() === normalized) ||
+         (policy.holderAddress && policy.holderAddress.toLowerCase() === normalized);
+};
+
 /**
  * GET /api/policies
  * Get all available policies
@@ -45,13 +57,13 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/policies/:id/purchase
- * Purchase a policy
+ * Record a policy the user bought on-chain with Policy.purchasePolicy. The receipt
+ * must contain a PolicyPurchased log from this policy for the signed-in wallet.
  */
 router.post('/:id/purchase', 
   auth,
   [
-    body('userAddress').optional().isEthereumAddress().withMessage('Invalid Ethereum address'),
-    body('txHash').optional().isLength({ min: 60 }).withMessage('Invalid transaction hash')
+    body('txHash').custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
   ],
   async (req, res) => {
     try {
@@ -61,35 +73,26 @@ router.post('/:id/purchase',
       }
 
       const { id } = req.params;
-      const userAddress = req.user?.address || req.body?.userAddress;
-      const txHash = req.body?.txHash;
+      const userAddress = req.user.address;
+      const { txHash } = req.body;
 
-      if (!userAddress) {
-        return res.status(400).json({ error: 'User address is required' });
+      if (db.getPoliciesByUser(userAddress).some(p => p.txHash?.toLowerCase() === txHash.toLowerCase())) {
+        return res.status(409).json({ error: 'Purchase already recorded' });
       }
 
-      // Get the policy template
-      const policyTemplate = await contractService.getPolicyDetails(id).catch(() => null);
-
-      // Create a pending approval policy in the database
-      const purchase = db.createPolicy({
-        templateId: id,
-        type: policyTemplate?.type || 'Insurance Policy',
-        premium: policyTemplate?.premium || 100,
-        coverage: policyTemplate?.coverage || 50000,
-        duration: policyTemplate?.duration || 30,
-        userAddress: userAddress,
-        holderAddress: userAddress,
-        txHash: txHash || '0x' + Math.random().toString(16).slice(2),
-        status: 'pending_approval',
-        description: policyTemplate?.description || 'Crypto asset protection policy',
-        isActive: false
-      });
+      let purchase;
+      try {
+        purchase = await contractService.verifyPolicyPurchase(id, userAddress, txHash);
+      } catch (verifyError) {
+        return res.status(400).json({ error: verifyError.message });
+      }
+
+      const policy = await contractService.recordPolicyPurchase(purchase);
 
       res.json({ 
         success: true, 
-        purchase,
-        message: 'Policy purchase submitted for approval'
+        purchase: policy,
+        message: 'Policy purchased'
       });
     } catch (error) {
       console.error('Error purchasing policy:', error);
@@ -140,12 +143,16 @@ router.get('/user/:address', async (req, res) => {
  */
 router.post('/create',
   auth,
+  requireRole(ROLES.INSURER),
   [
     body('policyType').notEmpty().withMessage('Policy type is required'),
     body('premium').isNumeric().withMessage('Premium must be numeric'),
     body('coverage').isNumeric().withMessage('Coverage must be numeric'),
     body('duration').isInt({ min: 1 }).withMessage('Duration must be positive integer'),
-    body('premiumToken').isEthereumAddress().withMessage('Invalid token address')
+    body('premiumToken').isEthereumAddress().withMessage('Invalid token address'),
+    body('parametricPayout').optional().isFloat({ gt: 0 }).withMessage('Parametric payout must be positive'),
+    body('deductible').optional().isFloat({ min: 0 }).withMessage('Deductible must be non-negative'),
+    body('coinsuranceBps').optional().isInt({ min: 1, max: 10000 }).withMessage('Co-insurance must be 1-10000 bps')
   ],
   async (req, res) => {
     try {
@@ -154,12 +161,14 @@ router.post('/create',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { policyType, premium, coverage, duration, premiumToken } = req.body;
-      
-      // Check if user is authorized insurer
-      const isAuthorized = await contractService.isAuthorizedInsurer(req.user.address);
-      if (!isAuthorized) {
-        return res.status(403).json({ error: 'Not authorized to create policies' });
+      const { policyType, premium, coverage, duration, premiumToken, parametricPayout, deductible, coinsuranceBps } = req.body;
+
+      if (parametricPayout && Number(parametricPayout) > Number(coverage)) {
+        return res.status(400).json({ error: 'Parametric payout exceeds coverage' });
+      }
+
+      if (deductible && Number(deductible) >= Number(coverage)) {
+        return res.status(400).json({ error: 'Deductible exceeds coverage' });
       }
 
       const policy = await contractService.createPolicy({
@@ -168,6 +177,9 @@ router.post('/create',
         coverage: ethers.parseUnits(coverage.toString(), 6),
         duration,
         premiumToken,
+        parametricPayout: parametricPayout ? ethers.parseUnits(parametricPayout.toString(), 6) : 0n,
+        deductible: ethers.parseUnits((deductible || 0).toString(), 6),
+        coinsuranceBps: coinsuranceBps || 10000,
         insurer: req.user.address
       });
 
@@ -204,20 +216,175 @@ router.get('/:id/status/:address', async (req, res) => {
 });
 
 /**
- * POST /api/policies/:id/cancel
- * Cancel an approved policy
+ * GET /api/policies/:id/renewal/:address
+ * Get renewal status (expiry, auto-renew) for a purchased policy
  */
-router.post('/:id/cancel',
+router.get('/:id/renewal/:address', async (req, res) => {
+  try {
+    const { id, address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid Ethereum address' });
+    }
+
+    const renewal = await contractService.getRenewalStatus(id, address);
+    if (!renewal) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    res.json({ renewal });
+  } catch (error) {
+    console.error('Error fetching renewal status:', error);
+    res.status(500).json({ error: 'Failed to fetch renewal status' });
+  }
+});
+
+/**
+ * POST /api/policies/:id/renew
+ * Record a renewal the holder paid for on-chain with Policy.renewPolicy. The receipt
+ * must contain a PolicyRenewed log from this policy for the signed-in wallet.
+ */
+router.post('/:id/renew',
   auth,
+  [
+    body('txHash').custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const { id } = req.params;
-      const userAddress = req.user?.address;
+      const userAddress = req.user.address;
+      const { txHash } = req.body;
+
+      const policy = db.data.policies.get(id);
+      if (!policy) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+
+      if (!isPolicyOwner(policy, userAddress)) {
+        return res.status(403).json({ error: 'You do not own this policy' });
+      }
+
+      if (policy.status !== 'approved' && policy.status !== 'active') {
+        return res.status(400).json({ error: 'Only approved policies can be renewed' });
+      }
+
+      const renewalTxHashes = policy.renewalTxHashes || [];
+      if (renewalTxHashes.includes(txHash.toLowerCase())) {
+        return res.status(409).json({ error: 'Renewal already recorded' });
+      }
 
-      if (!userAddress) {
-        return res.status(400).json({ error: 'User address is required' });
+      let renewal;
+      try {
+        renewal = await contractService.verifyPolicyRenewal(policy.address, userAddress, txHash);
+      } catch (verifyError) {
+        return res.status(400).json({ error: verifyError.message });
       }
 
+      const updatedPolicy = db.updatePolicy(id, {
+        expiresAt: renewal.expiresAt,
+        renewedAt: renewal.timestamp,
+        renewalCount: (policy.renewalCount || 0) + 1,
+        renewalTxHash: renewal.txHash,
+        renewalTxHashes: [...renewalTxHashes, renewal.txHash.toLowerCase()],
+        isActive: true
+      });
+
+      db.updateAnalytics('premium', renewal.premium);
+
+      notificationService.notify(userAddress, NotificationTypes.POLICY_RENEWED, {
+        policyId: id,
+        expiresAt: renewal.expiresAt
+      });
+
+      res.json({
+        success: true,
+        policy: updatedPolicy,
+        message: 'Policy renewed successfully'
+      });
+    } catch (error) {
+      console.error('Error renewing policy:', error);
+      res.status(500).json({ error: 'Failed to renew policy' });
+    }
+  }
+);
+
+/**
+ * PUT /api/policies/:id/auto-renew
+ * Record the auto-renew setting the holder made on-chain with Policy.setAutoRenew. The
+ * receipt must contain an AutoRenewUpdated log from this policy for the signed-in wallet.
+ */
+router.put('/:id/auto-renew',
+  auth,
+  [
+    body('txHash').custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const policy = db.data.policies.get(id);
+      if (!policy) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+
+      if (!isPolicyOwner(policy, req.user.address)) {
+        return res.status(403).json({ error: 'You do not own this policy' });
+      }
+
+      let update;
+      try {
+        update = await contractService.verifyAutoRenewUpdate(policy.address, req.user.address, req.body.txHash);
+      } catch (verifyError) {
+        return res.status(400).json({ error: verifyError.message });
+      }
+
+      const updatedPolicy = db.updatePolicy(id, {
+        autoRenew: update.renewals > 0,
+        autoRenewals: update.renewals
+      });
+
+      res.json({
+        success: true,
+        policy: updatedPolicy,
+        message: `Auto-renew ${updatedPolicy.autoRenew ? 'enabled' : 'disabled'}`
+      });
+    } catch (error) {
+      console.error('Error updating auto-renew:', error);
+      res.status(500).json({ error: 'Failed to update auto-renew' });
+    }
+  }
+);
+
+/**
+ * POST /api/policies/:id/cancel
+ * Record a cancellation the holder made on-chain with Policy.cancelPolicy. The receipt
+ * must contain a PolicyCancelled log from this policy for the signed-in wallet; the
+ * refund and fee are taken from it.
+ */
+router.post('/:id/cancel',
+  auth,
+  [
+    body('txHash').custom(value => ethers.isHexString(value, 32)).withMessage('Invalid transaction hash')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const userAddress = req.user.address;
+
       // Get the policy
       const policy = db.data.policies.get(id);
       if (!policy) {
@@ -225,11 +392,7 @@ router.post('/:id/cancel',
       }
 
       // Verify user owns this policy
-      const normalizedUser = userAddress.toLowerCase();
-      const isOwner = (policy.userAddress && policy.userAddress.toLowerCase() === normalizedUser) ||
-                      (policy.holderAddress && policy.holderAddress.toLowerCase() === normalizedUser);
-
-      if (!isOwner) {
+      if (!isPolicyOwner(policy, userAddress)) {
         return res.status(403).json({ error: 'You do not own this policy' });
       }
 
@@ -238,16 +401,37 @@ router.post('/:id/cancel',
         return res.status(400).json({ error: 'Only approved policies can be cancelled' });
       }
 
+      let cancellation;
+      try {
+        cancellation = await contractService.verifyPolicyCancellation(policy.address, userAddress, req.body.txHash);
+      } catch (verifyError) {
+        return res.status(400).json({ error: verifyError.message });
+      }
+      const { refund, fee, txHash } = cancellation;
+
       // Update policy status to cancelled
       const updatedPolicy = db.updatePolicy(id, {
         status: 'cancelled',
         isActive: false,
-        cancelledAt: new Date().toISOString()
+        autoRenew: false,
+        cancelledAt: cancellation.timestamp,
+        refundAmount: refund,
+        cancellationFee: fee,
+        refundTxHash: txHash
       });
 
+      if (refund > 0) {
+        db.updateAnalytics('refund', refund);
+      }
+
+      notificationService.notify(userAddress, NotificationTypes.POLICY_CANCELLED, { policyId: id, refund });
+
       res.json({
         success: true,
         policy: updatedPolicy,
+        refund,
+        cancellationFee: fee,
+        txHash,
         message: 'Policy cancelled successfully'
       });
     } catch (error) {
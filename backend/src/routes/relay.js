@@ -0,0 +1,71 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const relayerService = require('../services/relayerService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/relay/status
+ * Forwarder address, chain id, next nonce and remaining relay quota for the signed-in wallet
+ */
+router.get('/status', auth, async (req, res) => {
+  try {
+    res.json(await relayerService.getStatus(req.user.address));
+  } catch (error) {
+    console.error('Error fetching relay status:', error);
+    res.status(500).json({ error: 'Failed to fetch relay status' });
+  }
+});
+
+/**
+ * POST /api/relay
+ * Send a signed ForwardRequest (policy purchase or claim submission) with the relayer paying gas
+ */
+router.post('/',
+  auth,
+  [
+    body('request').isObject().withMessage('Forward request is required'),
+    body('request.from').isEthereumAddress().withMessage('Invalid from address'),
+    body('request.to').isEthereumAddress().withMessage('Invalid target address'),
+    body(['request.value', 'request.gas', 'request.nonce', 'request.deadline'])
+      .isNumeric().withMessage('Request numbers must be numeric'),
+    body('request.data').isHexadecimal().withMessage('Request data must be hex'),
+    body('signature').isString().notEmpty().withMessage('Signature is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!relayerService.isEnabled()) {
+        return res.status(503).json({ error: 'Relayer is not available' });
+      }
+
+      const quota = relayerService.getQuota(req.user.address);
+      if (quota.remaining === 0) {
+        return res.status(429).json({ error: 'Relay quota exceeded', quota });
+      }
+
+      let result;
+      try {
+        result = await relayerService.relay(req.user.address, req.body.request, req.body.signature);
+      } catch (relayError) {
+        return res.status(400).json({ error: relayError.message });
+      }
+
+      res.json({
+        success: true,
+        ...result,
+        quota: relayerService.getQuota(req.user.address)
+      });
+    } catch (error) {
+      console.error('Error relaying request:', error);
+      res.status(500).json({ error: 'Failed to relay request' });
+    }
+  }
+);
+
+module.exports = router;
@@ -11,7 +11,13 @@ const claimRoutes = require('./routes/claims');
 const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
 const kycRoutes = require('./routes/kyc');
+const notificationRoutes = require('./routes/notifications');
+const relayRoutes = require('./routes/relay');
+const certificateRoutes = require('./routes/certificates');
 const { wsManager, setupWebSocketServer } = require('./services/websocket');
+const claimFinalizer = require('./services/claimFinalizer');
+const eventIndexer = require('./services/eventIndexer');
+const notificationService = require('./services/notificationService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -82,6 +88,9 @@ app.use('/api/claims', claimRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/kyc', kycRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/relay', relayRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -118,4 +127,13 @@ server.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`🔌 WebSocket: ws://localhost:${PORT}/ws`);
+
+  // Finalize claims whose investigation period has elapsed
+  claimFinalizer.start();
+
+  // Materialize contract events into the database
+  eventIndexer.start().catch(error => console.error('Failed to start event indexer:', error));
+
+  // Warn holders about policies nearing expiry
+  notificationService.start();
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Claim Finalizer Service
+ * Finalizes on-chain claims once their investigation period has elapsed,
+ * flagging high-risk claims for manual review instead
+ */
+
+const contractService = require('./contractService');
+const fraudDetection = require('./fraudDetection');
+const evidenceService = require('./evidenceService');
+const { wsManager } = require('./websocket');
+
+// Claims scoring at or above this are flagged on-chain rather than finalized
+const FLAG_RISK_SCORE = 0.7;
+
+class ClaimFinalizerService {
+  constructor() {
+    this.timers = new Map();
+    this.interval = null;
+    this.syncing = false;
+  }
+
+  /**
+   * Start periodic sync of claims under investigation
+   * @param {number} intervalMs - How often to rescan the chain for new claims
+   */
+  start(intervalMs = parseInt(process.env.CLAIM_FINALIZER_INTERVAL_MS || '300000')) {
+    if (this.interval) return;
+
+    this.sync();
+    this.interval = setInterval(() => this.sync(), intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Schedule a finalization timer for every unflagged claim under investigation
+   */
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      const claims = await contractService.getInvestigatingClaims();
+      for (const claim of claims) {
+        if (!claim.flagged && !this.timers.has(claim.id)) {
+          this.schedule(claim);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing claims under investigation:', error);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Schedule finalization for when the investigation period ends
+   */
+  schedule(claim) {
+    // setTimeout overflows past ~24.8 days; later claims are picked up by a future sync
+    const delay = Math.max(0, claim.investigationEndsAt.getTime() - Date.now());
+    if (delay > 0x7fffffff) return;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(claim.id);
+      this.finalize(claim);
+    }, delay);
+    this.timers.set(claim.id, timer);
+  }
+
+  /**
+   * Run the fraud checks one last time, then flag or finalize the claim
+   */
+  async finalize(claim) {
+    try {
+      const fraudCheck = await fraudDetection.analyzeClaim({
+        userAddress: claim.claimant,
+        amount: claim.amount,
+        ...(await this.loadEvidence(claim.evidence))
+      });
+
+      if (fraudCheck.riskScore >= FLAG_RISK_SCORE) {
+        const reason = fraudCheck.flags.map(f => f.message || f.type).join('; ') || 'High fraud risk';
+        await contractService.flagClaim(claim.id, reason);
+        console.log(`🚩 Flagged claim ${claim.id} for manual review`);
+        return;
+      }
+
+      const result = await contractService.finalizeClaim(claim.id);
+      console.log(`✅ Finalized claim ${claim.id} (${result.txHash})`);
+
+      const details = await contractService.getClaimDetails(claim.id);
+      wsManager.notifyClaimUpdate(claim.id, details?.status, claim.claimant);
+    } catch (error) {
+      console.error(`Error finalizing claim ${claim.id}:`, error.message);
+    }
+  }
+
+  async loadEvidence(evidence) {
+    const manifest = await evidenceService.loadManifest(evidence).catch(() => null);
+    if (manifest) {
+      const { description, incidentDate, txHashes, files } = manifest;
+      return { description, incidentDate, txHashes, files };
+    }
+
+    // Legacy claims recorded the evidence JSON on-chain
+    try {
+      const { description, incidentDate, txHashes, files } = JSON.parse(evidence);
+      return { description, incidentDate, txHashes: txHashes || [], files: files || [] };
+    } catch {
+      return { description: evidence, txHashes: [], files: [] };
+    }
+  }
+
+  /**
+   * Claims with a pending finalization timer
+   */
+  getScheduled() {
+    return Array.from(this.timers.keys());
+  }
+}
+
+module.exports = new ClaimFinalizerService();
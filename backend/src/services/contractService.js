@@ -1,6 +1,10 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { db } = require('./database');
+
+// ClaimManager.ClaimStatus, by enum index
+const CLAIM_STATUSES = ['pending', 'investigating', 'approved', 'rejected', 'paid', 'appealed'];
 
 class ContractService {
   constructor() {
@@ -97,6 +101,8 @@ class ContractService {
           'ClaimManager': process.env.CLAIM_MANAGER_ADDRESS,
           'MockOracle': process.env.MOCK_ORACLE_ADDRESS,
           'MultiSigEscrow': process.env.MULTISIG_ESCROW_ADDRESS,
+          'GovernanceTimelock': process.env.TIMELOCK_ADDRESS,
+          'TrustedForwarder': process.env.TRUSTED_FORWARDER_ADDRESS,
           'ERC20Mock': process.env.ERC20_MOCK_ADDRESS
         };
         
@@ -108,6 +114,9 @@ class ContractService {
         }
       }
       
+      // Block to start event indexing from
+      this.deploymentBlock = deployment.blockNumber || 0;
+
       // Load contract ABIs
       const artifactsPath = path.join(__dirname, '../../..', 'artifacts', 'contracts');
       
@@ -117,6 +126,8 @@ class ContractService {
         { name: 'ClaimManager', artifact: 'ClaimManager.sol/ClaimManager.json' },
         { name: 'MockOracle', artifact: 'MockOracle.sol/MockOracle.json' },
         { name: 'MultiSigEscrow', artifact: 'MultiSigEscrow.sol/MultiSigEscrow.json' },
+        { name: 'GovernanceTimelock', artifact: 'GovernanceTimelock.sol/GovernanceTimelock.json' },
+        { name: 'TrustedForwarder', artifact: 'TrustedForwarder.sol/TrustedForwarder.json' },
         { name: 'ERC20Mock', artifact: 'ERC20Mock.sol/ERC20Mock.json' }
       ];
 
@@ -154,9 +165,50 @@ class ContractService {
     }
   }
 
+  /**
+   * Whether the event indexer has materialized chain data into the database
+   */
+  isIndexed() {
+    return db.getIndexerState().lastBlock !== null;
+  }
+
+  /**
+   * Find an event emitted by `contract` in a transaction receipt
+   * @param {Function} [match] - Extra check on the decoded event args
+   * @returns {ethers.LogDescription|null}
+   */
+  findReceiptEvent(receipt, contract, eventName, match = () => true) {
+    const address = contract.target.toLowerCase();
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === address)
+      .map(log => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === eventName && match(parsed.args)) || null;
+  }
+
   async getAllPolicies() {
     await this.initialize();
     
+    if (this.isIndexed()) {
+      return Array.from(db.data.indexedPolicies.values())
+        .sort((a, b) => a.id - b.id)
+        .map(policy => ({
+          id: policy.id,
+          address: policy.address,
+          type: policy.policyType,
+          premium: policy.premium,
+          coverage: policy.coverage,
+          duration: policy.duration ? String(Math.round(policy.duration / 86400)) : null,
+          holders: policy.holders.length,
+          createdAt: policy.createdAt
+        }));
+    }
+
     try {
       // Check if PolicyFactory contract is loaded
       if (!this.contracts.PolicyFactory) {
@@ -222,45 +274,46 @@ class ContractService {
     }
   }
 
-  async submitClaim(claimData) {
+  /**
+   * Read the claim a holder submitted from their own wallet
+   * @param {string} txHash - Transaction that called ClaimManager.submitClaim
+   * @returns {Object|null} Claim from the ClaimSubmitted event and on-chain record,
+   *   or null if the transaction is not mined yet
+   */
+  async getClaimSubmission(txHash) {
     await this.initialize();
-    
-    try {
-      if (!this.signer) {
-        throw new Error('No signer available for transaction');
-      }
 
-      const claimManagerWithSigner = this.contracts.ClaimManager.connect(this.signer);
-      
-      const tx = await claimManagerWithSigner.submitClaim(
-        claimData.policyAddress,
-        claimData.amount,
-        claimData.evidence
-      );
+    const claimManager = this.contracts.ClaimManager;
+    if (!claimManager) {
+      throw new Error('ClaimManager contract not loaded');
+    }
 
-      const receipt = await tx.wait();
-      
-      // Extract claim ID from events
-      const claimEvent = receipt.logs.find(log => {
-        try {
-          return this.contracts.ClaimManager.interface.parseLog(log).name === 'ClaimSubmitted';
-        } catch {
-          return false;
-        }
-      });
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return null;
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Claim transaction reverted');
+    }
 
-      const claimId = claimEvent ? 
-        this.contracts.ClaimManager.interface.parseLog(claimEvent).args[0] : 
-        null;
+    const event = this.findReceiptEvent(receipt, claimManager, 'ClaimSubmitted');
 
-      return {
-        claimId,
-        txHash: tx.hash
-      };
-    } catch (error) {
-      console.error('Error submitting claim:', error);
-      throw error;
+    if (!event) {
+      throw new Error('Transaction did not submit a claim');
     }
+
+    const claimId = event.args.claimId;
+    const claim = await claimManager.getClaim(claimId);
+
+    return {
+      claimId,
+      claimant: event.args.claimant,
+      amount: event.args.amount,
+      policyAddress: claim.policyAddress,
+      evidence: claim.evidence,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
   }
 
   async getClaimDetails(claimId) {
@@ -273,16 +326,27 @@ class ContractService {
         return null;
       }
 
+      const [rejectionReason, appeal, investigationEndsAt, flagged] = await Promise.all([
+        this.contracts.ClaimManager.rejectionReasons(claimId),
+        this.getAppeal(claimId),
+        this.contracts.ClaimManager.investigationEndsAt(claimId),
+        this.contracts.ClaimManager.flaggedClaims(claimId)
+      ]);
+
       return {
         id: claim.id,
         claimant: claim.claimant,
         policyAddress: claim.policyAddress,
         amount: ethers.formatUnits(claim.amount, 6),
         evidence: claim.evidence,
-        status: claim.status,
+        status: CLAIM_STATUSES[Number(claim.status)],
         submittedAt: new Date(Number(claim.submittedAt) * 1000),
         processedAt: claim.processedAt > 0 ? new Date(Number(claim.processedAt) * 1000) : null,
-        requiresMultiSig: claim.requiresMultiSig
+        requiresMultiSig: claim.requiresMultiSig,
+        rejectionReason: rejectionReason || null,
+        appeal,
+        investigationEndsAt: investigationEndsAt > 0 ? new Date(Number(investigationEndsAt) * 1000) : null,
+        flagged
       };
     } catch (error) {
       console.error('Error fetching claim details:', error);
@@ -293,6 +357,13 @@ class ContractService {
   async getUserClaims(userAddress) {
     await this.initialize();
     
+    if (this.isIndexed()) {
+      const address = userAddress.toLowerCase();
+      return Array.from(db.data.indexedClaims.values())
+        .filter(claim => claim.claimant.toLowerCase() === address)
+        .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    }
+
     try {
       const claimIds = await this.contracts.ClaimManager.getClaimsByClaimant(userAddress);
       const claims = [];
@@ -336,14 +407,20 @@ class ContractService {
         this.contracts.PolicyFactory.getTotalPolicies().catch(() => 0),
         this.contracts.ClaimManager.getTotalClaims().catch(() => 0),
         this.contracts.PremiumPool.getBalance(this.contracts.ERC20Mock?.target || ethers.ZeroAddress).catch(() => 0),
-        this.contracts.PremiumPool.getUtilizationRatio().catch(() => 0)
+        this.contracts.PremiumPool.getUtilizationRatio(this.contracts.ERC20Mock?.target || ethers.ZeroAddress).catch(() => 0)
       ]);
 
+      const capacity = await this.getPoolCapacity().catch(error => {
+        console.warn('Could not fetch pool capacity:', error.message);
+        return null;
+      });
+
       return {
         totalPolicies: Number(totalPolicies) || 0,
         totalClaims: Number(totalClaims) || 0,
         poolBalance: poolBalance ? ethers.formatUnits(poolBalance, 6) : '0',
         utilizationRatio: utilizationRatio ? Number(utilizationRatio) / 100 : 0,
+        capacity,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -359,20 +436,56 @@ class ContractService {
     }
   }
 
+  /**
+   * Get active coverage against the pool's solvency cap per token
+   */
+  async getPoolCapacity() {
+    await this.initialize();
+
+    const pool = this.contracts.PremiumPool;
+    const [tokens, multipleBps] = await Promise.all([pool.getTokens(), pool.capacityMultipleBps()]);
+
+    const breakdown = await Promise.all(tokens.map(async (token) => {
+      const { decimals, symbol } = await this.getPoolTokenStats(token);
+      const { active, max } = await pool.getCapacity(token);
+
+      return {
+        token,
+        symbol,
+        activeCoverage: ethers.formatUnits(active, decimals),
+        maxCoverage: multipleBps > 0n ? ethers.formatUnits(max, decimals) : null,
+        usage: multipleBps > 0n && max > 0n ?
+          (Number(active * 10000n / max) / 100).toFixed(2) + '%' :
+          null
+      };
+    }));
+
+    return {
+      capacityMultiple: Number(multipleBps) / 10000,
+      enforced: multipleBps > 0n,
+      tokens: breakdown
+    };
+  }
+
   async getPoolLiquidity() {
     await this.initialize();
     
     try {
-      const balance = await this.contracts.PremiumPool.getBalance(this.contracts.ERC20Mock.target);
-      const totalPremiums = await this.contracts.PremiumPool.totalPremiumsCollected();
-      const totalClaims = await this.contracts.PremiumPool.totalClaimsPaid();
+      const tokens = await this.contracts.PremiumPool.getTokens();
+      const breakdown = await Promise.all(tokens.map(token => this.getPoolTokenStats(token)));
+
+      // Totals sum decimal-normalized amounts, so they are only meaningful across stablecoins
+      const sum = field => breakdown.reduce((total, t) => total + Number(t[field]), 0);
+      const totalPremiums = sum('totalPremiums') - sum('totalRefunds');
 
       return {
-        currentBalance: ethers.formatUnits(balance, 6),
-        totalPremiums: ethers.formatUnits(totalPremiums, 6),
-        totalClaims: ethers.formatUnits(totalClaims, 6),
-        utilizationRatio: totalPremiums > 0 ? 
-          (Number(totalClaims) / Number(totalPremiums) * 100).toFixed(2) + '%' : 
+        tokens: breakdown,
+        currentBalance: sum('balance').toFixed(2),
+        totalPremiums: sum('totalPremiums').toFixed(2),
+        totalClaims: sum('totalClaims').toFixed(2),
+        totalRefunds: sum('totalRefunds').toFixed(2),
+        utilizationRatio: totalPremiums > 0 ?
+          (sum('totalClaims') / totalPremiums * 100).toFixed(2) + '%' :
           '0%'
       };
     } catch (error) {
@@ -381,6 +494,146 @@ class ContractService {
     }
   }
 
+  /**
+   * Get pool accounting for one token, normalized by its decimals
+   */
+  async getPoolTokenStats(tokenAddress) {
+    const erc20 = new ethers.Contract(tokenAddress, [
+      'function decimals() view returns (uint8)',
+      'function symbol() view returns (string)'
+    ], this.provider);
+
+    const [decimals, symbol, allowed, stats, utilization] = await Promise.all([
+      erc20.decimals().then(Number).catch(() => 18),
+      erc20.symbol().catch(() => 'UNKNOWN'),
+      this.contracts.PremiumPool.allowedTokens(tokenAddress),
+      this.contracts.PremiumPool.getTokenStats(tokenAddress),
+      this.contracts.PremiumPool.getUtilizationRatio(tokenAddress)
+    ]);
+
+    return {
+      address: tokenAddress,
+      symbol,
+      decimals,
+      allowed,
+      balance: ethers.formatUnits(stats.balance, decimals),
+      totalPremiums: ethers.formatUnits(stats.premiumsCollected, decimals),
+      totalClaims: ethers.formatUnits(stats.claimsPaid, decimals),
+      totalRefunds: ethers.formatUnits(stats.premiumsRefunded, decimals),
+      utilizationRatio: (Number(utilization) / 100).toFixed(2) + '%'
+    };
+  }
+
+  /**
+   * Get underwriting capital per pool token: shares, share price and queued withdrawals
+   */
+  async getUnderwritingCapital() {
+    await this.initialize();
+
+    try {
+      const pool = this.contracts.PremiumPool;
+      const [tokens, cooldown, window] = await Promise.all([
+        pool.getTokens(),
+        pool.WITHDRAWAL_COOLDOWN(),
+        pool.WITHDRAWAL_WINDOW()
+      ]);
+
+      // Providers who ever queued a withdrawal; current state is read from withdrawalRequests
+      const requestedEvents = await pool.queryFilter(pool.filters.WithdrawalRequested()).catch(() => []);
+
+      const capital = await Promise.all(tokens.map(async (token) => {
+        const { decimals, symbol, balance } = await this.getPoolTokenStats(token);
+        const shareToken = this.getShareTokenContract(await pool.shareTokens(token));
+        const [totalShares, deposited, withdrawn] = await Promise.all([
+          shareToken.totalSupply(),
+          pool.totalCapitalDeposited(token),
+          pool.totalCapitalWithdrawn(token)
+        ]);
+        const sharePrice = await pool.convertToAssets(token, ethers.parseUnits('1', decimals));
+
+        const providers = [...new Set(requestedEvents
+          .filter(e => e.args.token.toLowerCase() === token.toLowerCase())
+          .map(e => e.args.provider))];
+        const pendingWithdrawals = [];
+        for (const provider of providers) {
+          const request = await pool.withdrawalRequests(token, provider);
+          if (request.shares > 0n) {
+            pendingWithdrawals.push({
+              provider,
+              shares: ethers.formatUnits(request.shares, decimals),
+              value: ethers.formatUnits(await pool.convertToAssets(token, request.shares), decimals),
+              unlockAt: new Date(Number(request.unlockAt) * 1000).toISOString(),
+              expiresAt: new Date(Number(request.unlockAt + window) * 1000).toISOString()
+            });
+          }
+        }
+
+        return {
+          token,
+          symbol,
+          shareToken: shareToken.target,
+          poolBalance: balance,
+          totalShares: ethers.formatUnits(totalShares, decimals),
+          sharePrice: ethers.formatUnits(sharePrice, decimals),
+          capitalDeposited: ethers.formatUnits(deposited, decimals),
+          capitalWithdrawn: ethers.formatUnits(withdrawn, decimals),
+          pendingWithdrawals
+        };
+      }));
+
+      return {
+        withdrawalCooldownDays: Number(cooldown) / 86400,
+        withdrawalWindowDays: Number(window) / 86400,
+        tokens: capital
+      };
+    } catch (error) {
+      console.error('Error fetching underwriting capital:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an underwriter's share balance, value and queued withdrawal per pool token
+   */
+  async getUnderwriterPosition(providerAddress) {
+    await this.initialize();
+
+    try {
+      const pool = this.contracts.PremiumPool;
+      const [tokens, window] = await Promise.all([pool.getTokens(), pool.WITHDRAWAL_WINDOW()]);
+
+      return await Promise.all(tokens.map(async (token) => {
+        const { decimals, symbol } = await this.getPoolTokenStats(token);
+        const shareToken = this.getShareTokenContract(await pool.shareTokens(token));
+        const [shares, request] = await Promise.all([
+          shareToken.balanceOf(providerAddress),
+          pool.withdrawalRequests(token, providerAddress)
+        ]);
+        const value = await pool.convertToAssets(token, shares + request.shares);
+
+        return {
+          token,
+          symbol,
+          shares: ethers.formatUnits(shares, decimals),
+          pendingShares: ethers.formatUnits(request.shares, decimals),
+          value: ethers.formatUnits(value, decimals),
+          unlockAt: request.shares > 0n ? new Date(Number(request.unlockAt) * 1000).toISOString() : null,
+          expiresAt: request.shares > 0n ? new Date(Number(request.unlockAt + window) * 1000).toISOString() : null
+        };
+      }));
+    } catch (error) {
+      console.error('Error fetching underwriter position:', error);
+      throw error;
+    }
+  }
+
+  getShareTokenContract(shareTokenAddress) {
+    return new ethers.Contract(shareTokenAddress, [
+      'function totalSupply() view returns (uint256)',
+      'function balanceOf(address) view returns (uint256)'
+    ], this.provider);
+  }
+
   async isContractHealthy(contractName) {
     try {
       await this.initialize();
@@ -408,7 +661,7 @@ class ContractService {
         if (actualName === 'PolicyFactory') {
           await this.contracts[actualName].getTotalPolicies();
         } else if (actualName === 'PremiumPool') {
-          await this.contracts[actualName].totalPremiumsCollected();
+          await this.contracts[actualName].getTokens();
         } else if (actualName === 'ClaimManager') {
           await this.contracts[actualName].getTotalClaims();
         } else if (actualName === 'MockOracle') {
@@ -459,15 +712,174 @@ class ContractService {
     }
   }
 
-  // Placeholder methods for other functionality
+  /**
+   * Verify that a transaction bought a policy for a wallet
+   * @param {string|number} policyId - PolicyFactory policy id
+   * @param {string} userAddress - Expected holder
+   * @param {string} txHash - Transaction that called Policy.purchasePolicy
+   * @returns {Object} Purchase from the PolicyPurchased event, with the policy terms
+   * @throws If the receipt is missing, reverted, or has no matching PolicyPurchased log
+   */
   async verifyPolicyPurchase(policyId, userAddress, txHash) {
-    // Implementation would verify the transaction on-chain
-    return true;
+    await this.initialize();
+
+    if (!this.contracts.PolicyFactory) {
+      throw new Error('PolicyFactory contract not loaded');
+    }
+
+    const policyAddress = await this.contracts.PolicyFactory.getPolicy(policyId);
+    const policyContract = policyAddress !== ethers.ZeroAddress ? this.getPolicyContract(policyAddress) : null;
+    if (!policyContract) {
+      throw new Error('Policy not found on-chain');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Purchase transaction reverted');
+    }
+
+    const holder = userAddress.toLowerCase();
+    const event = this.findReceiptEvent(
+      receipt,
+      policyContract,
+      'PolicyPurchased',
+      args => args.holder.toLowerCase() === holder
+    );
+
+    if (!event) {
+      throw new Error('Transaction did not purchase this policy for this wallet');
+    }
+
+    const [info, block, certificateId] = await Promise.all([
+      policyContract.policyInfo(),
+      this.provider.getBlock(receipt.blockNumber),
+      policyContract.certificateOf(userAddress)
+    ]);
+
+    return {
+      policyId: String(policyId),
+      policyAddress,
+      holder,
+      premium: event.args.premium,
+      expiresAt: new Date(Number(event.args.expiresAt) * 1000).toISOString(),
+      purchasedAt: new Date(block.timestamp * 1000).toISOString(),
+      certificateId: certificateId.toString(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      info
+    };
   }
 
-  async recordPolicyPurchase(purchaseData) {
-    // Implementation would store purchase in database
-    return purchaseData;
+  /**
+   * Store a verified purchase as an active policy record
+   * @param {Object} purchase - Result of verifyPolicyPurchase
+   */
+  async recordPolicyPurchase(purchase) {
+    const { info } = purchase;
+    const premium = Number(ethers.formatUnits(purchase.premium, 6));
+
+    return db.transaction(() => {
+      const policy = db.createPolicy({
+        templateId: purchase.policyId,
+        address: purchase.policyAddress,
+        type: info.policyType,
+        premium,
+        coverage: Number(ethers.formatUnits(info.coverage, 6)),
+        duration: Math.round(Number(info.duration) / 86400),
+        premiumToken: info.premiumToken,
+        deductible: Number(ethers.formatUnits(info.deductible, 6)),
+        coinsuranceBps: Number(info.coinsuranceBps),
+        userAddress: purchase.holder,
+        holderAddress: purchase.holder,
+        certificateId: purchase.certificateId,
+        txHash: purchase.txHash,
+        blockNumber: purchase.blockNumber,
+        status: 'approved',
+        isActive: true,
+        approvedAt: purchase.purchasedAt,
+        expiresAt: purchase.expiresAt,
+        description: 'Crypto asset protection policy'
+      });
+      db.updateAnalytics('premium', premium);
+      return policy;
+    });
+  }
+
+  /**
+   * Check that a holder's own transaction emitted `eventName` for them on a policy
+   * @param {string} policyAddress - Policy contract the holder called
+   * @param {string} holder - Signed-in wallet
+   * @param {string} txHash - Transaction sent from the holder's wallet
+   * @returns {Object} Decoded event args with the transaction hash, block and timestamp
+   */
+  async verifyHolderTransaction(policyAddress, holder, txHash, eventName) {
+    await this.initialize();
+
+    const policyContract = policyAddress ? this.getPolicyContract(policyAddress) : null;
+    if (!policyContract) {
+      throw new Error('Policy not found on-chain');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Transaction reverted');
+    }
+
+    const event = this.findReceiptEvent(
+      receipt,
+      policyContract,
+      eventName,
+      args => args.holder.toLowerCase() === holder.toLowerCase()
+    );
+    if (!event) {
+      throw new Error(`Transaction did not emit ${eventName} for this wallet`);
+    }
+
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    return {
+      args: event.args,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Read a renewal the holder paid for with Policy.renewPolicy
+   */
+  async verifyPolicyRenewal(policyAddress, holder, txHash) {
+    const { args, ...tx } = await this.verifyHolderTransaction(policyAddress, holder, txHash, 'PolicyRenewed');
+    return {
+      ...tx,
+      premium: Number(ethers.formatUnits(args.premium, 6)),
+      expiresAt: new Date(Number(args.expiresAt) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Read the refund and fee the pool paid when the holder cancelled with Policy.cancelPolicy
+   */
+  async verifyPolicyCancellation(policyAddress, holder, txHash) {
+    const { args, ...tx } = await this.verifyHolderTransaction(policyAddress, holder, txHash, 'PolicyCancelled');
+    return {
+      ...tx,
+      refund: Number(ethers.formatUnits(args.refund, 6)),
+      fee: Number(ethers.formatUnits(args.fee, 6))
+    };
+  }
+
+  /**
+   * Read the renewal allowance the holder set with Policy.setAutoRenew
+   */
+  async verifyAutoRenewUpdate(policyAddress, holder, txHash) {
+    const { args, ...tx } = await this.verifyHolderTransaction(policyAddress, holder, txHash, 'AutoRenewUpdated');
+    return { ...tx, renewals: Number(args.renewals) };
   }
 
   async getUserPolicies(userAddress) {
@@ -505,9 +917,12 @@ class ContractService {
         return { isActive: false, coverage: '0' };
       }
       
+      const usage = await this.getCoverageUsage(policy, userAddress);
+      
       return {
         isActive: policy.isActive === true && policy.status === 'approved',
-        coverage: policy.coverage || '0'
+        coverage: policy.coverage || '0',
+        ...usage
       };
     } catch (error) {
       console.error('Error fetching policy status:', error);
@@ -515,6 +930,218 @@ class ContractService {
     }
   }
 
+  /**
+   * Get aggregate limit usage (paid, pending, remaining) for a holder's policy record
+   */
+  async getCoverageUsage(policy, userAddress) {
+    await this.initialize();
+
+    if (policy.address) {
+      const policyContract = this.getPolicyContract(policy.address);
+      if (policyContract) {
+        try {
+          const usage = await policyContract.getCoverageUsage(userAddress);
+          return {
+            usedCoverage: Number(ethers.formatUnits(usage.used, 6)),
+            pendingCoverage: Number(ethers.formatUnits(usage.reserved, 6)),
+            remainingCoverage: Number(ethers.formatUnits(usage.remaining, 6))
+          };
+        } catch (error) {
+          console.warn('Could not fetch on-chain coverage usage:', error.message);
+        }
+      }
+    }
+
+    // Off-chain: sum expected payouts of this holder's claims on the policy
+    const { db } = require('./database');
+    const normalizedUser = userAddress.toLowerCase();
+    const claims = Array.from(db.data.claims.values()).filter(c =>
+      String(c.policyId) === String(policy.id) &&
+      c.userAddress && c.userAddress.toLowerCase() === normalizedUser
+    );
+    const payoutOf = c => parseFloat(c.expectedPayout ?? c.amount) || 0;
+
+    const usedCoverage = claims
+      .filter(c => c.status === 'approved' || c.status === 'paid')
+      .reduce((sum, c) => sum + payoutOf(c), 0);
+    const pendingCoverage = claims
+      .filter(c => c.status === 'pending' || c.status === 'pending_review')
+      .reduce((sum, c) => sum + payoutOf(c), 0);
+    const remainingCoverage = Math.max(0, parseFloat(policy.coverage || 0) - usedCoverage - pendingCoverage);
+
+    return {
+      usedCoverage: Number(usedCoverage.toFixed(6)),
+      pendingCoverage: Number(pendingCoverage.toFixed(6)),
+      remainingCoverage: Number(remainingCoverage.toFixed(6))
+    };
+  }
+
+  /**
+   * ERC-721 metadata for a coverage certificate, served at the policy's token URI
+   * @param {string} policyAddress - Factory-created Policy contract
+   * @param {string|number} tokenId - Certificate token id
+   * @returns {Object|null} Metadata JSON, or null if the policy or certificate does not exist
+   */
+  async getCertificateMetadata(policyAddress, tokenId) {
+    await this.initialize();
+
+    const { PolicyFactory } = this.contracts;
+    const policyContract = this.getPolicyContract(policyAddress);
+    if (!PolicyFactory || !policyContract || !await PolicyFactory.isFactoryPolicy(policyAddress)) {
+      return null;
+    }
+
+    const owner = await policyContract.ownerOf(tokenId).catch(() => null);
+    if (!owner) {
+      return null;
+    }
+
+    const [info, name, holder, coverage] = await Promise.all([
+      policyContract.policyInfo(),
+      policyContract.name(),
+      policyContract.policyHolders(owner),
+      policyContract.getCoverage(owner)
+    ]);
+    const expiresAt = Number(holder.expiresAt);
+    const active = holder.isActive && expiresAt * 1000 > Date.now();
+
+    return {
+      name: `${name} #${tokenId}`,
+      description: `${info.policyType} coverage of ${Number(ethers.formatUnits(info.coverage, 6))} from policy #${info.id}. ` +
+        'Coverage belongs to the current owner of this certificate.',
+      attributes: [
+        { trait_type: 'Policy Type', value: info.policyType },
+        { trait_type: 'Coverage', value: Number(ethers.formatUnits(info.coverage, 6)) },
+        { trait_type: 'Remaining Coverage', value: Number(ethers.formatUnits(coverage, 6)) },
+        { trait_type: 'Expiry', display_type: 'date', value: expiresAt },
+        { trait_type: 'Status', value: active ? 'Active' : 'Inactive' }
+      ],
+      policyAddress: policyContract.target,
+      policyId: info.id.toString(),
+      owner
+    };
+  }
+
+  /**
+   * Get a Policy contract instance for a deployed policy address
+   */
+  getPolicyContract(policyAddress) {
+    if (!this.policyAbi) {
+      const artifactPath = path.join(__dirname, '../../..', 'artifacts', 'contracts', 'Policy.sol/Policy.json');
+      if (!fs.existsSync(artifactPath)) {
+        return null;
+      }
+      this.policyAbi = JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi;
+    }
+    return new ethers.Contract(policyAddress, this.policyAbi, this.provider);
+  }
+
+  /**
+   * Get expiry date of a purchased policy record
+   */
+  getPolicyExpiry(policy) {
+    if (policy.expiresAt) {
+      return new Date(policy.expiresAt);
+    }
+    const start = new Date(policy.approvedAt || policy.createdAt);
+    return new Date(start.getTime() + (policy.duration || 30) * 24 * 60 * 60 * 1000);
+  }
+
+  async getRenewalStatus(policyId, userAddress) {
+    // Renewal status from database, enriched with on-chain data when available
+    try {
+      const { db } = require('./database');
+      const policy = db.data.policies.get(policyId);
+      if (!policy) {
+        return null;
+      }
+
+      const expiresAt = this.getPolicyExpiry(policy);
+      const daysRemaining = Math.max(0, Math.ceil((expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+      const renewable = policy.status === 'approved' || policy.status === 'active';
+
+      const status = {
+        policyId,
+        expiresAt: expiresAt.toISOString(),
+        daysRemaining,
+        renewable,
+        autoRenew: policy.autoRenew === true,
+        renewalCount: policy.renewalCount || 0,
+        lastRenewedAt: policy.renewedAt || null
+      };
+
+      if (policy.address && userAddress) {
+        await this.initialize();
+        const policyContract = this.getPolicyContract(policy.address);
+        if (policyContract) {
+          try {
+            const [holder, autoRenewals, renewalDue] = await Promise.all([
+              policyContract.policyHolders(userAddress),
+              policyContract.autoRenewals(userAddress),
+              policyContract.isRenewalDue(userAddress)
+            ]);
+            status.onChain = {
+              expiresAt: new Date(Number(holder.expiresAt) * 1000).toISOString(),
+              autoRenewalsRemaining: Number(autoRenewals),
+              renewalDue
+            };
+          } catch (chainError) {
+            console.warn('Could not fetch on-chain renewal status:', chainError.message);
+          }
+        }
+      }
+
+      return status;
+    } catch (error) {
+      console.error('Error fetching renewal status:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get deductible and co-insurance terms for a policy record (on-chain when deployed)
+   */
+  async getClaimTerms(policy) {
+    await this.initialize();
+
+    if (policy.address) {
+      const policyContract = this.getPolicyContract(policy.address);
+      if (policyContract) {
+        try {
+          const info = await policyContract.policyInfo();
+          return {
+            deductible: Number(ethers.formatUnits(info.deductible, 6)),
+            coinsuranceBps: Number(info.coinsuranceBps)
+          };
+        } catch (error) {
+          console.warn('Could not fetch on-chain claim terms:', error.message);
+        }
+      }
+    }
+
+    return {
+      deductible: Number(policy.deductible || 0),
+      coinsuranceBps: Number(policy.coinsuranceBps || 10000)
+    };
+  }
+
+  /**
+   * Calculate expected net payout for a claimed amount, mirroring Policy.calculatePayout
+   */
+  async calculateNetPayout(policy, amount) {
+    const { deductible, coinsuranceBps } = await this.getClaimTerms(policy);
+    const coverage = parseFloat(policy.coverage || 0);
+    const net = Math.max(0, amount - deductible) * coinsuranceBps / 10000;
+
+    return {
+      amount,
+      deductible,
+      coinsuranceBps,
+      coverage,
+      netPayout: Number(Math.min(coverage, net).toFixed(6))
+    };
+  }
+
   async isAuthorizedInsurer(address) {
     await this.initialize();
     return await this.contracts.PolicyFactory.authorizedInsurers(address);
@@ -525,19 +1152,312 @@ class ContractService {
     return policyData;
   }
 
-  async isAdmin(address) {
-    // Implementation would check admin role
-    return address === process.env.ADMIN_ADDRESS;
+  /**
+   * Check that an owner's transaction approved a claim through ClaimManager.manualApproveClaim
+   * @param {string} claimId - On-chain claim id
+   * @param {string} txHash - Transaction sent from the owner's wallet
+   * @returns {Object} Status the claim moved to (approved while escrowed, otherwise paid) and transaction
+   */
+  async verifyClaimApproval(claimId, txHash) {
+    await this.initialize();
+
+    const claimManager = this.contracts.ClaimManager;
+    if (!claimManager) {
+      throw new Error('ClaimManager contract not loaded');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Approval transaction reverted');
+    }
+
+    const event = this.findReceiptEvent(
+      receipt,
+      claimManager,
+      'ClaimStatusUpdated',
+      args => args.claimId.toLowerCase() === claimId.toLowerCase() &&
+        ['approved', 'paid'].includes(CLAIM_STATUSES[Number(args.status)])
+    );
+    if (!event) {
+      throw new Error('Transaction did not approve this claim');
+    }
+
+    return {
+      claimId: event.args.claimId,
+      status: CLAIM_STATUSES[Number(event.args.status)],
+      approvedBy: receipt.from.toLowerCase(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
   }
 
-  async approveClaim(claimId) {
-    // Implementation would approve claim
-    return { txHash: '0x...' };
+  /**
+   * Check that a reviewer's transaction rejected a claim through ClaimManager.rejectClaim
+   * @param {string} claimId - On-chain claim id
+   * @param {string} txHash - Transaction sent from the reviewer's wallet
+   * @returns {Object} Reason from the ClaimRejected event, sender and transaction
+   */
+  async verifyClaimRejection(claimId, txHash) {
+    await this.initialize();
+
+    const claimManager = this.contracts.ClaimManager;
+    if (!claimManager) {
+      throw new Error('ClaimManager contract not loaded');
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Rejection transaction reverted');
+    }
+
+    const event = this.findReceiptEvent(
+      receipt,
+      claimManager,
+      'ClaimRejected',
+      args => args.claimId.toLowerCase() === claimId.toLowerCase()
+    );
+    if (!event) {
+      throw new Error('Transaction did not reject this claim');
+    }
+
+    return {
+      claimId: event.args.claimId,
+      reason: event.args.reason,
+      rejectedBy: receipt.from.toLowerCase(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    };
   }
 
-  async rejectClaim(claimId, reason) {
-    // Implementation would reject claim
-    return { txHash: '0x...' };
+  async getInvestigatingClaims(limit = 500) {
+    await this.initialize();
+
+    try {
+      const claimManager = this.contracts.ClaimManager;
+      if (!claimManager) {
+        return [];
+      }
+
+      const total = Number(await claimManager.getTotalClaims());
+      const claims = [];
+
+      // Scan the most recent claims; older ones have long since left investigation
+      for (let i = total - 1; i >= Math.max(0, total - limit); i--) {
+        const claimId = await claimManager.allClaims(i);
+        const claim = await claimManager.getClaim(claimId);
+        if (CLAIM_STATUSES[Number(claim.status)] !== 'investigating') {
+          continue;
+        }
+
+        const [endsAt, flagged] = await Promise.all([
+          claimManager.investigationEndsAt(claimId),
+          claimManager.flaggedClaims(claimId)
+        ]);
+
+        claims.push({
+          id: claimId,
+          claimant: claim.claimant,
+          policyAddress: claim.policyAddress,
+          amount: ethers.formatUnits(claim.amount, 6),
+          evidence: claim.evidence,
+          investigationEndsAt: new Date(Number(endsAt) * 1000),
+          flagged
+        });
+      }
+
+      return claims;
+    } catch (error) {
+      console.error('Error fetching claims under investigation:', error);
+      return [];
+    }
+  }
+
+  async finalizeClaim(claimId) {
+    await this.initialize();
+
+    try {
+      if (!this.signer) {
+        throw new Error('No signer available for transaction');
+      }
+
+      const tx = await this.contracts.ClaimManager.connect(this.signer).finalizeClaim(claimId);
+      await tx.wait();
+
+      return { claimId, txHash: tx.hash };
+    } catch (error) {
+      console.error('Error finalizing claim:', error);
+      throw error;
+    }
+  }
+
+  async flagClaim(claimId, reason) {
+    await this.initialize();
+
+    try {
+      if (!this.signer) {
+        throw new Error('No signer available for transaction');
+      }
+
+      const tx = await this.contracts.ClaimManager.connect(this.signer).flagClaim(claimId, reason);
+      await tx.wait();
+
+      return { claimId, txHash: tx.hash };
+    } catch (error) {
+      console.error('Error flagging claim:', error);
+      throw error;
+    }
+  }
+
+  async getAppealTerms() {
+    await this.initialize();
+
+    const defaults = {
+      bondBps: parseInt(process.env.APPEAL_BOND_BPS || '500'),
+      quorum: parseInt(process.env.APPEAL_QUORUM || '1'),
+      windowSeconds: 14 * 86400
+    };
+
+    try {
+      const claimManager = this.contracts.ClaimManager;
+      if (!claimManager) {
+        return defaults;
+      }
+
+      const [bondBps, quorum, windowSeconds] = await Promise.all([
+        claimManager.appealBondBps(),
+        claimManager.appealQuorum(),
+        claimManager.APPEAL_WINDOW()
+      ]);
+
+      return {
+        bondBps: Number(bondBps),
+        quorum: Number(quorum),
+        windowSeconds: Number(windowSeconds)
+      };
+    } catch (error) {
+      console.error('Error fetching appeal terms:', error);
+      return defaults;
+    }
+  }
+
+  async isAppealReviewer(address) {
+    await this.initialize();
+
+    try {
+      if (this.contracts.ClaimManager) {
+        return await this.contracts.ClaimManager.isAppealReviewer(address);
+      }
+    } catch (error) {
+      console.error('Error checking appeal reviewer:', error);
+    }
+
+    // Off-chain fallback: comma-separated APPEAL_REVIEWERS
+    const reviewers = (process.env.APPEAL_REVIEWERS || '')
+      .split(',')
+      .map(a => a.trim().toLowerCase())
+      .filter(Boolean);
+    return reviewers.includes(address.toLowerCase());
+  }
+
+  async getAppeal(claimId) {
+    await this.initialize();
+
+    const appealStatuses = ['none', 'filed', 'upheld', 'dismissed'];
+    const appeal = await this.contracts.ClaimManager.getAppeal(claimId);
+    if (Number(appeal.status) === 0) {
+      return null;
+    }
+
+    return {
+      grounds: appeal.grounds,
+      token: appeal.token,
+      bond: ethers.formatUnits(appeal.bond, 6),
+      filedAt: new Date(Number(appeal.filedAt) * 1000),
+      upholdVotes: Number(appeal.upholdVotes),
+      dismissVotes: Number(appeal.dismissVotes),
+      status: appealStatuses[Number(appeal.status)]
+    };
+  }
+
+  /**
+   * Bond the claimant must approve before sending ClaimManager.fileAppeal from their wallet
+   */
+  async getAppealFiling(claimId) {
+    await this.initialize();
+
+    const claimManager = this.contracts.ClaimManager;
+    const [bond, token] = await Promise.all([
+      claimManager.getAppealBond(claimId),
+      this.getClaimToken(claimId)
+    ]);
+
+    return {
+      to: claimManager.target,
+      claimId,
+      token,
+      bond: bond.toString(),
+      bondAmount: ethers.formatUnits(bond, 6)
+    };
+  }
+
+  /**
+   * Claims under appeal, newest first (pass a reviewer to see which they can still vote on)
+   */
+  async getPendingAppeals(reviewerAddress = null, limit = 500) {
+    await this.initialize();
+
+    try {
+      const claimManager = this.contracts.ClaimManager;
+      if (!claimManager) {
+        return [];
+      }
+
+      const [total, quorum, isReviewer] = await Promise.all([
+        claimManager.getTotalClaims(),
+        claimManager.appealQuorum(),
+        reviewerAddress ? claimManager.isAppealReviewer(reviewerAddress) : false
+      ]);
+      const appeals = [];
+
+      for (let i = Number(total) - 1; i >= Math.max(0, Number(total) - limit); i--) {
+        const claimId = await claimManager.allClaims(i);
+        const claim = await claimManager.getClaim(claimId);
+        if (CLAIM_STATUSES[Number(claim.status)] !== 'appealed') {
+          continue;
+        }
+
+        appeals.push({
+          claimId,
+          claimManagerAddress: claimManager.target,
+          claimant: claim.claimant,
+          policyAddress: claim.policyAddress,
+          amount: ethers.formatUnits(claim.amount, 6),
+          rejectionReason: await claimManager.rejectionReasons(claimId),
+          appeal: await this.getAppeal(claimId),
+          quorum: Number(quorum),
+          // Whether the requesting reviewer can still vote on this appeal
+          canVote: isReviewer && !(await claimManager.appealVoted(claimId, reviewerAddress))
+        });
+      }
+
+      return appeals;
+    } catch (error) {
+      console.error('Error fetching pending appeals:', error);
+      return [];
+    }
+  }
+
+  async getClaimToken(claimId) {
+    const claim = await this.contracts.ClaimManager.getClaim(claimId);
+    const policy = this.getPolicyContract(claim.policyAddress);
+    const info = await policy.policyInfo();
+    return info.premiumToken;
   }
 
   async getClaimsStats() {
@@ -553,6 +1473,11 @@ class ContractService {
   async getPendingClaims() {
     await this.initialize();
     
+    if (this.isIndexed()) {
+      return Array.from(db.data.indexedClaims.values())
+        .filter(claim => claim.status === 'pending');
+    }
+
     try {
       if (!this.contracts.ClaimManager) {
         return [];
@@ -659,6 +1584,28 @@ class ContractService {
   async getOracleStats() {
     await this.initialize();
     
+    if (this.isIndexed()) {
+      const requests = Array.from(db.data.oracleRequests.values());
+      const recentRequests = requests
+        .sort((a, b) => new Date(b.requestedAt || b.fulfilledAt) - new Date(a.requestedAt || a.fulfilledAt))
+        .slice(0, 10)
+        .map(request => ({
+          id: request.id,
+          claimId: request.claimId,
+          status: request.fulfilled ? 1 : 0,
+          result: request.result,
+          timestamp: request.fulfilledAt || request.requestedAt
+        }));
+      const fulfilledCount = recentRequests.filter(r => r.status === 1).length;
+      const successRate = recentRequests.length > 0 ? (fulfilledCount / recentRequests.length) * 100 : 0;
+
+      return {
+        totalRequests: requests.length,
+        successRate: successRate.toFixed(2),
+        recentRequests
+      };
+    }
+
     try {
       const oracleContract = this.contracts.MockOracle;
       if (!oracleContract) {
@@ -717,9 +1664,253 @@ class ContractService {
     }
   }
 
-  async getPendingMultiSigTransactions() {
-    // Implementation would return pending multisig transactions
-    return [];
+  /**
+   * Unix timestamp of a mined block, or null if the chain has not reached it
+   */
+  async getBlockTimestamp(blockNumber) {
+    await this.initialize();
+
+    const block = await this.provider.getBlock(blockNumber);
+    return block ? block.timestamp : null;
+  }
+
+  async reportTriggerEvent({ policyAddress, description, incidentBlock, incidentTimestamp }) {
+    await this.initialize();
+
+    try {
+      if (!this.signer || !this.contracts.MockOracle) {
+        throw new Error('Oracle operator not available');
+      }
+
+      const oracleWithSigner = this.contracts.MockOracle.connect(this.signer);
+      const tx = await oracleWithSigner.reportTriggerEvent(
+        policyAddress,
+        description,
+        incidentBlock,
+        incidentTimestamp
+      );
+      const receipt = await tx.wait();
+
+      const triggerEvent = receipt.logs.find(log => {
+        try {
+          return this.contracts.MockOracle.interface.parseLog(log).name === 'TriggerEventReported';
+        } catch {
+          return false;
+        }
+      });
+
+      const eventId = triggerEvent ?
+        this.contracts.MockOracle.interface.parseLog(triggerEvent).args[0] :
+        null;
+
+      return {
+        eventId,
+        txHash: tx.hash
+      };
+    } catch (error) {
+      console.error('Error reporting trigger event:', error);
+      throw error;
+    }
+  }
+
+  async processParametricTrigger(eventId, maxHolders = 50) {
+    await this.initialize();
+
+    try {
+      if (!this.signer || !this.contracts.ClaimManager) {
+        throw new Error('No signer available for transaction');
+      }
+
+      const claimManagerWithSigner = this.contracts.ClaimManager.connect(this.signer);
+      const tx = await claimManagerWithSigner.processParametricTrigger(eventId, maxHolders);
+      const receipt = await tx.wait();
+
+      const payouts = receipt.logs
+        .map(log => {
+          try {
+            return this.contracts.ClaimManager.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .filter(parsed => parsed && parsed.name === 'ParametricPayout')
+        .map(parsed => ({
+          holder: parsed.args.holder,
+          claimId: parsed.args.claimId,
+          amount: ethers.formatUnits(parsed.args.amount, 6)
+        }));
+
+      const completed = await this.contracts.ClaimManager.triggerCompleted(eventId);
+
+      return {
+        eventId,
+        payouts,
+        completed,
+        txHash: tx.hash
+      };
+    } catch (error) {
+      console.error('Error processing parametric trigger:', error);
+      throw error;
+    }
+  }
+
+  async getTriggerEvents() {
+    await this.initialize();
+
+    try {
+      if (!this.contracts.MockOracle) {
+        return [];
+      }
+
+      const total = Number(await this.contracts.MockOracle.getTotalTriggerEvents());
+      const events = [];
+
+      for (let i = total - 1; i >= Math.max(0, total - 50); i--) {
+        const eventId = await this.contracts.MockOracle.allTriggerEvents(i);
+        const trigger = await this.contracts.MockOracle.getTriggerEvent(eventId);
+        const completed = this.contracts.ClaimManager ?
+          await this.contracts.ClaimManager.triggerCompleted(eventId).catch(() => false) :
+          false;
+
+        events.push({
+          id: trigger.id,
+          policyAddress: trigger.policyAddress,
+          description: trigger.description,
+          incidentBlock: Number(trigger.incidentBlock),
+          incidentTimestamp: new Date(Number(trigger.incidentTimestamp) * 1000).toISOString(),
+          reportedAt: new Date(Number(trigger.reportedAt) * 1000).toISOString(),
+          reporter: trigger.reporter,
+          completed
+        });
+      }
+
+      return events;
+    } catch (error) {
+      console.error('Error fetching trigger events:', error);
+      return [];
+    }
+  }
+
+  async getPendingMultiSigTransactions(signerAddress = null) {
+    await this.initialize();
+
+    try {
+      const escrow = this.contracts.MultiSigEscrow;
+      if (!escrow) {
+        return [];
+      }
+
+      const [total, requiredSignatures] = await Promise.all([
+        escrow.getTransactionCount(),
+        escrow.requiredSignatures()
+      ]);
+      const isSigner = signerAddress ? await escrow.signers(signerAddress) : false;
+      const transactions = [];
+
+      // Newest first, limited to the most recent 100 escrow transactions
+      for (let i = Number(total) - 1; i >= Math.max(0, Number(total) - 100); i--) {
+        const txId = await escrow.transactionIds(i);
+        const txn = await escrow.getTransaction(txId);
+        if (txn.executed || txn.cancelled) {
+          continue;
+        }
+
+        // Signers either approve or vote to cancel, once
+        const hasVoted = isSigner && (
+          (await escrow.isApprovedBy(txId, signerAddress)) || (await escrow.hasVotedToCancel(txId, signerAddress))
+        );
+
+        transactions.push({
+          txId,
+          escrowAddress: escrow.target,
+          to: txn.to,
+          token: txn.token,
+          amount: ethers.formatUnits(txn.amount, 6),
+          claimId: txn.claimId,
+          approvals: Number(txn.approvals),
+          cancellations: Number(txn.cancellations),
+          requiredSignatures: Number(requiredSignatures),
+          createdAt: new Date(Number(txn.createdAt) * 1000).toISOString(),
+          // Whether the requesting signer can still approve or cancel this transaction
+          canApprove: isSigner && !hasVoted
+        });
+      }
+
+      return transactions;
+    } catch (error) {
+      console.error('Error fetching multisig transactions:', error);
+      return [];
+    }
+  }
+
+  async getQueuedOperations() {
+    await this.initialize();
+
+    try {
+      const timelock = this.contracts.GovernanceTimelock;
+      if (!timelock) {
+        return { minDelay: 0, operations: [] };
+      }
+
+      const [scheduled, minDelay] = await Promise.all([
+        timelock.queryFilter(timelock.filters.CallScheduled()),
+        timelock.getMinDelay()
+      ]);
+
+      // Decode calldata against the governed contracts to show the queued function
+      const governed = ['PolicyFactory', 'PremiumPool', 'ClaimManager']
+        .filter(name => this.contracts[name]);
+      const now = Math.floor(Date.now() / 1000);
+
+      // Re-scheduling a cancelled operation reuses its id, so keep the latest event per call
+      const calls = new Map();
+      for (const event of scheduled) {
+        calls.set(`${event.args.id}:${event.args.index}`, event);
+      }
+
+      const operations = [];
+      for (const event of calls.values()) {
+        const { id, index, target, value, data, predecessor, delay } = event.args;
+        const name = governed.find(n => this.contracts[n].target.toLowerCase() === target.toLowerCase());
+        const call = name ? this.contracts[name].interface.parseTransaction({ data }) : null;
+
+        // TimelockController clears the timestamp on cancel and sets it to 1 once executed
+        const timestamp = Number(await timelock.getTimestamp(id));
+        let status = 'pending';
+        if (timestamp === 0) {
+          status = 'cancelled';
+        } else if (timestamp === 1) {
+          status = 'executed';
+        } else if (timestamp <= now) {
+          status = 'ready';
+        }
+
+        operations.push({
+          id,
+          index: Number(index),
+          target,
+          contract: name || null,
+          function: call ? call.name : null,
+          args: call ? call.args.map(arg => arg.toString()) : [],
+          value: value.toString(),
+          data,
+          predecessor,
+          delay: Number(delay),
+          eta: timestamp > 1 ? new Date(timestamp * 1000).toISOString() : null,
+          status,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        });
+      }
+
+      return {
+        minDelay: Number(minDelay),
+        operations: operations.reverse()
+      };
+    } catch (error) {
+      console.error('Error fetching queued operations:', error);
+      return { minDelay: 0, operations: [] };
+    }
   }
 
   async generateMonthlyReport(month, year) {
@@ -781,4 +1972,5 @@ class ContractService {
   }
 }
 
-module.exports = new ContractService();
\ No newline at end of file
+module.exports = new ContractService();
+module.exports.CLAIM_STATUSES = CLAIM_STATUSES;
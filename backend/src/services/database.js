@@ -1,227 +1,739 @@
 const fs = require('fs');
 const path = require('path');
+const Sqlite = require('better-sqlite3');
+const migrations = require('./migrations');
 
-// Simple in-memory database for demo purposes
-// In production, use PostgreSQL/MongoDB with Prisma
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '../data/insurance.db');
+const LEGACY_JSON_PATH = path.join(__dirname, '../data/db.json');
+
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : null);
+
+// Collections and the document fields copied into indexed columns
+const COLLECTIONS = {
+  users: {
+    table: 'users',
+    autoId: true,
+    columns: { wallet_address: u => lower(u.walletAddress) }
+  },
+  policies: {
+    table: 'policies',
+    autoId: true,
+    columns: {
+      holder_address: p => lower(p.holderAddress),
+      user_address: p => lower(p.userAddress),
+      status: p => p.status || null
+    }
+  },
+  claims: {
+    table: 'claims',
+    autoId: true,
+    columns: {
+      claimant_address: c => lower(c.claimantAddress || c.userAddress),
+      status: c => c.status || null
+    }
+  },
+  notifications: {
+    table: 'notifications',
+    autoId: true,
+    columns: {
+      user_address: n => lower(n.userAddress),
+      read: n => (n.read ? 1 : 0)
+    }
+  },
+  kyc: {
+    table: 'kyc_submissions',
+    columns: { status: k => k.status || null }
+  },
+  // Materialized from chain events by the event indexer
+  chainEvents: {
+    table: 'chain_events',
+    columns: {
+      block_number: e => e.blockNumber,
+      log_index: e => e.logIndex
+    }
+  },
+  indexedPolicies: { table: 'indexed_policies' },
+  indexedClaims: { table: 'indexed_claims' },
+  oracleRequests: { table: 'oracle_requests' },
+  escrowTransactions: { table: 'escrow_transactions' }
+};
+
+const DEFAULT_ANALYTICS = {
+  totalPolicies: 0,
+  totalClaims: 0,
+  totalPremiums: 0,
+  totalPayouts: 0,
+  totalRefunds: 0
+};
+
+/**
+ * A collection stored as JSON documents in one table.
+ * Exposes the Map API (get/set/has/delete/values/...) so `db.data.<collection>` reads keep working.
+ */
+class Table {
+  constructor(sqlite, { table, autoId = false, columns = {} }) {
+    this.sqlite = sqlite;
+    this.table = table;
+    this.autoId = autoId;
+    this.columns = columns;
+
+    const names = Object.keys(columns);
+    const updates = ['data', ...names].map(c => `${c} = excluded.${c}`).join(', ');
+
+    this.statements = {
+      get: sqlite.prepare(`SELECT * FROM ${table} WHERE id = ?`),
+      all: sqlite.prepare(`SELECT * FROM ${table} ORDER BY rowid`),
+      count: sqlite.prepare(`SELECT COUNT(*) AS count FROM ${table}`),
+      insert: sqlite.prepare(
+        `INSERT INTO ${table} (${['data', ...names].join(', ')}) VALUES (${['@data', ...names.map(c => `@${c}`)].join(', ')})`
+      ),
+      upsert: sqlite.prepare(
+        `INSERT INTO ${table} (${['id', 'data', ...names].join(', ')}) VALUES (${['@id', '@data', ...names.map(c => `@${c}`)].join(', ')})
+         ON CONFLICT(id) DO UPDATE SET ${updates}`
+      ),
+      delete: sqlite.prepare(`DELETE FROM ${table} WHERE id = ?`),
+      clear: sqlite.prepare(`DELETE FROM ${table}`)
+    };
+  }
+
+  params(doc) {
+    const params = { data: JSON.stringify(doc) };
+    for (const [column, read] of Object.entries(this.columns)) {
+      params[column] = read(doc) ?? null;
+    }
+    return params;
+  }
+
+  toDocument(row) {
+    if (!row) return undefined;
+    const doc = JSON.parse(row.data);
+    return this.autoId ? { ...doc, id: String(row.id) } : doc;
+  }
+
+  /**
+   * Insert a document under a new autoincrement id
+   */
+  insert(doc) {
+    const { lastInsertRowid } = this.statements.insert.run(this.params(doc));
+    return { ...doc, id: String(lastInsertRowid) };
+  }
+
+  /**
+   * Documents matching a WHERE clause over the indexed columns
+   */
+  where(clause, ...params) {
+    return this.sqlite
+      .prepare(`SELECT * FROM ${this.table} WHERE ${clause} ORDER BY rowid`)
+      .all(...params)
+      .map(row => this.toDocument(row));
+  }
+
+  get(id) {
+    return this.toDocument(this.statements.get.get(id));
+  }
+
+  has(id) {
+    return Boolean(this.statements.get.get(id));
+  }
+
+  set(id, doc) {
+    this.statements.upsert.run({ id, ...this.params(doc) });
+    return this;
+  }
+
+  delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+
+  get size() {
+    return this.statements.count.get().count;
+  }
+
+  values() {
+    return this.statements.all.all().map(row => this.toDocument(row));
+  }
+
+  keys() {
+    return this.statements.all.all().map(row => String(row.id));
+  }
+
+  entries() {
+    return this.statements.all.all().map(row => [String(row.id), this.toDocument(row)]);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()[Symbol.iterator]();
+  }
+}
+
+// SQLite-backed store with versioned migrations and transactional writes
 class Database {
-  constructor() {
-    this.data = {
-      users: new Map(),
-      policies: new Map(),
-      claims: new Map(),
-      notifications: new Map(),
-      analytics: {
-        totalPolicies: 0,
-        totalClaims: 0,
-        totalPremiums: 0,
-        totalPayouts: 0
-      }
+  /**
+   * @param {string} [filename] - SQLite file (DATABASE_PATH, defaults to src/data/insurance.db)
+   */
+  constructor(filename = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.sqlite = new Sqlite(filename);
+    this.sqlite.pragma('journal_mode = WAL');
+    this.sqlite.pragma('busy_timeout = 5000');
+
+    const applied = this.migrate();
+
+    this.data = {};
+    for (const [name, config] of Object.entries(COLLECTIONS)) {
+      this.data[name] = new Table(this.sqlite, config);
+    }
+
+    this.statements = {
+      getMeta: this.sqlite.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.sqlite.prepare(
+        'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+      ),
+      getAnalytics: this.sqlite.prepare('SELECT key, value FROM analytics'),
+      setAnalytics: this.sqlite.prepare(
+        'INSERT INTO analytics (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+      ),
+      incrementAnalytics: this.sqlite.prepare(
+        'INSERT INTO analytics (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = value + excluded.value'
+      )
     };
-    this.loadData();
-  }
-
-  loadData() {
-    try {
-      const dataPath = path.join(__dirname, '../data/db.json');
-      if (fs.existsSync(dataPath)) {
-        const rawData = fs.readFileSync(dataPath, 'utf8');
-        const parsedData = JSON.parse(rawData);
-        
-        // Convert arrays back to Maps
-        this.data.users = new Map(parsedData.users || []);
-        this.data.policies = new Map(parsedData.policies || []);
-        this.data.claims = new Map(parsedData.claims || []);
-        this.data.notifications = new Map(parsedData.notifications || []);
-        this.data.analytics = parsedData.analytics || this.data.analytics;
-      }
-    } catch (error) {
-      console.log('No existing database found, starting fresh');
+
+    // A fresh store picks up the data of the old JSON file
+    if (applied.some(m => m.version === 1) && fs.existsSync(LEGACY_JSON_PATH)) {
+      const counts = this.importJson(LEGACY_JSON_PATH);
+      console.log('Imported db.json into SQLite:', counts);
     }
   }
 
-  saveData() {
-    try {
-      const dataPath = path.join(__dirname, '../data');
-      if (!fs.existsSync(dataPath)) {
-        fs.mkdirSync(dataPath, { recursive: true });
-      }
+  /**
+   * Apply pending migrations, each in its own transaction
+   * @returns {Array} Migrations applied by this call
+   */
+  migrate() {
+    this.sqlite.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
 
-      const dataToSave = {
-        users: Array.from(this.data.users.entries()),
-        policies: Array.from(this.data.policies.entries()),
-        claims: Array.from(this.data.claims.entries()),
-        notifications: Array.from(this.data.notifications.entries()),
-        analytics: this.data.analytics
-      };
+    const applied = new Set(
+      this.sqlite.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const pending = migrations
+      .filter(m => !applied.has(m.version))
+      .sort((a, b) => a.version - b.version);
 
-      fs.writeFileSync(
-        path.join(dataPath, 'db.json'),
-        JSON.stringify(dataToSave, null, 2)
-      );
-    } catch (error) {
-      console.error('Failed to save database:', error);
+    const record = this.sqlite.prepare(
+      'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+    );
+    for (const migration of pending) {
+      this.transaction(() => {
+        this.sqlite.exec(migration.up);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      });
     }
+
+    return pending;
+  }
+
+  /**
+   * Run fn in a transaction (nested calls become savepoints)
+   */
+  transaction(fn) {
+    return this.sqlite.transaction(fn)();
+  }
+
+  /**
+   * Import a legacy db.json file, keeping its ids
+   * @returns {Object} Number of records imported per collection
+   */
+  importJson(filePath) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const counts = {};
+
+    this.transaction(() => {
+      for (const name of Object.keys(COLLECTIONS)) {
+        const entries = parsed[name] || [];
+        for (const [id, doc] of entries) {
+          this.data[name].set(id, doc);
+        }
+        counts[name] = entries.length;
+      }
+
+      if (parsed.indexer) {
+        this.setMeta('indexer', parsed.indexer);
+      }
+      for (const [key, value] of Object.entries(parsed.analytics || {})) {
+        this.statements.setAnalytics.run(key, value);
+      }
+    });
+
+    return counts;
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  close() {
+    this.sqlite.close();
   }
 
   // User operations
   createUser(userData) {
-    const id = Date.now().toString();
-    const user = {
-      id,
+    return this.data.users.insert({
       ...userData,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-    this.data.users.set(id, user);
-    this.saveData();
-    return user;
+    });
   }
 
   getUserByAddress(address) {
-    for (const [id, user] of this.data.users) {
-      if (user.walletAddress === address) {
-        return user;
-      }
-    }
-    return null;
+    return this.data.users.where('wallet_address = ?', lower(address))[0] || null;
   }
 
   updateUser(id, updates) {
-    const user = this.data.users.get(id);
-    if (user) {
-      const updatedUser = {
-        ...user,
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-      this.data.users.set(id, updatedUser);
-      this.saveData();
-      return updatedUser;
-    }
-    return null;
+    return this.update('users', id, updates);
   }
 
   // Policy operations
   createPolicy(policyData) {
-    const id = Date.now().toString();
-    const policy = {
-      id,
-      ...policyData,
-      status: policyData.status || 'active',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    this.data.policies.set(id, policy);
-    this.data.analytics.totalPolicies++;
-    this.saveData();
-    return policy;
+    return this.transaction(() => {
+      const policy = this.data.policies.insert({
+        ...policyData,
+        status: policyData.status || 'active',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      this.statements.incrementAnalytics.run('totalPolicies', 1);
+      return policy;
+    });
   }
 
   updatePolicy(id, updates) {
-    const policy = this.data.policies.get(id);
-    if (policy) {
-      const updatedPolicy = {
-        ...policy,
-        ...updates,
-        updatedAt: new Date().toISOString()
-      };
-      this.data.policies.set(id, updatedPolicy);
-      this.saveData();
-      return updatedPolicy;
-    }
-    return null;
+    return this.update('policies', id, updates);
   }
 
   getPoliciesByUser(userAddress) {
-    const policies = [];
-    for (const [id, policy] of this.data.policies) {
-      if (policy.holderAddress === userAddress || policy.userAddress === userAddress) {
-        policies.push(policy);
-      }
-    }
-    return policies;
+    const address = lower(userAddress);
+    return this.data.policies.where('holder_address = ? OR user_address = ?', address, address);
+  }
+
+  /**
+   * Move a holder's purchased policy records to the new owner of its coverage certificate.
+   * Both replays and live indexing report the same transfer, so moving twice is a no-op.
+   * @returns {Object[]} Records now held by `to`
+   */
+  transferPolicyHolder({ policyAddress, from, to, certificateId }) {
+    return this.transaction(() => {
+      const policyKey = lower(policyAddress);
+      return this.getPoliciesByUser(from)
+        .filter(p => lower(p.address) === policyKey)
+        .map(p => this.updatePolicy(p.id, {
+          userAddress: lower(to),
+          holderAddress: lower(to),
+          certificateId,
+          transferredFrom: lower(from),
+          transferredAt: new Date().toISOString()
+        }));
+    });
   }
 
   // Claim operations
   createClaim(claimData) {
-    const id = Date.now().toString();
-    const claim = {
-      id,
+    return this.transaction(() => {
+      const claim = this.data.claims.insert({
+        ...claimData,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      this.statements.incrementAnalytics.run('totalClaims', 1);
+      return claim;
+    });
+  }
+
+  /**
+   * Record a claim the holder still has to send from their wallet. It is counted
+   * in analytics once linked to its ClaimSubmitted event.
+   * @param {Object} claimData
+   * @param {string} [claimData.status] - 'pending_review' to hold it until a reviewer
+   *   clears it for signing; defaults to 'awaiting_signature'
+   */
+  createClaimSubmission(claimData) {
+    return this.data.claims.insert({
+      status: 'awaiting_signature',
       ...claimData,
-      status: 'pending',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
-    this.data.claims.set(id, claim);
-    this.data.analytics.totalClaims++;
-    this.saveData();
-    return claim;
+    });
+  }
+
+  /**
+   * Link an on-chain claim to the submission it came from. Both the claims route
+   * and the event indexer report the same event, so linking twice is a no-op.
+   * @param {Object} submitted
+   * @param {string} submitted.claimant - Address that sent the claim
+   * @param {string} submitted.evidence - Evidence string recorded on-chain
+   * @param {string} submitted.chainClaimId - ClaimManager claim id
+   * @param {string} submitted.txHash - Submission transaction
+   * @param {string} [submitted.submissionId] - Database claim id, if known; otherwise
+   *   the oldest submission awaiting a signature with the same evidence is used
+   * @returns {Object|null} Linked claim, or null if no submission matches
+   */
+  linkClaimSubmission({ claimant, evidence, chainClaimId, txHash, submissionId }) {
+    return this.transaction(() => {
+      const claims = this.getClaimsByUser(claimant);
+
+      const linked = claims.find(c => c.chainClaimId === chainClaimId);
+      if (linked) return linked;
+
+      const submission = claims.find(c =>
+        c.status === 'awaiting_signature' &&
+        c.evidence === evidence &&
+        (submissionId === undefined || c.id === String(submissionId))
+      );
+      if (!submission) return null;
+
+      this.statements.incrementAnalytics.run('totalClaims', 1);
+      return this.updateClaim(submission.id, {
+        chainClaimId,
+        txHash,
+        status: 'pending',
+        submittedAt: new Date().toISOString()
+      });
+    });
   }
 
   updateClaim(id, updates) {
-    const claim = this.data.claims.get(id);
-    if (claim) {
-      const updatedClaim = {
-        ...claim,
+    return this.update('claims', id, updates);
+  }
+
+  getClaimsByUser(userAddress) {
+    return this.data.claims.where('claimant_address = ?', lower(userAddress));
+  }
+
+  /**
+   * Read-modify-write of one document inside a transaction
+   */
+  update(collection, id, updates) {
+    return this.transaction(() => {
+      const table = this.data[collection];
+      const doc = table.get(id);
+      if (!doc) return null;
+
+      const updated = {
+        ...doc,
         ...updates,
         updatedAt: new Date().toISOString()
       };
-      this.data.claims.set(id, updatedClaim);
-      this.saveData();
-      return updatedClaim;
-    }
-    return null;
+      table.set(id, updated);
+      return updated;
+    });
   }
 
-  getClaimsByUser(userAddress) {
-    const claims = [];
-    for (const [id, claim] of this.data.claims) {
-      if (claim.claimantAddress === userAddress) {
-        claims.push(claim);
+  // KYC operations
+  saveKyc(userAddress, kycData) {
+    this.data.kyc.set(lower(userAddress), kycData);
+    return kycData;
+  }
+
+  getKyc(userAddress) {
+    return this.data.kyc.get(lower(userAddress)) || null;
+  }
+
+  getAllKyc() {
+    return this.data.kyc.values();
+  }
+
+  // Role operations (off-chain grants; on-chain roles are resolved by the role service)
+  getRoleAssignments(address) {
+    const rows = address
+      ? this.sqlite.prepare('SELECT * FROM role_assignments WHERE address = ? ORDER BY role').all(lower(address))
+      : this.sqlite.prepare('SELECT * FROM role_assignments ORDER BY address, role').all();
+
+    return rows.map(row => ({
+      address: row.address,
+      role: row.role,
+      grantedBy: row.granted_by,
+      grantedAt: row.granted_at
+    }));
+  }
+
+  grantRole(address, role, grantedBy) {
+    this.sqlite.prepare(`
+      INSERT INTO role_assignments (address, role, granted_by, granted_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(address, role) DO NOTHING
+    `).run(lower(address), role, lower(grantedBy), new Date().toISOString());
+  }
+
+  revokeRole(address, role) {
+    return this.sqlite
+      .prepare('DELETE FROM role_assignments WHERE address = ? AND role = ?')
+      .run(lower(address), role).changes > 0;
+  }
+
+  // Auth session operations (timestamps in epoch ms)
+  saveNonce({ nonce, address, chainId, expiresAt }) {
+    this.transaction(() => {
+      this.sqlite.prepare('DELETE FROM auth_nonces WHERE expires_at <= ?').run(Date.now());
+      this.sqlite
+        .prepare('INSERT INTO auth_nonces (nonce, address, chain_id, expires_at) VALUES (?, ?, ?, ?)')
+        .run(nonce, lower(address), chainId, expiresAt);
+    });
+  }
+
+  /**
+   * Delete and return a nonce so it can only be used once
+   */
+  consumeNonce(nonce) {
+    const row = this.sqlite.prepare('DELETE FROM auth_nonces WHERE nonce = ? RETURNING *').get(nonce);
+    return row ? { nonce: row.nonce, address: row.address, chainId: row.chain_id, expiresAt: row.expires_at } : null;
+  }
+
+  createRefreshToken({ id, tokenHash, address, familyId, expiresAt }) {
+    this.sqlite.prepare(`
+      INSERT INTO refresh_tokens (id, token_hash, address, family_id, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, tokenHash, lower(address), familyId, expiresAt, new Date().toISOString());
+  }
+
+  getRefreshToken(tokenHash) {
+    const row = this.sqlite.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash);
+    return row ? {
+      id: row.id,
+      address: row.address,
+      familyId: row.family_id,
+      expiresAt: row.expires_at,
+      rotatedAt: row.rotated_at,
+      revokedAt: row.revoked_at
+    } : null;
+  }
+
+  markRefreshTokenRotated(id) {
+    this.sqlite
+      .prepare('UPDATE refresh_tokens SET rotated_at = ? WHERE id = ?')
+      .run(new Date().toISOString(), id);
+  }
+
+  revokeRefreshFamily(familyId) {
+    return this.sqlite
+      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), familyId).changes;
+  }
+
+  revokeRefreshTokensByAddress(address) {
+    return this.sqlite
+      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE address = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), lower(address)).changes;
+  }
+
+  revokeAccessToken(jti, expiresAt) {
+    this.transaction(() => {
+      this.sqlite.prepare('DELETE FROM revoked_tokens WHERE expires_at <= ?').run(Date.now());
+      this.sqlite
+        .prepare('INSERT INTO revoked_tokens (jti, expires_at) VALUES (?, ?) ON CONFLICT(jti) DO NOTHING')
+        .run(jti, expiresAt);
+    });
+  }
+
+  isAccessTokenRevoked(jti) {
+    return Boolean(this.sqlite.prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?').get(jti));
+  }
+
+  // WebSocket event log, kept for replay on reconnect
+  /**
+   * Append an event and drop all but the newest `retain`
+   * @returns {number} Sequence number of the event
+   */
+  appendWsEvent({ topic, address, payload }, retain) {
+    return this.transaction(() => {
+      const { seq } = this.sqlite
+        .prepare('INSERT INTO ws_events (topic, address, payload, created_at) VALUES (?, ?, ?, ?) RETURNING seq')
+        .get(topic, address ? lower(address) : null, JSON.stringify(payload), Date.now());
+      this.sqlite.prepare('DELETE FROM ws_events WHERE seq <= ?').run(seq - retain);
+      return seq;
+    });
+  }
+
+  /**
+   * Events after `since` visible to an address on the given topics (broadcasts have no address)
+   */
+  getWsEventsSince(since, address, topics) {
+    if (topics.length === 0) return [];
+
+    return this.sqlite
+      .prepare(`
+        SELECT seq, topic, payload FROM ws_events
+        WHERE seq > ? AND (address IS NULL OR address = ?)
+          AND topic IN (${topics.map(() => '?').join(', ')})
+        ORDER BY seq
+      `)
+      .all(since, lower(address), ...topics)
+      .map(row => ({ seq: row.seq, topic: row.topic, ...JSON.parse(row.payload) }));
+  }
+
+  getWsSeqRange() {
+    const row = this.sqlite.prepare('SELECT MIN(seq) AS first, MAX(seq) AS last FROM ws_events').get();
+    return { first: row.first ?? 0, last: row.last ?? 0 };
+  }
+
+  // Relayed meta-transactions, counted against per-address quotas
+  /**
+   * Reserve a relay slot for an address unless it already used `limit` since `windowStart`
+   * @returns {number|null} Relay id, or null if the quota is used up
+   */
+  reserveRelay({ address, target, selector }, windowStart, limit) {
+    return this.transaction(() => {
+      if (this.getRelaysSince(address, windowStart).length >= limit) {
+        return null;
       }
-    }
-    return claims;
+      const { lastInsertRowid } = this.sqlite
+        .prepare('INSERT INTO relay_requests (address, target, selector, created_at) VALUES (?, ?, ?, ?)')
+        .run(lower(address), lower(target), selector, Date.now());
+      return Number(lastInsertRowid);
+    });
+  }
+
+  setRelayTxHash(id, txHash) {
+    this.sqlite.prepare('UPDATE relay_requests SET tx_hash = ? WHERE id = ?').run(txHash, id);
+  }
+
+  /**
+   * Give a reserved slot back when the relay was never sent
+   */
+  releaseRelay(id) {
+    this.sqlite.prepare('DELETE FROM relay_requests WHERE id = ? AND tx_hash IS NULL').run(id);
+  }
+
+  getRelaysSince(address, since) {
+    return this.sqlite
+      .prepare('SELECT * FROM relay_requests WHERE address = ? AND created_at >= ? ORDER BY created_at')
+      .all(lower(address), since)
+      .map(row => ({
+        id: row.id,
+        address: row.address,
+        target: row.target,
+        selector: row.selector,
+        txHash: row.tx_hash,
+        createdAt: row.created_at
+      }));
+  }
+
+  // Indexer operations
+  getIndexerState() {
+    return this.getMeta('indexer') || { lastBlock: null, recentBlocks: [] };
+  }
+
+  /**
+   * Record a batch of decoded chain events and the new checkpoint
+   */
+  commitIndexedBatch(events, state) {
+    this.transaction(() => {
+      for (const event of events) {
+        this.data.chainEvents.set(event.id, event);
+      }
+      this.setMeta('indexer', state);
+    });
+  }
+
+  /**
+   * Chain events in block order
+   */
+  getChainEvents() {
+    return this.sqlite
+      .prepare('SELECT data FROM chain_events ORDER BY block_number, log_index')
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Drop events from reorged blocks (blockNumber >= fromBlock)
+   */
+  removeChainEventsFrom(fromBlock) {
+    this.sqlite.prepare('DELETE FROM chain_events WHERE block_number >= ?').run(fromBlock);
+  }
+
+  clearIndexedViews() {
+    this.transaction(() => {
+      this.data.indexedPolicies.clear();
+      this.data.indexedClaims.clear();
+      this.data.oracleRequests.clear();
+      this.data.escrowTransactions.clear();
+    });
   }
 
   // Analytics operations
   updateAnalytics(type, amount) {
-    switch (type) {
-      case 'premium':
-        this.data.analytics.totalPremiums += amount;
-        break;
-      case 'payout':
-        this.data.analytics.totalPayouts += amount;
-        break;
+    const key = {
+      premium: 'totalPremiums',
+      payout: 'totalPayouts',
+      refund: 'totalRefunds'
+    }[type];
+
+    if (key) {
+      this.statements.incrementAnalytics.run(key, amount);
     }
-    this.saveData();
   }
 
   getAnalytics() {
-    return this.data.analytics;
+    const analytics = { ...DEFAULT_ANALYTICS };
+    for (const { key, value } of this.statements.getAnalytics.all()) {
+      analytics[key] = value;
+    }
+    return analytics;
   }
 
   // Notification operations
   createNotification(notificationData) {
-    const id = Date.now().toString();
-    const notification = {
-      id,
+    return this.data.notifications.insert({
       ...notificationData,
       read: false,
       createdAt: new Date().toISOString()
-    };
-    this.data.notifications.set(id, notification);
-    this.saveData();
-    return notification;
+    });
   }
 
   getNotificationsByUser(userAddress) {
-    const notifications = [];
-    for (const [id, notification] of this.data.notifications) {
-      if (notification.userAddress === userAddress) {
-        notifications.push(notification);
+    return this.data.notifications
+      .where('user_address = ?', lower(userAddress))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  markNotificationRead(id) {
+    const notification = this.data.notifications.get(id);
+    if (!notification) return null;
+
+    const updated = { ...notification, read: true, readAt: new Date().toISOString() };
+    this.data.notifications.set(id, updated);
+    return updated;
+  }
+
+  markAllNotificationsRead(userAddress) {
+    return this.transaction(() => {
+      const unread = this.data.notifications.where('user_address = ? AND read = 0', lower(userAddress));
+      for (const notification of unread) {
+        this.markNotificationRead(notification.id);
       }
-    }
-    return notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return unread.length;
+    });
+  }
+
+  deleteNotification(id) {
+    return this.data.notifications.delete(id);
   }
 }
 
@@ -232,4 +744,4 @@ const initializeDatabase = () => {
   return db;
 };
 
-module.exports = { db, initializeDatabase };
\ No newline at end of file
+module.exports = { db, initializeDatabase, Database };
@@ -0,0 +1,575 @@
+/**
+ * Event Indexer
+ * Follows contract events block by block and materializes policies, claims,
+ * oracle requests and escrow transactions into the database for the routes to read.
+ *
+ * - Checkpoints the last processed block so restarts resume where they stopped
+ * - Remembers recent block hashes; if one changes the chain reorged, so events from
+ *   the fork point are dropped and the views rebuilt from the remaining event log
+ */
+
+const { ethers } = require('ethers');
+const contractService = require('./contractService');
+const { db } = require('./database');
+const { wsManager } = require('./websocket');
+const notificationService = require('./notificationService');
+
+const { NotificationTypes } = notificationService;
+
+const { CLAIM_STATUSES } = contractService;
+
+// Events indexed per contract (Policy events come from every factory-created policy)
+const INDEXED_EVENTS = {
+  PolicyFactory: ['PolicyCreated'],
+  Policy: ['PolicyPurchased', 'CoverageTransferred'],
+  ClaimManager: [
+    'ClaimSubmitted', 'ClaimStatusUpdated', 'ClaimRejected', 'ClaimPaid',
+    'AppealFiled', 'AppealVoted', 'AppealResolved'
+  ],
+  MockOracle: ['VerificationRequested', 'VerificationFulfilled'],
+  MultiSigEscrow: ['TransactionCreated', 'TransactionApproved', 'TransactionExecuted', 'TransactionCancelled']
+};
+
+const REORG_DEPTH = 12;
+
+class EventIndexer {
+  constructor() {
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_BLOCKS || '2000');
+    this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || '0');
+    this.ticking = false;
+    this.listener = null;
+  }
+
+  /**
+   * Catch up from the checkpoint, then index each new block as it arrives
+   */
+  async start() {
+    await contractService.initialize();
+
+    const { provider, contracts } = contractService;
+    if (!contracts.PolicyFactory || !contracts.ClaimManager) {
+      console.warn('⚠️  Event indexer disabled: contracts not loaded');
+      return;
+    }
+
+    this.provider = provider;
+    this.sources = this.buildSources();
+
+    this.listener = (blockNumber) => this.tick(blockNumber);
+    await this.tick();
+    await provider.on('block', this.listener);
+    console.log('✓ Event indexer started');
+  }
+
+  async stop() {
+    if (this.listener) {
+      await this.provider.off('block', this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Map each indexed contract to its address, interface and event topics
+   */
+  buildSources() {
+    const { contracts } = contractService;
+    const policyContract = contractService.getPolicyContract(ethers.ZeroAddress);
+
+    return Object.entries(INDEXED_EVENTS)
+      .map(([name, events]) => {
+        const contract = name === 'Policy' ? policyContract : contracts[name];
+        if (!contract) return null;
+
+        return {
+          name,
+          address: name === 'Policy' ? null : contract.target.toLowerCase(),
+          iface: contract.interface,
+          topics: events.map(event => contract.interface.getEvent(event).topicHash)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Index up to the given head block (no-op if a tick is already running)
+   * @param {number} [latestBlock] - Block number from the subscription; fetched if omitted
+   */
+  async tick(latestBlock) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.handleReorg();
+
+      const head = (latestBlock ?? await this.provider.getBlockNumber()) - this.confirmations;
+      const state = db.getIndexerState();
+      let fromBlock = state.lastBlock === null
+        ? parseInt(process.env.INDEXER_START_BLOCK || contractService.deploymentBlock || 0)
+        : state.lastBlock + 1;
+
+      // The first sync backfills history; only events after it are pushed to clients
+      const notify = state.lastBlock !== null;
+
+      while (fromBlock <= head) {
+        const toBlock = Math.min(head, fromBlock + this.batchSize - 1);
+        await this.indexRange(fromBlock, toBlock, { notify });
+        fromBlock = toBlock + 1;
+      }
+    } catch (error) {
+      console.error('Event indexer error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Fetch and decode events in [fromBlock, toBlock], then apply them and checkpoint in one transaction
+   * @param {Object} [options]
+   * @param {boolean} [options.notify] - Publish the events to WebSocket subscribers once committed
+   */
+  async indexRange(fromBlock, toBlock, { notify = false } = {}) {
+    const core = this.sources.filter(s => s.address);
+    const coreLogs = await this.provider.getLogs({
+      fromBlock,
+      toBlock,
+      address: core.map(s => s.address),
+      topics: [core.flatMap(s => s.topics)]
+    });
+
+    const events = [];
+    for (const log of coreLogs) {
+      events.push(await this.decode(log));
+    }
+
+    // Purchases can hit policies created earlier in this same range
+    const policySource = this.sources.find(s => s.name === 'Policy');
+    const policyAddresses = [
+      ...db.data.indexedPolicies.keys(),
+      ...events.filter(e => e.name === 'PolicyCreated').map(e => e.args.policyAddress.toLowerCase())
+    ];
+    if (policySource && policyAddresses.length > 0) {
+      const policyLogs = await this.provider.getLogs({
+        fromBlock,
+        toBlock,
+        address: policyAddresses,
+        topics: [policySource.topics]
+      });
+      for (const log of policyLogs) {
+        events.push(await this.decode(log));
+      }
+    }
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const block = await this.provider.getBlock(toBlock);
+    const state = db.getIndexerState();
+    const recentBlocks = [
+      ...state.recentBlocks,
+      ...events.map(e => ({ number: e.blockNumber, hash: e.blockHash })),
+      { number: block.number, hash: block.hash }
+    ];
+
+    db.transaction(() => {
+      for (const event of events) {
+        this.apply(event);
+      }
+      db.commitIndexedBatch(events, {
+        lastBlock: toBlock,
+        recentBlocks: this.dedupeBlocks(recentBlocks).slice(-REORG_DEPTH)
+      });
+    });
+
+    if (notify) {
+      events.forEach(event => this.publish(event));
+    }
+  }
+
+  /**
+   * Compare remembered block hashes with the chain and roll back to the fork point
+   */
+  async handleReorg() {
+    const state = db.getIndexerState();
+    if (state.recentBlocks.length === 0) return;
+
+    let forkBlock = null;
+    for (let i = state.recentBlocks.length - 1; i >= 0; i--) {
+      const { number, hash } = state.recentBlocks[i];
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) break;
+      forkBlock = number;
+    }
+
+    if (forkBlock === null) return;
+
+    console.warn(`⚠️  Chain reorg detected, re-indexing from block ${forkBlock}`);
+    db.transaction(() => {
+      db.removeChainEventsFrom(forkBlock);
+      this.rebuildViews();
+      db.commitIndexedBatch([], {
+        lastBlock: forkBlock - 1,
+        recentBlocks: state.recentBlocks.filter(b => b.number < forkBlock)
+      });
+    });
+  }
+
+  /**
+   * Replay the event log into empty views
+   */
+  rebuildViews() {
+    db.transaction(() => {
+      db.clearIndexedViews();
+      for (const event of db.getChainEvents()) {
+        this.apply(event);
+      }
+    });
+  }
+
+  /**
+   * Decode a log into a JSON-safe event record, enriched with state read at index time
+   */
+  async decode(log) {
+    const address = log.address.toLowerCase();
+    const source = this.sources.find(s => s.address === address) || this.sources.find(s => s.name === 'Policy');
+    const parsed = source.iface.parseLog(log);
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+
+    const block = await this.provider.getBlock(log.blockNumber);
+    const event = {
+      id: `${log.transactionHash}:${log.index}`,
+      contract: source.name,
+      name: parsed.name,
+      address,
+      args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    };
+
+    // Fields the events do not carry, read once so replays stay offline
+    if (event.name === 'PolicyCreated') {
+      const info = await contractService.getPolicyContract(args.policyAddress).policyInfo().catch(() => null);
+      event.extra = info ? { duration: info.duration.toString(), token: info.premiumToken } : {};
+    } else if (event.name === 'ClaimSubmitted') {
+      const claim = await contractService.contracts.ClaimManager.getClaim(args.claimId).catch(() => null);
+      event.extra = claim ? {
+        policyAddress: claim.policyAddress,
+        evidence: claim.evidence,
+        requiresMultiSig: claim.requiresMultiSig
+      } : {};
+    }
+
+    return event;
+  }
+
+  /**
+   * Apply one event to the materialized views
+   */
+  apply(event) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'PolicyCreated':
+        db.data.indexedPolicies.set(args.policyAddress.toLowerCase(), {
+          id: Number(args.policyId),
+          address: args.policyAddress,
+          insurer: args.insurer,
+          policyType: args.policyType,
+          premium: ethers.formatUnits(args.premium, 6),
+          coverage: ethers.formatUnits(args.coverage, 6),
+          duration: event.extra?.duration ? Number(event.extra.duration) : null,
+          token: event.extra?.token || null,
+          holders: [],
+          createdAt: event.timestamp,
+          blockNumber: event.blockNumber
+        });
+        break;
+
+      case 'PolicyPurchased': {
+        const policy = db.data.indexedPolicies.get(event.address);
+        if (policy) {
+          policy.holders.push({
+            holder: args.holder,
+            premium: ethers.formatUnits(args.premium, 6),
+            expiresAt: new Date(Number(args.expiresAt) * 1000).toISOString(),
+            purchasedAt: event.timestamp
+          });
+          db.data.indexedPolicies.set(event.address, policy);
+        }
+        break;
+      }
+
+      case 'CoverageTransferred': {
+        // Coverage follows the certificate; the new owner takes over the holder entry
+        const policy = db.data.indexedPolicies.get(event.address);
+        if (policy) {
+          const entry = [...policy.holders].reverse().find(h => h.holder.toLowerCase() === args.from.toLowerCase());
+          if (entry) {
+            entry.holder = args.to;
+            entry.certificateId = args.tokenId;
+            db.data.indexedPolicies.set(event.address, policy);
+          }
+        }
+        db.transferPolicyHolder({
+          policyAddress: event.address,
+          from: args.from,
+          to: args.to,
+          certificateId: args.tokenId
+        });
+        break;
+      }
+
+      case 'ClaimSubmitted':
+        db.data.indexedClaims.set(args.claimId, {
+          id: args.claimId,
+          claimant: args.claimant,
+          amount: ethers.formatUnits(args.amount, 6),
+          status: 'pending',
+          submittedAt: event.timestamp,
+          ...event.extra
+        });
+
+        // Holders send claims from their wallets; attach this one to its validated submission
+        if (event.extra?.evidence) {
+          db.linkClaimSubmission({
+            claimant: args.claimant,
+            evidence: event.extra.evidence,
+            chainClaimId: args.claimId,
+            txHash: event.transactionHash
+          });
+        }
+        break;
+
+      case 'ClaimStatusUpdated': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        if (claim) {
+          claim.status = CLAIM_STATUSES[Number(args.status)];
+          claim.processedAt = event.timestamp;
+          db.data.indexedClaims.set(args.claimId, claim);
+        }
+        break;
+      }
+
+      case 'ClaimRejected': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        if (claim) {
+          claim.rejectionReason = args.reason;
+          db.data.indexedClaims.set(args.claimId, claim);
+        }
+        break;
+      }
+
+      case 'AppealFiled': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        if (claim) {
+          claim.appeal = {
+            grounds: args.grounds,
+            bond: ethers.formatUnits(args.bond, 6),
+            filedAt: event.timestamp,
+            upholdVotes: 0,
+            dismissVotes: 0,
+            voters: [],
+            status: 'filed'
+          };
+          db.data.indexedClaims.set(args.claimId, claim);
+        }
+        break;
+      }
+
+      case 'AppealVoted': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        if (claim?.appeal) {
+          claim.appeal[args.uphold ? 'upholdVotes' : 'dismissVotes'] += 1;
+          claim.appeal.voters.push(args.reviewer.toLowerCase());
+          db.data.indexedClaims.set(args.claimId, claim);
+        }
+        break;
+      }
+
+      case 'AppealResolved': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        if (claim?.appeal) {
+          claim.appeal.status = args.upheld ? 'upheld' : 'dismissed';
+          claim.appeal.resolvedAt = event.timestamp;
+          db.data.indexedClaims.set(args.claimId, claim);
+        }
+        break;
+      }
+
+      case 'ClaimPaid': {
+        // Parametric payouts are recorded as paid claims without a submission
+        const claim = db.data.indexedClaims.get(args.claimId) || {
+          id: args.claimId,
+          claimant: args.claimant,
+          amount: ethers.formatUnits(args.amount, 6),
+          submittedAt: event.timestamp
+        };
+        db.data.indexedClaims.set(args.claimId, {
+          ...claim,
+          status: 'paid',
+          paidAmount: ethers.formatUnits(args.amount, 6),
+          paidAt: event.timestamp
+        });
+        break;
+      }
+
+      case 'VerificationRequested':
+        db.data.oracleRequests.set(args.requestId, {
+          id: args.requestId,
+          claimId: args.claimId,
+          fulfilled: false,
+          result: null,
+          requestedAt: event.timestamp
+        });
+        break;
+
+      case 'VerificationFulfilled': {
+        const request = db.data.oracleRequests.get(args.requestId) || { id: args.requestId, claimId: args.claimId };
+        db.data.oracleRequests.set(args.requestId, {
+          ...request,
+          fulfilled: true,
+          result: args.result,
+          fulfilledAt: event.timestamp
+        });
+        break;
+      }
+
+      case 'TransactionCreated':
+        db.data.escrowTransactions.set(args.txId, {
+          id: args.txId,
+          to: args.to,
+          amount: ethers.formatUnits(args.amount, 6),
+          claimId: args.claimId,
+          approvals: [],
+          executed: false,
+          createdAt: event.timestamp
+        });
+        break;
+
+      case 'TransactionApproved': {
+        const txn = db.data.escrowTransactions.get(args.txId);
+        if (txn) {
+          txn.approvals.push(args.signer);
+          db.data.escrowTransactions.set(args.txId, txn);
+        }
+        break;
+      }
+
+      case 'TransactionExecuted': {
+        const txn = db.data.escrowTransactions.get(args.txId);
+        if (txn) {
+          txn.executed = true;
+          txn.executedAt = event.timestamp;
+          db.data.escrowTransactions.set(args.txId, txn);
+        }
+        break;
+      }
+
+      // The claim itself is moved to rejected by the ClaimRejected event in the same transaction
+      case 'TransactionCancelled': {
+        const txn = db.data.escrowTransactions.get(args.txId);
+        if (txn) {
+          txn.cancelled = true;
+          txn.cancelledAt = event.timestamp;
+          txn.cancellationReason = args.reason;
+          db.data.escrowTransactions.set(args.txId, txn);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Push a committed event to WebSocket topics: holders and claimants get their own
+   * updates and inbox notifications, staff get every event on `admin`, and pool
+   * balance changes go to `pool`
+   */
+  publish(event) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'PolicyPurchased':
+        wsManager.notifyPolicyUpdate(event.address, 'purchased', args.holder);
+        notificationService.notify(args.holder, NotificationTypes.POLICY_PURCHASED, {
+          policyAddress: event.address,
+          expiresAt: new Date(Number(args.expiresAt) * 1000).toISOString()
+        });
+        wsManager.notifyPool('premium_received', {
+          policyAddress: event.address,
+          premium: ethers.formatUnits(args.premium, 6)
+        });
+        break;
+
+      case 'CoverageTransferred':
+        wsManager.notifyPolicyUpdate(event.address, 'transferred_out', args.from);
+        wsManager.notifyPolicyUpdate(event.address, 'transferred_in', args.to);
+        break;
+
+      case 'ClaimSubmitted':
+        wsManager.notifyClaimUpdate(args.claimId, 'pending', args.claimant);
+        notificationService.notify(args.claimant, NotificationTypes.CLAIM_SUBMITTED, { claimId: args.claimId });
+        break;
+
+      case 'ClaimStatusUpdated': {
+        const claim = db.data.indexedClaims.get(args.claimId);
+        const status = CLAIM_STATUSES[Number(args.status)];
+        if (claim) {
+          wsManager.notifyClaimUpdate(args.claimId, status, claim.claimant);
+
+          // Paid is announced by ClaimPaid, which carries the amount
+          if (status === 'approved') {
+            notificationService.notify(claim.claimant, NotificationTypes.CLAIM_APPROVED, { claimId: args.claimId });
+          } else if (status === 'rejected') {
+            notificationService.notify(claim.claimant, NotificationTypes.CLAIM_REJECTED, {
+              claimId: args.claimId,
+              reason: claim.rejectionReason || 'See claim details'
+            });
+          }
+        }
+        break;
+      }
+
+      case 'ClaimPaid':
+        wsManager.notifyClaimUpdate(args.claimId, 'paid', args.claimant);
+        notificationService.notify(args.claimant, NotificationTypes.CLAIM_PAID, {
+          claimId: args.claimId,
+          amount: ethers.formatUnits(args.amount, 6)
+        });
+        wsManager.notifyPool('claim_paid', {
+          claimId: args.claimId,
+          amount: ethers.formatUnits(args.amount, 6)
+        });
+        break;
+    }
+
+    wsManager.notifyAdmin('chain_event', {
+      contract: event.contract,
+      name: event.name,
+      args,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    });
+  }
+
+  dedupeBlocks(blocks) {
+    const byNumber = new Map();
+    for (const block of blocks) {
+      byNumber.set(block.number, block);
+    }
+    return Array.from(byNumber.values()).sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Whether the views have been populated at least once
+   */
+  isReady() {
+    return db.getIndexerState().lastBlock !== null;
+  }
+}
+
+module.exports = new EventIndexer();
@@ -0,0 +1,130 @@
+/**
+ * Evidence Service
+ * Pins claim evidence files to the content-addressed store and builds the
+ * manifest whose hash is recorded on-chain as the claim's evidence.
+ */
+
+const { evidenceStore, sha256, isSha256 } = require('./evidenceStore');
+
+const EVIDENCE_PREFIX = 'sha256:';
+
+class EvidenceService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Hash and store each file, then store the manifest describing them
+   * @param {Object} details - description, incidentDate, txHashes
+   * @param {Array} files - multer files (memory storage)
+   * @returns {Object} manifestHash, evidence reference for the chain, manifest
+   */
+  async pinClaimEvidence(details, files = []) {
+    const pinned = [];
+    for (const file of files) {
+      const { sha256: hash, uri } = await this.store.put(file.buffer);
+      pinned.push({
+        name: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: hash,
+        uri
+      });
+    }
+
+    const manifest = {
+      version: 1,
+      description: details.description,
+      incidentDate: details.incidentDate,
+      txHashes: details.txHashes || [],
+      files: pinned,
+      createdAt: new Date().toISOString()
+    };
+
+    const { sha256: manifestHash } = await this.store.put(Buffer.from(JSON.stringify(manifest)));
+
+    return {
+      manifestHash,
+      evidence: `${EVIDENCE_PREFIX}${manifestHash}`,
+      manifest
+    };
+  }
+
+  /**
+   * Extract the manifest hash from an on-chain evidence string (null for legacy evidence)
+   */
+  getManifestHash(evidence) {
+    if (typeof evidence !== 'string' || !evidence.startsWith(EVIDENCE_PREFIX)) {
+      return null;
+    }
+    const hash = evidence.slice(EVIDENCE_PREFIX.length);
+    return isSha256(hash) ? hash : null;
+  }
+
+  /**
+   * Load a manifest, returning null if it is missing or does not match its hash
+   */
+  async loadManifest(evidence) {
+    const manifestHash = this.getManifestHash(evidence);
+    if (!manifestHash) return null;
+
+    const bytes = await this.store.get(manifestHash);
+    if (!bytes || sha256(bytes) !== manifestHash) return null;
+
+    return JSON.parse(bytes.toString('utf8'));
+  }
+
+  /**
+   * Re-hash the manifest and every file it lists
+   * @param {string} evidence - Evidence string recorded for the claim
+   * @returns {Object} Verification report
+   */
+  async verify(evidence) {
+    const manifestHash = this.getManifestHash(evidence);
+    if (!manifestHash) {
+      return { legacy: true, verified: false, error: 'Evidence was recorded without an integrity manifest' };
+    }
+
+    const manifestBytes = await this.store.get(manifestHash);
+    if (!manifestBytes) {
+      return { manifestHash, verified: false, error: 'Evidence manifest not found' };
+    }
+    if (sha256(manifestBytes) !== manifestHash) {
+      return { manifestHash, verified: false, error: 'Evidence manifest hash mismatch' };
+    }
+
+    const manifest = JSON.parse(manifestBytes.toString('utf8'));
+    const files = [];
+    for (const file of manifest.files) {
+      const bytes = await this.store.get(file.sha256);
+      files.push({
+        ...file,
+        available: Boolean(bytes),
+        verified: Boolean(bytes) && sha256(bytes) === file.sha256
+      });
+    }
+
+    return {
+      manifestHash,
+      verified: files.every(f => f.verified),
+      manifest,
+      files
+    };
+  }
+
+  /**
+   * Get a file listed in a claim's manifest, verified against its hash
+   */
+  async getFile(evidence, fileHash) {
+    const manifest = await this.loadManifest(evidence);
+    const file = manifest?.files.find(f => f.sha256 === fileHash);
+    if (!file) return null;
+
+    const bytes = await this.store.get(fileHash);
+    if (!bytes || sha256(bytes) !== fileHash) return null;
+
+    return { ...file, bytes };
+  }
+}
+
+module.exports = new EvidenceService(evidenceStore);
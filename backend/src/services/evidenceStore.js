@@ -0,0 +1,151 @@
+/**
+ * Evidence Store
+ * Content-addressed storage for claim evidence. Every blob is addressed by the
+ * sha256 of its bytes, so a stored file cannot be swapped without changing its address.
+ *
+ * Stores implement:
+ *   put(buffer)  -> Promise<{ sha256, uri }>
+ *   get(sha256)  -> Promise<Buffer|null>
+ *   has(sha256)  -> Promise<boolean>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const isSha256 = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+
+/**
+ * Local filesystem store (default), sharded by the first two hex characters
+ */
+class LocalEvidenceStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  pathFor(hash) {
+    return path.join(this.rootDir, hash.slice(0, 2), hash);
+  }
+
+  async put(buffer) {
+    const hash = sha256(buffer);
+    const filePath = this.pathFor(hash);
+
+    if (!fs.existsSync(filePath)) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a partial blob at its final address
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, buffer);
+      await fs.promises.rename(tmpPath, filePath);
+    }
+
+    return { sha256: hash, uri: `sha256:${hash}` };
+  }
+
+  async get(hash) {
+    if (!isSha256(hash)) return null;
+
+    try {
+      return await fs.promises.readFile(this.pathFor(hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async has(hash) {
+    return isSha256(hash) && fs.existsSync(this.pathFor(hash));
+  }
+}
+
+/**
+ * IPFS-compatible store using the Kubo HTTP API (/api/v0/add, /api/v0/cat).
+ * Blobs are pinned on IPFS and a local sha256 -> CID index keeps them addressable by hash.
+ */
+class IpfsEvidenceStore {
+  constructor(apiUrl, indexPath) {
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.indexPath = indexPath;
+    this.index = null;
+  }
+
+  loadIndex() {
+    if (!this.index) {
+      this.index = fs.existsSync(this.indexPath)
+        ? JSON.parse(fs.readFileSync(this.indexPath, 'utf8'))
+        : {};
+    }
+    return this.index;
+  }
+
+  async saveIndex() {
+    await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+    await fs.promises.writeFile(this.indexPath, JSON.stringify(this.index, null, 2));
+  }
+
+  async put(buffer) {
+    const hash = sha256(buffer);
+    const index = this.loadIndex();
+
+    if (!index[hash]) {
+      const form = new FormData();
+      form.append('file', new Blob([buffer]));
+
+      const response = await fetch(`${this.apiUrl}/api/v0/add?pin=true&cid-version=1`, {
+        method: 'POST',
+        body: form
+      });
+      if (!response.ok) {
+        throw new Error(`IPFS add failed: ${response.status} ${response.statusText}`);
+      }
+
+      const { Hash } = await response.json();
+      index[hash] = Hash;
+      await this.saveIndex();
+    }
+
+    return { sha256: hash, uri: `ipfs://${index[hash]}` };
+  }
+
+  async get(hash) {
+    const cid = this.loadIndex()[hash];
+    if (!cid) return null;
+
+    const response = await fetch(`${this.apiUrl}/api/v0/cat?arg=${cid}`, { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(`IPFS cat failed: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async has(hash) {
+    return Boolean(this.loadIndex()[hash]);
+  }
+}
+
+/**
+ * Create the store configured by EVIDENCE_STORE (local | ipfs)
+ */
+const createEvidenceStore = () => {
+  const evidenceDir = process.env.EVIDENCE_DIR || path.join(__dirname, '../../uploads/evidence');
+
+  if (process.env.EVIDENCE_STORE === 'ipfs') {
+    return new IpfsEvidenceStore(
+      process.env.IPFS_API_URL || 'http://127.0.0.1:5001',
+      path.join(evidenceDir, 'ipfs-index.json')
+    );
+  }
+
+  return new LocalEvidenceStore(evidenceDir);
+};
+
+module.exports = {
+  evidenceStore: createEvidenceStore(),
+  createEvidenceStore,
+  LocalEvidenceStore,
+  IpfsEvidenceStore,
+  sha256,
+  isSha256
+};
@@ -0,0 +1,149 @@
+/**
+ * Schema migrations, applied in version order by Database.migrate().
+ * Never edit a released migration; add a new version instead.
+ *
+ * Documents are stored as JSON in `data`, with the fields the queries filter on
+ * copied into indexed columns.
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        wallet_address TEXT UNIQUE,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        holder_address TEXT,
+        user_address TEXT,
+        status TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_policies_holder ON policies (holder_address);
+      CREATE INDEX idx_policies_user ON policies (user_address);
+
+      CREATE TABLE claims (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claimant_address TEXT,
+        status TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_claims_claimant ON claims (claimant_address);
+      CREATE INDEX idx_claims_status ON claims (status);
+
+      CREATE TABLE notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT,
+        read INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_notifications_user ON notifications (user_address, read);
+
+      CREATE TABLE kyc_submissions (
+        id TEXT PRIMARY KEY,
+        status TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_kyc_status ON kyc_submissions (status);
+
+      CREATE TABLE analytics (
+        key TEXT PRIMARY KEY,
+        value REAL NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+
+      CREATE TABLE chain_events (
+        id TEXT PRIMARY KEY,
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_chain_events_block ON chain_events (block_number, log_index);
+
+      CREATE TABLE indexed_policies (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE indexed_claims (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE oracle_requests (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE escrow_transactions (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    `
+  },
+  {
+    version: 2,
+    name: 'role_assignments',
+    up: `
+      CREATE TABLE role_assignments (
+        address TEXT NOT NULL,
+        role TEXT NOT NULL,
+        granted_by TEXT,
+        granted_at TEXT NOT NULL,
+        PRIMARY KEY (address, role)
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'auth_sessions',
+    up: `
+      CREATE TABLE auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE refresh_tokens (
+        id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        address TEXT NOT NULL,
+        family_id TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        rotated_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+      CREATE INDEX idx_refresh_tokens_address ON refresh_tokens (address);
+
+      CREATE TABLE revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'ws_events',
+    up: `
+      CREATE TABLE ws_events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        topic TEXT NOT NULL,
+        address TEXT,
+        payload TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'relay_requests',
+    up: `
+      CREATE TABLE relay_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        address TEXT NOT NULL,
+        target TEXT NOT NULL,
+        selector TEXT NOT NULL,
+        tx_hash TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_relay_requests_address ON relay_requests (address, created_at);
+    `
+  }
+];
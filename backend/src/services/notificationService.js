@@ -0,0 +1,212 @@
+/**
+ * Notification Service
+ * Stores user notifications from typed templates and pushes them over the WebSocket.
+ * Claim, policy and KYC flows call this; the routes only read and manage the inbox.
+ */
+
+const contractService = require('./contractService');
+const { db } = require('./database');
+const { wsManager } = require('./websocket');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notification types and templates
+const NotificationTypes = {
+  POLICY_PURCHASED: 'policy_purchased',
+  POLICY_APPROVED: 'policy_approved',
+  POLICY_REJECTED: 'policy_rejected',
+  POLICY_CANCELLED: 'policy_cancelled',
+  POLICY_RENEWED: 'policy_renewed',
+  POLICY_EXPIRING: 'policy_expiring',
+  CLAIM_SUBMITTED: 'claim_submitted',
+  CLAIM_CLEARED: 'claim_cleared',
+  CLAIM_APPROVED: 'claim_approved',
+  CLAIM_REJECTED: 'claim_rejected',
+  CLAIM_PAID: 'claim_paid',
+  KYC_APPROVED: 'kyc_approved',
+  KYC_REJECTED: 'kyc_rejected',
+  PREMIUM_DUE: 'premium_due',
+  SYSTEM_UPDATE: 'system_update'
+};
+
+const NotificationTemplates = {
+  [NotificationTypes.POLICY_PURCHASED]: {
+    title: 'Policy Purchased Successfully',
+    message: 'Your insurance policy has been activated and is now providing coverage.'
+  },
+  [NotificationTypes.POLICY_APPROVED]: {
+    title: 'Policy Approved',
+    message: 'Your {policyType} policy has been approved and is now providing coverage.'
+  },
+  [NotificationTypes.POLICY_REJECTED]: {
+    title: 'Policy Rejected',
+    message: 'Your policy purchase was not approved. Reason: {reason}'
+  },
+  [NotificationTypes.POLICY_CANCELLED]: {
+    title: 'Policy Cancelled',
+    message: 'Your policy has been cancelled. Refund: {refund}'
+  },
+  [NotificationTypes.POLICY_RENEWED]: {
+    title: 'Policy Renewed',
+    message: 'Your policy has been renewed until {expiresAt}.'
+  },
+  [NotificationTypes.POLICY_EXPIRING]: {
+    title: 'Policy Expiring Soon',
+    message: 'Your insurance policy will expire in {days} days. Renew now to maintain coverage.'
+  },
+  [NotificationTypes.CLAIM_SUBMITTED]: {
+    title: 'Claim Submitted',
+    message: 'Your claim has been submitted and is under review. Claim ID: {claimId}'
+  },
+  [NotificationTypes.CLAIM_CLEARED]: {
+    title: 'Claim Cleared for Submission',
+    message: 'Your claim passed manual review. Submit it on-chain from the Claims page. Claim ID: {claimId}'
+  },
+  [NotificationTypes.CLAIM_APPROVED]: {
+    title: 'Claim Approved',
+    message: 'Great news! Your claim has been approved. Payment will be processed shortly.'
+  },
+  [NotificationTypes.CLAIM_REJECTED]: {
+    title: 'Claim Rejected',
+    message: 'Unfortunately, your claim has been rejected. Reason: {reason}'
+  },
+  [NotificationTypes.CLAIM_PAID]: {
+    title: 'Claim Payment Processed',
+    message: 'Your claim payment of {amount} has been processed and sent to your wallet.'
+  },
+  [NotificationTypes.KYC_APPROVED]: {
+    title: 'Identity Verified',
+    message: 'Your KYC verification has been approved.'
+  },
+  [NotificationTypes.KYC_REJECTED]: {
+    title: 'Identity Verification Failed',
+    message: 'Your KYC verification was rejected. Reason: {reason}'
+  },
+  [NotificationTypes.PREMIUM_DUE]: {
+    title: 'Premium Payment Due',
+    message: 'Your premium payment is due in {days} days. Pay now to avoid policy cancellation.'
+  },
+  [NotificationTypes.SYSTEM_UPDATE]: {
+    title: 'System Update',
+    message: 'The insurance system has been updated with new features and improvements.'
+  }
+};
+
+class NotificationService {
+  constructor() {
+    this.interval = null;
+  }
+
+  /**
+   * Store a notification and send it in real time
+   */
+  createNotification(userAddress, type, title, message, data = {}) {
+    const notification = db.createNotification({
+      userAddress: userAddress.toLowerCase(),
+      type,
+      title,
+      message,
+      data
+    });
+
+    wsManager.notifyNewNotification(notification, userAddress);
+
+    return notification;
+  }
+
+  /**
+   * Create a notification from its type's template
+   * @param {string} userAddress - Recipient
+   * @param {string} type - One of NotificationTypes
+   * @param {Object} [data] - Template values, stored with the notification
+   * @param {Object} [options]
+   * @param {string} [options.unique] - Data field that identifies the subject (e.g. 'claimId');
+   *   skipped if the user already has this type for the same value, since several flows
+   *   (route, finalizer, indexer) can report the same change
+   * @returns {Object|null} The notification, or null if skipped as a duplicate
+   */
+  createTypedNotification(userAddress, type, data = {}, { unique } = {}) {
+    const template = NotificationTemplates[type];
+    if (!template) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    if (unique && this.hasNotification(userAddress, type, unique, data[unique])) {
+      return null;
+    }
+
+    let message = template.message;
+
+    // Replace placeholders in message
+    Object.keys(data).forEach(key => {
+      message = message.replace(`{${key}}`, data[key]);
+    });
+
+    return this.createNotification(userAddress, type, template.title, message, data);
+  }
+
+  hasNotification(userAddress, type, field, value) {
+    return db.getNotificationsByUser(userAddress)
+      .some(n => n.type === type && String(n.data?.[field]) === String(value));
+  }
+
+  /**
+   * Same as createTypedNotification, but never throws; notifications must not
+   * fail the flow that triggers them
+   */
+  notify(userAddress, type, data, options) {
+    try {
+      return userAddress ? this.createTypedNotification(userAddress, type, data, options) : null;
+    } catch (error) {
+      console.error(`Failed to create ${type} notification:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Start the periodic expiring-policy check
+   * @param {number} intervalMs - How often to scan active policies
+   */
+  start(intervalMs = parseInt(process.env.POLICY_EXPIRY_CHECK_INTERVAL_MS || '3600000')) {
+    if (this.interval) return;
+
+    this.notifyExpiringPolicies();
+    this.interval = setInterval(() => this.notifyExpiringPolicies(), intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Send POLICY_EXPIRING once per policy term when it is within the notice window
+   * @param {number} noticeDays - Days before expiry to warn
+   */
+  notifyExpiringPolicies(noticeDays = parseInt(process.env.POLICY_EXPIRY_NOTICE_DAYS || '7')) {
+    const now = Date.now();
+
+    try {
+      for (const policy of db.data.policies.values()) {
+        if (policy.status !== 'approved' && policy.status !== 'active') continue;
+
+        const expiresAt = contractService.getPolicyExpiry(policy);
+        const remaining = expiresAt.getTime() - now;
+        if (remaining <= 0 || remaining > noticeDays * DAY_MS) continue;
+
+        // Keyed by term so a renewed policy is warned again before its next expiry
+        this.notify(policy.holderAddress || policy.userAddress, NotificationTypes.POLICY_EXPIRING, {
+          policyId: policy.id,
+          days: Math.ceil(remaining / DAY_MS),
+          expiresAt: expiresAt.toISOString(),
+          term: `${policy.id}:${expiresAt.toISOString()}`
+        }, { unique: 'term' });
+      }
+    } catch (error) {
+      console.error('Error checking expiring policies:', error);
+    }
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationTypes = NotificationTypes;
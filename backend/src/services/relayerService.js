@@ -0,0 +1,190 @@
+/**
+ * Relayer Service
+ * Pays gas for users by sending their EIP-712 signed requests through the
+ * TrustedForwarder. Only policy purchases and claim submissions are relayed,
+ * and each address gets a limited number of relays per rolling window.
+ */
+
+const { ethers } = require('ethers');
+const contractService = require('./contractService');
+const { db } = require('./database');
+
+// Must match the TrustedForwarder EIP-712 domain and ForwardRequest struct
+const FORWARDER_DOMAIN = { name: 'TrustedForwarder', version: '1' };
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Functions the relayer pays for, by target contract
+const RELAYABLE_FUNCTIONS = {
+  policy: ['purchasePolicy()', 'purchasePolicyWithPermit(uint256,uint8,bytes32,bytes32)'],
+  claimManager: ['submitClaim(address,uint256,string)']
+};
+
+const selectorOf = (signature) => ethers.id(signature).slice(0, 10);
+
+class RelayerService {
+  constructor() {
+    this.quota = parseInt(process.env.RELAY_QUOTA || '5');
+    this.windowMs = parseInt(process.env.RELAY_QUOTA_WINDOW_MS || '86400000');
+    this.maxGas = BigInt(process.env.RELAY_MAX_GAS || '1000000');
+  }
+
+  get forwarder() {
+    return contractService.contracts.TrustedForwarder || null;
+  }
+
+  /**
+   * Whether a forwarder is deployed and the backend has a funded signer to pay gas
+   */
+  isEnabled() {
+    return Boolean(this.forwarder && contractService.signer);
+  }
+
+  /**
+   * Relays used by an address in the current window
+   */
+  getQuota(address) {
+    const relays = db.getRelaysSince(address, Date.now() - this.windowMs);
+    return {
+      limit: this.quota,
+      used: relays.length,
+      remaining: Math.max(0, this.quota - relays.length),
+      resetsAt: relays.length > 0 ? new Date(relays[0].createdAt + this.windowMs).toISOString() : null
+    };
+  }
+
+  /**
+   * Everything a client needs to sign a request: forwarder domain, next nonce and quota
+   */
+  async getStatus(address) {
+    await contractService.initialize();
+
+    if (!this.isEnabled()) {
+      return { enabled: false, quota: this.getQuota(address) };
+    }
+
+    const [nonce, network] = await Promise.all([
+      this.forwarder.getNonce(address),
+      contractService.provider.getNetwork()
+    ]);
+
+    return {
+      enabled: true,
+      forwarder: this.forwarder.target,
+      chainId: Number(network.chainId),
+      nonce: nonce.toString(),
+      maxGas: this.maxGas.toString(),
+      quota: this.getQuota(address)
+    };
+  }
+
+  /**
+   * Signature of the relayable function a request calls (null if the relayer won't pay for it)
+   */
+  async getRelayedFunction(request) {
+    const selector = request.data.slice(0, 10).toLowerCase();
+    const { ClaimManager, PolicyFactory } = contractService.contracts;
+
+    let candidates = [];
+    if (ClaimManager && request.to.toLowerCase() === ClaimManager.target.toLowerCase()) {
+      candidates = RELAYABLE_FUNCTIONS.claimManager;
+    } else if (PolicyFactory && await PolicyFactory.isFactoryPolicy(request.to).catch(() => false)) {
+      candidates = RELAYABLE_FUNCTIONS.policy;
+    }
+
+    return candidates.find(signature => selectorOf(signature) === selector) || null;
+  }
+
+  /**
+   * Check a signed request, spend one quota slot and send it through the forwarder
+   * @param {string} address - Signed-in wallet; must be the request signer
+   * @param {Object} request - ForwardRequest fields (uint256 values as decimal strings)
+   * @param {string} signature - EIP-712 signature by request.from
+   * @returns {Object} Transaction hash, block number and relayed function
+   * @throws If the request is not relayable, fails verification, would revert or exceeds the quota
+   */
+  async relay(address, request, signature) {
+    await contractService.initialize();
+
+    if (!this.isEnabled()) {
+      throw new Error('Relayer is not available');
+    }
+
+    const req = {
+      from: ethers.getAddress(request.from),
+      to: ethers.getAddress(request.to),
+      value: BigInt(request.value),
+      gas: BigInt(request.gas),
+      nonce: BigInt(request.nonce),
+      deadline: BigInt(request.deadline),
+      data: ethers.hexlify(request.data)
+    };
+
+    if (req.from.toLowerCase() !== address.toLowerCase()) {
+      throw new Error('Request must be signed by the signed-in wallet');
+    }
+    if (req.value !== 0n) {
+      throw new Error('Relayed requests cannot send ETH');
+    }
+    if (req.gas > this.maxGas) {
+      throw new Error(`Requested gas exceeds ${this.maxGas}`);
+    }
+
+    const relayedFunction = await this.getRelayedFunction(req);
+    if (!relayedFunction) {
+      throw new Error('Function is not relayable');
+    }
+
+    if (!await this.forwarder.verify(req, signature)) {
+      throw new Error('Invalid, expired or already used request');
+    }
+
+    const forwarder = this.forwarder.connect(contractService.signer);
+
+    // Surface the target's revert reason instead of paying for a failing transaction
+    try {
+      await forwarder.execute.staticCall(req, signature);
+    } catch (error) {
+      throw new Error(`Request would revert: ${error.reason || error.shortMessage || error.message}`);
+    }
+
+    const relayId = db.reserveRelay(
+      { address, target: req.to, selector: req.data.slice(0, 10) },
+      Date.now() - this.windowMs,
+      this.quota
+    );
+    if (relayId === null) {
+      throw new Error('Relay quota exceeded');
+    }
+
+    let tx;
+    try {
+      tx = await forwarder.execute(req, signature);
+    } catch (error) {
+      db.releaseRelay(relayId);
+      throw error;
+    }
+    db.setRelayTxHash(relayId, tx.hash);
+
+    const receipt = await tx.wait();
+
+    return {
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      function: relayedFunction
+    };
+  }
+}
+
+module.exports = new RelayerService();
+module.exports.FORWARDER_DOMAIN = FORWARDER_DOMAIN;
+module.exports.FORWARD_REQUEST_TYPES = FORWARD_REQUEST_TYPES;
@@ -0,0 +1,95 @@
+/**
+ * Role Service
+ * Resolves a wallet's roles from on-chain state (contract owners, authorized insurers,
+ * claim reviewers and flaggers, multi-sig signers) plus grants stored in the role table
+ */
+
+const contractService = require('./contractService');
+const { db } = require('./database');
+
+const ROLES = {
+  ADMIN: 'admin',
+  INSURER: 'insurer',
+  CLAIMS_REVIEWER: 'claims_reviewer',
+  MULTISIG_SIGNER: 'multisig_signer',
+  KYC_OFFICER: 'kyc_officer'
+};
+
+class RoleService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTtlMs = parseInt(process.env.ROLE_CACHE_TTL_MS || '30000');
+  }
+
+  /**
+   * All roles held by an address, in ROLES order
+   * @param {string} address - Wallet address
+   * @returns {Promise<string[]>}
+   */
+  async getRoles(address) {
+    const key = address.toLowerCase();
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.roles;
+    }
+
+    const held = new Set([
+      ...db.getRoleAssignments(key).map(assignment => assignment.role),
+      ...(await this.getOnChainRoles(address))
+    ]);
+    const roles = Object.values(ROLES).filter(role => held.has(role));
+
+    this.cache.set(key, { roles, expiresAt: Date.now() + this.cacheTtlMs });
+    return roles;
+  }
+
+  async getOnChainRoles(address) {
+    await contractService.initialize();
+    const { PolicyFactory, PremiumPool, ClaimManager, MultiSigEscrow } = contractService.contracts;
+    const lower = address.toLowerCase();
+
+    // A missing contract or failed call grants nothing
+    const check = (contract, read) => (contract ? read(contract).catch(() => false) : false);
+    const isOwner = (contract) => check(contract, async c => (await c.owner()).toLowerCase() === lower);
+
+    const [ownsFactory, ownsPool, ownsClaims, insurer, reviewer, flagger, signer] = await Promise.all([
+      isOwner(PolicyFactory),
+      isOwner(PremiumPool),
+      isOwner(ClaimManager),
+      check(PolicyFactory, c => c.authorizedInsurers(address)),
+      contractService.isAppealReviewer(address).catch(() => false),
+      check(ClaimManager, c => c.claimFlaggers(address)),
+      check(MultiSigEscrow, c => c.signers(address))
+    ]);
+
+    const roles = [];
+    if (ownsFactory || ownsPool || ownsClaims || lower === process.env.ADMIN_ADDRESS?.toLowerCase()) {
+      roles.push(ROLES.ADMIN);
+    }
+    if (insurer) roles.push(ROLES.INSURER);
+    if (reviewer || flagger) roles.push(ROLES.CLAIMS_REVIEWER);
+    if (signer) roles.push(ROLES.MULTISIG_SIGNER);
+    return roles;
+  }
+
+  /**
+   * Whether the held roles satisfy any of the required ones (admins satisfy every role)
+   */
+  hasAnyRole(roles, required) {
+    return roles.includes(ROLES.ADMIN) || required.some(role => roles.includes(role));
+  }
+
+  grantRole(address, role, grantedBy) {
+    db.grantRole(address, role, grantedBy);
+    this.cache.delete(address.toLowerCase());
+  }
+
+  revokeRole(address, role) {
+    const revoked = db.revokeRole(address, role);
+    this.cache.delete(address.toLowerCase());
+    return revoked;
+  }
+}
+
+module.exports = new RoleService();
+module.exports.ROLES = ROLES;
@@ -0,0 +1,233 @@
+/**
+ * Session Service
+ * SIWE nonces, short-lived access tokens and rotating refresh tokens.
+ *
+ * - Nonces are random, bound to an address and chain, expire, and are consumed on use
+ * - Signatures verify for EOAs and, via EIP-1271, for contract wallets
+ * - Refresh tokens are opaque and stored hashed; each use rotates the token, and
+ *   presenting an already-rotated token revokes its whole family (token theft)
+ * - Logged-out access tokens are kept on a revocation list until they expire
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('./database');
+const contractService = require('./contractService');
+const siwe = require('./siwe');
+const { verifySignature } = require('./signatureVerifier');
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const SIWE_STATEMENT = 'Sign in to Crypto Insurance.';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const resolveJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  console.warn('⚠️  JWT_SECRET not set; using a random secret, sessions end when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+class SessionService {
+  constructor() {
+    this.jwtSecret = resolveJwtSecret();
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtlMs = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7') * 24 * 60 * 60 * 1000;
+
+    const frontendUrl = new URL(process.env.FRONTEND_URL || 'http://localhost:5173');
+    this.domain = process.env.SIWE_DOMAIN || frontendUrl.host;
+    this.uri = process.env.SIWE_URI || frontendUrl.origin;
+    this.chainIds = (process.env.SIWE_CHAIN_IDS || process.env.VITE_CHAIN_ID || '1337')
+      .split(',')
+      .map(id => Number(id.trim()))
+      .filter(Boolean);
+  }
+
+  /**
+   * Issue a nonce and the SIWE message the wallet should sign
+   * @param {string} address - Wallet address
+   * @param {number} [chainId] - Chain the wallet is on (defaults to the first allowed chain)
+   */
+  createChallenge(address, chainId = this.chainIds[0]) {
+    if (!this.chainIds.includes(chainId)) {
+      throw new Error('Unsupported chain ID');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+    db.saveNonce({ nonce, address, chainId, expiresAt: expiresAt.getTime() });
+
+    const message = siwe.buildMessage({
+      domain: this.domain,
+      address,
+      statement: SIWE_STATEMENT,
+      uri: this.uri,
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    });
+
+    return { nonce, message, issuedAt: issuedAt.toISOString(), expirationTime: expiresAt.toISOString() };
+  }
+
+  /**
+   * Verify a signed SIWE message and consume its nonce
+   * @returns {Promise<Object>} Parsed message fields
+   * @throws {Error} with a client-safe message if the sign-in is invalid
+   */
+  async verifySignIn(message, signature) {
+    const fields = siwe.parseMessage(message);
+
+    const problem = siwe.validateFields(fields, { domain: this.domain, chainIds: this.chainIds });
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    // Consume before checking the signature so a nonce is never tried twice
+    const stored = db.consumeNonce(fields.nonce);
+    if (!stored || stored.expiresAt <= Date.now()) {
+      throw new Error('Nonce not found or expired. Please request a new nonce.');
+    }
+    if (stored.address !== fields.address.toLowerCase() || stored.chainId !== fields.chainId) {
+      throw new Error('Nonce was issued for a different account or chain');
+    }
+
+    const { valid, reason } = await verifySignature({
+      address: fields.address,
+      message,
+      signature,
+      provider: await this.getProviderForChain(fields.chainId)
+    });
+    if (!valid) {
+      throw new Error(`Invalid signature - ${reason}`);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Provider for EIP-1271 checks, only if it is connected to the signed chain
+   * @returns {Promise<Object|null>}
+   */
+  async getProviderForChain(chainId) {
+    await contractService.initialize();
+    if (!contractService.provider) {
+      return null;
+    }
+
+    try {
+      const network = await contractService.provider.getNetwork();
+      return Number(network.chainId) === chainId ? contractService.provider : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Issue an access token and a new refresh token family
+   */
+  issueSession(address, roles = []) {
+    return this.issueTokens(address.toLowerCase(), roles, crypto.randomUUID());
+  }
+
+  issueTokens(address, roles, familyId) {
+    const jti = crypto.randomUUID();
+    const accessToken = jwt.sign(
+      { address, roles, timestamp: Date.now() },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtl, jwtid: jti }
+    );
+
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const refreshExpiresAt = Date.now() + this.refreshTokenTtlMs;
+    db.createRefreshToken({
+      id: crypto.randomUUID(),
+      tokenHash: sha256(refreshToken),
+      address,
+      familyId,
+      expiresAt: refreshExpiresAt
+    });
+
+    const { exp } = jwt.decode(accessToken);
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      refreshExpiresAt: new Date(refreshExpiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair
+   * @param {string} refreshToken
+   * @param {Function} getRoles - Resolves the address's current roles
+   */
+  async rotateRefreshToken(refreshToken, getRoles) {
+    const stored = typeof refreshToken === 'string' ? db.getRefreshToken(sha256(refreshToken)) : null;
+    if (!stored || stored.revokedAt) {
+      throw new Error('Invalid refresh token');
+    }
+    if (stored.rotatedAt) {
+      db.revokeRefreshFamily(stored.familyId);
+      throw new Error('Refresh token reuse detected; session revoked');
+    }
+    if (stored.expiresAt <= Date.now()) {
+      throw new Error('Refresh token expired');
+    }
+
+    // Mark first so a concurrent request with the same token is treated as reuse
+    db.markRefreshTokenRotated(stored.id);
+    const roles = await getRoles(stored.address);
+    return { address: stored.address, roles, ...this.issueTokens(stored.address, roles, stored.familyId) };
+  }
+
+  /**
+   * Verify an access token's signature, expiry and revocation
+   * @returns {Object} Decoded token
+   * @throws {Error} if the token is invalid or revoked
+   */
+  verifyAccessToken(token) {
+    const decoded = jwt.verify(token, this.jwtSecret);
+
+    if (!decoded.jti || db.isAccessTokenRevoked(decoded.jti)) {
+      throw new Error('Token revoked');
+    }
+    const revokedBefore = db.getMeta(`sessionsRevokedBefore:${decoded.address}`);
+    if (revokedBefore && decoded.timestamp <= revokedBefore) {
+      throw new Error('Token revoked');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Log out one session: revoke its access token and refresh token family
+   */
+  revokeSession(decoded, refreshToken) {
+    db.revokeAccessToken(decoded.jti, decoded.exp * 1000);
+
+    const stored = typeof refreshToken === 'string' ? db.getRefreshToken(sha256(refreshToken)) : null;
+    if (stored && stored.address === decoded.address) {
+      db.revokeRefreshFamily(stored.familyId);
+    }
+  }
+
+  /**
+   * Log out everywhere: revoke every refresh token and access tokens issued until now
+   */
+  revokeAllSessions(address) {
+    const lower = address.toLowerCase();
+    db.setMeta(`sessionsRevokedBefore:${lower}`, Date.now());
+    return db.revokeRefreshTokensByAddress(lower);
+  }
+}
+
+module.exports = new SessionService();
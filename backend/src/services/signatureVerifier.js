@@ -0,0 +1,65 @@
+/**
+ * Signature Verifier
+ * Verifies personal_sign (EIP-191) signatures for both EOAs and smart-contract
+ * wallets. Contract wallets such as Safe are checked on-chain via EIP-1271.
+ */
+
+const { ethers } = require('ethers');
+
+// bytes4(keccak256("isValidSignature(bytes32,bytes)"))
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+const MISMATCH = 'Signature does not match the address';
+const CONTRACT_CHECK_FAILED = 'Could not verify contract wallet signature';
+
+/**
+ * Check that `signature` over `message` was produced by `address`
+ * @param {Object} params
+ * @param {string} params.address - Claimed signer (EOA or contract wallet)
+ * @param {string} params.message - Message as passed to personal_sign
+ * @param {string} params.signature - Hex signature
+ * @param {Object} [params.provider] - Provider for EIP-1271 checks; without one only EOAs verify
+ * @returns {Promise<{valid: boolean, reason?: string}>} `reason` says why an invalid signature failed
+ */
+const verifySignature = async ({ address, message, signature, provider }) => {
+  if (!ethers.isAddress(address) || !ethers.isHexString(signature)) {
+    return { valid: false, reason: 'Malformed address or signature' };
+  }
+
+  // EOA: plain ECDSA recovery, no RPC needed
+  try {
+    if (ethers.verifyMessage(message, signature) === ethers.getAddress(address)) {
+      return { valid: true };
+    }
+  } catch {
+    // Not a 65-byte ECDSA signature; may still be a contract wallet signature
+  }
+
+  if (!provider) {
+    return { valid: false, reason: MISMATCH };
+  }
+
+  try {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+      return { valid: false, reason: MISMATCH };
+    }
+
+    const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+    const result = await wallet.isValidSignature(ethers.hashMessage(message), signature);
+    return result.toLowerCase() === ERC1271_MAGIC_VALUE
+      ? { valid: true }
+      : { valid: false, reason: 'Contract wallet rejected the signature' };
+  } catch (error) {
+    // Reverts mean "invalid"; RPC failures can't prove a signature either. The detail may
+    // carry RPC internals, so it stays in the server log and the caller gets a fixed reason
+    console.warn(`EIP-1271 check failed for ${address}:`, error.shortMessage || error.message);
+    return { valid: false, reason: CONTRACT_CHECK_FAILED };
+  }
+};
+
+module.exports = {
+  ERC1271_MAGIC_VALUE,
+  verifySignature
+};
@@ -0,0 +1,167 @@
+/**
+ * Sign-In with Ethereum (EIP-4361)
+ * Builds, parses and validates SIWE messages. Signature recovery and nonce
+ * bookkeeping live in the session service.
+ */
+
+const { ethers } = require('ethers');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Message field labels in the order EIP-4361 lists them
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+// Allowed clock skew when checking issuedAt / notBefore
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Render a SIWE message
+ * @param {Object} fields - domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime, ...
+ * @returns {string}
+ */
+const buildMessage = (fields) => {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(fields.address),
+    ''
+  ];
+  if (fields.statement) {
+    lines.push(fields.statement);
+  }
+  lines.push('');
+
+  for (const [key, label] of FIELDS) {
+    const value = key === 'version' ? fields.version || '1' : fields[key];
+    if (value !== undefined && value !== null) {
+      lines.push(`${label}: ${value}`);
+    }
+  }
+
+  if (fields.resources?.length) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse a SIWE message back into its fields
+ * @throws {Error} if the message is not a well-formed EIP-4361 message
+ */
+const parseMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('SIWE message must be a string');
+  }
+
+  const lines = message.split('\n');
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message header');
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1]
+  };
+  if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+    throw new Error('SIWE address must be EIP-55 checksummed');
+  }
+  if (lines[2] !== '') {
+    throw new Error('Invalid SIWE message layout');
+  }
+
+  // Optional statement is followed by a blank line
+  let index = 3;
+  if (lines[index] !== '') {
+    fields.statement = lines[index];
+    index++;
+  }
+  if (lines[index] !== '') {
+    throw new Error('Invalid SIWE message layout');
+  }
+  index++;
+
+  const labels = new Map(FIELDS.map(([key, label]) => [label, key]));
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = labels.get(line.slice(0, separator));
+    if (separator < 0 || !key || fields[key] !== undefined) {
+      throw new Error(`Unexpected SIWE field: ${line}`);
+    }
+    fields[key] = line.slice(separator + 2);
+  }
+
+  for (const key of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[key]) {
+      throw new Error(`SIWE message missing ${key}`);
+    }
+  }
+  if (fields.version !== '1') {
+    throw new Error('Unsupported SIWE version');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Invalid SIWE nonce');
+  }
+  fields.chainId = Number(fields.chainId);
+
+  return fields;
+};
+
+/**
+ * Check a parsed message against what this server expects
+ * @param {Object} fields - Output of parseMessage
+ * @param {Object} expected - domain, chainIds, now
+ * @returns {string|null} Reason the message is not acceptable, or null
+ */
+const validateFields = (fields, { domain, chainIds, now = Date.now() }) => {
+  if (fields.domain !== domain) {
+    return 'SIWE domain mismatch';
+  }
+
+  let uriHost;
+  try {
+    uriHost = new URL(fields.uri).host;
+  } catch {
+    return 'Invalid SIWE URI';
+  }
+  if (uriHost !== domain) {
+    return 'SIWE URI does not match domain';
+  }
+
+  if (!chainIds.includes(fields.chainId)) {
+    return 'Unsupported chain ID';
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) {
+    return 'Invalid SIWE issuedAt';
+  }
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+    return 'SIWE message expired';
+  }
+  if (fields.notBefore && !(Date.parse(fields.notBefore) <= now + CLOCK_SKEW_MS)) {
+    return 'SIWE message not yet valid';
+  }
+
+  return null;
+};
+
+module.exports = {
+  buildMessage,
+  parseMessage,
+  validateFields
+};
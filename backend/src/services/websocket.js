@@ -1,44 +1,84 @@
+/**
+ * WebSocket Manager
+ * Pushes claim, policy, notification, admin and pool events to connected clients.
+ *
+ * - The handshake requires the same access token as the REST API (`?token=` or
+ *   an Authorization header); sockets close when the token expires unless the
+ *   client re-authenticates with a refreshed one
+ * - An address may have several sockets open (one per tab), each with its own topics
+ * - Every published event gets a sequence number and is kept in the database, so a
+ *   reconnecting client can replay what it missed with `subscribe { since }`
+ */
+
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
+const sessionService = require('./sessionService');
+const roleService = require('./roleService');
+const { db } = require('./database');
+
+const { ROLES } = roleService;
+
+const TOPICS = ['claims', 'policies', 'notifications', 'admin', 'pool'];
+const DEFAULT_TOPICS = ['claims', 'policies', 'notifications'];
+
+// Roles allowed to subscribe to a topic (unlisted topics are open to any signed-in user)
+const TOPIC_ROLES = {
+  admin: Object.values(ROLES)
+};
+
+// Close codes in the 4000-4999 application range
+const CLOSE_UNAUTHORIZED = 4001;
+
+// setTimeout overflows past 2^31 - 1 ms
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 class WebSocketManager {
   constructor() {
     this.clients = new Map();
     this.wss = null;
+    this.replayLimit = parseInt(process.env.WS_REPLAY_LIMIT || '1000');
   }
 
   setupWebSocketServer(server) {
-    this.wss = new WebSocket.Server({ 
+    this.wss = new WebSocket.Server({
       server,
       path: '/ws',
-      verifyClient: (info) => {
-        // Basic verification - in production, add proper auth
-        return true;
+      verifyClient: (info, done) => {
+        try {
+          info.req.user = sessionService.verifyAccessToken(this.getHandshakeToken(info.req));
+          done(true);
+        } catch (error) {
+          done(false, 401, 'Unauthorized');
+        }
       }
     });
 
     this.wss.on('connection', (ws, req) => {
-      console.log('New WebSocket connection');
+      const client = this.addClient(ws, req.user);
+      console.log(`WebSocket connected: ${client.address} (${this.clients.get(client.address).size} open)`);
+
+      ws.send(JSON.stringify({
+        type: 'welcome',
+        address: client.address,
+        seq: db.getWsSeqRange().last,
+        topics: TOPICS
+      }));
 
       ws.on('message', (message) => {
+        let data;
         try {
-          const data = JSON.parse(message);
-          this.handleMessage(ws, data);
+          data = JSON.parse(message);
         } catch (error) {
-          console.error('Invalid WebSocket message:', error);
           ws.send(JSON.stringify({ error: 'Invalid message format' }));
+          return;
         }
+        this.handleMessage(client, data).catch(error => {
+          console.error('WebSocket message error:', error);
+          ws.send(JSON.stringify({ error: 'Failed to handle message' }));
+        });
       });
 
       ws.on('close', () => {
-        // Remove client from active connections
-        for (const [address, client] of this.clients) {
-          if (client.ws === ws) {
-            this.clients.delete(address);
-            console.log(`Client ${address} disconnected`);
-            break;
-          }
-        }
+        this.removeClient(client);
       });
 
       ws.on('error', (error) => {
@@ -49,121 +89,203 @@ class WebSocketManager {
     console.log('WebSocket server setup complete');
   }
 
-  handleMessage(ws, data) {
+  getHandshakeToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authHeader.substring(7);
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  }
+
+  addClient(ws, decoded) {
+    const client = {
+      ws,
+      address: decoded.address,
+      topics: new Set(),
+      connectedAt: Date.now()
+    };
+    this.setTokenExpiry(client, decoded);
+
+    if (!this.clients.has(client.address)) {
+      this.clients.set(client.address, new Set());
+    }
+    this.clients.get(client.address).add(client);
+    return client;
+  }
+
+  removeClient(client) {
+    clearTimeout(client.expiryTimer);
+
+    const sockets = this.clients.get(client.address);
+    if (sockets) {
+      sockets.delete(client);
+      if (sockets.size === 0) {
+        this.clients.delete(client.address);
+      }
+    }
+    console.log(`WebSocket disconnected: ${client.address}`);
+  }
+
+  /**
+   * Close the socket when its access token expires
+   */
+  setTokenExpiry(client, decoded) {
+    clearTimeout(client.expiryTimer);
+    client.expiryTimer = setTimeout(() => {
+      client.ws.close(CLOSE_UNAUTHORIZED, 'Token expired');
+    }, Math.min(decoded.exp * 1000 - Date.now(), MAX_TIMER_MS));
+  }
+
+  async handleMessage(client, data) {
     switch (data.type) {
       case 'auth':
-        this.authenticateClient(ws, data);
+        await this.reauthenticate(client, data);
         break;
       case 'subscribe':
-        this.subscribeToUpdates(ws, data);
+        await this.subscribe(client, data);
+        break;
+      case 'unsubscribe':
+        this.unsubscribe(client, data);
         break;
       case 'ping':
-        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        client.ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
         break;
       default:
-        ws.send(JSON.stringify({ error: 'Unknown message type' }));
+        client.ws.send(JSON.stringify({ error: 'Unknown message type' }));
     }
   }
 
-  authenticateClient(ws, data) {
+  /**
+   * Extend a socket's session with a refreshed access token for the same address.
+   * Role-gated topics are re-checked so revoked staff stop receiving them.
+   */
+  async reauthenticate(client, data) {
+    let decoded;
     try {
-      const { walletAddress, signature } = data;
-      
-      // In production, verify the signature properly
-      if (walletAddress && signature) {
-        this.clients.set(walletAddress, {
-          ws,
-          address: walletAddress,
-          authenticated: true,
-          connectedAt: Date.now()
-        });
+      decoded = sessionService.verifyAccessToken(data.token);
+    } catch (error) {
+      client.ws.send(JSON.stringify({ type: 'auth_error', message: 'Invalid token' }));
+      return;
+    }
+
+    if (decoded.address !== client.address) {
+      client.ws.send(JSON.stringify({ type: 'auth_error', message: 'Token is for a different address' }));
+      return;
+    }
 
-        ws.send(JSON.stringify({
-          type: 'auth_success',
-          message: 'Successfully authenticated'
-        }));
+    this.setTokenExpiry(client, decoded);
 
-        console.log(`Client ${walletAddress} authenticated`);
-      } else {
-        ws.send(JSON.stringify({
-          type: 'auth_error',
-          message: 'Invalid authentication data'
-        }));
+    const roles = await roleService.getRoles(client.address).catch(() => []);
+    for (const topic of client.topics) {
+      if (TOPIC_ROLES[topic] && !roleService.hasAnyRole(roles, TOPIC_ROLES[topic])) {
+        client.topics.delete(topic);
       }
-    } catch (error) {
-      console.error('Authentication error:', error);
-      ws.send(JSON.stringify({
-        type: 'auth_error',
-        message: 'Authentication failed'
-      }));
     }
+
+    client.ws.send(JSON.stringify({ type: 'auth_success', message: 'Session extended', topics: [...client.topics] }));
   }
 
-  subscribeToUpdates(ws, data) {
-    const { topics } = data;
-    const client = this.getClientByWs(ws);
-    
-    if (client) {
-      client.subscriptions = topics || ['claims', 'policies', 'notifications'];
-      ws.send(JSON.stringify({
-        type: 'subscription_success',
-        topics: client.subscriptions
-      }));
+  /**
+   * Add topics to a socket, then replay stored events after `since` if given
+   */
+  async subscribe(client, data) {
+    const requested = Array.isArray(data.topics) && data.topics.length > 0 ? data.topics : DEFAULT_TOPICS;
+
+    const unknown = requested.filter(topic => !TOPICS.includes(topic));
+    if (unknown.length > 0) {
+      client.ws.send(JSON.stringify({ type: 'subscription_error', message: `Unknown topics: ${unknown.join(', ')}` }));
+      return;
     }
-  }
 
-  getClientByWs(ws) {
-    for (const [address, client] of this.clients) {
-      if (client.ws === ws) {
-        return client;
+    const denied = [];
+    const roles = await roleService.getRoles(client.address).catch(() => []);
+    for (const topic of requested) {
+      if (TOPIC_ROLES[topic] && !roleService.hasAnyRole(roles, TOPIC_ROLES[topic])) {
+        denied.push(topic);
+      } else {
+        client.topics.add(topic);
       }
     }
-    return null;
+
+    client.ws.send(JSON.stringify({
+      type: 'subscription_success',
+      topics: [...client.topics],
+      denied
+    }));
+
+    if (Number.isInteger(data.since) && data.since >= 0) {
+      this.replay(client, data.since);
+    }
   }
 
-  // Broadcast methods
-  broadcastToUser(userAddress, message) {
-    const client = this.clients.get(userAddress);
-    if (client && client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify(message));
+  unsubscribe(client, data) {
+    for (const topic of data.topics || []) {
+      client.topics.delete(topic);
     }
+    client.ws.send(JSON.stringify({ type: 'subscription_success', topics: [...client.topics], denied: [] }));
   }
 
-  broadcastToAll(message) {
-    for (const [address, client] of this.clients) {
-      if (client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(JSON.stringify(message));
+  /**
+   * Resend events the client missed; `truncated` means older ones were already pruned
+   */
+  replay(client, since) {
+    const { first, last } = db.getWsSeqRange();
+    const events = db.getWsEventsSince(since, client.address, [...client.topics]);
+
+    for (const event of events) {
+      client.ws.send(JSON.stringify(event));
+    }
+    client.ws.send(JSON.stringify({
+      type: 'replay_complete',
+      count: events.length,
+      seq: last,
+      truncated: first > since + 1
+    }));
+  }
+
+  /**
+   * Record an event and deliver it to subscribed sockets
+   * @param {string} topic - One of TOPICS
+   * @param {string} type - Message type, e.g. 'claim_update'
+   * @param {Object} data - Message payload
+   * @param {string|null} [userAddress] - Recipient; null sends to every subscriber of the topic
+   * @returns {number} Sequence number
+   */
+  publish(topic, type, data, userAddress = null) {
+    const address = userAddress ? userAddress.toLowerCase() : null;
+    const payload = { type, data, timestamp: Date.now() };
+    const seq = db.appendWsEvent({ topic, address, payload }, this.replayLimit);
+    const message = JSON.stringify({ seq, topic, ...payload });
+
+    const recipients = address ? [this.clients.get(address) || []] : this.clients.values();
+    for (const sockets of recipients) {
+      for (const client of sockets) {
+        if (client.topics.has(topic) && client.ws.readyState === WebSocket.OPEN) {
+          client.ws.send(message);
+        }
       }
     }
+    return seq;
   }
 
   notifyClaimUpdate(claimId, status, userAddress) {
-    this.broadcastToUser(userAddress, {
-      type: 'claim_update',
-      data: {
-        claimId,
-        status,
-        timestamp: Date.now()
-      }
-    });
+    return this.publish('claims', 'claim_update', { claimId, status, timestamp: Date.now() }, userAddress);
   }
 
   notifyPolicyUpdate(policyId, status, userAddress) {
-    this.broadcastToUser(userAddress, {
-      type: 'policy_update',
-      data: {
-        policyId,
-        status,
-        timestamp: Date.now()
-      }
-    });
+    return this.publish('policies', 'policy_update', { policyId, status, timestamp: Date.now() }, userAddress);
   }
 
   notifyNewNotification(notification, userAddress) {
-    this.broadcastToUser(userAddress, {
-      type: 'new_notification',
-      data: notification
-    });
+    return this.publish('notifications', 'new_notification', notification, userAddress);
+  }
+
+  notifyAdmin(type, data) {
+    return this.publish('admin', type, data);
+  }
+
+  notifyPool(type, data) {
+    return this.publish('pool', type, data);
   }
 
   getConnectedClients() {
@@ -171,7 +293,11 @@ class WebSocketManager {
   }
 
   getClientCount() {
-    return this.clients.size;
+    let count = 0;
+    for (const sockets of this.clients.values()) {
+      count += sockets.size;
+    }
+    return count;
   }
 }
 
@@ -181,4 +307,4 @@ const setupWebSocketServer = (server) => {
   wsManager.setupWebSocketServer(server);
 };
 
-module.exports = { wsManager, setupWebSocketServer };
\ No newline at end of file
+module.exports = { wsManager, setupWebSocketServer, TOPICS };
@@ -2,7 +2,9 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./Timelocked.sol";
+import "./ForwarderRecipient.sol";
 import "./PremiumPool.sol";
 import "./Policy.sol";
 import "./MockOracle.sol";
@@ -13,11 +15,24 @@ import "./MultiSigEscrow.sol";
  * @dev Manages insurance claim lifecycle with oracle verification
  * Invariants:
  * - Claims require valid policy and oracle verification
- * - High-value claims require multi-sig approval
- * - Claim amounts cannot exceed policy coverage
+ * - Verified claims stay Investigating for INVESTIGATION_PERIOD; unflagged claims can then be finalized by anyone
+ * - High-value claims are paid into MultiSigEscrow and released only on signer approval; their payout stays
+ *   reserved until then, and if the signers cancel, the funds return to the pool and the claim is rejected
+ * - Claim amounts cannot exceed remaining coverage; pending payouts are reserved against it
+ * - Payouts are net of the policy deductible and co-insurance
+ * - Parametric triggers pay each covered holder at most once per event
+ * - Oracle replacement goes through the timelock once set
+ * - Rejections record a reason; a rejected claim can be appealed once, with a bond, within the appeal window
+ * - Claims are rejected by the owner, claim flaggers or appeal reviewers; whoever rejected a claim cannot vote on its appeal
+ * - Appeals are decided by appeal reviewers or multi-sig signers; a dismissed appeal forfeits the bond to the pool
+ * - An appealed claim's payout stays reserved against the holder's coverage until the appeal is decided
+ * - Claims may be submitted through the trusted forwarder (set via the timelock); the claimant is the request signer
  */
-contract ClaimManager is ReentrancyGuard, Ownable {
-    enum ClaimStatus { Pending, Investigating, Approved, Rejected, Paid }
+contract ClaimManager is ReentrancyGuard, Timelocked, ForwarderRecipient {
+    using SafeERC20 for IERC20;
+    
+    enum ClaimStatus { Pending, Investigating, Approved, Rejected, Paid, Appealed }
+    enum AppealStatus { None, Filed, Upheld, Dismissed }
     
     struct Claim {
         bytes32 id;
@@ -32,21 +47,67 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         address assignedOracle;
     }
     
+    struct Appeal {
+        string grounds;
+        address token;
+        uint256 bond;
+        uint256 filedAt;
+        uint256 upholdVotes;
+        uint256 dismissVotes;
+        AppealStatus status;
+    }
+    
     mapping(bytes32 => Claim) public claims;
     mapping(address => bytes32[]) public claimantClaims;
     bytes32[] public allClaims;
     
+    // Parametric trigger processing: next holdersList index and per-holder payout guard
+    mapping(bytes32 => uint256) public triggerCursor;
+    mapping(bytes32 => bool) public triggerCompleted;
+    mapping(bytes32 => mapping(address => bool)) public triggerPaid;
+    
+    // High-value claims awaiting signer approval: claimId => MultiSigEscrow transaction
+    mapping(bytes32 => bytes32) public escrowTransactions;
+    
+    // Investigation window per verified claim, and flags raised by admins or the fraud service
+    mapping(bytes32 => uint256) public investigationEndsAt;
+    mapping(bytes32 => bool) public flaggedClaims;
+    mapping(address => bool) public claimFlaggers;
+    
+    // Rejection reasons and appeals of rejected claims
+    mapping(bytes32 => string) public rejectionReasons;
+    mapping(bytes32 => address) public rejectedBy;
+    mapping(bytes32 => Appeal) public appeals;
+    mapping(bytes32 => mapping(address => bool)) public appealVoted;
+    mapping(address => bool) public appealReviewers;
+    
     PremiumPool public premiumPool;
     MockOracle public oracle;
     MultiSigEscrow public multiSigEscrow;
     
-    uint256 public constant HIGH_VALUE_THRESHOLD = 10000 * 10**18; // 10k tokens
+    uint256 public constant HIGH_VALUE_THRESHOLD = 10000 * 10**6; // 10k USDT/USDC (6 decimals)
     uint256 public constant INVESTIGATION_PERIOD = 7 days;
+    uint256 public constant APPEAL_WINDOW = 14 days;
+    uint256 public constant MAX_APPEAL_BOND_BPS = 5000;
+    
+    uint256 public appealBondBps = 500; // 5% of the claimed amount
+    uint256 public appealQuorum = 1;
     
     event ClaimSubmitted(bytes32 indexed claimId, address indexed claimant, uint256 amount);
     event ClaimStatusUpdated(bytes32 indexed claimId, ClaimStatus status);
     event ClaimPaid(bytes32 indexed claimId, address indexed claimant, uint256 amount);
     event OracleVerificationRequested(bytes32 indexed claimId, address indexed oracle);
+    event ParametricPayout(bytes32 indexed eventId, address indexed holder, bytes32 claimId, uint256 amount);
+    event ParametricTriggerCompleted(bytes32 indexed eventId, address indexed policyAddress);
+    event ClaimEscrowed(bytes32 indexed claimId, bytes32 indexed txId, uint256 amount);
+    event ClaimRejected(bytes32 indexed claimId, string reason);
+    event ClaimFlagged(bytes32 indexed claimId, address indexed flagger, string reason);
+    event ClaimFlaggerUpdated(address indexed flagger, bool enabled);
+    event AppealFiled(bytes32 indexed claimId, address indexed claimant, uint256 bond, string grounds);
+    event AppealVoted(bytes32 indexed claimId, address indexed reviewer, bool uphold);
+    event AppealResolved(bytes32 indexed claimId, bool upheld);
+    event AppealReviewerUpdated(address indexed reviewer, bool enabled);
+    event AppealTermsUpdated(uint256 bondBps, uint256 quorum);
     
     modifier validClaim(bytes32 claimId) {
         require(claims[claimId].id != bytes32(0), "Claim does not exist");
@@ -63,13 +124,22 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         multiSigEscrow = MultiSigEscrow(_multiSigEscrow);
     }
     
+    /**
+     * @dev Set the ERC-2771 forwarder allowed to submit claims on behalf of holders
+     * @param forwarder Forwarder address, or address(0) to disable relayed claims
+     * Pre: Owner until a timelock is set, afterwards only the timelock
+     */
+    function setTrustedForwarder(address forwarder) external onlyTimelocked {
+        _setTrustedForwarder(forwarder);
+    }
+    
     /**
      * @dev Submit insurance claim
      * @param policyAddress Address of policy contract
      * @param amount Claim amount
-     * @param evidence IPFS hash or evidence string
-     * Pre: Valid active policy, amount <= coverage
-     * Post: Claim created and pending investigation
+     * @param evidence Evidence manifest reference (sha256:<hex> of the content-addressed manifest)
+     * Pre: Caller owns an active coverage certificate of the policy, amount <= remaining coverage
+     * Post: Claim created and pending investigation, net payout reserved against the limit
      */
     function submitClaim(
         address policyAddress,
@@ -80,14 +150,19 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         require(amount > 0, "Amount must be positive");
         require(bytes(evidence).length > 0, "Evidence required");
         
+        address claimant = _msgSender();
         Policy policy = Policy(policyAddress);
-        require(policy.isPolicyActive(msg.sender), "Policy not active");
+        require(policy.isPolicyActive(claimant), "Policy not active");
+        require(policy.parametricPayout() == 0, "Parametric policy pays on trigger");
         
-        uint256 coverage = policy.getCoverage(msg.sender);
+        uint256 coverage = policy.getCoverage(claimant);
         require(amount <= coverage, "Amount exceeds coverage");
         
+        uint256 payout = policy.calculatePayout(amount);
+        require(payout > 0, "Amount within deductible");
+        
         bytes32 claimId = keccak256(abi.encodePacked(
-            msg.sender,
+            claimant,
             policyAddress,
             amount,
             evidence,
@@ -99,7 +174,7 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         
         claims[claimId] = Claim({
             id: claimId,
-            claimant: msg.sender,
+            claimant: claimant,
             policyAddress: policyAddress,
             amount: amount,
             evidence: evidence,
@@ -110,13 +185,16 @@ contract ClaimManager is ReentrancyGuard, Ownable {
             assignedOracle: address(oracle)
         });
         
-        claimantClaims[msg.sender].push(claimId);
+        claimantClaims[claimant].push(claimId);
         allClaims.push(claimId);
         
+        // Count the pending payout against the holder's limit until paid or rejected
+        policy.reserveCoverage(claimant, payout);
+        
         // Request oracle verification
         oracle.requestVerification(claimId, evidence);
         
-        emit ClaimSubmitted(claimId, msg.sender, amount);
+        emit ClaimSubmitted(claimId, claimant, amount);
         emit OracleVerificationRequested(claimId, address(oracle));
         
         return claimId;
@@ -127,7 +205,7 @@ contract ClaimManager is ReentrancyGuard, Ownable {
      * @param claimId Claim identifier
      * @param isValid Oracle verification result
      * Pre: Called by authorized oracle
-     * Post: Claim status updated based on verification
+     * Post: Valid claims enter the investigation period, invalid claims are rejected
      */
     function processOracleResponse(bytes32 claimId, bool isValid) external validClaim(claimId) {
         require(msg.sender == address(oracle), "Only oracle can respond");
@@ -135,19 +213,53 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         
         if (isValid) {
             claims[claimId].status = ClaimStatus.Investigating;
-            
-            // Auto-approve low-value claims after investigation period
-            if (!claims[claimId].requiresMultiSig) {
-                _approveClaim(claimId);
-            }
+            investigationEndsAt[claimId] = block.timestamp + INVESTIGATION_PERIOD;
+            emit ClaimStatusUpdated(claimId, ClaimStatus.Investigating);
         } else {
-            claims[claimId].status = ClaimStatus.Rejected;
-            claims[claimId].processedAt = block.timestamp;
+            _rejectClaim(claimId, "Oracle verification failed");
         }
+    }
+    
+    /**
+     * @dev Flag a claim under investigation so it cannot be finalized automatically
+     * @param claimId Claim in the investigation period
+     * @param reason Why the claim needs manual review
+     * Pre: Caller is the owner or an authorized flagger (e.g. fraud service)
+     * Post: Claim waits for manualApproveClaim or rejectClaim
+     */
+    function flagClaim(bytes32 claimId, string memory reason) external validClaim(claimId) {
+        require(msg.sender == owner() || claimFlaggers[msg.sender], "Not authorized flagger");
+        require(claims[claimId].status == ClaimStatus.Investigating, "Claim not under investigation");
+        require(!flaggedClaims[claimId], "Claim already flagged");
         
+        flaggedClaims[claimId] = true;
+        emit ClaimFlagged(claimId, msg.sender, reason);
+    }
+    
+    /**
+     * @dev Approve and pay an unflagged claim once its investigation period has elapsed
+     * @param claimId Claim under investigation
+     * Pre: Investigation period over and claim not flagged (callable by anyone)
+     * Post: Low-value claims are paid directly, high-value claims are escrowed for signers
+     */
+    function finalizeClaim(bytes32 claimId) external nonReentrant validClaim(claimId) {
+        require(claims[claimId].status == ClaimStatus.Investigating, "Claim not under investigation");
+        require(!flaggedClaims[claimId], "Claim flagged for review");
+        require(block.timestamp >= investigationEndsAt[claimId], "Investigation period active");
+        
+        _approveClaim(claimId);
         emit ClaimStatusUpdated(claimId, claims[claimId].status);
     }
     
+    /**
+     * @dev Authorize or revoke an account that can flag claims under investigation
+     */
+    function setClaimFlagger(address flagger, bool enabled) external onlyOwner {
+        require(flagger != address(0), "Invalid flagger");
+        claimFlaggers[flagger] = enabled;
+        emit ClaimFlaggerUpdated(flagger, enabled);
+    }
+    
     /**
      * @dev Approve claim (internal or multi-sig)
      */
@@ -167,19 +279,158 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         require(claim.status == ClaimStatus.Approved, "Claim not approved");
         
         Policy policy = Policy(claim.policyAddress);
-        (,,,,,, address token,) = policy.policyInfo();
+        (,,,,,, address token,,,) = policy.policyInfo();
+        uint256 payout = policy.calculatePayout(claim.amount);
         
         // Check pool liquidity
         require(
-            premiumPool.hasSufficientLiquidity(token, claim.amount),
+            premiumPool.hasSufficientLiquidity(token, payout),
             "Insufficient pool liquidity"
         );
         
+        if (claim.requiresMultiSig) {
+            // Move funds into escrow; the claim stays Approved (and its payout reserved) until signers decide
+            premiumPool.withdrawForClaim(token, payout, address(multiSigEscrow), claimId);
+            bytes32 txId = multiSigEscrow.createTransaction(claim.claimant, token, payout, claimId);
+            escrowTransactions[claimId] = txId;
+            
+            emit ClaimEscrowed(claimId, txId, payout);
+            return;
+        }
+        
         // Execute payout
-        premiumPool.withdrawForClaim(token, claim.amount, claim.claimant, claimId);
+        policy.useCoverage(claim.claimant, payout, payout);
+        premiumPool.withdrawForClaim(token, payout, claim.claimant, claimId);
         
         claim.status = ClaimStatus.Paid;
-        emit ClaimPaid(claimId, claim.claimant, claim.amount);
+        emit ClaimPaid(claimId, claim.claimant, payout);
+    }
+    
+    /**
+     * @dev Mark an escrowed claim paid once MultiSigEscrow releases the funds
+     * Pre: Called by multi-sig escrow for an approved, escrowed claim
+     * Post: Reserved payout recorded as used coverage, claim Paid
+     */
+    function onEscrowExecuted(bytes32 claimId, uint256 amount) external validClaim(claimId) {
+        require(msg.sender == address(multiSigEscrow), "Only multisig escrow");
+        require(escrowTransactions[claimId] != bytes32(0), "Claim not escrowed");
+        require(claims[claimId].status == ClaimStatus.Approved, "Claim not approved");
+        
+        Policy(claims[claimId].policyAddress).useCoverage(claims[claimId].claimant, amount, amount);
+        claims[claimId].status = ClaimStatus.Paid;
+        
+        emit ClaimStatusUpdated(claimId, ClaimStatus.Paid);
+        emit ClaimPaid(claimId, claims[claimId].claimant, amount);
+    }
+    
+    /**
+     * @dev Return the funds of an escrowed claim the signers declined to the pool, and reject the claim
+     * @param reason Signers' reason, recorded as the rejection reason
+     * Pre: Called by multi-sig escrow for an approved, escrowed claim, after sending this contract the escrowed funds
+     * Post: Funds back in the pool, reserved payout released, claim Rejected and open to appeal
+     */
+    function onEscrowCancelled(bytes32 claimId, uint256 amount, string calldata reason) external nonReentrant validClaim(claimId) {
+        require(msg.sender == address(multiSigEscrow), "Only multisig escrow");
+        require(escrowTransactions[claimId] != bytes32(0), "Claim not escrowed");
+        require(claims[claimId].status == ClaimStatus.Approved, "Claim not approved");
+        
+        (,,,,,, address token,,,) = Policy(claims[claimId].policyAddress).policyInfo();
+        IERC20(token).forceApprove(address(premiumPool), amount);
+        premiumPool.returnClaimFunds(token, amount, claimId);
+        
+        delete escrowTransactions[claimId];
+        rejectedBy[claimId] = msg.sender;
+        _rejectClaim(claimId, reason);
+    }
+    
+    /**
+     * @dev Release the coverage reserved by a claim that will not be paid
+     */
+    function _releaseCoverage(bytes32 claimId) internal {
+        Claim storage claim = claims[claimId];
+        Policy(claim.policyAddress).releaseCoverage(
+            claim.claimant,
+            Policy(claim.policyAddress).calculatePayout(claim.amount)
+        );
+    }
+    
+    /**
+     * @dev Pay every holder covered by a parametric policy at the time of a reported trigger
+     * @param eventId Trigger event reported to the oracle
+     * @param maxHolders Max holdersList entries to process in this call (for large policies)
+     * Pre: Trigger reported by oracle for a parametric policy
+     * Post: Covered holders paid the fixed payout and recorded as paid claims
+     */
+    function processParametricTrigger(bytes32 eventId, uint256 maxHolders) external nonReentrant {
+        MockOracle.TriggerEvent memory trigger = oracle.getTriggerEvent(eventId);
+        require(trigger.id != bytes32(0), "Trigger not reported");
+        require(!triggerCompleted[eventId], "Trigger already processed");
+        require(maxHolders > 0, "Nothing to process");
+        
+        Policy policy = Policy(trigger.policyAddress);
+        uint256 payout = policy.parametricPayout();
+        require(payout > 0, "Policy not parametric");
+        (,,,,,, address token,,,) = policy.policyInfo();
+        
+        uint256 total = policy.getHoldersCount();
+        uint256 start = triggerCursor[eventId];
+        uint256 end = start + maxHolders < total ? start + maxHolders : total;
+        
+        for (uint256 i = start; i < end; i++) {
+            address holder = policy.holdersList(i);
+            if (triggerPaid[eventId][holder] || !policy.wasCoveredAt(holder, trigger.incidentTimestamp)) {
+                continue;
+            }
+            
+            // Cap at the holder's remaining limit so repeated triggers cannot exceed coverage
+            (,, uint256 remaining) = policy.getCoverageUsage(holder);
+            uint256 amount = payout < remaining ? payout : remaining;
+            if (amount == 0) {
+                continue;
+            }
+            triggerPaid[eventId][holder] = true;
+            _payParametric(eventId, trigger, holder, token, amount);
+        }
+        
+        triggerCursor[eventId] = end;
+        if (end == total) {
+            triggerCompleted[eventId] = true;
+            emit ParametricTriggerCompleted(eventId, trigger.policyAddress);
+        }
+    }
+    
+    /**
+     * @dev Record a paid claim for a parametric payout and transfer from the pool
+     */
+    function _payParametric(
+        bytes32 eventId,
+        MockOracle.TriggerEvent memory trigger,
+        address holder,
+        address token,
+        uint256 payout
+    ) internal {
+        bytes32 claimId = keccak256(abi.encodePacked(eventId, holder));
+        
+        claims[claimId] = Claim({
+            id: claimId,
+            claimant: holder,
+            policyAddress: trigger.policyAddress,
+            amount: payout,
+            evidence: trigger.description,
+            status: ClaimStatus.Paid,
+            submittedAt: block.timestamp,
+            processedAt: block.timestamp,
+            requiresMultiSig: false,
+            assignedOracle: address(oracle)
+        });
+        claimantClaims[holder].push(claimId);
+        allClaims.push(claimId);
+        
+        Policy(trigger.policyAddress).useCoverage(holder, 0, payout);
+        premiumPool.withdrawForClaim(token, payout, holder, claimId);
+        
+        emit ParametricPayout(eventId, holder, claimId, payout);
+        emit ClaimPaid(claimId, holder, payout);
     }
     
     /**
@@ -193,20 +444,193 @@ contract ClaimManager is ReentrancyGuard, Ownable {
         );
         
         _approveClaim(claimId);
+        emit ClaimStatusUpdated(claimId, claims[claimId].status);
     }
     
     /**
      * @dev Reject claim
+     * Pre: Caller is the owner, a claim flagger or an appeal reviewer; claim not paid, rejected, escrowed or under appeal
+     * Post: Reason and rejecting reviewer recorded, reserved coverage released, appeal window opens
      */
-    function rejectClaim(bytes32 claimId, string memory reason) external onlyOwner validClaim(claimId) {
+    function rejectClaim(bytes32 claimId, string memory reason) external validClaim(claimId) {
+        require(
+            msg.sender == owner() || claimFlaggers[msg.sender] || appealReviewers[msg.sender],
+            "Not authorized reviewer"
+        );
+        require(bytes(reason).length > 0, "Reason required");
         require(claims[claimId].status != ClaimStatus.Paid, "Cannot reject paid claim");
+        require(claims[claimId].status != ClaimStatus.Rejected, "Claim already rejected");
+        require(claims[claimId].status != ClaimStatus.Appealed, "Claim under appeal");
+        require(escrowTransactions[claimId] == bytes32(0), "Claim escrowed for signers");
         
+        rejectedBy[claimId] = msg.sender;
+        _rejectClaim(claimId, reason);
+    }
+    
+    /**
+     * @dev Mark a claim rejected, record the reason and release its reserved coverage
+     */
+    function _rejectClaim(bytes32 claimId, string memory reason) internal {
+        _releaseCoverage(claimId);
         claims[claimId].status = ClaimStatus.Rejected;
         claims[claimId].processedAt = block.timestamp;
+        rejectionReasons[claimId] = reason;
         
+        emit ClaimRejected(claimId, reason);
         emit ClaimStatusUpdated(claimId, ClaimStatus.Rejected);
     }
     
+    /**
+     * @dev Appeal a rejected claim by posting a bond in the policy token
+     * @param claimId Rejected claim
+     * @param grounds Why the rejection should be overturned
+     * Pre: Caller is the claimant, within APPEAL_WINDOW of rejection, not appealed before, bond approved,
+     *      claimant still holds the coverage certificate with enough remaining coverage for the payout
+     * Post: Bond held by this contract, payout reserved again, claim Appealed until reviewers decide
+     */
+    function fileAppeal(bytes32 claimId, string memory grounds) external nonReentrant validClaim(claimId) {
+        Claim storage claim = claims[claimId];
+        require(msg.sender == claim.claimant, "Not claimant");
+        require(claim.status == ClaimStatus.Rejected, "Claim not rejected");
+        require(appeals[claimId].status == AppealStatus.None, "Already appealed");
+        require(block.timestamp <= claim.processedAt + APPEAL_WINDOW, "Appeal window closed");
+        require(bytes(grounds).length > 0, "Grounds required");
+        
+        Policy policy = Policy(claim.policyAddress);
+        (,,,,,, address token,,,) = policy.policyInfo();
+        uint256 bond = getAppealBond(claimId);
+        
+        appeals[claimId] = Appeal({
+            grounds: grounds,
+            token: token,
+            bond: bond,
+            filedAt: block.timestamp,
+            upholdVotes: 0,
+            dismissVotes: 0,
+            status: AppealStatus.Filed
+        });
+        claim.status = ClaimStatus.Appealed;
+        
+        // Rejection released the reservation; hold it again so an upheld appeal can always pay
+        // (this also keeps the certificate from being transferred while the appeal is open)
+        policy.reserveCoverage(claim.claimant, policy.calculatePayout(claim.amount));
+        
+        if (bond > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), bond);
+        }
+        
+        emit AppealFiled(claimId, msg.sender, bond, grounds);
+        emit ClaimStatusUpdated(claimId, ClaimStatus.Appealed);
+    }
+    
+    /**
+     * @dev Vote to uphold or dismiss an appeal; resolves once either side reaches the quorum
+     * @param claimId Appealed claim
+     * @param uphold True to overturn the rejection and pay the claim
+     * Pre: Caller is an appeal reviewer or multi-sig signer, did not reject the claim and has not voted on this appeal
+     * Post: Upheld appeals refund the bond and pay the claim; dismissed appeals forfeit the bond
+     */
+    function voteOnAppeal(bytes32 claimId, bool uphold) external nonReentrant validClaim(claimId) {
+        require(isAppealReviewer(msg.sender), "Not appeal reviewer");
+        require(claims[claimId].status == ClaimStatus.Appealed, "Claim not appealed");
+        require(msg.sender != rejectedBy[claimId], "Reviewer rejected this claim");
+        require(!appealVoted[claimId][msg.sender], "Already voted");
+        
+        appealVoted[claimId][msg.sender] = true;
+        Appeal storage appeal = appeals[claimId];
+        if (uphold) {
+            appeal.upholdVotes++;
+        } else {
+            appeal.dismissVotes++;
+        }
+        emit AppealVoted(claimId, msg.sender, uphold);
+        
+        if (appeal.upholdVotes >= appealQuorum) {
+            _resolveAppeal(claimId, true);
+        } else if (appeal.dismissVotes >= appealQuorum) {
+            _resolveAppeal(claimId, false);
+        }
+    }
+    
+    /**
+     * @dev Settle the bond and move the claim to its final state
+     */
+    function _resolveAppeal(bytes32 claimId, bool upheld) internal {
+        Claim storage claim = claims[claimId];
+        Appeal storage appeal = appeals[claimId];
+        
+        if (upheld) {
+            appeal.status = AppealStatus.Upheld;
+            if (appeal.bond > 0) {
+                IERC20(appeal.token).safeTransfer(claim.claimant, appeal.bond);
+            }
+            _approveClaim(claimId);
+        } else {
+            appeal.status = AppealStatus.Dismissed;
+            claim.status = ClaimStatus.Rejected;
+            _releaseCoverage(claimId);
+            if (appeal.bond > 0) {
+                _forfeitBond(appeal.token, appeal.bond);
+            }
+        }
+        
+        emit AppealResolved(claimId, upheld);
+        emit ClaimStatusUpdated(claimId, claim.status);
+    }
+    
+    /**
+     * @dev Credit a forfeited bond to the premium pool (or the owner if the token is no longer allowed)
+     */
+    function _forfeitBond(address token, uint256 bond) internal {
+        if (premiumPool.allowedTokens(token)) {
+            IERC20(token).forceApprove(address(premiumPool), bond);
+            premiumPool.depositPremium(token, bond);
+        } else {
+            IERC20(token).safeTransfer(owner(), bond);
+        }
+    }
+    
+    /**
+     * @dev Bond required to appeal a claim
+     */
+    function getAppealBond(bytes32 claimId) public view returns (uint256) {
+        return claims[claimId].amount * appealBondBps / 10000;
+    }
+    
+    /**
+     * @dev Whether an account can vote on appeals
+     */
+    function isAppealReviewer(address account) public view returns (bool) {
+        return appealReviewers[account] || multiSigEscrow.signers(account);
+    }
+    
+    /**
+     * @dev Get appeal details
+     */
+    function getAppeal(bytes32 claimId) external view returns (Appeal memory) {
+        return appeals[claimId];
+    }
+    
+    /**
+     * @dev Add or remove an appeal reviewer (multi-sig signers are always reviewers)
+     */
+    function setAppealReviewer(address reviewer, bool enabled) external onlyOwner {
+        require(reviewer != address(0), "Invalid reviewer");
+        appealReviewers[reviewer] = enabled;
+        emit AppealReviewerUpdated(reviewer, enabled);
+    }
+    
+    /**
+     * @dev Set the appeal bond and the votes needed to resolve an appeal
+     */
+    function setAppealTerms(uint256 bondBps, uint256 quorum) external onlyOwner {
+        require(bondBps <= MAX_APPEAL_BOND_BPS, "Bond too high");
+        require(quorum > 0, "Quorum must be positive");
+        appealBondBps = bondBps;
+        appealQuorum = quorum;
+        emit AppealTermsUpdated(bondBps, quorum);
+    }
+    
     /**
      * @dev Get claim details
      */
@@ -229,10 +653,18 @@ contract ClaimManager is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Update oracle address
+     * @dev Update oracle address (timelocked)
      */
-    function updateOracle(address newOracle) external onlyOwner {
+    function updateOracle(address newOracle) external onlyTimelocked {
         require(newOracle != address(0), "Invalid oracle address");
         oracle = MockOracle(newOracle);
     }
+    
+    function _msgSender() internal view override(Context, ForwarderRecipient) returns (address) {
+        return ForwarderRecipient._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ForwarderRecipient) returns (bytes calldata) {
+        return ForwarderRecipient._msgData();
+    }
 }
\ No newline at end of file
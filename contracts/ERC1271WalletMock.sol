@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title ERC1271WalletMock
+ * @dev Minimal smart-contract wallet for testing EIP-1271 sign-in
+ * Invariants:
+ * - A signature is valid iff it recovers to the wallet owner
+ * - Owner can be rotated, invalidating signatures from the previous owner
+ */
+contract ERC1271WalletMock is IERC1271 {
+    address public owner;
+
+    event OwnerChanged(address indexed previousOwner, address indexed newOwner);
+
+    constructor(address owner_) {
+        owner = owner_;
+    }
+
+    /**
+     * @dev Rotate the signing key
+     * Pre: caller is the current owner
+     * Post: only signatures by `newOwner` validate
+     */
+    function setOwner(address newOwner) external {
+        require(msg.sender == owner, "Not owner");
+        emit OwnerChanged(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @dev EIP-1271 signature check
+     * @param hash Digest that was signed
+     * @param signature ECDSA signature by the owner
+     * @return magicValue IERC1271.isValidSignature.selector if valid, 0xffffffff otherwise
+     */
+    function isValidSignature(bytes32 hash, bytes memory signature) public view override returns (bytes4 magicValue) {
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
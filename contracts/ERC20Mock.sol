@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
@@ -11,8 +12,9 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * - Standard ERC20 functionality
  * - Mintable by owner for testing
  * - Represents stablecoin for premium payments
+ * - Supports EIP-2612 permit, like USDC, for single-transaction premium payments
  */
-contract ERC20Mock is ERC20, Ownable {
+contract ERC20Mock is ERC20, ERC20Permit, Ownable {
     uint8 private _decimals;
     
     constructor(
@@ -20,7 +22,7 @@ contract ERC20Mock is ERC20, Ownable {
         string memory symbol,
         uint8 decimals_,
         uint256 initialSupply
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _decimals = decimals_;
         _mint(msg.sender, initialSupply);
     }
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @title ForwarderRecipient
+ * @dev ERC-2771 recipient: calls from the trusted forwarder are attributed to the
+ * signer address the forwarder appends to calldata
+ * Invariants:
+ * - Only the trusted forwarder can set the effective sender; any other caller is msg.sender
+ * - With no forwarder set (address(0)), _msgSender() is always msg.sender
+ * - Functions that should be relayable read _msgSender() instead of msg.sender
+ */
+abstract contract ForwarderRecipient is Context {
+    address public trustedForwarder;
+
+    event TrustedForwarderUpdated(address indexed forwarder);
+
+    /**
+     * @dev Whether calls from forwarder carry an appended sender
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    function _setTrustedForwarder(address forwarder) internal {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    function _msgSender() internal view virtual override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            // The last 20 bytes of calldata are the signer appended by the forwarder
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return super._msgSender();
+        }
+    }
+
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return super._msgData();
+        }
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title GovernanceTimelock
+ * @dev Timelock controller for privileged protocol operations
+ * Invariants:
+ * - Operations are queued by proposers and executable only after minDelay
+ * - Queued operations can be cancelled by cancellers (proposers) before execution
+ * - Scheduling, execution and cancellation emit events for off-chain tracking
+ */
+contract GovernanceTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
@@ -16,14 +16,31 @@ contract MockOracle is Ownable {
         bool result;
     }
     
+    // Parametric trigger, e.g. "protocol X exploited at block N"
+    struct TriggerEvent {
+        bytes32 id;
+        address policyAddress;
+        string description;
+        uint256 incidentBlock;
+        uint256 incidentTimestamp;
+        uint256 reportedAt;
+        address reporter;
+    }
+    
     mapping(bytes32 => VerificationRequest) public requests;
     mapping(address => bool) public authorizedOperators;
     bytes32[] public allRequests;
     
+    mapping(bytes32 => TriggerEvent) public triggerEvents;
+    bytes32[] public allTriggerEvents;
+    
     uint256 public constant ORACLE_TIMEOUT = 1 hours;
     
     event VerificationRequested(bytes32 indexed requestId, bytes32 indexed claimId, string evidence);
     event VerificationFulfilled(bytes32 indexed requestId, bytes32 indexed claimId, bool result);
+    event TriggerEventReported(bytes32 indexed eventId, address indexed policyAddress, uint256 incidentBlock, string description);
+    event OperatorAuthorized(address indexed operator);
+    event OperatorRevoked(address indexed operator);
     
     modifier onlyAuthorizedOperator() {
         require(authorizedOperators[msg.sender], "Not authorized operator");
@@ -34,6 +51,17 @@ contract MockOracle is Ownable {
         authorizedOperators[msg.sender] = true;
     }
     
+    function authorizeOperator(address operator) external onlyOwner {
+        require(operator != address(0), "Invalid operator");
+        authorizedOperators[operator] = true;
+        emit OperatorAuthorized(operator);
+    }
+    
+    function revokeOperator(address operator) external onlyOwner {
+        authorizedOperators[operator] = false;
+        emit OperatorRevoked(operator);
+    }
+    
     function requestVerification(bytes32 claimId, string memory evidence) external returns (bytes32) {
         bytes32 requestId = keccak256(abi.encodePacked(
             claimId,
@@ -59,6 +87,18 @@ contract MockOracle is Ownable {
     }
     
     function fulfillVerification(bytes32 requestId, bool result) external onlyAuthorizedOperator {
+        _fulfillVerification(requestId, result);
+    }
+    
+    /**
+     * @dev Approve a request by pointing at the on-chain exploit transaction (demo helper)
+     */
+    function simulateHackVerification(bytes32 requestId, string memory hackTxHash) external onlyAuthorizedOperator {
+        require(bytes(hackTxHash).length > 0, "Hack tx hash required");
+        _fulfillVerification(requestId, true);
+    }
+    
+    function _fulfillVerification(bytes32 requestId, bool result) internal {
         VerificationRequest storage request = requests[requestId];
         require(request.id != bytes32(0), "Request does not exist");
         require(request.status == RequestStatus.Pending, "Request not pending");
@@ -77,6 +117,54 @@ contract MockOracle is Ownable {
         emit VerificationFulfilled(requestId, request.claimId, result);
     }
     
+    /**
+     * @dev Report a parametric trigger event for a policy
+     * @param policyAddress Parametric policy covering the incident
+     * @param description Incident description, e.g. "Protocol X exploited"
+     * @param incidentBlock Block at which the incident happened
+     * @param incidentTimestamp Time of the incident; only holders covered at this time are paid
+     */
+    function reportTriggerEvent(
+        address policyAddress,
+        string memory description,
+        uint256 incidentBlock,
+        uint256 incidentTimestamp
+    ) external onlyAuthorizedOperator returns (bytes32) {
+        require(policyAddress != address(0), "Invalid policy address");
+        require(bytes(description).length > 0, "Description required");
+        require(incidentTimestamp <= block.timestamp, "Incident in the future");
+        
+        bytes32 eventId = keccak256(abi.encodePacked(
+            policyAddress,
+            description,
+            incidentBlock,
+            incidentTimestamp
+        ));
+        require(triggerEvents[eventId].id == bytes32(0), "Trigger already reported");
+        
+        triggerEvents[eventId] = TriggerEvent({
+            id: eventId,
+            policyAddress: policyAddress,
+            description: description,
+            incidentBlock: incidentBlock,
+            incidentTimestamp: incidentTimestamp,
+            reportedAt: block.timestamp,
+            reporter: msg.sender
+        });
+        
+        allTriggerEvents.push(eventId);
+        emit TriggerEventReported(eventId, policyAddress, incidentBlock, description);
+        return eventId;
+    }
+    
+    function getTriggerEvent(bytes32 eventId) external view returns (TriggerEvent memory) {
+        return triggerEvents[eventId];
+    }
+    
+    function getTotalTriggerEvents() external view returns (uint256) {
+        return allTriggerEvents.length;
+    }
+    
     function getRequest(bytes32 requestId) external view returns (VerificationRequest memory) {
         return requests[requestId];
     }
@@ -5,6 +5,14 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 
+/**
+ * @dev Callback implemented by ClaimManager to settle escrowed claims
+ */
+interface IEscrowClaimManager {
+    function onEscrowExecuted(bytes32 claimId, uint256 amount) external;
+    function onEscrowCancelled(bytes32 claimId, uint256 amount, string calldata reason) external;
+}
+
 /**
  * @title MultiSigEscrow
  * @dev Multi-signature escrow for high-value claim approvals
@@ -12,6 +20,10 @@ import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
  * - Requires minimum signatures for execution
  * - Signers cannot approve same transaction twice
  * - Only authorized signers can approve
+ * - Only the claim manager creates transactions, and is notified when they execute or are cancelled
+ * - A quorum of signers can cancel a transaction instead, returning its funds to the claim manager
+ * - A signer either approves or votes to cancel a transaction, not both
+ * - The claim manager is linked once by the deployer and cannot be repointed
  */
 contract MultiSigEscrow is ReentrancyGuard {
     using SafeERC20 for IERC20;
@@ -25,7 +37,10 @@ contract MultiSigEscrow is ReentrancyGuard {
         uint256 approvals;
         bool executed;
         uint256 createdAt;
+        uint256 cancellations;
+        bool cancelled;
         mapping(address => bool) approved;
+        mapping(address => bool) cancelVoted;
     }
     
     mapping(bytes32 => Transaction) public transactions;
@@ -35,12 +50,18 @@ contract MultiSigEscrow is ReentrancyGuard {
     uint256 public requiredSignatures;
     uint256 public signerCount;
     
+    address public claimManager;
+    address private immutable deployer;
+    
     event TransactionCreated(bytes32 indexed txId, address indexed to, uint256 amount, bytes32 indexed claimId);
     event TransactionApproved(bytes32 indexed txId, address indexed signer);
     event TransactionExecuted(bytes32 indexed txId, address indexed to, uint256 amount);
+    event CancellationVoted(bytes32 indexed txId, address indexed signer, string reason);
+    event TransactionCancelled(bytes32 indexed txId, uint256 amount, string reason);
     event SignerAdded(address indexed signer);
     event SignerRemoved(address indexed signer);
     event RequiredSignaturesChanged(uint256 newRequired);
+    event ClaimManagerUpdated(address indexed claimManager);
     
     modifier onlySigner() {
         require(signers[msg.sender], "Not a signer");
@@ -50,6 +71,7 @@ contract MultiSigEscrow is ReentrancyGuard {
     modifier validTransaction(bytes32 txId) {
         require(transactions[txId].id != bytes32(0), "Transaction does not exist");
         require(!transactions[txId].executed, "Transaction already executed");
+        require(!transactions[txId].cancelled, "Transaction cancelled");
         _;
     }
     
@@ -65,6 +87,7 @@ contract MultiSigEscrow is ReentrancyGuard {
         
         signerCount = _signers.length;
         requiredSignatures = _requiredSignatures;
+        deployer = msg.sender;
     }
     
     /**
@@ -73,7 +96,7 @@ contract MultiSigEscrow is ReentrancyGuard {
      * @param token ERC20 token address
      * @param amount Amount to transfer
      * @param claimId Associated claim ID
-     * Pre: Valid parameters, sufficient escrow balance
+     * Pre: Called by claim manager, valid parameters, sufficient escrow balance
      * Post: Transaction created and pending approvals
      */
     function createTransaction(
@@ -82,6 +105,7 @@ contract MultiSigEscrow is ReentrancyGuard {
         uint256 amount,
         bytes32 claimId
     ) external returns (bytes32) {
+        require(msg.sender == claimManager, "Only claim manager");
         require(to != address(0), "Invalid recipient");
         require(token != address(0), "Invalid token");
         require(amount > 0, "Amount must be positive");
@@ -114,12 +138,13 @@ contract MultiSigEscrow is ReentrancyGuard {
     /**
      * @dev Approve transaction
      * @param txId Transaction identifier
-     * Pre: Valid transaction, caller is signer, not already approved
+     * Pre: Valid transaction, caller is signer, not already approved or voted to cancel
      * Post: Approval recorded, execute if threshold met
      */
     function approveTransaction(bytes32 txId) external onlySigner validTransaction(txId) nonReentrant {
         Transaction storage txn = transactions[txId];
         require(!txn.approved[msg.sender], "Already approved");
+        require(!txn.cancelVoted[msg.sender], "Already voted to cancel");
         
         txn.approved[msg.sender] = true;
         txn.approvals++;
@@ -144,9 +169,61 @@ contract MultiSigEscrow is ReentrancyGuard {
         // Transfer tokens
         IERC20(txn.token).safeTransfer(txn.to, txn.amount);
         
+        // Settle the claim the escrowed funds were released for
+        IEscrowClaimManager(claimManager).onEscrowExecuted(txn.claimId, txn.amount);
+        
         emit TransactionExecuted(txId, txn.to, txn.amount);
     }
     
+    /**
+     * @dev Vote to cancel a transaction the signers decline to pay
+     * @param txId Transaction identifier
+     * @param reason Why the payout is declined (becomes the claim's rejection reason)
+     * Pre: Valid transaction, caller is signer, not already approved or voted to cancel
+     * Post: Vote recorded; at the signature threshold the funds return to the claim manager
+     */
+    function cancelTransaction(bytes32 txId, string calldata reason) external onlySigner validTransaction(txId) nonReentrant {
+        Transaction storage txn = transactions[txId];
+        require(bytes(reason).length > 0, "Reason required");
+        require(!txn.approved[msg.sender], "Already approved");
+        require(!txn.cancelVoted[msg.sender], "Already voted to cancel");
+        
+        txn.cancelVoted[msg.sender] = true;
+        txn.cancellations++;
+        
+        emit CancellationVoted(txId, msg.sender, reason);
+        
+        if (txn.cancellations >= requiredSignatures) {
+            _cancelTransaction(txId, reason);
+        }
+    }
+    
+    /**
+     * @dev Return a cancelled transaction's funds to the claim manager, which settles the claim
+     */
+    function _cancelTransaction(bytes32 txId, string calldata reason) internal {
+        Transaction storage txn = transactions[txId];
+        txn.cancelled = true;
+        
+        IERC20(txn.token).safeTransfer(claimManager, txn.amount);
+        IEscrowClaimManager(claimManager).onEscrowCancelled(txn.claimId, txn.amount, reason);
+        
+        emit TransactionCancelled(txId, txn.amount, reason);
+    }
+    
+    /**
+     * @dev Link the claim manager allowed to escrow claim payouts
+     * Pre: Called by the deployer, claim manager not linked yet
+     * Post: Claim manager fixed for the life of the escrow, so no signer can redirect payouts
+     */
+    function setClaimManager(address _claimManager) external {
+        require(msg.sender == deployer, "Only deployer");
+        require(claimManager == address(0), "Claim manager already set");
+        require(_claimManager != address(0), "Invalid claim manager");
+        claimManager = _claimManager;
+        emit ClaimManagerUpdated(_claimManager);
+    }
+    
     /**
      * @dev Add new signer (requires multi-sig approval)
      */
@@ -191,6 +268,13 @@ contract MultiSigEscrow is ReentrancyGuard {
         return transactions[txId].approved[signer];
     }
     
+    /**
+     * @dev Check if signer voted to cancel a transaction
+     */
+    function hasVotedToCancel(bytes32 txId, address signer) external view returns (bool) {
+        return transactions[txId].cancelVoted[signer];
+    }
+    
     /**
      * @dev Get transaction details (without mapping)
      */
@@ -201,7 +285,9 @@ contract MultiSigEscrow is ReentrancyGuard {
         bytes32 claimId,
         uint256 approvals,
         bool executed,
-        uint256 createdAt
+        uint256 createdAt,
+        uint256 cancellations,
+        bool cancelled
     ) {
         Transaction storage txn = transactions[txId];
         return (
@@ -211,7 +297,9 @@ contract MultiSigEscrow is ReentrancyGuard {
             txn.claimId,
             txn.approvals,
             txn.executed,
-            txn.createdAt
+            txn.createdAt,
+            txn.cancellations,
+            txn.cancelled
         );
     }
     
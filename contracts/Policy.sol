@@ -2,19 +2,42 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./PremiumPool.sol";
+import "./ForwarderRecipient.sol";
+
+interface ICertificateMetadata {
+    function certificateBaseURI() external view returns (string memory);
+}
 
 /**
  * @title Policy
- * @dev Individual insurance policy contract
+ * @dev Individual insurance policy contract, deployed by PolicyFactory as an EIP-1167 clone
  * Invariants:
+ * - Each clone is initialized exactly once, by the factory; the implementation itself cannot be
+ * - The premium pool and claim manager come from the factory defaults and cannot be repointed by the insurer
  * - Policy holders must pay premium to activate coverage
  * - Claims can only be submitted during active period
  * - Premium goes to pool, claims paid from pool
+ * - Cancellation refunds only the unearned premium, minus the cancellation fee
+ * - Parametric policies pay a fixed amount per holder on an oracle trigger, without a claim
+ * - Indemnity payouts are net of the deductible and co-insurance, capped at coverage
+ * - Paid plus pending payouts per holder never exceed coverage (aggregate limit per term);
+ *   payouts count against the term they are paid in, and usage resets when a new term starts
+ * - Each active holder's coverage is written against pool capacity until cancelled or expired
+ * - Purchases may be relayed through the trusted forwarder; the holder is the request signer
+ * - Each holder's coverage is an ERC-721 certificate; holder records always belong to its current owner
+ * - An address holds at most one certificate per policy; coverage with pending claims cannot be
+ *   transferred or cancelled
+ * - While transfers are restricted, a certificate only moves to a recipient the insurer approved
  */
-contract Policy is ReentrancyGuard, Ownable {
+contract Policy is Initializable, ERC721, ReentrancyGuard, Ownable, ForwarderRecipient {
     using SafeERC20 for IERC20;
     
     struct PolicyInfo {
@@ -26,6 +49,8 @@ contract Policy is ReentrancyGuard, Ownable {
         uint256 duration;
         address premiumToken;
         uint256 createdAt;
+        uint256 deductible;     // Loss retained by the holder before cover applies
+        uint256 coinsuranceBps; // Share of the loss above the deductible the insurer pays
     }
     
     struct PolicyHolder {
@@ -36,15 +61,64 @@ contract Policy is ReentrancyGuard, Ownable {
         uint256 premiumPaid;
     }
     
+    // Clone initialization: terms plus the contracts the new policy is wired to
+    struct InitParams {
+        uint256 id;
+        address insurer;
+        string policyType;
+        uint256 premium;
+        uint256 coverage;
+        uint256 duration;
+        address premiumToken;
+        uint256 parametricPayout;
+        address trustedForwarder;
+        address premiumPool;
+        address claimManager;
+    }
+    
     PolicyInfo public policyInfo;
+    uint256 public parametricPayout; // Fixed payout per holder; 0 for indemnity policies
     mapping(address => PolicyHolder) public policyHolders;
     address[] public holdersList;
     
     address public premiumPool;
     address public claimManager;
+    address public factory; // Serves the certificate metadata base URI
+    
+    // Coverage certificates: token id per holder (0 = none) and insurer transfer controls
+    uint256 public certificateCounter;
+    mapping(address => uint256) public certificateOf;
+    bool public transfersRestricted;
+    mapping(uint256 => address) public approvedTransfers;
+    
+    // Aggregate limit accounting: payouts made and payouts reserved by pending claims.
+    // coverageUsed belongs to term coverageTerm (terms count from activatedAt in steps of duration)
+    mapping(address => uint256) public coverageUsed;
+    mapping(address => uint256) public coverageReserved;
+    mapping(address => uint256) public coverageTerm;
+    
+    // Remaining keeper-triggered renewals each holder has opted into
+    mapping(address => uint256) public autoRenewals;
+    
+    uint256 public constant AUTO_RENEW_WINDOW = 3 days;
+    uint256 public constant MAX_CANCELLATION_FEE_BPS = 5000; // 50%
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    
+    uint256 public cancellationFeeBps; // Basis points of unearned premium kept on cancellation
     
     event PolicyPurchased(address indexed holder, uint256 premium, uint256 expiresAt);
+    event PolicyRenewed(address indexed holder, uint256 premium, uint256 expiresAt);
+    event AutoRenewUpdated(address indexed holder, uint256 renewals);
     event PolicyExpired(address indexed holder);
+    event PolicyCancelled(address indexed holder, uint256 refund, uint256 fee);
+    event CancellationFeeUpdated(uint256 feeBps);
+    event ClaimTermsUpdated(uint256 deductible, uint256 coinsuranceBps);
+    event CoverageReserved(address indexed holder, uint256 amount, uint256 remaining);
+    event CoverageReleased(address indexed holder, uint256 amount, uint256 remaining);
+    event CoverageUsed(address indexed holder, uint256 amount, uint256 remaining);
+    event CoverageTransferred(address indexed from, address indexed to, uint256 indexed tokenId);
+    event TransferRestrictionUpdated(bool restricted);
+    event CertificateTransferApproved(uint256 indexed tokenId, address indexed to);
     
     modifier onlyActiveHolder() {
         require(policyHolders[msg.sender].isActive, "Policy not active");
@@ -57,77 +131,310 @@ contract Policy is ReentrancyGuard, Ownable {
         _;
     }
     
-    constructor(
-        uint256 _id,
-        address _insurer,
-        string memory _policyType,
-        uint256 _premium,
-        uint256 _coverage,
-        uint256 _duration,
-        address _premiumToken
-    ) {
+    /**
+     * @dev Lock the implementation; clones are set up through initialize
+     */
+    constructor() ERC721("", "") {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up a freshly cloned policy (called by the factory in the same transaction as the clone)
+     * @param params Policy terms, plus the forwarder, premium pool and claim manager to wire in
+     *        (the pool and claim manager are fixed for the life of the policy)
+     * Pre: Clone not yet initialized
+     * Post: Terms set, caller recorded as factory, insurer is owner
+     */
+    function initialize(InitParams calldata params) external initializer {
         policyInfo = PolicyInfo({
-            id: _id,
-            insurer: _insurer,
-            policyType: _policyType,
-            premium: _premium,
-            coverage: _coverage,
-            duration: _duration,
-            premiumToken: _premiumToken,
-            createdAt: block.timestamp
+            id: params.id,
+            insurer: params.insurer,
+            policyType: params.policyType,
+            premium: params.premium,
+            coverage: params.coverage,
+            duration: params.duration,
+            premiumToken: params.premiumToken,
+            createdAt: block.timestamp,
+            deductible: 0,
+            coinsuranceBps: BPS_DENOMINATOR
         });
+        parametricPayout = params.parametricPayout;
+        premiumPool = params.premiumPool;
+        claimManager = params.claimManager;
+        factory = msg.sender;
+        if (params.trustedForwarder != address(0)) {
+            _setTrustedForwarder(params.trustedForwarder);
+        }
         
-        _transferOwnership(_insurer);
+        _transferOwnership(params.insurer);
     }
     
     /**
-     * @dev Set premium pool address (called by factory after deployment)
+     * @dev Set fee charged on unearned premium when a policy is cancelled
+     * @param feeBps Fee in basis points, at most MAX_CANCELLATION_FEE_BPS
      */
-    function setPremiumPool(address _premiumPool) external onlyOwner {
-        require(_premiumPool != address(0), "Invalid pool address");
-        premiumPool = _premiumPool;
+    function setCancellationFee(uint256 feeBps) external onlyOwner {
+        require(feeBps <= MAX_CANCELLATION_FEE_BPS, "Fee too high");
+        cancellationFeeBps = feeBps;
+        emit CancellationFeeUpdated(feeBps);
     }
     
     /**
-     * @dev Set claim manager address
+     * @dev Set deductible and co-insurance applied to claim payouts
+     * @param deductible Amount subtracted from each claim before co-insurance
+     * @param coinsuranceBps Insurer's share of the remaining loss in basis points
+     * Pre: No policies sold yet, so terms cannot change under existing holders
      */
-    function setClaimManager(address _claimManager) external onlyOwner {
-        require(_claimManager != address(0), "Invalid claim manager");
-        claimManager = _claimManager;
+    function setClaimTerms(uint256 deductible, uint256 coinsuranceBps) external onlyOwner {
+        require(holdersList.length == 0, "Policy already sold");
+        require(deductible < policyInfo.coverage, "Deductible exceeds coverage");
+        require(coinsuranceBps > 0 && coinsuranceBps <= BPS_DENOMINATOR, "Invalid co-insurance");
+        
+        policyInfo.deductible = deductible;
+        policyInfo.coinsuranceBps = coinsuranceBps;
+        emit ClaimTermsUpdated(deductible, coinsuranceBps);
+    }
+    
+    /**
+     * @dev Require insurer approval for certificate transfers between wallets
+     */
+    function setTransfersRestricted(bool restricted) external onlyOwner {
+        transfersRestricted = restricted;
+        emit TransferRestrictionUpdated(restricted);
+    }
+    
+    /**
+     * @dev Approve one transfer of a certificate to `to` while transfers are restricted
+     * @param to Approved recipient, or address(0) to withdraw the approval
+     */
+    function approveCertificateTransfer(uint256 tokenId, address to) external onlyOwner {
+        _requireMinted(tokenId);
+        approvedTransfers[tokenId] = to;
+        emit CertificateTransferApproved(tokenId, to);
     }
     
     /**
      * @dev Purchase policy by paying premium
      * Pre: Premium token approved, valid premium amount
-     * Post: Policy activated for duration, premium transferred to pool
+     * Post: Policy activated for duration, premium transferred to pool, certificate minted to holder
+     *       (or reused if the holder still owns one from an earlier term)
      */
     function purchasePolicy() external nonReentrant {
-        require(!policyHolders[msg.sender].isActive, "Policy already active");
+        _purchase(_msgSender());
+    }
+    
+    /**
+     * @dev Purchase policy, approving the premium with an EIP-2612 permit in the same call
+     * @param deadline Permit expiry
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * Pre: Premium token supports permit, signature by the holder for this contract and the premium
+     * Post: Policy activated for duration, premium transferred to pool
+     */
+    function purchasePolicyWithPermit(
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        address holder = _msgSender();
+        
+        // A permit already submitted by someone else still leaves the allowance in place,
+        // so a failed permit is ignored and the transfer decides
+        try IERC20Permit(policyInfo.premiumToken).permit(
+            holder,
+            address(this),
+            policyInfo.premium,
+            deadline,
+            v,
+            r,
+            s
+        ) {} catch {}
+        
+        _purchase(holder);
+    }
+    
+    function _purchase(address holder) internal {
+        require(!policyHolders[holder].isActive, "Policy already active");
         require(premiumPool != address(0), "Premium pool not set");
         
         IERC20 token = IERC20(policyInfo.premiumToken);
-        require(token.balanceOf(msg.sender) >= policyInfo.premium, "Insufficient balance");
+        require(token.balanceOf(holder) >= policyInfo.premium, "Insufficient balance");
         
-        // Transfer premium to pool
-        token.safeTransferFrom(msg.sender, premiumPool, policyInfo.premium);
+        // Transfer premium to pool, then check the pool can back the new coverage
+        _collectPremium(holder);
+        PremiumPool(premiumPool).writeCoverage(policyInfo.premiumToken, policyInfo.coverage);
         
         uint256 expiresAt = block.timestamp + policyInfo.duration;
         
-        policyHolders[msg.sender] = PolicyHolder({
-            holder: msg.sender,
+        policyHolders[holder] = PolicyHolder({
+            holder: holder,
             activatedAt: block.timestamp,
             expiresAt: expiresAt,
             isActive: true,
             premiumPaid: policyInfo.premium
         });
+        coverageUsed[holder] = 0;
+        coverageTerm[holder] = 0;
+        
+        holdersList.push(holder);
+        
+        if (certificateOf[holder] == 0) {
+            uint256 tokenId = ++certificateCounter;
+            certificateOf[holder] = tokenId;
+            _mint(holder, tokenId);
+        }
+        
+        emit PolicyPurchased(holder, policyInfo.premium, expiresAt);
+    }
+    
+    /**
+     * @dev Renew policy by paying another premium
+     * Pre: Holder has a policy that has not been expired or cancelled
+     * Post: Coverage extended by duration from the current expiry (or from now if lapsed);
+     *       the new term gets a fresh aggregate limit from the moment it starts
+     */
+    function renewPolicy() external nonReentrant {
+        require(policyHolders[msg.sender].isActive, "Policy not active");
+        
+        _renew(msg.sender);
+    }
+    
+    /**
+     * @dev Opt in to keeper-triggered renewals
+     * @param renewals Number of renewals a keeper may trigger (0 disables auto-renew)
+     * Pre: Holder approves this contract for renewals * premium
+     */
+    function setAutoRenew(uint256 renewals) external {
+        require(policyHolders[msg.sender].isActive, "Policy not active");
+        
+        autoRenewals[msg.sender] = renewals;
+        emit AutoRenewUpdated(msg.sender, renewals);
+    }
+    
+    /**
+     * @dev Renew on behalf of a holder who opted in to auto-renew
+     * @param holder Policy holder to renew
+     * Pre: Holder has renewals left, policy expires within AUTO_RENEW_WINDOW
+     * Post: Coverage extended, one renewal consumed
+     */
+    function autoRenew(address holder) external nonReentrant {
+        PolicyHolder memory ph = policyHolders[holder];
+        require(ph.isActive, "Policy not active");
+        require(autoRenewals[holder] > 0, "Auto-renew not enabled");
+        require(block.timestamp < ph.expiresAt, "Policy expired");
+        require(block.timestamp + AUTO_RENEW_WINDOW >= ph.expiresAt, "Renewal window not open");
+        
+        autoRenewals[holder]--;
+        emit AutoRenewUpdated(holder, autoRenewals[holder]);
+        
+        _renew(holder);
+    }
+    
+    /**
+     * @dev Check if a keeper can renew holder's policy now
+     */
+    function isRenewalDue(address holder) external view returns (bool) {
+        PolicyHolder memory ph = policyHolders[holder];
+        return ph.isActive &&
+            autoRenewals[holder] > 0 &&
+            block.timestamp < ph.expiresAt &&
+            block.timestamp + AUTO_RENEW_WINDOW >= ph.expiresAt;
+    }
+    
+    /**
+     * @dev Collect premium from holder and extend coverage. Either way the new term starts
+     * with no usage: an extension's term begins at the old expiry, where _termUsage stops
+     * counting the previous term's payouts; a lapsed policy's term begins now
+     */
+    function _renew(address holder) internal {
+        require(premiumPool != address(0), "Premium pool not set");
         
-        holdersList.push(msg.sender);
+        PolicyHolder storage ph = policyHolders[holder];
         
-        emit PolicyPurchased(msg.sender, policyInfo.premium, expiresAt);
+        _collectPremium(holder);
+        
+        if (ph.expiresAt > block.timestamp) {
+            ph.expiresAt += policyInfo.duration;
+            ph.premiumPaid += policyInfo.premium;
+        } else {
+            // Lapsed: start a fresh coverage period so refunds are not spread over the gap
+            ph.activatedAt = block.timestamp;
+            ph.expiresAt = block.timestamp + policyInfo.duration;
+            ph.premiumPaid = policyInfo.premium;
+            coverageUsed[holder] = 0;
+            coverageTerm[holder] = 0;
+        }
+        
+        emit PolicyRenewed(holder, policyInfo.premium, ph.expiresAt);
     }
     
     /**
-     * @dev Check if policy is active for holder
+     * @dev Pull premium from holder and deposit it to the pool's accounting
+     */
+    function _collectPremium(address holder) internal {
+        IERC20 token = IERC20(policyInfo.premiumToken);
+        token.safeTransferFrom(holder, address(this), policyInfo.premium);
+        token.safeIncreaseAllowance(premiumPool, policyInfo.premium);
+        PremiumPool(premiumPool).depositPremium(policyInfo.premiumToken, policyInfo.premium);
+    }
+    
+    /**
+     * @dev Cancel own policy and receive a pro-rata refund of unearned premium
+     * Pre: Active, unexpired policy with no pending claims
+     * Post: Coverage ended, refund paid from premium pool
+     */
+    function cancelPolicy() external nonReentrant returns (uint256) {
+        return _cancel(msg.sender);
+    }
+    
+    /**
+     * @dev Cancel a holder's policy on their behalf (insurer only), refund goes to holder
+     */
+    function cancelPolicyFor(address holder) external onlyOwner nonReentrant returns (uint256) {
+        return _cancel(holder);
+    }
+    
+    /**
+     * @dev Calculate refund for cancelling holder's policy now
+     * @return refund Amount returned to holder
+     * @return fee Cancellation fee retained by the pool
+     */
+    function calculateRefund(address holder) public view returns (uint256 refund, uint256 fee) {
+        PolicyHolder memory ph = policyHolders[holder];
+        if (!ph.isActive || block.timestamp >= ph.expiresAt) {
+            return (0, 0);
+        }
+        
+        uint256 unearned = (ph.premiumPaid * (ph.expiresAt - block.timestamp)) /
+            (ph.expiresAt - ph.activatedAt);
+        fee = (unearned * cancellationFeeBps) / 10000;
+        refund = unearned - fee;
+    }
+    
+    function _cancel(address holder) internal returns (uint256) {
+        PolicyHolder storage ph = policyHolders[holder];
+        require(ph.isActive, "Policy not active");
+        require(block.timestamp < ph.expiresAt, "Policy expired");
+        require(coverageReserved[holder] == 0, "Pending claims on coverage");
+        
+        (uint256 refund, uint256 fee) = calculateRefund(holder);
+        
+        ph.isActive = false;
+        autoRenewals[holder] = 0;
+        PremiumPool(premiumPool).releaseCoverage(policyInfo.premiumToken, policyInfo.coverage);
+        
+        if (refund > 0) {
+            PremiumPool(premiumPool).refundPremium(policyInfo.premiumToken, refund, holder);
+        }
+        
+        emit PolicyCancelled(holder, refund, fee);
+        return refund;
+    }
+    
+    /**
+     * @dev Check if policy is active for holder (the current owner of a coverage certificate)
      */
     function isPolicyActive(address holder) external view returns (bool) {
         PolicyHolder memory ph = policyHolders[holder];
@@ -135,13 +442,114 @@ contract Policy is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Get policy coverage for holder
+     * @dev Get remaining coverage for holder (limit minus paid and pending payouts)
      */
-    function getCoverage(address holder) external view returns (uint256) {
+    function getCoverage(address holder) public view returns (uint256) {
         if (!this.isPolicyActive(holder)) {
             return 0;
         }
-        return policyInfo.coverage;
+        return _remainingCoverage(holder);
+    }
+    
+    /**
+     * @dev Get aggregate limit usage for holder
+     */
+    function getCoverageUsage(address holder) external view returns (
+        uint256 used,
+        uint256 reserved,
+        uint256 remaining
+    ) {
+        return (_termUsage(holder), coverageReserved[holder], _remainingCoverage(holder));
+    }
+    
+    /**
+     * @dev Reserve coverage for a pending claim payout
+     * Pre: amount fits within remaining coverage
+     */
+    function reserveCoverage(address holder, uint256 amount) external onlyClaimManager {
+        require(certificateOf[holder] != 0, "No coverage certificate");
+        require(amount <= _remainingCoverage(holder), "Exceeds remaining coverage");
+        
+        coverageReserved[holder] += amount;
+        emit CoverageReserved(holder, amount, _remainingCoverage(holder));
+    }
+    
+    /**
+     * @dev Release a reservation when a pending claim is rejected
+     */
+    function releaseCoverage(address holder, uint256 amount) external onlyClaimManager {
+        coverageReserved[holder] -= amount;
+        emit CoverageReleased(holder, amount, _remainingCoverage(holder));
+    }
+    
+    /**
+     * @dev Record a payout against the holder's limit, consuming its reservation
+     * @param reserved Amount previously reserved for this payout (0 if none)
+     * @param paid Amount paid out
+     */
+    function useCoverage(address holder, uint256 reserved, uint256 paid) external onlyClaimManager {
+        coverageReserved[holder] -= reserved;
+        require(paid <= _remainingCoverage(holder), "Exceeds remaining coverage");
+        
+        coverageUsed[holder] = _termUsage(holder) + paid;
+        coverageTerm[holder] = _currentTerm(holder);
+        emit CoverageUsed(holder, paid, _remainingCoverage(holder));
+    }
+    
+    /**
+     * @dev Index of the holder's current term, counted from activation in steps of duration
+     */
+    function _currentTerm(address holder) internal view returns (uint256) {
+        uint256 activatedAt = policyHolders[holder].activatedAt;
+        if (block.timestamp <= activatedAt) return 0;
+        return (block.timestamp - activatedAt) / policyInfo.duration;
+    }
+    
+    /**
+     * @dev Payouts recorded in the current term; earlier terms' usage no longer counts
+     */
+    function _termUsage(address holder) internal view returns (uint256) {
+        return coverageTerm[holder] == _currentTerm(holder) ? coverageUsed[holder] : 0;
+    }
+    
+    function _remainingCoverage(address holder) internal view returns (uint256) {
+        uint256 committed = _termUsage(holder) + coverageReserved[holder];
+        return committed >= policyInfo.coverage ? 0 : policyInfo.coverage - committed;
+    }
+    
+    /**
+     * @dev Calculate net payout for a claimed loss
+     * @return min(coverage, (amount - deductible) * coinsurance)
+     */
+    function calculatePayout(uint256 amount) public view returns (uint256) {
+        if (amount <= policyInfo.deductible) {
+            return 0;
+        }
+        
+        uint256 payout = ((amount - policyInfo.deductible) * policyInfo.coinsuranceBps) / BPS_DENOMINATOR;
+        return payout < policyInfo.coverage ? payout : policyInfo.coverage;
+    }
+    
+    /**
+     * @dev Whether this policy pays automatically on a trigger event
+     */
+    function isParametric() external view returns (bool) {
+        return parametricPayout > 0;
+    }
+    
+    /**
+     * @dev Get total number of entries in holdersList (may include repeat purchases)
+     */
+    function getHoldersCount() external view returns (uint256) {
+        return holdersList.length;
+    }
+    
+    /**
+     * @dev Check if holder was covered at a given time
+     */
+    function wasCoveredAt(address holder, uint256 timestamp) external view returns (bool) {
+        PolicyHolder memory ph = policyHolders[holder];
+        return ph.isActive && ph.activatedAt <= timestamp && timestamp < ph.expiresAt;
     }
     
     /**
@@ -158,16 +566,96 @@ contract Policy is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Expire policy (called by claim manager or holder)
+     * @dev Expire policy (called by claim manager or holder, or anyone once lapsed)
+     * Post: Holder's coverage released from pool capacity
      */
     function expirePolicy(address holder) external {
         require(
-            msg.sender == holder || msg.sender == claimManager || msg.sender == owner(),
+            msg.sender == holder || msg.sender == claimManager || msg.sender == owner() ||
+                block.timestamp >= policyHolders[holder].expiresAt,
             "Not authorized"
         );
         require(policyHolders[holder].isActive, "Policy not active");
         
         policyHolders[holder].isActive = false;
+        autoRenewals[holder] = 0;
+        PremiumPool(premiumPool).releaseCoverage(policyInfo.premiumToken, policyInfo.coverage);
         emit PolicyExpired(holder);
     }
+    
+    /**
+     * @dev Certificate collection name, e.g. "DEFI_HACK Coverage"
+     */
+    function name() public view override returns (string memory) {
+        return string.concat(policyInfo.policyType, " Coverage");
+    }
+    
+    function symbol() public pure override returns (string memory) {
+        return "COVER";
+    }
+    
+    /**
+     * @dev Metadata is served per policy under the factory's base URI: <base><policy address>/<token id>
+     */
+    function _baseURI() internal view override returns (string memory) {
+        string memory base = ICertificateMetadata(factory).certificateBaseURI();
+        if (bytes(base).length == 0) {
+            return "";
+        }
+        return string.concat(base, Strings.toHexString(address(this)), "/");
+    }
+    
+    /**
+     * @dev Move the holder record with the certificate so coverage follows the token owner
+     * Pre: Recipient holds no certificate, no pending claim reservations, insurer approval if restricted
+     * Post: Holder record, aggregate usage and certificate now keyed by the recipient; auto-renew reset
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 batchSize
+    ) internal override {
+        super._beforeTokenTransfer(from, to, tokenId, batchSize);
+        if (from == address(0)) {
+            return;
+        }
+        
+        require(to != address(0), "Certificates cannot be burned");
+        require(
+            !transfersRestricted || approvedTransfers[tokenId] == to,
+            "Transfer not approved by insurer"
+        );
+        require(certificateOf[to] == 0, "Recipient already holds coverage");
+        require(coverageReserved[from] == 0, "Pending claims on coverage");
+        
+        delete approvedTransfers[tokenId];
+        
+        PolicyHolder memory ph = policyHolders[from];
+        ph.holder = to;
+        policyHolders[to] = ph;
+        coverageUsed[to] = coverageUsed[from];
+        coverageTerm[to] = coverageTerm[from];
+        certificateOf[to] = tokenId;
+        
+        delete policyHolders[from];
+        delete coverageUsed[from];
+        delete coverageTerm[from];
+        delete certificateOf[from];
+        delete autoRenewals[from];
+        
+        if (ph.isActive) {
+            holdersList.push(to);
+        }
+        
+        emit CoverageTransferred(from, to, tokenId);
+    }
+    
+    function _msgSender() internal view override(Context, ForwarderRecipient) returns (address) {
+        return ForwarderRecipient._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ForwarderRecipient) returns (bytes calldata) {
+        return ForwarderRecipient._msgData();
+    }
 }
\ No newline at end of file
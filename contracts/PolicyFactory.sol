@@ -1,22 +1,40 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./Timelocked.sol";
 import "./Policy.sol";
 
 /**
  * @title PolicyFactory
- * @dev Factory contract for creating insurance policies
+ * @dev Factory contract for creating insurance policies as EIP-1167 clones of one Policy implementation
  * Invariants:
  * - Only authorized insurers can create policies
+ * - New insurers are authorized through the timelock once set
  * - Each policy has unique ID and valid parameters
  * - Policy creation emits events for off-chain indexing
+ * - Only policies deployed here are recognized (e.g. by PremiumPool capacity accounting)
+ * - New policies trust the factory's current forwarder; changing it does not affect existing policies
+ * - Every policy's certificate metadata is served under the current certificate base URI
+ * - Policies are cloned and initialized in one transaction, wired to the current default pool and claim manager
+ * - Each policy is listed once under its type and once under its insurer
  */
-contract PolicyFactory is Ownable, ReentrancyGuard {
+contract PolicyFactory is Timelocked, ReentrancyGuard {
     uint256 public policyCounter;
     mapping(uint256 => address) public policies;
+    mapping(address => bool) public isFactoryPolicy;
     mapping(address => bool) public authorizedInsurers;
+    address public trustedForwarder;
+    string public certificateBaseURI;
+    
+    // Implementation every policy clone delegates to, deployed with the factory
+    address public immutable policyImplementation;
+    address public defaultPremiumPool;
+    address public defaultClaimManager;
+    
+    mapping(bytes32 => address[]) private policiesByType;
+    mapping(address => address[]) private policiesByInsurer;
     
     event PolicyCreated(
         uint256 indexed policyId,
@@ -27,8 +45,12 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
         uint256 coverage
     );
     
+    event ParametricPolicyCreated(uint256 indexed policyId, address indexed policyAddress, uint256 payoutPerHolder);
     event InsurerAuthorized(address indexed insurer);
     event InsurerRevoked(address indexed insurer);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event CertificateBaseURIUpdated(string baseURI);
+    event PolicyDefaultsUpdated(address indexed premiumPool, address indexed claimManager);
     
     modifier onlyAuthorizedInsurer() {
         require(authorizedInsurers[msg.sender], "Not authorized insurer");
@@ -37,15 +59,16 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
     
     constructor() {
         authorizedInsurers[msg.sender] = true;
+        policyImplementation = address(new Policy());
     }
     
     /**
      * @dev Authorize an insurer to create policies
      * @param insurer Address to authorize
-     * Pre: Only owner can authorize
+     * Pre: Only owner (or timelock, once set) can authorize
      * Post: Insurer is authorized to create policies
      */
-    function authorizeInsurer(address insurer) external onlyOwner {
+    function authorizeInsurer(address insurer) external onlyTimelocked {
         require(insurer != address(0), "Invalid insurer address");
         authorizedInsurers[insurer] = true;
         emit InsurerAuthorized(insurer);
@@ -60,6 +83,39 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
         emit InsurerRevoked(insurer);
     }
     
+    /**
+     * @dev Set the ERC-2771 forwarder trusted by policies created from now on
+     * @param forwarder Forwarder address, or address(0) to create policies without one
+     * Pre: Only owner (or timelock, once set)
+     */
+    function setTrustedForwarder(address forwarder) external onlyTimelocked {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+    
+    /**
+     * @dev Set where coverage certificate metadata is served (e.g. "https://api.example.com/api/certificates/")
+     * @param baseURI Prefix for <policy address>/<token id>, or "" for no token URIs
+     * Pre: Only owner (or timelock, once set)
+     */
+    function setCertificateBaseURI(string calldata baseURI) external onlyTimelocked {
+        certificateBaseURI = baseURI;
+        emit CertificateBaseURIUpdated(baseURI);
+    }
+    
+    /**
+     * @dev Set the premium pool and claim manager new policies are initialized with
+     * @param premiumPool Pool new policies deposit premiums to (policies cannot be sold without one)
+     * @param claimManager Claim manager new policies accept claims from
+     * Pre: Only owner (or timelock, once set)
+     * Post: Existing policies unchanged
+     */
+    function setPolicyDefaults(address premiumPool, address claimManager) external onlyTimelocked {
+        defaultPremiumPool = premiumPool;
+        defaultClaimManager = claimManager;
+        emit PolicyDefaultsUpdated(premiumPool, claimManager);
+    }
+    
     /**
      * @dev Create a new insurance policy
      * @param policyType Type of policy (e.g., "DEFI_HACK", "EXCHANGE_HACK")
@@ -68,7 +124,7 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
      * @param duration Policy duration in seconds
      * @param premiumToken ERC20 token for premium payments
      * Pre: Caller is authorized insurer, valid parameters
-     * Post: New policy contract deployed and registered
+     * Post: New policy clone deployed, initialized and registered
      */
     function createPolicy(
         string memory policyType,
@@ -77,6 +133,39 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
         uint256 duration,
         address premiumToken
     ) external onlyAuthorizedInsurer nonReentrant returns (address) {
+        return _createPolicy(policyType, premium, coverage, duration, premiumToken, 0);
+    }
+    
+    /**
+     * @dev Create a parametric policy that pays a fixed amount per holder on a trigger event
+     * @param payoutPerHolder Fixed payout to every covered holder, at most coverage
+     * Pre: Caller is authorized insurer, valid parameters
+     * Post: New parametric policy clone deployed, initialized and registered
+     */
+    function createParametricPolicy(
+        string memory policyType,
+        uint256 premium,
+        uint256 coverage,
+        uint256 duration,
+        address premiumToken,
+        uint256 payoutPerHolder
+    ) external onlyAuthorizedInsurer nonReentrant returns (address) {
+        require(payoutPerHolder > 0, "Payout must be positive");
+        require(payoutPerHolder <= coverage, "Payout exceeds coverage");
+        
+        address policyAddress = _createPolicy(policyType, premium, coverage, duration, premiumToken, payoutPerHolder);
+        emit ParametricPolicyCreated(policyCounter, policyAddress, payoutPerHolder);
+        return policyAddress;
+    }
+    
+    function _createPolicy(
+        string memory policyType,
+        uint256 premium,
+        uint256 coverage,
+        uint256 duration,
+        address premiumToken,
+        uint256 parametricPayout
+    ) internal returns (address) {
         require(bytes(policyType).length > 0, "Invalid policy type");
         require(premium > 0, "Premium must be positive");
         require(coverage > premium, "Coverage must exceed premium");
@@ -85,18 +174,25 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
         
         policyCounter++;
         
-        Policy newPolicy = new Policy(
-            policyCounter,
-            msg.sender,
-            policyType,
-            premium,
-            coverage,
-            duration,
-            premiumToken
-        );
+        address policyAddress = Clones.clone(policyImplementation);
+        Policy(policyAddress).initialize(Policy.InitParams({
+            id: policyCounter,
+            insurer: msg.sender,
+            policyType: policyType,
+            premium: premium,
+            coverage: coverage,
+            duration: duration,
+            premiumToken: premiumToken,
+            parametricPayout: parametricPayout,
+            trustedForwarder: trustedForwarder,
+            premiumPool: defaultPremiumPool,
+            claimManager: defaultClaimManager
+        }));
         
-        address policyAddress = address(newPolicy);
         policies[policyCounter] = policyAddress;
+        isFactoryPolicy[policyAddress] = true;
+        policiesByType[keccak256(bytes(policyType))].push(policyAddress);
+        policiesByInsurer[msg.sender].push(policyAddress);
         
         emit PolicyCreated(
             policyCounter,
@@ -117,6 +213,20 @@ contract PolicyFactory is Ownable, ReentrancyGuard {
         return policies[policyId];
     }
     
+    /**
+     * @dev Get all policies of a type (e.g. "DEFI_HACK"), oldest first
+     */
+    function getPoliciesByType(string calldata policyType) external view returns (address[] memory) {
+        return policiesByType[keccak256(bytes(policyType))];
+    }
+    
+    /**
+     * @dev Get all policies created by an insurer, oldest first
+     */
+    function getPoliciesByInsurer(address insurer) external view returns (address[] memory) {
+        return policiesByInsurer[insurer];
+    }
+    
     /**
      * @dev Get total number of policies created
      */
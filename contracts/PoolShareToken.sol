@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title PoolShareToken
+ * @dev Share token representing underwriting capital in PremiumPool for one asset
+ * Invariants:
+ * - Only the pool (owner) mints and burns shares
+ * - Decimals match the underlying asset
+ * - Shares escrowed for withdrawal are held by the pool until redeemed
+ */
+contract PoolShareToken is ERC20, Ownable {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @dev Returns the number of decimals (same as the underlying asset)
+     */
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mint shares to an underwriter
+     */
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Burn shares held by an account
+     */
+    function burn(address from, uint256 amount) external onlyOwner {
+        _burn(from, amount);
+    }
+
+    /**
+     * @dev Move shares into the pool's escrow for a pending withdrawal
+     */
+    function escrow(address from, uint256 amount) external onlyOwner {
+        _transfer(from, owner(), amount);
+    }
+}
@@ -2,38 +2,95 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Timelocked.sol";
+import "./PoolShareToken.sol";
+import "./PolicyFactory.sol";
 
 /**
  * @title PremiumPool
  * @dev Manages premium collection and claim payouts
  * Invariants:
- * - Total premiums >= total payouts
+ * - Total premiums >= total payouts, tracked per token (amounts in different decimals never mix)
+ * - Only owner-allowed tokens can be deposited
  * - Only authorized contracts can withdraw for claims
+ * - Granting withdrawers, emergency withdrawals and choosing the policy factory go through the timelock once set
+ * - Only factory policies can refund premiums, to their own cancelling holders
  * - Pool maintains liquidity for active policies
+ * - Underwriter shares are claims on the token balance: premiums raise and payouts lower share value
+ * - Capital withdrawals wait WITHDRAWAL_COOLDOWN, staying exposed to losses while queued,
+ *   and lapse if not executed within WITHDRAWAL_WINDOW of unlocking
+ * - Active coverage sold by factory policies stays within capacityMultipleBps of the token balance,
+ *   both when coverage is written and when capital is withdrawn
  */
-contract PremiumPool is ReentrancyGuard, Ownable {
+contract PremiumPool is ReentrancyGuard, Timelocked {
     using SafeERC20 for IERC20;
     
     mapping(address => uint256) public tokenBalances;
     mapping(address => bool) public authorizedWithdrawers;
     
-    uint256 public totalPremiumsCollected;
-    uint256 public totalClaimsPaid;
+    // Per-token accounting, in each token's own units
+    mapping(address => uint256) public totalPremiumsCollected;
+    mapping(address => uint256) public totalClaimsPaid;
+    mapping(address => uint256) public totalPremiumsRefunded;
+    
+    // Token allow-list; tokenList keeps every token ever allowed for reporting
+    mapping(address => bool) public allowedTokens;
+    address[] public tokenList;
+    mapping(address => bool) private listedTokens;
+    
+    struct WithdrawalRequest {
+        uint256 shares;
+        uint256 unlockAt;
+    }
+    
+    uint256 public constant WITHDRAWAL_COOLDOWN = 7 days;
+    uint256 public constant WITHDRAWAL_WINDOW = 3 days;
+    
+    // Underwriting capital: share token per asset, queued withdrawals per asset and provider
+    mapping(address => PoolShareToken) public shareTokens;
+    mapping(address => mapping(address => WithdrawalRequest)) public withdrawalRequests;
+    mapping(address => uint256) public totalCapitalDeposited;
+    mapping(address => uint256) public totalCapitalWithdrawn;
+    
+    // Solvency guard: coverage outstanding per token, capped at a multiple of the balance (0 = no cap)
+    PolicyFactory public policyFactory;
+    uint256 public capacityMultipleBps;
+    mapping(address => uint256) public activeCoverage;
     
     event PremiumDeposited(address indexed token, uint256 amount, address indexed from);
     event ClaimPaid(address indexed token, uint256 amount, address indexed to, bytes32 indexed claimId);
+    event ClaimFundsReturned(address indexed token, uint256 amount, bytes32 indexed claimId);
     event WithdrawerAuthorized(address indexed withdrawer);
     event WithdrawerRevoked(address indexed withdrawer);
+    event PremiumRefunded(address indexed token, uint256 amount, address indexed to, address indexed policy);
     event EmergencyWithdraw(address indexed token, uint256 amount, address indexed to);
+    event TokenAllowed(address indexed token);
+    event TokenDisallowed(address indexed token);
+    event CapitalDeposited(address indexed token, address indexed provider, uint256 assets, uint256 shares);
+    event WithdrawalRequested(address indexed token, address indexed provider, uint256 shares, uint256 unlockAt);
+    event WithdrawalCancelled(address indexed token, address indexed provider, uint256 shares);
+    event CapitalWithdrawn(address indexed token, address indexed provider, uint256 assets, uint256 shares);
+    event PolicyFactoryUpdated(address indexed policyFactory);
+    event CapacityMultipleUpdated(uint256 multipleBps);
+    event CoverageWritten(address indexed token, address indexed policy, uint256 amount, uint256 activeCoverage);
+    event CoverageReleased(address indexed token, address indexed policy, uint256 amount, uint256 activeCoverage);
     
     modifier onlyAuthorizedWithdrawer() {
         require(authorizedWithdrawers[msg.sender], "Not authorized withdrawer");
         _;
     }
     
+    modifier onlyFactoryPolicy() {
+        require(
+            address(policyFactory) != address(0) && policyFactory.isFactoryPolicy(msg.sender),
+            "Not a factory policy"
+        );
+        _;
+    }
+    
     constructor() {
         authorizedWithdrawers[msg.sender] = true;
     }
@@ -42,20 +99,109 @@ contract PremiumPool is ReentrancyGuard, Ownable {
      * @dev Authorize address to withdraw for claims
      * @param withdrawer Address to authorize (typically ClaimManager)
      */
-    function authorizeWithdrawer(address withdrawer) external onlyOwner {
+    function authorizeWithdrawer(address withdrawer) external onlyTimelocked {
         require(withdrawer != address(0), "Invalid withdrawer");
         authorizedWithdrawers[withdrawer] = true;
         emit WithdrawerAuthorized(withdrawer);
     }
     
     /**
-     * @dev Revoke withdrawal authorization
+     * @dev Revoke withdrawal authorization (not timelocked, so compromised withdrawers can be cut off)
      */
     function revokeWithdrawer(address withdrawer) external onlyOwner {
         authorizedWithdrawers[withdrawer] = false;
         emit WithdrawerRevoked(withdrawer);
     }
     
+    /**
+     * @dev Set the factory whose policies may write coverage against the pool and refund premiums
+     * Pre: Only owner (or timelock, once set), since factory policies can move pool funds
+     */
+    function setPolicyFactory(address _policyFactory) external onlyTimelocked {
+        require(_policyFactory != address(0), "Invalid factory");
+        policyFactory = PolicyFactory(_policyFactory);
+        emit PolicyFactoryUpdated(_policyFactory);
+    }
+    
+    /**
+     * @dev Set max active coverage as a multiple of pool balance
+     * @param multipleBps Multiple in basis points (e.g. 50000 = 5x balance), 0 disables the cap
+     */
+    function setCapacityMultiple(uint256 multipleBps) external onlyOwner {
+        capacityMultipleBps = multipleBps;
+        emit CapacityMultipleUpdated(multipleBps);
+    }
+    
+    /**
+     * @dev Record coverage sold by a factory policy
+     * @param token Token the coverage pays out in
+     * @param amount Coverage amount
+     * Pre: Caller is a factory policy, coverage stays within capacity
+     * Post: Active coverage increased
+     */
+    function writeCoverage(address token, uint256 amount) external onlyFactoryPolicy {
+        uint256 newCoverage = activeCoverage[token] + amount;
+        require(capacityMultipleBps == 0 || newCoverage <= maxCoverage(token), "Pool capacity exceeded");
+        
+        activeCoverage[token] = newCoverage;
+        emit CoverageWritten(token, msg.sender, amount, newCoverage);
+    }
+    
+    /**
+     * @dev Release coverage when a policy is cancelled or expired
+     */
+    function releaseCoverage(address token, uint256 amount) external onlyFactoryPolicy {
+        activeCoverage[token] -= amount;
+        emit CoverageReleased(token, msg.sender, amount, activeCoverage[token]);
+    }
+    
+    /**
+     * @dev Max active coverage the pool can back for token (0 when no cap is set)
+     */
+    function maxCoverage(address token) public view returns (uint256) {
+        return (tokenBalances[token] * capacityMultipleBps) / 10000;
+    }
+    
+    /**
+     * @dev Get active coverage and capacity for token
+     */
+    function getCapacity(address token) external view returns (uint256 active, uint256 max) {
+        return (activeCoverage[token], maxCoverage(token));
+    }
+    
+    /**
+     * @dev Allow a token to be deposited into the pool
+     */
+    function allowToken(address token) external onlyOwner {
+        require(token != address(0), "Invalid token");
+        allowedTokens[token] = true;
+        if (!listedTokens[token]) {
+            listedTokens[token] = true;
+            tokenList.push(token);
+            shareTokens[token] = new PoolShareToken(
+                "Crypto Insurance Pool Share",
+                "CIPS",
+                IERC20Metadata(token).decimals()
+            );
+        }
+        emit TokenAllowed(token);
+    }
+    
+    /**
+     * @dev Stop accepting deposits of a token (existing balance can still pay claims)
+     */
+    function disallowToken(address token) external onlyOwner {
+        allowedTokens[token] = false;
+        emit TokenDisallowed(token);
+    }
+    
+    /**
+     * @dev Get every token ever allowed, including ones since disallowed
+     */
+    function getTokens() external view returns (address[] memory) {
+        return tokenList;
+    }
+    
     /**
      * @dev Deposit premium to pool
      * @param token ERC20 token address
@@ -64,16 +210,125 @@ contract PremiumPool is ReentrancyGuard, Ownable {
      * Post: Premium added to pool balance
      */
     function depositPremium(address token, uint256 amount) external nonReentrant {
-        require(token != address(0), "Invalid token");
+        require(allowedTokens[token], "Token not allowed");
         require(amount > 0, "Amount must be positive");
         
         IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
         tokenBalances[token] += amount;
-        totalPremiumsCollected += amount;
+        totalPremiumsCollected[token] += amount;
         
         emit PremiumDeposited(token, amount, msg.sender);
     }
     
+    /**
+     * @dev Deposit underwriting capital and receive pool shares
+     * @param token Allowed ERC20 token
+     * @param assets Amount of token to deposit
+     * @return shares Pool shares minted to the provider
+     * Pre: Token approved for transfer
+     * Post: Capital added to pool balance, shares minted at current share price
+     */
+    function depositCapital(address token, uint256 assets) external nonReentrant returns (uint256 shares) {
+        require(allowedTokens[token], "Token not allowed");
+        require(assets > 0, "Amount must be positive");
+        
+        PoolShareToken shareToken = shareTokens[token];
+        if (shareToken.totalSupply() == 0 && tokenBalances[token] > 0) {
+            // Premiums collected before the first underwriter belong to the protocol
+            shareToken.mint(owner(), tokenBalances[token]);
+        }
+        require(tokenBalances[token] > 0 || shareToken.totalSupply() == 0, "Pool insolvent");
+        
+        shares = convertToShares(token, assets);
+        require(shares > 0, "Zero shares");
+        
+        IERC20(token).safeTransferFrom(msg.sender, address(this), assets);
+        tokenBalances[token] += assets;
+        totalCapitalDeposited[token] += assets;
+        shareToken.mint(msg.sender, shares);
+        
+        emit CapitalDeposited(token, msg.sender, assets, shares);
+    }
+    
+    /**
+     * @dev Queue shares for withdrawal after the cooldown
+     * @param token Underlying token of the shares
+     * @param shares Shares to escrow (added to any pending request, which restarts the cooldown)
+     * Post: Shares held by the pool until withdrawn, still absorbing gains and losses
+     */
+    function requestWithdrawal(address token, uint256 shares) external nonReentrant {
+        require(shares > 0, "Amount must be positive");
+        PoolShareToken shareToken = shareTokens[token];
+        require(address(shareToken) != address(0), "Unknown token");
+        require(shareToken.balanceOf(msg.sender) >= shares, "Insufficient shares");
+        
+        shareToken.escrow(msg.sender, shares);
+        
+        WithdrawalRequest storage request = withdrawalRequests[token][msg.sender];
+        request.shares += shares;
+        request.unlockAt = block.timestamp + WITHDRAWAL_COOLDOWN;
+        
+        emit WithdrawalRequested(token, msg.sender, request.shares, request.unlockAt);
+    }
+    
+    /**
+     * @dev Cancel a queued withdrawal and return the escrowed shares (also how a lapsed request is cleared)
+     */
+    function cancelWithdrawal(address token) external nonReentrant {
+        WithdrawalRequest memory request = withdrawalRequests[token][msg.sender];
+        require(request.shares > 0, "No pending withdrawal");
+        
+        delete withdrawalRequests[token][msg.sender];
+        IERC20(address(shareTokens[token])).safeTransfer(msg.sender, request.shares);
+        
+        emit WithdrawalCancelled(token, msg.sender, request.shares);
+    }
+    
+    /**
+     * @dev Redeem queued shares for their current value once the cooldown has passed
+     * @return assets Amount of token paid out
+     * Pre: Pending request unlocked and within its window, sufficient balance,
+     *      active coverage stays within capacity afterwards
+     * Post: Shares burned, capital returned to provider
+     */
+    function withdrawCapital(address token) external nonReentrant returns (uint256 assets) {
+        WithdrawalRequest memory request = withdrawalRequests[token][msg.sender];
+        require(request.shares > 0, "No pending withdrawal");
+        require(block.timestamp >= request.unlockAt, "Withdrawal cooldown active");
+        require(block.timestamp <= request.unlockAt + WITHDRAWAL_WINDOW, "Withdrawal window expired");
+        
+        assets = convertToAssets(token, request.shares);
+        require(tokenBalances[token] >= assets, "Insufficient pool balance");
+        
+        delete withdrawalRequests[token][msg.sender];
+        shareTokens[token].burn(address(this), request.shares);
+        tokenBalances[token] -= assets;
+        require(capacityMultipleBps == 0 || activeCoverage[token] <= maxCoverage(token), "Pool capacity exceeded");
+        totalCapitalWithdrawn[token] += assets;
+        
+        IERC20(token).safeTransfer(msg.sender, assets);
+        
+        emit CapitalWithdrawn(token, msg.sender, assets, request.shares);
+    }
+    
+    /**
+     * @dev Shares minted for a deposit of assets at the current share price
+     */
+    function convertToShares(address token, uint256 assets) public view returns (uint256) {
+        uint256 supply = shareTokens[token].totalSupply();
+        if (supply == 0) return assets;
+        return (assets * supply) / tokenBalances[token];
+    }
+    
+    /**
+     * @dev Current value of shares in the underlying token
+     */
+    function convertToAssets(address token, uint256 shares) public view returns (uint256) {
+        uint256 supply = shareTokens[token].totalSupply();
+        if (supply == 0) return shares;
+        return (shares * tokenBalances[token]) / supply;
+    }
+    
     /**
      * @dev Withdraw for claim payout
      * @param token ERC20 token address
@@ -95,13 +350,53 @@ contract PremiumPool is ReentrancyGuard, Ownable {
         require(tokenBalances[token] >= amount, "Insufficient pool balance");
         
         tokenBalances[token] -= amount;
-        totalClaimsPaid += amount;
+        totalClaimsPaid[token] += amount;
         
         IERC20(token).safeTransfer(to, amount);
         
         emit ClaimPaid(token, amount, to, claimId);
     }
     
+    /**
+     * @dev Take back a claim payout that was withdrawn but never released (e.g. declined by escrow signers)
+     * @param token ERC20 token address
+     * @param amount Amount returned, pulled from the caller
+     * @param claimId Claim the payout was withdrawn for
+     * Pre: Authorized withdrawer, amount approved and no more than was paid out in claims
+     * Post: Balance restored and the amount no longer counted as paid
+     */
+    function returnClaimFunds(address token, uint256 amount, bytes32 claimId) external onlyAuthorizedWithdrawer nonReentrant {
+        require(amount > 0, "Amount must be positive");
+        require(amount <= totalClaimsPaid[token], "Exceeds claims paid");
+        
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        tokenBalances[token] += amount;
+        totalClaimsPaid[token] -= amount;
+        
+        emit ClaimFundsReturned(token, amount, claimId);
+    }
+    
+    /**
+     * @dev Refund unearned premium to a cancelling policy holder
+     * @param token ERC20 token address
+     * @param amount Amount to refund
+     * @param to Policy holder receiving the refund
+     * Pre: Caller is a factory policy, sufficient balance
+     * Post: Refund paid, balance updated
+     */
+    function refundPremium(address token, uint256 amount, address to) external onlyFactoryPolicy nonReentrant {
+        require(amount > 0, "Amount must be positive");
+        require(to != address(0), "Invalid recipient");
+        require(tokenBalances[token] >= amount, "Insufficient pool balance");
+        
+        tokenBalances[token] -= amount;
+        totalPremiumsRefunded[token] += amount;
+        
+        IERC20(token).safeTransfer(to, amount);
+        
+        emit PremiumRefunded(token, amount, to, msg.sender);
+    }
+    
     /**
      * @dev Get pool balance for token
      */
@@ -110,17 +405,35 @@ contract PremiumPool is ReentrancyGuard, Ownable {
     }
     
     /**
-     * @dev Get pool utilization ratio (claims paid / premiums collected)
+     * @dev Get pool utilization ratio for token (claims paid / net premiums collected)
+     */
+    function getUtilizationRatio(address token) external view returns (uint256) {
+        uint256 netPremiums = totalPremiumsCollected[token] - totalPremiumsRefunded[token];
+        if (netPremiums == 0) return 0;
+        return (totalClaimsPaid[token] * 10000) / netPremiums; // Basis points
+    }
+    
+    /**
+     * @dev Get accounting totals for token
      */
-    function getUtilizationRatio() external view returns (uint256) {
-        if (totalPremiumsCollected == 0) return 0;
-        return (totalClaimsPaid * 10000) / totalPremiumsCollected; // Basis points
+    function getTokenStats(address token) external view returns (
+        uint256 balance,
+        uint256 premiumsCollected,
+        uint256 claimsPaid,
+        uint256 premiumsRefunded
+    ) {
+        return (
+            tokenBalances[token],
+            totalPremiumsCollected[token],
+            totalClaimsPaid[token],
+            totalPremiumsRefunded[token]
+        );
     }
     
     /**
-     * @dev Emergency withdraw (owner only, for contract upgrades)
+     * @dev Emergency withdraw (timelocked, for contract upgrades)
      */
-    function emergencyWithdraw(address token, uint256 amount, address to) external onlyOwner {
+    function emergencyWithdraw(address token, uint256 amount, address to) external onlyTimelocked {
         require(token != address(0), "Invalid token");
         require(to != address(0), "Invalid recipient");
         require(tokenBalances[token] >= amount, "Insufficient balance");
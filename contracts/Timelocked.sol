@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title Timelocked
+ * @dev Ownable extension that routes privileged operations through a timelock
+ * Invariants:
+ * - Until a timelock is set, timelocked operations are owner-only (deployment setup)
+ * - Once set, timelocked operations (including replacing the timelock) only run via the timelock
+ */
+abstract contract Timelocked is Ownable {
+    address public timelock;
+    
+    event TimelockUpdated(address indexed timelock);
+    
+    modifier onlyTimelocked() {
+        if (timelock == address(0)) {
+            _checkOwner();
+        } else {
+            require(msg.sender == timelock, "Only timelock");
+        }
+        _;
+    }
+    
+    /**
+     * @dev Set the timelock for privileged operations
+     * @param _timelock Timelock controller address
+     * Pre: Owner on first call, afterwards only the current timelock
+     */
+    function setTimelock(address _timelock) external onlyTimelocked {
+        require(_timelock != address(0), "Invalid timelock");
+        timelock = _timelock;
+        emit TimelockUpdated(_timelock);
+    }
+}
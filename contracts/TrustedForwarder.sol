@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title TrustedForwarder
+ * @dev ERC-2771 forwarder that executes EIP-712 signed requests on behalf of their signer,
+ * so a relayer can pay gas for users
+ * Invariants:
+ * - A request only executes if signed by `from`, before its deadline, with `from`'s current nonce
+ * - Each nonce is used once; a reverted call reverts the whole relay and leaves the nonce unused
+ * - The target receives the call with `from` appended to calldata (see ForwarderRecipient)
+ * - The relayer must supply at least the requested gas to the target call
+ */
+contract TrustedForwarder is EIP712 {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant _TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    mapping(address => uint256) private _nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    constructor() EIP712("TrustedForwarder", "1") {}
+
+    /**
+     * @dev Next nonce a request from `from` must use
+     */
+    function getNonce(address from) external view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /**
+     * @dev Check a request's signature, nonce and deadline without executing it
+     */
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(_hash(req), signature);
+        return error == ECDSA.RecoverError.NoError &&
+            signer == req.from &&
+            _nonces[req.from] == req.nonce &&
+            block.timestamp <= req.deadline;
+    }
+
+    /**
+     * @dev Execute a signed request
+     * @param req Request signed by req.from
+     * @param signature EIP-712 signature over req
+     * Pre: verify(req, signature), msg.value equals req.value
+     * Post: Nonce consumed, target called as req.from; reverts with the target's reason on failure
+     */
+    function execute(ForwardRequest calldata req, bytes calldata signature)
+        external
+        payable
+        returns (bytes memory)
+    {
+        require(block.timestamp <= req.deadline, "Request expired");
+        require(_nonces[req.from] == req.nonce, "Invalid nonce");
+        require(verify(req, signature), "Invalid signature");
+        require(msg.value == req.value, "Value mismatch");
+
+        _nonces[req.from] = req.nonce + 1;
+
+        (bool success, bytes memory returndata) = req.to.call{gas: req.gas, value: req.value}(
+            abi.encodePacked(req.data, req.from)
+        );
+
+        // EIP-150 forwards at most 63/64 of remaining gas; fail if the target got less than requested
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit RequestExecuted(req.from, req.to, req.nonce);
+        return returndata;
+    }
+
+    function _hash(ForwardRequest calldata req) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            _TYPEHASH,
+            req.from,
+            req.to,
+            req.value,
+            req.gas,
+            req.nonce,
+            req.deadline,
+            keccak256(req.data)
+        )));
+    }
+}
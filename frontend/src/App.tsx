@@ -1,7 +1,10 @@
 import React, { useEffect } from 'react'
+import toast from 'react-hot-toast'
 import { Routes, Route } from 'react-router-dom'
 import { useWalletStore } from './stores/walletStore'
+import { useNotificationStore, Notification } from './stores/notificationStore'
 import { useWebSocket } from './hooks/useWebSocket'
+import { WS_URL } from './services/api'
 import Navbar from './components/Navbar'
 import Home from './pages/Home'
 import Policies from './pages/Policies'
@@ -10,26 +13,29 @@ import Dashboard from './pages/Dashboard'
 import Admin from './pages/Admin'
 
 function App() {
-  const { isConnected, address } = useWalletStore()
-  
-  const { isConnected: wsConnected, authenticate, subscribe } = useWebSocket(
-    'ws://localhost:3001/ws',
-    {
-      onMessage: (message) => {
-        console.log('WebSocket message:', message)
-      },
-      onConnect: () => {
-        console.log('WebSocket connected')
-      }
-    }
-  )
+  const { isConnected, isAuthenticated } = useWalletStore()
+  const { add: addNotification, clear: clearNotifications } = useNotificationStore()
 
   useEffect(() => {
-    if (wsConnected && isConnected && address) {
-      authenticate(address, 'dummy-signature')
-      subscribe(['claims', 'policies', 'notifications'])
+    if (!isAuthenticated) {
+      clearNotifications()
+    }
+  }, [isAuthenticated])
+  
+  useWebSocket(WS_URL, {
+    enabled: isAuthenticated,
+    topics: ['claims', 'policies', 'notifications'],
+    onMessage: (message) => {
+      if (message.type === 'new_notification') {
+        if (addNotification(message.data as Notification)) {
+          toast(message.data.title)
+        }
+      }
+    },
+    onConnect: () => {
+      console.log('WebSocket connected')
     }
-  }, [wsConnected, isConnected, address])
+  })
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -1,22 +1,117 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { claimsAPI } from '../../services/api';
+import { sendClaimSubmission } from '../../services/relay';
+import { useWalletStore } from '../../stores/walletStore';
+
+export interface ClaimSubmissionResult {
+  claimId: string;
+  txHash?: string;
+  flaggedForReview: boolean;
+}
 
 interface ClaimFormProps {
-  onSubmit: (claimData: any) => void;
+  onSubmitted: (result: ClaimSubmissionResult) => void;
   policies: any[];
-  loading?: boolean;
 }
 
-const ClaimForm: React.FC<ClaimFormProps> = ({ onSubmit, policies, loading = false }) => {
+interface PayoutEstimate {
+  deductible: number;
+  coinsuranceBps: number;
+  coverage: number;
+  netPayout: number;
+}
+
+type SubmitStep = 'idle' | 'validating' | 'signing' | 'confirming' | 'linking';
+
+const STEP_LABELS: Record<SubmitStep, string> = {
+  idle: 'Submit Claim',
+  validating: 'Validating...',
+  signing: 'Confirm in wallet...',
+  confirming: 'Waiting for confirmation...',
+  linking: 'Finalizing...'
+};
+
+const ClaimForm: React.FC<ClaimFormProps> = ({ onSubmitted, policies }) => {
+  const { signer } = useWalletStore();
   const [formData, setFormData] = useState({
     policyId: '',
     amount: '',
     description: '',
     incidentDate: ''
   });
+  const [estimate, setEstimate] = useState<PayoutEstimate | null>(null);
+  const [step, setStep] = useState<SubmitStep>('idle');
+  const [error, setError] = useState<string | null>(null);
+
+  // Preview the net payout after deductible and co-insurance as the user types
+  useEffect(() => {
+    const amount = parseFloat(formData.amount);
+    if (!formData.policyId || isNaN(amount) || amount <= 0) {
+      setEstimate(null);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await claimsAPI.estimatePayout(formData.policyId, formData.amount);
+        setEstimate(response.data.payout);
+      } catch (error) {
+        // Fall back to the terms on the selected policy
+        const policy = policies.find(p => String(p.id) === formData.policyId);
+        if (!policy) {
+          setEstimate(null);
+          return;
+        }
+        const deductible = Number(policy.deductible || 0);
+        const coinsuranceBps = Number(policy.coinsuranceBps || 10000);
+        const coverage = Number(policy.coverage || 0);
+        const net = Math.max(0, amount - deductible) * coinsuranceBps / 10000;
+        setEstimate({ deductible, coinsuranceBps, coverage, netPayout: Math.min(coverage, net) });
+      }
+    }, 300);
 
-  const handleSubmit = (e: React.FormEvent) => {
+    return () => clearTimeout(timeout);
+  }, [formData.policyId, formData.amount, policies]);
+
+  // The backend validates and scores the claim; the holder's wallet signs it, since
+  // ClaimManager only accepts claims from an active policyholder. The relayer pays gas
+  // while the holder has relay quota left.
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit(formData);
+    setError(null);
+
+    if (!signer) {
+      setError('Please connect your wallet first');
+      return;
+    }
+
+    try {
+      setStep('validating');
+      const { data } = await claimsAPI.submit(formData);
+
+      // High-risk claims go to manual review instead of on-chain
+      if (!data.transaction) {
+        onSubmitted({ claimId: data.claimId, flaggedForReview: true });
+        return;
+      }
+
+      setStep('signing');
+      const txHash = await sendClaimSubmission(signer, data.transaction, () => setStep('confirming'));
+
+      setStep('linking');
+      await claimsAPI.link(data.claimId, txHash);
+
+      onSubmitted({ claimId: data.claimId, txHash, flaggedForReview: false });
+    } catch (err: any) {
+      console.error('Failed to submit claim:', err);
+      if (err.code === 'ACTION_REJECTED') {
+        setError('Transaction rejected in wallet');
+      } else {
+        setError(err.response?.data?.error || err.shortMessage || err.message || 'Failed to submit claim');
+      }
+    } finally {
+      setStep('idle');
+    }
   };
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
@@ -67,6 +162,25 @@ const ClaimForm: React.FC<ClaimFormProps> = ({ onSubmit, policies, loading = fal
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             placeholder="Enter claim amount"
           />
+          {estimate && (
+            <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-gray-700">
+              <div className="flex justify-between">
+                <span>Deductible</span>
+                <span>-${estimate.deductible.toLocaleString()}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Co-insurance (insurer pays)</span>
+                <span>{estimate.coinsuranceBps / 100}%</span>
+              </div>
+              <div className="flex justify-between font-semibold text-gray-900 mt-1">
+                <span>Expected net payout</span>
+                <span>${estimate.netPayout.toLocaleString()}</span>
+              </div>
+              {estimate.netPayout <= 0 && (
+                <p className="text-red-600 mt-1">This amount is within your deductible.</p>
+              )}
+            </div>
+          )}
         </div>
 
         <div>
@@ -98,6 +212,12 @@ const ClaimForm: React.FC<ClaimFormProps> = ({ onSubmit, policies, loading = fal
           />
         </div>
 
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
         <div className="flex justify-end space-x-4">
           <button
             type="button"
@@ -113,10 +233,10 @@ const ClaimForm: React.FC<ClaimFormProps> = ({ onSubmit, policies, loading = fal
           </button>
           <button
             type="submit"
-            disabled={loading}
+            disabled={step !== 'idle'}
             className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
           >
-            {loading ? 'Submitting...' : 'Submit Claim'}
+            {STEP_LABELS[step]}
           </button>
         </div>
       </form>
@@ -1,12 +1,11 @@
 import React from 'react'
 import { Link, useLocation } from 'react-router-dom'
-import { useWalletStore } from '../stores/walletStore'
-
-const ADMIN_ADDRESS = '0xaa91592fd2e0ad8575e292aa71a284c6c59adcff'
+import { useWalletStore, STAFF_ROLES } from '../stores/walletStore'
+import NotificationBell from './NotificationBell'
 
 const Navbar: React.FC = () => {
   const location = useLocation()
-  const { isConnected, address, connect, disconnect } = useWalletStore()
+  const { isConnected, isAuthenticated, address, connect, disconnect, hasRole } = useWalletStore()
 
   const isActive = (path: string) => location.pathname === path
 
@@ -14,7 +13,7 @@ const Navbar: React.FC = () => {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`
   }
   
-  const isAdmin = isConnected && address?.toLowerCase() === ADMIN_ADDRESS.toLowerCase()
+  const isStaff = isConnected && hasRole(...STAFF_ROLES)
 
   return (
     <nav className="bg-white border-b border-gray-200">
@@ -43,7 +42,7 @@ const Navbar: React.FC = () => {
                 <Link to="/dashboard" className={`text-sm transition-colors ${isActive('/dashboard') ? 'text-gray-900 font-medium' : 'text-gray-600 hover:text-gray-900'}`}>
                   Dashboard
                 </Link>
-                {isAdmin && (
+                {isStaff && (
                   <Link to="/admin" className={`text-sm transition-colors ${isActive('/admin') ? 'text-gray-900 font-medium' : 'text-gray-600 hover:text-gray-900'}`}>
                     Admin
                   </Link>
@@ -56,6 +55,7 @@ const Navbar: React.FC = () => {
           <div className="flex items-center gap-3">
             {isConnected ? (
               <>
+                {isAuthenticated && <NotificationBell />}
                 <span className="text-sm text-gray-600">{formatAddress(address!)}</span>
                 <button onClick={disconnect} className="bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium py-1 px-4 rounded text-sm transition-colors">
                   Disconnect
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from 'react'
+import toast from 'react-hot-toast'
+import { useNotificationStore } from '../stores/notificationStore'
+
+const formatTime = (iso: string) => {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`
+  return new Date(iso).toLocaleDateString()
+}
+
+const NotificationBell: React.FC = () => {
+  const { notifications, unreadCount, loading, fetch, markAsRead, markAllAsRead, remove } = useNotificationStore()
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef<HTMLDivElement>(null)
+
+  useEffect(() => {
+    fetch()
+  }, [])
+
+  // Close the inbox when clicking outside it
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const run = (action: Promise<void>) => {
+    action.catch(() => toast.error('Failed to update notifications'))
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-1 text-gray-600 hover:text-gray-900 transition-colors"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-600 text-white text-xs rounded-full min-w-[1.1rem] h-[1.1rem] px-1 flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded shadow-lg z-50">
+          <div className="flex justify-between items-center px-4 py-2 border-b border-gray-200">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={() => run(markAllAsRead())} className="text-xs text-blue-600 hover:text-blue-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications</p>
+            ) : (
+              notifications.map(notification => (
+                <div
+                  key={notification.id}
+                  className={`px-4 py-3 border-b border-gray-100 last:border-0 ${notification.read ? '' : 'bg-blue-50'}`}
+                >
+                  <div className="flex justify-between items-start gap-2">
+                    <div
+                      className={notification.read ? '' : 'cursor-pointer'}
+                      onClick={() => !notification.read && run(markAsRead(notification.id))}
+                    >
+                      <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                      <p className="text-sm text-gray-600">{notification.message}</p>
+                      <p className="text-xs text-gray-400 mt-1">{formatTime(notification.createdAt)}</p>
+                    </div>
+                    <button
+                      onClick={() => run(remove(notification.id))}
+                      className="text-gray-400 hover:text-gray-600 text-sm"
+                      aria-label="Delete notification"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
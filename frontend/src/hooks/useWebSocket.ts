@@ -1,13 +1,20 @@
 import { useEffect, useRef, useState } from 'react';
+import { refreshAccessToken } from '../services/api';
+
+export type WebSocketTopic = 'claims' | 'policies' | 'notifications' | 'admin' | 'pool';
 
 interface WebSocketMessage {
   type: string;
+  topic?: WebSocketTopic;
+  seq?: number;
   data?: any;
   message?: string;
   error?: string;
 }
 
 interface UseWebSocketOptions {
+  enabled?: boolean;
+  topics?: WebSocketTopic[];
   onMessage?: (message: WebSocketMessage) => void;
   onConnect?: () => void;
   onDisconnect?: () => void;
@@ -16,14 +23,22 @@ interface UseWebSocketOptions {
   maxReconnectAttempts?: number;
 }
 
+// Server closes the socket with this code when the access token expires or is invalid
+const CLOSE_UNAUTHORIZED = 4001;
+
 export const useWebSocket = (url: string, options: UseWebSocketOptions = {}) => {
   const [isConnected, setIsConnected] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState<'connecting' | 'connected' | 'disconnected' | 'error'>('disconnected');
   const wsRef = useRef<WebSocket | null>(null);
   const reconnectTimeoutRef = useRef<NodeJS.Timeout | null>(null);
   const reconnectAttemptsRef = useRef(0);
+  // Last event sequence seen; sent on reconnect so the server replays what was missed
+  const lastSeqRef = useRef<number | null>(null);
+  const closedByUserRef = useRef(false);
 
   const {
+    enabled = true,
+    topics = ['claims', 'policies', 'notifications'],
     onMessage,
     onConnect,
     onDisconnect,
@@ -32,37 +47,71 @@ export const useWebSocket = (url: string, options: UseWebSocketOptions = {}) =>
     maxReconnectAttempts = 5
   } = options;
 
+  // Handlers change every render; the socket reads the latest ones through a ref
+  const handlersRef = useRef({ onMessage, onConnect, onDisconnect, onError });
+  handlersRef.current = { onMessage, onConnect, onDisconnect, onError };
+
   const connect = () => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
       return;
     }
 
+    const token = localStorage.getItem('authToken');
+    if (!token) {
+      return;
+    }
+
+    closedByUserRef.current = false;
     setConnectionStatus('connecting');
-    
+
     try {
-      wsRef.current = new WebSocket(url);
+      const ws = new WebSocket(`${url}?token=${encodeURIComponent(token)}`);
+      wsRef.current = ws;
 
-      wsRef.current.onopen = () => {
+      ws.onopen = () => {
         setIsConnected(true);
         setConnectionStatus('connected');
         reconnectAttemptsRef.current = 0;
-        onConnect?.();
+        handlersRef.current.onConnect?.();
       };
 
-      wsRef.current.onmessage = (event) => {
+      ws.onmessage = (event) => {
         try {
           const message: WebSocketMessage = JSON.parse(event.data);
-          onMessage?.(message);
+
+          if (message.type === 'welcome') {
+            const since = lastSeqRef.current;
+            if (since === null) {
+              lastSeqRef.current = message.seq ?? 0;
+            }
+            ws.send(JSON.stringify({ type: 'subscribe', topics, since: since ?? undefined }));
+            return;
+          }
+
+          if (typeof message.seq === 'number') {
+            lastSeqRef.current = Math.max(lastSeqRef.current ?? 0, message.seq);
+          }
+          handlersRef.current.onMessage?.(message);
         } catch (error) {
           console.error('Failed to parse WebSocket message:', error);
         }
       };
 
-      wsRef.current.onclose = () => {
+      ws.onclose = (event) => {
         setIsConnected(false);
         setConnectionStatus('disconnected');
-        onDisconnect?.();
-        
+        handlersRef.current.onDisconnect?.();
+
+        if (closedByUserRef.current || wsRef.current !== ws) {
+          return;
+        }
+
+        // Expired token: refresh it and reconnect right away; replay covers the gap
+        if (event.code === CLOSE_UNAUTHORIZED) {
+          refreshAccessToken().then(connect).catch(() => {});
+          return;
+        }
+
         // Attempt to reconnect
         if (reconnectAttemptsRef.current < maxReconnectAttempts) {
           reconnectAttemptsRef.current++;
@@ -72,9 +121,9 @@ export const useWebSocket = (url: string, options: UseWebSocketOptions = {}) =>
         }
       };
 
-      wsRef.current.onerror = (error) => {
+      ws.onerror = (error) => {
         setConnectionStatus('error');
-        onError?.(error);
+        handlersRef.current.onError?.(error);
       };
     } catch (error) {
       setConnectionStatus('error');
@@ -83,16 +132,18 @@ export const useWebSocket = (url: string, options: UseWebSocketOptions = {}) =>
   };
 
   const disconnect = () => {
+    closedByUserRef.current = true;
+
     if (reconnectTimeoutRef.current) {
       clearTimeout(reconnectTimeoutRef.current);
       reconnectTimeoutRef.current = null;
     }
-    
+
     if (wsRef.current) {
       wsRef.current.close();
       wsRef.current = null;
     }
-    
+
     setIsConnected(false);
     setConnectionStatus('disconnected');
   };
@@ -105,36 +156,41 @@ export const useWebSocket = (url: string, options: UseWebSocketOptions = {}) =>
     return false;
   };
 
-  const authenticate = (walletAddress: string, signature: string) => {
+  const subscribe = (topics: WebSocketTopic[]) => {
     return sendMessage({
-      type: 'auth',
-      walletAddress,
-      signature
+      type: 'subscribe',
+      topics
     });
   };
 
-  const subscribe = (topics: string[]) => {
+  const unsubscribe = (topics: WebSocketTopic[]) => {
     return sendMessage({
-      type: 'subscribe',
+      type: 'unsubscribe',
       topics
     });
   };
 
   useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    // A new session (e.g. different account) starts without replay history
+    lastSeqRef.current = null;
     connect();
 
     return () => {
       disconnect();
     };
-  }, [url]);
+  }, [url, enabled]);
 
   return {
     isConnected,
     connectionStatus,
     sendMessage,
-    authenticate,
     subscribe,
+    unsubscribe,
     connect,
     disconnect
   };
-};
\ No newline at end of file
+};
@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react'
-import { useWalletStore } from '../stores/walletStore'
+import { ethers } from 'ethers'
+import { useWalletStore, STAFF_ROLES } from '../stores/walletStore'
 import { analyticsAPI } from '../services/api'
 import { useWebSocket } from '../hooks/useWebSocket'
 import toast from 'react-hot-toast'
 
-// Define the admin address
-const ADMIN_ADDRESS = '0xaa91592fd2e0ad8575e292aa71a284c6c59adcff'
+const authHeaders = (): Record<string, string> => {
+  const token = localStorage.getItem('authToken')
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
 
 const Admin: React.FC = () => {
-  const { isConnected, address } = useWalletStore()
+  const { isConnected, address, signer, roles, hasRole } = useWalletStore()
+  const isStaff = hasRole(...STAFF_ROLES)
   const [activeTab, setActiveTab] = useState('overview')
   const [data, setData] = useState<any>(null)
   const [claimsData, setClaimsData] = useState<any>(null)
@@ -18,9 +22,18 @@ const Admin: React.FC = () => {
   const [error, setError] = useState<string | null>(null)
   const [pendingClaims, setPendingClaims] = useState<any[]>([])
   const [pendingPolicies, setPendingPolicies] = useState<any[]>([])
+  const [multiSigTransactions, setMultiSigTransactions] = useState<any[]>([])
+  const [signingTxId, setSigningTxId] = useState<string | null>(null)
+  const [declineReasons, setDeclineReasons] = useState<Record<string, string>>({})
+  const [pendingAppeals, setPendingAppeals] = useState<any[]>([])
+  const [votingAppealId, setVotingAppealId] = useState<string | null>(null)
   const [approvingId, setApprovingId] = useState<string | null>(null)
   const [rejectingId, setRejectingId] = useState<string | null>(null)
+  const [rejectionReasons, setRejectionReasons] = useState<Record<string, string>>({})
   const [refreshInterval, setRefreshInterval] = useState<NodeJS.Timeout | null>(null)
+  const [capitalData, setCapitalData] = useState<any>(null)
+  const [underwriterAddress, setUnderwriterAddress] = useState('')
+  const [underwriterPositions, setUnderwriterPositions] = useState<any[] | null>(null)
 
   // WebSocket setup for real-time updates
   const wsUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`
@@ -76,7 +89,7 @@ const Admin: React.FC = () => {
       }
     }
 
-    if (isConnected && address?.toLowerCase() === ADMIN_ADDRESS.toLowerCase()) {
+    if (isConnected && isStaff) {
       fetchData()
       
       // Set up periodic refresh of pending items (every 10 seconds)
@@ -90,14 +103,48 @@ const Admin: React.FC = () => {
         if (interval) clearInterval(interval)
       }
     }
-  }, [isConnected, address])
+  }, [isConnected, address, roles])
+
+  useEffect(() => {
+    if (activeTab !== 'underwriting') return
+
+    const fetchCapital = async () => {
+      try {
+        const response = await fetch('/api/admin/pool/capital', { headers: authHeaders() })
+        if (response.ok) {
+          const data = await response.json()
+          setCapitalData(data.capital)
+        }
+      } catch (error) {
+        console.warn('Could not fetch underwriting capital:', error)
+      }
+    }
+
+    fetchCapital()
+  }, [activeTab])
+
+  const handleLookupUnderwriter = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      const response = await fetch(`/api/admin/pool/capital/${underwriterAddress.trim()}`, { headers: authHeaders() })
+      const data = await response.json()
+      if (!response.ok) {
+        toast.error(data.error || 'Failed to fetch underwriter position')
+        return
+      }
+      setUnderwriterPositions(data.positions || [])
+    } catch (error) {
+      console.error('Error fetching underwriter position:', error)
+      toast.error('Failed to fetch underwriter position')
+    }
+  }
 
   const fetchPendingItems = async () => {
     try {
       // Fetch pending claims from API
       try {
         // Use admin API endpoint to get pending claims
-        const response = await fetch('/api/admin/claims/pending')
+        const response = await fetch('/api/admin/claims/pending', { headers: authHeaders() })
         if (response.ok) {
           const data = await response.json()
           setPendingClaims(data.claims || [])
@@ -119,7 +166,7 @@ const Admin: React.FC = () => {
       // Fetch pending policies from API
       try {
         // Use admin API endpoint to get pending policies
-        const response = await fetch('/api/admin/policies/pending')
+        const response = await fetch('/api/admin/policies/pending', { headers: authHeaders() })
         if (response.ok) {
           const data = await response.json()
           setPendingPolicies(data.policies || [])
@@ -127,51 +174,232 @@ const Admin: React.FC = () => {
       } catch (error) {
         console.warn('Could not fetch pending policies:', error)
       }
+
+      // Fetch escrowed high-value claims awaiting signer approval
+      try {
+        const response = await fetch(`/api/admin/multisig/transactions${address ? `?signer=${address}` : ''}`, { headers: authHeaders() })
+        if (response.ok) {
+          const data = await response.json()
+          setMultiSigTransactions(data.transactions || [])
+        }
+      } catch (error) {
+        console.warn('Could not fetch multisig transactions:', error)
+      }
+
+      // Fetch appeals awaiting reviewer votes
+      try {
+        const response = await fetch(`/api/claims/appeals/pending${address ? `?reviewer=${address}` : ''}`, { headers: authHeaders() })
+        if (response.ok) {
+          const data = await response.json()
+          setPendingAppeals(data.appeals || [])
+        }
+      } catch (error) {
+        console.warn('Could not fetch pending appeals:', error)
+      }
     } catch (error) {
       console.error('Error fetching pending items:', error)
     }
   }
 
-  const handleApproveClaim = async (claimId: string) => {
+  const handleApproveMultiSig = async (transaction: any) => {
+    if (!signer) {
+      toast.error('Connect a signer wallet first')
+      return
+    }
+
+    try {
+      setSigningTxId(transaction.txId)
+      toast.loading('Confirm the approval in your wallet...')
+
+      const escrow = new ethers.Contract(
+        transaction.escrowAddress,
+        ['function approveTransaction(bytes32 txId)'],
+        signer
+      )
+      const tx = await escrow.approveTransaction(transaction.txId)
+      await tx.wait()
+
+      toast.dismiss()
+      toast.success(
+        transaction.approvals + 1 >= transaction.requiredSignatures
+          ? 'Approved - claim paid out'
+          : 'Approval recorded'
+      )
+      await fetchPendingItems()
+    } catch (error: any) {
+      console.error('Error approving multisig transaction:', error)
+      toast.dismiss()
+      toast.error(error.reason || error.message || 'Failed to approve transaction')
+    } finally {
+      setSigningTxId(null)
+    }
+  }
+
+  // Once enough signers decline, the funds go back to the pool and the claim is rejected
+  const handleCancelMultiSig = async (transaction: any) => {
+    const reason = declineReasons[transaction.txId]?.trim()
+    if (!reason) {
+      toast.error('Enter a reason for declining first')
+      return
+    }
+    if (!signer) {
+      toast.error('Connect a signer wallet first')
+      return
+    }
+
+    try {
+      setSigningTxId(transaction.txId)
+      toast.loading('Confirm the cancellation in your wallet...')
+
+      const escrow = new ethers.Contract(
+        transaction.escrowAddress,
+        ['function cancelTransaction(bytes32 txId, string reason)'],
+        signer
+      )
+      const tx = await escrow.cancelTransaction(transaction.txId, reason)
+      await tx.wait()
+
+      toast.dismiss()
+      toast.success(
+        transaction.cancellations + 1 >= transaction.requiredSignatures
+          ? 'Payout declined - funds returned to the pool'
+          : 'Cancellation vote recorded'
+      )
+      setDeclineReasons(prev => ({ ...prev, [transaction.txId]: '' }))
+      await fetchPendingItems()
+    } catch (error: any) {
+      console.error('Error cancelling multisig transaction:', error)
+      toast.dismiss()
+      toast.error(error.reason || error.message || 'Failed to cancel transaction')
+    } finally {
+      setSigningTxId(null)
+    }
+  }
+
+  const handleVoteOnAppeal = async (appeal: any, uphold: boolean) => {
+    if (!signer) {
+      toast.error('Connect a reviewer wallet first')
+      return
+    }
+
+    try {
+      setVotingAppealId(appeal.claimId)
+      toast.loading('Confirm your vote in your wallet...')
+
+      const claimManager = new ethers.Contract(
+        appeal.claimManagerAddress,
+        ['function voteOnAppeal(bytes32 claimId, bool uphold)'],
+        signer
+      )
+      const tx = await claimManager.voteOnAppeal(appeal.claimId, uphold)
+      await tx.wait()
+
+      const votes = (uphold ? appeal.appeal.upholdVotes : appeal.appeal.dismissVotes) + 1
+      toast.dismiss()
+      toast.success(
+        votes >= appeal.quorum
+          ? (uphold ? 'Appeal upheld - claim paid out' : 'Appeal dismissed')
+          : 'Vote recorded'
+      )
+      await fetchPendingItems()
+    } catch (error: any) {
+      console.error('Error voting on appeal:', error)
+      toast.dismiss()
+      toast.error(error.reason || error.message || 'Failed to vote on appeal')
+    } finally {
+      setVotingAppealId(null)
+    }
+  }
+
+  const handleApproveClaim = async (claim: any) => {
+    const claimId = claim.id
     try {
       setApprovingId(claimId)
+
+      // Claims already on ClaimManager are approved from the owner's wallet
+      let txHash: string | undefined
+      if (claim.chainClaimId) {
+        if (!signer || !claim.claimManagerAddress) {
+          throw new Error('Connect the ClaimManager owner wallet first')
+        }
+        toast.loading('Confirm the approval in your wallet...')
+        const claimManager = new ethers.Contract(
+          claim.claimManagerAddress,
+          ['function manualApproveClaim(bytes32 claimId)'],
+          signer
+        )
+        const tx = await claimManager.manualApproveClaim(claim.chainClaimId)
+        await tx.wait()
+        txHash = tx.hash
+        toast.dismiss()
+      }
+
       toast.loading('Approving claim...')
       
-      // Call API to approve claim
+      // Record the approval with the API
       const token = localStorage.getItem('authToken')
       const response = await fetch(`/api/admin/claims/${claimId}/approve`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           ...(token && { 'Authorization': `Bearer ${token}` })
-        }
+        },
+        body: JSON.stringify({ txHash })
       })
       
       if (!response.ok) {
-        throw new Error('Failed to approve claim')
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to approve claim')
       }
       
-      await response.json()
+      const data = await response.json()
       toast.dismiss()
-      toast.success('Claim approved successfully!')
+      toast.success(data.message || 'Claim approved successfully!')
       
       // Refresh pending items from API
       await fetchPendingItems()
     } catch (error: any) {
       console.error('Error approving claim:', error)
       toast.dismiss()
-      toast.error(error.message || 'Failed to approve claim')
+      toast.error(error.reason || error.message || 'Failed to approve claim')
     } finally {
       setApprovingId(null)
     }
   }
 
-  const handleRejectClaim = async (claimId: string) => {
+  const handleRejectClaim = async (claim: any) => {
+    const claimId = claim.id
+    // Stored on-chain and shown to the claimant when they appeal
+    const reason = rejectionReasons[claimId]?.trim()
+    if (!reason) {
+      toast.error('Enter a rejection reason first')
+      return
+    }
+
     try {
       setRejectingId(claimId)
+
+      // Claims already on ClaimManager are rejected from the reviewer's wallet
+      let txHash: string | undefined
+      if (claim.chainClaimId) {
+        if (!signer || !claim.claimManagerAddress) {
+          throw new Error('Connect a reviewer wallet first')
+        }
+        toast.loading('Confirm the rejection in your wallet...')
+        const claimManager = new ethers.Contract(
+          claim.claimManagerAddress,
+          ['function rejectClaim(bytes32 claimId, string reason)'],
+          signer
+        )
+        const tx = await claimManager.rejectClaim(claim.chainClaimId, reason)
+        await tx.wait()
+        txHash = tx.hash
+        toast.dismiss()
+      }
+
       toast.loading('Rejecting claim...')
       
-      // Call API to reject claim
+      // Record the rejection with the API
       const token = localStorage.getItem('authToken')
       const response = await fetch(`/api/admin/claims/${claimId}/reject`, {
         method: 'POST',
@@ -179,23 +407,25 @@ const Admin: React.FC = () => {
           'Content-Type': 'application/json',
           ...(token && { 'Authorization': `Bearer ${token}` })
         },
-        body: JSON.stringify({ reason: 'Admin rejection' })
+        body: JSON.stringify({ reason, txHash })
       })
       
       if (!response.ok) {
-        throw new Error('Failed to reject claim')
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to reject claim')
       }
       
       await response.json()
       toast.dismiss()
       toast.success('Claim rejected')
+      setRejectionReasons(prev => ({ ...prev, [claimId]: '' }))
       
       // Refresh pending items from API
       await fetchPendingItems()
     } catch (error: any) {
       console.error('Error rejecting claim:', error)
       toast.dismiss()
-      toast.error(error.message || 'Failed to reject claim')
+      toast.error(error.reason || error.message || 'Failed to reject claim')
     } finally {
       setRejectingId(null)
     }
@@ -283,7 +513,7 @@ const Admin: React.FC = () => {
     )
   }
 
-  if (address?.toLowerCase() !== ADMIN_ADDRESS.toLowerCase()) {
+  if (!isStaff) {
     return (
       <div className="max-w-4xl mx-auto">
         <div className="card text-center bg-red-50 border-red-200">
@@ -320,6 +550,7 @@ const Admin: React.FC = () => {
     { id: 'policies', label: 'Policies' },
     { id: 'cancelled', label: 'Cancelled' },
     { id: 'pool', label: 'Premium Pool' },
+    { id: 'underwriting', label: 'Underwriting' },
     { id: 'oracle', label: 'Oracle' }
   ]
 
@@ -396,16 +627,24 @@ const Admin: React.FC = () => {
                       </p>
                     </div>
 
+                    <textarea
+                      value={rejectionReasons[claim.id] || ''}
+                      onChange={(e) => setRejectionReasons(prev => ({ ...prev, [claim.id]: e.target.value }))}
+                      rows={2}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+                      placeholder="Rejection reason (shown to the claimant)"
+                    />
+
                     <div className="flex gap-3">
                       <button
-                        onClick={() => handleApproveClaim(claim.id)}
+                        onClick={() => handleApproveClaim(claim)}
                         disabled={approvingId === claim.id || rejectingId === claim.id}
                         className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
                       >
                         {approvingId === claim.id ? 'Approving...' : 'Approve Claim'}
                       </button>
                       <button
-                        onClick={() => handleRejectClaim(claim.id)}
+                        onClick={() => handleRejectClaim(claim)}
                         disabled={approvingId === claim.id || rejectingId === claim.id}
                         className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
                       >
@@ -422,6 +661,156 @@ const Admin: React.FC = () => {
             )}
           </div>
 
+          {/* Multi-Sig Escrow Section */}
+          <div className="bg-white rounded-lg shadow-md p-6 border border-gray-100">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900">High-Value Claims Awaiting Signers</h2>
+              {multiSigTransactions.length > 0 && (
+                <span className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm font-medium">
+                  {multiSigTransactions.length} in escrow
+                </span>
+              )}
+            </div>
+
+            {multiSigTransactions.length > 0 ? (
+              <div className="space-y-4">
+                {multiSigTransactions.map((transaction) => (
+                  <div key={transaction.txId} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex justify-between items-start mb-4">
+                      <div>
+                        <h3 className="text-lg font-semibold text-gray-900">
+                          Claim {transaction.claimId.slice(0, 10)}...
+                        </h3>
+                        <p className="text-sm text-gray-500">
+                          Payee: {transaction.to.slice(0, 6)}...{transaction.to.slice(-4)}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Escrowed: {new Date(transaction.createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <div className="text-2xl font-bold text-gray-900">${Number(transaction.amount).toLocaleString()}</div>
+                        <div className="text-xs text-gray-500">
+                          {transaction.approvals} / {transaction.requiredSignatures} signatures
+                        </div>
+                        {transaction.cancellations > 0 && (
+                          <div className="text-xs text-red-600">
+                            {transaction.cancellations} / {transaction.requiredSignatures} to decline
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    {transaction.canApprove && (
+                      <textarea
+                        value={declineReasons[transaction.txId] || ''}
+                        onChange={(e) => setDeclineReasons(prev => ({ ...prev, [transaction.txId]: e.target.value }))}
+                        rows={2}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+                        placeholder="Reason for declining (becomes the claim's rejection reason)"
+                      />
+                    )}
+
+                    <div className="flex gap-3">
+                      <button
+                        onClick={() => handleApproveMultiSig(transaction)}
+                        disabled={!transaction.canApprove || signingTxId === transaction.txId}
+                        className="flex-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                      >
+                        {signingTxId === transaction.txId
+                          ? 'Signing...'
+                          : transaction.canApprove ? 'Approve as Signer' : 'Not signable from this wallet'}
+                      </button>
+                      {transaction.canApprove && (
+                        <button
+                          onClick={() => handleCancelMultiSig(transaction)}
+                          disabled={signingTxId === transaction.txId}
+                          className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                        >
+                          Decline Payout
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <p className="text-lg">No escrowed claims awaiting signers</p>
+              </div>
+            )}
+          </div>
+
+          {/* Appeals Section */}
+          <div className="bg-white rounded-lg shadow-md p-6 border border-gray-100">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900">Appeals Awaiting Review</h2>
+              {pendingAppeals.length > 0 && (
+                <span className="bg-orange-100 text-orange-800 px-3 py-1 rounded-full text-sm font-medium">
+                  {pendingAppeals.length} under appeal
+                </span>
+              )}
+            </div>
+
+            {pendingAppeals.length > 0 ? (
+              <div className="space-y-4">
+                {pendingAppeals.map((appeal) => (
+                  <div key={appeal.claimId} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex justify-between items-start mb-4">
+                      <div>
+                        <h3 className="text-lg font-semibold text-gray-900">
+                          Claim {appeal.claimId.slice(0, 10)}...
+                        </h3>
+                        <p className="text-sm text-gray-500">
+                          Claimant: {appeal.claimant.slice(0, 6)}...{appeal.claimant.slice(-4)}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Filed: {new Date(appeal.appeal.filedAt).toLocaleString()} · Bond: ${Number(appeal.appeal.bond).toLocaleString()}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <div className="text-2xl font-bold text-gray-900">${Number(appeal.amount).toLocaleString()}</div>
+                        <div className="text-xs text-gray-500">
+                          {appeal.appeal.upholdVotes} uphold / {appeal.appeal.dismissVotes} dismiss of {appeal.quorum} needed
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="bg-gray-50 p-3 rounded mb-4">
+                      <p className="text-xs text-gray-500">Rejected: {appeal.rejectionReason}</p>
+                      <p className="text-sm text-gray-700 mt-2">{appeal.appeal.grounds}</p>
+                    </div>
+
+                    {appeal.canVote ? (
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => handleVoteOnAppeal(appeal, true)}
+                          disabled={votingAppealId === appeal.claimId}
+                          className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                        >
+                          {votingAppealId === appeal.claimId ? 'Voting...' : 'Uphold Appeal'}
+                        </button>
+                        <button
+                          onClick={() => handleVoteOnAppeal(appeal, false)}
+                          disabled={votingAppealId === appeal.claimId}
+                          className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                        >
+                          {votingAppealId === appeal.claimId ? 'Voting...' : 'Dismiss Appeal'}
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-500 text-center">Not votable from this wallet</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <p className="text-lg">No appeals awaiting review</p>
+              </div>
+            )}
+          </div>
+
           {/* Pending Policies Section */}
           <div className="bg-white rounded-lg shadow-md p-6 border border-gray-100">
             <div className="flex items-center justify-between mb-6">
@@ -719,6 +1108,94 @@ const Admin: React.FC = () => {
         </div>
       )}
 
+      {activeTab === 'underwriting' && (
+        <div className="space-y-6">
+          {capitalData?.tokens?.length > 0 ? (
+            capitalData.tokens.map((token: any) => (
+              <div key={token.token} className="bg-white rounded-lg shadow-md p-6 border border-gray-100">
+                <h3 className="text-lg font-semibold mb-4">{token.symbol} Underwriting Capital</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                  <div>
+                    <div className="text-sm text-gray-500">Pool Balance</div>
+                    <div className="text-xl font-bold text-blue-600">{Number(token.poolBalance).toLocaleString()}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm text-gray-500">Total Shares</div>
+                    <div className="text-xl font-bold text-gray-900">{Number(token.totalShares).toLocaleString()}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm text-gray-500">Share Price</div>
+                    <div className="text-xl font-bold text-green-600">{Number(token.sharePrice).toFixed(4)}</div>
+                  </div>
+                  <div>
+                    <div className="text-sm text-gray-500">Net Capital</div>
+                    <div className="text-xl font-bold text-gray-900">
+                      {(Number(token.capitalDeposited) - Number(token.capitalWithdrawn)).toLocaleString()}
+                    </div>
+                  </div>
+                </div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">
+                  Queued Withdrawals ({capitalData.withdrawalCooldownDays} day cooldown, then {capitalData.withdrawalWindowDays} days to withdraw)
+                </h4>
+                {token.pendingWithdrawals.length > 0 ? (
+                  <div className="space-y-2">
+                    {token.pendingWithdrawals.map((request: any) => (
+                      <div key={request.provider} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                        <span className="font-mono">{request.provider.slice(0, 6)}...{request.provider.slice(-4)}</span>
+                        <span>{Number(request.value).toLocaleString()} {token.symbol}</span>
+                        <span className="text-gray-500">
+                          {new Date(request.expiresAt) < new Date()
+                            ? `Lapsed ${new Date(request.expiresAt).toLocaleString()}`
+                            : `Unlocks ${new Date(request.unlockAt).toLocaleString()}`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="text-sm text-gray-500">No queued withdrawals</div>
+                )}
+              </div>
+            ))
+          ) : (
+            <div className="bg-white rounded-lg shadow-md p-6 border border-gray-100 text-center text-gray-500">
+              No underwriting capital deposited yet
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow-md p-6 border border-gray-100">
+            <h3 className="text-lg font-semibold mb-4">Underwriter Lookup</h3>
+            <form onSubmit={handleLookupUnderwriter} className="flex space-x-4 mb-4">
+              <input
+                type="text"
+                value={underwriterAddress}
+                onChange={(e) => setUnderwriterAddress(e.target.value)}
+                placeholder="0x..."
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors">
+                Lookup
+              </button>
+            </form>
+            {underwriterPositions && (
+              underwriterPositions.length > 0 ? (
+                <div className="space-y-2">
+                  {underwriterPositions.map((position: any) => (
+                    <div key={position.token} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                      <span className="font-medium">{position.symbol}</span>
+                      <span>{Number(position.shares).toLocaleString()} shares</span>
+                      <span>{Number(position.pendingShares).toLocaleString()} queued</span>
+                      <span className="font-semibold">{Number(position.value).toLocaleString()} {position.symbol}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-sm text-gray-500">No positions found</div>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
       {activeTab === 'oracle' && oracleData && (
         <div className="space-y-6">
           <div className="grid md:grid-cols-2 gap-6">
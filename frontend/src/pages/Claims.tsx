@@ -1,10 +1,28 @@
 import React, { useState, useEffect } from 'react'
-import { claimsAPI, policyAPI } from '../services/api'
-import ClaimForm from '../components/Claims/ClaimForm'
+import { ethers } from 'ethers'
+import { claimsAPI, policyAPI, WS_URL } from '../services/api'
+import { sendClaimSubmission } from '../services/relay'
+import ClaimForm, { ClaimSubmissionResult } from '../components/Claims/ClaimForm'
 import { useWalletStore } from '../stores/walletStore'
 import { useWebSocket } from '../hooks/useWebSocket'
 import toast from 'react-hot-toast'
 
+const CLAIM_MANAGER_ABI = [
+  'function fileAppeal(bytes32 claimId, string grounds)'
+]
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
+
+interface Appeal {
+  grounds: string
+  bond: number | string
+  status: string
+  filedAt: string
+}
+
 interface Claim {
   id: string
   policyId: string
@@ -13,6 +31,12 @@ interface Claim {
   status: string
   createdAt: string
   updatedAt: string
+  rejectionReason?: string
+  rejectedAt?: string
+  processedAt?: string | null
+  appeal?: Appeal | null
+  investigationEndsAt?: string | null
+  flagged?: boolean
 }
 
 interface Policy {
@@ -24,13 +48,23 @@ interface Policy {
   address?: string
 }
 
+interface AppealTerms {
+  bondBps: number
+  quorum: number
+  windowSeconds: number
+}
+
 const Claims: React.FC = () => {
   const [claims, setClaims] = useState<Claim[]>([])
   const [policies, setPolicies] = useState<Policy[]>([])
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [showForm, setShowForm] = useState(false)
-  const { address } = useWalletStore()
+  const [appealingId, setAppealingId] = useState<string | null>(null)
+  const [appealGrounds, setAppealGrounds] = useState('')
+  const [appealTerms, setAppealTerms] = useState<AppealTerms | null>(null)
+  const [now, setNow] = useState(Date.now())
+  const { address, signer, isAuthenticated } = useWalletStore()
 
 
   const fetchData = async () => {
@@ -88,8 +122,8 @@ const Claims: React.FC = () => {
   }
 
   // WebSocket setup for real-time updates
-  const wsUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`
-  useWebSocket(wsUrl, {
+  useWebSocket(WS_URL, {
+    enabled: isAuthenticated,
     onMessage: (message) => {
       if (message.type === 'claim_update') {
         console.log('Claim update received:', message.data)
@@ -107,24 +141,121 @@ const Claims: React.FC = () => {
     }
   }, [address])
 
-  const handleSubmitClaim = async (claimData: any) => {
-    if (!address) {
+  useEffect(() => {
+    claimsAPI.getAppealTerms()
+      .then(({ data }) => setAppealTerms(data.terms))
+      .catch((error) => console.error('Failed to fetch appeal terms:', error))
+  }, [])
+
+  // Tick investigation countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const getInvestigationLabel = (claim: Claim) => {
+    if (claim.status !== 'investigating' || !claim.investigationEndsAt) return null
+    if (claim.flagged) return 'Flagged for manual review'
+
+    const remaining = new Date(claim.investigationEndsAt).getTime() - now
+    if (remaining <= 0) return 'Awaiting finalization'
+
+    const days = Math.floor(remaining / (24 * 60 * 60 * 1000))
+    const hours = Math.floor((remaining % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000))
+    const minutes = Math.floor((remaining % (60 * 60 * 1000)) / (60 * 1000))
+    return `Pays out in ${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m`
+  }
+
+  const handleClaimSubmitted = (result: ClaimSubmissionResult) => {
+    setShowForm(false)
+    toast.success(result.flaggedForReview
+      ? 'Claim submitted for manual review'
+      : 'Claim submitted on-chain!')
+    fetchData()
+  }
+
+  // Claims cleared after manual review still have to be sent to ClaimManager by the holder
+  const handleSubmitOnChain = async (claimId: string) => {
+    if (!signer) {
+      toast.error('Please connect your wallet first')
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      const { data } = await claimsAPI.getById(claimId)
+      if (!data.transaction) {
+        toast.error('This claim is not ready to be submitted')
+        return
+      }
+
+      toast.loading('Confirm the claim in your wallet...')
+      const txHash = await sendClaimSubmission(signer, data.transaction)
+      await claimsAPI.link(claimId, txHash)
+      toast.dismiss()
+
+      toast.success('Claim submitted on-chain!')
+      fetchData()
+    } catch (error: any) {
+      console.error('Failed to submit claim on-chain:', error)
+      toast.dismiss()
+      if (error.code === 'ACTION_REJECTED') {
+        toast.error('Transaction rejected in wallet')
+      } else {
+        toast.error(error.response?.data?.error || error.reason || error.shortMessage || 'Failed to submit claim')
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const canAppeal = (claim: Claim) => {
+    if (!appealTerms || claim.status !== 'rejected' || claim.appeal) return false
+    const rejectedAt = new Date(claim.processedAt || claim.rejectedAt || claim.updatedAt).getTime()
+    return Date.now() <= rejectedAt + appealTerms.windowSeconds * 1000
+  }
+
+  const handleSubmitAppeal = async (claimId: string) => {
+    if (appealGrounds.trim().length < 10) {
+      toast.error('Please explain your appeal (at least 10 characters)')
+      return
+    }
+
+    if (!signer) {
       toast.error('Please connect your wallet first')
       return
     }
 
     try {
       setSubmitting(true)
-      await claimsAPI.submit({
-        ...claimData,
-        policyId: claimData.policyId
-      })
-      setShowForm(false)
-      toast.success('Claim submitted successfully!')
+      const { data } = await claimsAPI.appeal(claimId, appealGrounds.trim())
+      const { to, token, bond, grounds } = data.transaction
+
+      // ClaimManager pulls the bond from the claimant when the appeal is filed
+      const bondToken = new ethers.Contract(token, ERC20_ABI, signer)
+      if (BigInt(bond) > 0n && (await bondToken.allowance(address, to)) < BigInt(bond)) {
+        toast.loading('Approve the appeal bond in your wallet...')
+        await (await bondToken.approve(to, bond)).wait()
+        toast.dismiss()
+      }
+
+      toast.loading('Confirm the appeal in your wallet...')
+      const claimManager = new ethers.Contract(to, CLAIM_MANAGER_ABI, signer)
+      await (await claimManager.fileAppeal(data.claimId, grounds)).wait()
+      toast.dismiss()
+
+      setAppealingId(null)
+      setAppealGrounds('')
+      toast.success('Appeal filed. Reviewers will decide on your claim.')
       fetchData()
     } catch (error: any) {
-      console.error('Failed to submit claim:', error)
-      toast.error(error.response?.data?.error || 'Failed to submit claim')
+      console.error('Failed to file appeal:', error)
+      toast.dismiss()
+      if (error.code === 'ACTION_REJECTED') {
+        toast.error('Transaction rejected in wallet')
+      } else {
+        toast.error(error.response?.data?.error || error.reason || error.shortMessage || 'Failed to file appeal')
+      }
     } finally {
       setSubmitting(false)
     }
@@ -137,6 +268,7 @@ const Claims: React.FC = () => {
       case 'approved': return 'bg-green-100 text-green-800'
       case 'rejected': return 'bg-red-100 text-red-800'
       case 'paid': return 'bg-purple-100 text-purple-800'
+      case 'appealed': return 'bg-orange-100 text-orange-800'
       default: return 'bg-gray-100 text-gray-800'
     }
   }
@@ -168,9 +300,8 @@ const Claims: React.FC = () => {
         {showForm && (
           <div className="mb-8">
             <ClaimForm
-              onSubmit={handleSubmitClaim}
+              onSubmitted={handleClaimSubmitted}
               policies={policies}
-              loading={submitting}
             />
           </div>
         )}
@@ -200,11 +331,15 @@ const Claims: React.FC = () => {
                     <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
                       Description
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                      Actions
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {claims.map((claim) => (
-                    <tr key={claim.id} className="hover:bg-gray-50">
+                    <React.Fragment key={claim.id}>
+                    <tr className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                         {claim.id.slice(0, 8)}...
                       </td>
@@ -215,6 +350,26 @@ const Claims: React.FC = () => {
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(claim.status)}`}>
                           {claim.status}
                         </span>
+                        {claim.rejectionReason && (
+                          <p className="mt-1 text-xs text-gray-500 max-w-xs whitespace-normal">
+                            Reason: {claim.rejectionReason}
+                          </p>
+                        )}
+                        {claim.status === 'pending_review' && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            Held for manual review
+                          </p>
+                        )}
+                        {claim.appeal && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            Appeal {claim.appeal.status}
+                          </p>
+                        )}
+                        {getInvestigationLabel(claim) && (
+                          <p className="mt-1 text-xs text-blue-700">
+                            {getInvestigationLabel(claim)}
+                          </p>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {new Date(claim.createdAt).toLocaleDateString()}
@@ -222,7 +377,60 @@ const Claims: React.FC = () => {
                       <td className="px-6 py-4 text-sm text-gray-500 max-w-xs truncate">
                         {claim.description}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {claim.status === 'awaiting_signature' && (
+                          <button
+                            onClick={() => handleSubmitOnChain(claim.id)}
+                            disabled={submitting}
+                            className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                          >
+                            Submit on-chain
+                          </button>
+                        )}
+                        {canAppeal(claim) && appealingId !== claim.id && (
+                          <button
+                            onClick={() => setAppealingId(claim.id)}
+                            className="text-blue-600 hover:text-blue-800 font-medium"
+                          >
+                            Appeal
+                          </button>
+                        )}
+                      </td>
                     </tr>
+                    {appealingId === claim.id && (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                          <p className="text-sm text-gray-700 mb-2">
+                            Appeals are reviewed by independent reviewers. A bond of {(appealTerms?.bondBps ?? 0) / 100}% of
+                            the claim amount is held and returned if the appeal is upheld, or forfeited to the pool if it
+                            is dismissed.
+                          </p>
+                          <textarea
+                            value={appealGrounds}
+                            onChange={(e) => setAppealGrounds(e.target.value)}
+                            rows={3}
+                            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                            placeholder="Explain why the rejection should be overturned"
+                          />
+                          <div className="mt-2 flex gap-2">
+                            <button
+                              onClick={() => handleSubmitAppeal(claim.id)}
+                              disabled={submitting}
+                              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-1.5 px-3 rounded-lg text-sm disabled:opacity-50"
+                            >
+                              {submitting ? 'Filing...' : 'File Appeal'}
+                            </button>
+                            <button
+                              onClick={() => { setAppealingId(null); setAppealGrounds('') }}
+                              className="border border-gray-300 text-gray-700 py-1.5 px-3 rounded-lg text-sm"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
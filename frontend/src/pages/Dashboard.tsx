@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
-import { analyticsAPI, policyAPI } from '../services/api'
+import { ethers } from 'ethers'
+import { analyticsAPI, policyAPI, WS_URL } from '../services/api'
 import { useWebSocket } from '../hooks/useWebSocket'
 import { useWalletStore } from '../stores/walletStore'
 import DashboardStats from '../components/Dashboard/DashboardStats'
@@ -31,20 +32,37 @@ interface DashboardData {
   }
 }
 
+const POLICY_ABI = [
+  'function policyInfo() view returns (uint256 id, address insurer, string policyType, uint256 premium, uint256 coverage, uint256 duration, address premiumToken, uint256 createdAt, uint256 deductible, uint256 coinsuranceBps)',
+  'function renewPolicy()',
+  'function setAutoRenew(uint256 renewals)',
+  'function cancelPolicy() returns (uint256)'
+]
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
+
+// Renewals a keeper may trigger once auto-renew is on; the premium allowance covers all of them
+const AUTO_RENEWALS = 3
+
 const Dashboard: React.FC = () => {
   const [dashboardData, setDashboardData] = useState<DashboardData | null>(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
   const [cancellingPolicyId, setCancellingPolicyId] = useState<string | null>(null)
-  const { address } = useWalletStore()
+  const [renewingPolicyId, setRenewingPolicyId] = useState<string | null>(null)
+  const { address, signer, isAuthenticated } = useWalletStore()
 
   useEffect(() => {
     fetchDashboardData()
   }, [])
 
   // WebSocket setup for real-time updates
-  const wsUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`
-  useWebSocket(wsUrl, {
+  useWebSocket(WS_URL, {
+    enabled: isAuthenticated,
+    topics: ['claims', 'policies'],
     onMessage: (message) => {
       if (message.type === 'policy_update' || message.type === 'claim_update') {
         console.log('Update received:', message.type)
@@ -54,28 +72,122 @@ const Dashboard: React.FC = () => {
     }
   })
 
-  const handleCancelPolicy = async (policyId: string) => {
-    if (!address) {
+  const getWalletError = (error: any, fallback: string) =>
+    error.code === 'ACTION_REJECTED'
+      ? 'Transaction rejected in wallet'
+      : error.response?.data?.error || error.reason || error.shortMessage || fallback
+
+  // The holder cancels from their wallet and the pool refunds the unearned premium
+  // on-chain; the backend records the refund from the receipt
+  const handleCancelPolicy = async (policy: any) => {
+    if (!address || !signer) {
       toast.error('Please connect your wallet first')
       return
     }
+    if (!policy.address) {
+      toast.error('This policy is not deployed on-chain')
+      return
+    }
 
     try {
-      setCancellingPolicyId(policyId)
-      toast.loading('Cancelling policy...')
-      await policyAPI.cancel(policyId)
+      setCancellingPolicyId(policy.id)
+      toast.loading('Confirm the cancellation in your wallet...')
+      const policyContract = new ethers.Contract(policy.address, POLICY_ABI, signer)
+      const tx = await policyContract.cancelPolicy()
+      await tx.wait()
+
+      const response = await policyAPI.cancel(policy.id, tx.hash)
       toast.dismiss()
-      toast.success('Policy cancelled successfully')
+      const refund = response.data?.refund || 0
+      toast.success(refund > 0 ? `Policy cancelled. Refund: $${refund.toLocaleString()}` : 'Policy cancelled successfully')
       fetchDashboardData()
     } catch (error: any) {
       console.error('Error cancelling policy:', error)
       toast.dismiss()
-      toast.error(error.response?.data?.error || 'Failed to cancel policy')
+      toast.error(getWalletError(error, 'Failed to cancel policy'))
     } finally {
       setCancellingPolicyId(null)
     }
   }
 
+  // Let the policy pull `renewals` premiums from the holder's wallet
+  const approveRenewals = async (policyContract: ethers.Contract, renewals: number) => {
+    const info = await policyContract.policyInfo()
+    const token = new ethers.Contract(info.premiumToken, ERC20_ABI, signer)
+    const needed: bigint = info.premium * BigInt(renewals)
+
+    const allowance: bigint = await token.allowance(address, policyContract.target)
+    if (allowance < needed) {
+      toast.loading('Approve the renewal premium in your wallet...')
+      await (await token.approve(policyContract.target, needed)).wait()
+      toast.dismiss()
+    }
+  }
+
+  // The holder pays the renewal premium from their wallet; the backend verifies the receipt
+  const handleRenewPolicy = async (policy: any) => {
+    if (!address || !signer) {
+      toast.error('Please connect your wallet first')
+      return
+    }
+    if (!policy.address) {
+      toast.error('This policy is not deployed on-chain')
+      return
+    }
+
+    try {
+      setRenewingPolicyId(policy.id)
+      const policyContract = new ethers.Contract(policy.address, POLICY_ABI, signer)
+      await approveRenewals(policyContract, 1)
+
+      toast.loading('Confirm the renewal in your wallet...')
+      const tx = await policyContract.renewPolicy()
+      await tx.wait()
+      await policyAPI.renew(policy.id, tx.hash)
+      toast.dismiss()
+      toast.success('Policy renewed successfully')
+      fetchDashboardData()
+    } catch (error: any) {
+      console.error('Error renewing policy:', error)
+      toast.dismiss()
+      toast.error(getWalletError(error, 'Failed to renew policy'))
+    } finally {
+      setRenewingPolicyId(null)
+    }
+  }
+
+  const handleToggleAutoRenew = async (policy: any, enabled: boolean) => {
+    if (!signer || !policy.address) {
+      toast.error('Please connect your wallet first')
+      return
+    }
+
+    try {
+      const policyContract = new ethers.Contract(policy.address, POLICY_ABI, signer)
+      if (enabled) {
+        await approveRenewals(policyContract, AUTO_RENEWALS)
+      }
+
+      toast.loading('Confirm the auto-renew setting in your wallet...')
+      const tx = await policyContract.setAutoRenew(enabled ? AUTO_RENEWALS : 0)
+      await tx.wait()
+      await policyAPI.setAutoRenew(policy.id, tx.hash)
+      toast.dismiss()
+      toast.success(enabled ? 'Auto-renew enabled' : 'Auto-renew disabled')
+      fetchDashboardData()
+    } catch (error: any) {
+      console.error('Error updating auto-renew:', error)
+      toast.dismiss()
+      toast.error(getWalletError(error, 'Failed to update auto-renew'))
+    }
+  }
+
+  const getPolicyExpiry = (policy: any) => {
+    if (policy.expiresAt) return new Date(policy.expiresAt)
+    const start = new Date(policy.approvedAt || policy.createdAt)
+    return new Date(start.getTime() + (policy.duration || 30) * 24 * 60 * 60 * 1000)
+  }
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true)
@@ -271,6 +383,9 @@ const Dashboard: React.FC = () => {
                 <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
                   Created
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  Expires
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
                   Actions
                 </th>
@@ -309,10 +424,36 @@ const Dashboard: React.FC = () => {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {new Date(policy.createdAt).toLocaleDateString()}
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {policy.status === 'approved' ? (
+                        <div>
+                          <p>{getPolicyExpiry(policy).toLocaleDateString()}</p>
+                          <label className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                            <input
+                              type="checkbox"
+                              checked={policy.autoRenew === true}
+                              onChange={(e) => handleToggleAutoRenew(policy, e.target.checked)}
+                            />
+                            Auto-renew
+                          </label>
+                        </div>
+                      ) : (
+                        '-'
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm space-x-2">
+                      {policy.status === 'approved' && (
+                        <button
+                          onClick={() => handleRenewPolicy(policy)}
+                          disabled={renewingPolicyId === policy.id}
+                          className="bg-blue-100 hover:bg-blue-200 disabled:bg-gray-100 text-blue-700 disabled:text-gray-400 px-3 py-1 rounded text-xs font-medium transition-colors"
+                        >
+                          {renewingPolicyId === policy.id ? 'Renewing...' : 'Renew'}
+                        </button>
+                      )}
                       {(policy.status === 'approved' || (policy.isActive && policy.status !== 'cancelled')) && (
                         <button
-                          onClick={() => handleCancelPolicy(policy.id)}
+                          onClick={() => handleCancelPolicy(policy)}
                           disabled={cancellingPolicyId === policy.id}
                           className="bg-red-100 hover:bg-red-200 disabled:bg-gray-100 text-red-700 disabled:text-gray-400 px-3 py-1 rounded text-xs font-medium transition-colors"
                         >
@@ -324,7 +465,7 @@ const Dashboard: React.FC = () => {
                 ))
               ) : (
                 <tr>
-                  <td colSpan={5} className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
                     No recent policies
                   </td>
                 </tr>
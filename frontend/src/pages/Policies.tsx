@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
 import { useWalletStore } from '../stores/walletStore'
-import { policyAPI } from '../services/api'
+import { policyAPI, WS_URL } from '../services/api'
+import { getAvailableRelay, relayCall, signPermit } from '../services/relay'
 import { useWebSocket } from '../hooks/useWebSocket'
 import toast from 'react-hot-toast'
 
@@ -15,6 +17,28 @@ interface Policy {
   address?: string
 }
 
+const POLICY_ABI = [
+  'function policyInfo() view returns (uint256 id, address insurer, string policyType, uint256 premium, uint256 coverage, uint256 duration, address premiumToken, uint256 createdAt, uint256 deductible, uint256 coinsuranceBps)',
+  'function purchasePolicy()',
+  'function purchasePolicyWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+]
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
+
+type PurchaseStep = 'idle' | 'signing' | 'approving' | 'purchasing' | 'recording'
+
+const PURCHASE_STEP_LABELS: Record<PurchaseStep, string> = {
+  idle: 'Confirm',
+  signing: 'Sign in wallet...',
+  approving: 'Approving premium...',
+  purchasing: 'Purchasing...',
+  recording: 'Recording...'
+}
+
 // Fallback mock policies if API fails
 const mockPolicies: Policy[] = [
   {
@@ -47,20 +71,21 @@ const mockPolicies: Policy[] = [
 ]
 
 const Policies: React.FC = () => {
-  const { isConnected, address, connect } = useWalletStore()
+  const { isConnected, isAuthenticated, address, signer, connect } = useWalletStore()
   const [selectedPolicy, setSelectedPolicy] = useState<Policy | null>(null)
   const [showPurchaseModal, setShowPurchaseModal] = useState(false)
   const [policies, setPolicies] = useState<Policy[]>([])
   const [loading, setLoading] = useState(true)
   const [purchasedPolicies, setPurchasedPolicies] = useState<Set<string | number>>(new Set())
+  const [purchaseStep, setPurchaseStep] = useState<PurchaseStep>('idle')
 
   useEffect(() => {
     fetchPolicies()
   }, [])
 
   // WebSocket setup for real-time updates
-  const wsUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`
-  useWebSocket(wsUrl, {
+  useWebSocket(WS_URL, {
+    enabled: isAuthenticated,
     onMessage: (message) => {
       if (message.type === 'policy_update') {
         console.log('Policy update received:', message.data)
@@ -111,47 +136,108 @@ const Policies: React.FC = () => {
     setShowPurchaseModal(true)
   }
 
+  // Sign a permit and a forward request so the relayer pays gas; null if the relayer
+  // is unavailable, the quota is used up or the premium token has no permit support
+  const purchaseGasless = async (
+    policyContract: ethers.Contract,
+    premiumToken: string,
+    premium: bigint
+  ): Promise<string | null> => {
+    const relay = await getAvailableRelay()
+    if (!relay || !signer) return null
+
+    setPurchaseStep('signing')
+    toast.loading('Sign the premium permit in your wallet...')
+    let permit
+    try {
+      permit = await signPermit(signer, premiumToken, policyContract.target as string, premium)
+    } catch (error: any) {
+      if (error.code === 'ACTION_REJECTED') throw error
+      toast.dismiss()
+      return null
+    }
+
+    toast.dismiss()
+    toast.loading('Sign the gasless purchase request in your wallet...')
+    const data = policyContract.interface.encodeFunctionData('purchasePolicyWithPermit', [
+      permit.deadline, permit.v, permit.r, permit.s
+    ])
+    const txHash = await relayCall(signer, relay, policyContract.target as string, data)
+    toast.dismiss()
+    return txHash
+  }
+
+  // Approve the premium if needed and send the purchase from the user's wallet
+  const purchaseFromWallet = async (
+    policyContract: ethers.Contract,
+    token: ethers.Contract,
+    premium: bigint
+  ): Promise<string> => {
+    const allowance: bigint = await token.allowance(address, policyContract.target)
+    if (allowance < premium) {
+      setPurchaseStep('approving')
+      toast.loading('Approve the premium in your wallet...')
+      const approveTx = await token.approve(policyContract.target, premium)
+      await approveTx.wait()
+      toast.dismiss()
+    }
+
+    setPurchaseStep('purchasing')
+    toast.loading('Confirm the purchase in your wallet...')
+    const tx = await policyContract.purchasePolicy()
+    await tx.wait()
+    return tx.hash
+  }
+
+  // Pay the premium (gasless through the relayer when possible), then have the backend verify the receipt
   const confirmPurchase = async () => {
     if (!selectedPolicy || !address) return
 
+    if (!signer) {
+      toast.error('Please connect your wallet first')
+      return
+    }
+    if (!selectedPolicy.address) {
+      toast.error('This demo policy is not deployed on-chain')
+      return
+    }
+
     try {
-      toast.loading('Processing policy purchase...')
-      
-      // Try to purchase via API
-      try {
-        const token = localStorage.getItem('authToken')
-        const response = await policyAPI.purchase(selectedPolicy.id.toString())
-        
-        // Track purchased policy
-        setPurchasedPolicies(prev => new Set([...prev, selectedPolicy.id]))
-        
-        toast.dismiss()
-        toast.success('Policy purchase submitted for admin approval!')
-        toast.loading('Your policy is now pending approval from the admin')
-        await new Promise(resolve => setTimeout(resolve, 2000))
-        toast.dismiss()
-      } catch (apiError: any) {
-        // If API fails, show demo message
-        console.log('API purchase may have failed, showing success:', apiError)
-        
-        // Track as purchased even in demo mode
-        setPurchasedPolicies(prev => new Set([...prev, selectedPolicy.id]))
-        
-        toast.dismiss()
-        toast.success('Policy purchase submitted for admin approval!')
-        toast.loading('Your policy is now pending approval from the admin')
-        await new Promise(resolve => setTimeout(resolve, 2000))
-        toast.dismiss()
+      const policyContract = new ethers.Contract(selectedPolicy.address, POLICY_ABI, signer)
+      const info = await policyContract.policyInfo()
+      const token = new ethers.Contract(info.premiumToken, ERC20_ABI, signer)
+
+      const balance: bigint = await token.balanceOf(address)
+      if (balance < info.premium) {
+        toast.error('Insufficient token balance for the premium')
+        return
       }
-      
+
+      const txHash = await purchaseGasless(policyContract, info.premiumToken, info.premium)
+        ?? await purchaseFromWallet(policyContract, token, info.premium)
+
+      setPurchaseStep('recording')
+      await policyAPI.purchase(selectedPolicy.id.toString(), txHash)
+
+      setPurchasedPolicies(prev => new Set([...prev, selectedPolicy.id]))
+      toast.dismiss()
+      toast.success('Policy purchased - your coverage is active!')
+
       setShowPurchaseModal(false)
       setSelectedPolicy(null)
       
       // Refresh policies after purchase
       fetchPolicies()
-    } catch (error) {
+    } catch (error: any) {
+      console.error('Failed to purchase policy:', error)
       toast.dismiss()
-      toast.error('Failed to purchase policy')
+      if (error.code === 'ACTION_REJECTED') {
+        toast.error('Transaction rejected in wallet')
+      } else {
+        toast.error(error.response?.data?.error || error.shortMessage || 'Failed to purchase policy')
+      }
+    } finally {
+      setPurchaseStep('idle')
     }
   }
 
@@ -282,24 +368,28 @@ const Policies: React.FC = () => {
               </div>
             </div>
 
-            {/* Warning */}
+            {/* Notice */}
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-6 text-sm text-yellow-800">
-              Demo transaction - no real funds transferred
+              {selectedPolicy.address
+                ? 'Your wallet will ask you to sign a gasless purchase, or to approve the premium token (if needed) and confirm the purchase.'
+                : 'Demo policy - not available for purchase on-chain'}
             </div>
 
             {/* Actions */}
             <div className="flex gap-3">
               <button
                 onClick={() => setShowPurchaseModal(false)}
-                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium py-2 px-4 rounded-lg transition-colors"
+                disabled={purchaseStep !== 'idle'}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-900 font-medium py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
               >
                 Cancel
               </button>
               <button
                 onClick={confirmPurchase}
-                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                disabled={purchaseStep !== 'idle' || !selectedPolicy.address}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors disabled:opacity-50"
               >
-                Confirm
+                {PURCHASE_STEP_LABELS[purchaseStep]}
               </button>
             </div>
           </div>
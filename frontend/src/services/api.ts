@@ -2,6 +2,8 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
+export const WS_URL = import.meta.env.VITE_WS_URL || API_BASE_URL.replace(/^http/, 'ws').replace(/\/api$/, '/ws');
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
@@ -24,12 +26,49 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Refresh tokens rotate on every use, so concurrent 401s share one refresh request
+let refreshPromise: Promise<string> | null = null;
+
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }).then((res) => {
+          localStorage.setItem('authToken', res.data.token);
+          localStorage.setItem('refreshToken', res.data.refreshToken);
+          return res.data.token as string;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor: refresh the access token once on 401, then give up
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const original = error.config;
+
     if (error.response?.status === 401) {
-      localStorage.removeItem('authToken');
+      if (original && !original._retry) {
+        original._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          original.headers.Authorization = `Bearer ${token}`;
+          return api(original);
+        } catch {
+          // Fall through to signing out
+        }
+      }
+      clearSession();
       window.location.href = '/';
     }
     return Promise.reject(error);
@@ -38,11 +77,20 @@ api.interceptors.response.use(
 
 // Auth API
 export const authAPI = {
-  getNonce: (address: string) =>
-    api.post('/auth/nonce', { address }),
+  getNonce: (address: string, chainId?: number) =>
+    api.post('/auth/nonce', { address, chainId }),
+
+  verifySignature: (message: string, signature: string) =>
+    api.post('/auth/verify', { message, signature }),
+
+  refresh: (refreshToken: string) =>
+    api.post('/auth/refresh', { refreshToken }),
 
-  verifySignature: (address: string, signature: string, nonce: number) =>
-    api.post('/auth/verify', { address, signature, nonce }),
+  // Sent outside the interceptors: the caller clears local tokens straight away
+  logout: (token: string, refreshToken?: string | null, all = false) =>
+    axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken, all }, {
+      headers: { Authorization: `Bearer ${token}` },
+    }),
   
   register: (userData: any) =>
     api.post('/auth/register', userData),
@@ -65,11 +113,20 @@ export const policyAPI = {
   create: (policyData: any) =>
     api.post('/policies', policyData),
   
-  purchase: (policyId: string) =>
-    api.post(`/policies/${policyId}/purchase`),
+  purchase: (policyId: string, txHash: string) =>
+    api.post(`/policies/${policyId}/purchase`, { txHash }),
   
-  cancel: (policyId: string) =>
-    api.post(`/policies/${policyId}/cancel`),
+  cancel: (policyId: string, txHash: string) =>
+    api.post(`/policies/${policyId}/cancel`, { txHash }),
+  
+  renew: (policyId: string, txHash: string) =>
+    api.post(`/policies/${policyId}/renew`, { txHash }),
+  
+  setAutoRenew: (policyId: string, txHash: string) =>
+    api.put(`/policies/${policyId}/auto-renew`, { txHash }),
+  
+  getRenewalStatus: (policyId: string, address: string) =>
+    api.get(`/policies/${policyId}/renewal/${address}`),
   
   getUserPolicies: (address: string) => {
     if (!address) {
@@ -103,11 +160,23 @@ export const claimsAPI = {
   submit: (claimData: any) =>
     api.post('/claims/submit', claimData),
   
-  approve: (id: string) =>
-    api.post(`/claims/${id}/approve`),
+  link: (id: string, txHash: string) =>
+    api.post(`/claims/${id}/link`, { txHash }),
+  
+  estimatePayout: (policyId: string, amount: string) =>
+    api.get(`/claims/estimate/${policyId}`, { params: { amount } }),
+  
+  approve: (id: string, txHash?: string) =>
+    api.post(`/admin/claims/${id}/approve`, { txHash }),
+  
+  reject: (id: string, reason: string, txHash?: string) =>
+    api.post(`/admin/claims/${id}/reject`, { reason, txHash }),
   
-  reject: (id: string, reason: string) =>
-    api.post(`/claims/${id}/reject`, { reason }),
+  appeal: (id: string, grounds: string) =>
+    api.post(`/claims/${id}/appeal`, { grounds }),
+  
+  getAppealTerms: () =>
+    api.get('/claims/appeals/terms'),
 };
 
 // Analytics API
@@ -145,6 +214,15 @@ export const notificationsAPI = {
     api.get('/notifications/stats'),
 };
 
+// Relay API
+export const relayAPI = {
+  getStatus: () =>
+    api.get('/relay/status'),
+  
+  relay: (request: Record<string, string>, signature: string) =>
+    api.post('/relay', { request, signature }, { timeout: 60000 }),
+};
+
 // Blockchain API
 export const blockchainAPI = {
   getStatus: () =>
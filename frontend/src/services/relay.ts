@@ -0,0 +1,163 @@
+import { ethers } from 'ethers';
+import { relayAPI } from './api';
+
+// Must match the TrustedForwarder EIP-712 domain and ForwardRequest struct
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const CLAIM_MANAGER_ABI = [
+  'function submitClaim(address policyAddress, uint256 amount, string evidence) returns (bytes32)'
+];
+
+const PERMIT_TOKEN_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)'
+];
+
+// Signatures stay valid for 20 minutes
+const SIGNATURE_TTL_SECONDS = 20 * 60;
+
+export interface RelayStatus {
+  enabled: boolean;
+  forwarder?: string;
+  chainId?: number;
+  nonce?: string;
+  maxGas?: string;
+  quota: {
+    limit: number;
+    used: number;
+    remaining: number;
+    resetsAt: string | null;
+  };
+}
+
+export interface ClaimTransaction {
+  to: string;
+  policyAddress: string;
+  amount: string;
+  evidence: string;
+}
+
+export interface PermitSignature {
+  deadline: number;
+  v: number;
+  r: string;
+  s: string;
+}
+
+const signatureDeadline = () => Math.floor(Date.now() / 1000) + SIGNATURE_TTL_SECONDS;
+
+/**
+ * Relay status for the signed-in wallet, or null if the relayer can't be used right now
+ */
+export const getAvailableRelay = async (): Promise<RelayStatus | null> => {
+  try {
+    const { data } = await relayAPI.getStatus();
+    return data.enabled && data.quota.remaining > 0 ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sign an EIP-2612 permit letting `spender` pull `value` of `tokenAddress` from the signer
+ */
+export const signPermit = async (
+  signer: ethers.Signer,
+  tokenAddress: string,
+  spender: string,
+  value: bigint
+): Promise<PermitSignature> => {
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, PERMIT_TOKEN_ABI, signer);
+  const [name, nonce, network] = await Promise.all([
+    token.name(),
+    token.nonces(owner),
+    signer.provider!.getNetwork()
+  ]);
+
+  const deadline = signatureDeadline();
+  const signature = await signer.signTypedData(
+    { name, version: '1', chainId: network.chainId, verifyingContract: tokenAddress },
+    PERMIT_TYPES,
+    { owner, spender, value, nonce, deadline }
+  );
+
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+};
+
+/**
+ * Sign a ForwardRequest for `data` on `to` and have the backend relayer send it
+ * @returns Hash of the mined relay transaction
+ */
+export const relayCall = async (
+  signer: ethers.Signer,
+  status: RelayStatus,
+  to: string,
+  data: string
+): Promise<string> => {
+  const request = {
+    from: await signer.getAddress(),
+    to,
+    value: '0',
+    gas: status.maxGas!,
+    nonce: status.nonce!,
+    deadline: signatureDeadline().toString(),
+    data
+  };
+
+  const signature = await signer.signTypedData(
+    { name: 'TrustedForwarder', version: '1', chainId: status.chainId, verifyingContract: status.forwarder },
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  const response = await relayAPI.relay(request, signature);
+  return response.data.txHash;
+};
+
+/**
+ * Send ClaimManager.submitClaim for a claim the backend validated. The relayer pays gas
+ * while the holder has relay quota left; otherwise the wallet sends it.
+ * @param onSent - Called once a wallet-sent transaction is waiting to be mined
+ * @returns Hash of the mined transaction
+ */
+export const sendClaimSubmission = async (
+  signer: ethers.Signer,
+  transaction: ClaimTransaction,
+  onSent?: () => void
+): Promise<string> => {
+  const claimManager = new ethers.Contract(transaction.to, CLAIM_MANAGER_ABI, signer);
+  const args = [transaction.policyAddress, transaction.amount, transaction.evidence];
+
+  const relay = await getAvailableRelay();
+  if (relay) {
+    const callData = claimManager.interface.encodeFunctionData('submitClaim', args);
+    return relayCall(signer, relay, transaction.to, callData);
+  }
+
+  const tx = await claimManager.submitClaim(...args);
+  onSent?.();
+  await tx.wait();
+  return tx.hash;
+};
@@ -0,0 +1,74 @@
+import { create } from 'zustand'
+import { notificationsAPI } from '../services/api'
+
+export interface Notification {
+  id: string
+  type: string
+  title: string
+  message: string
+  data?: Record<string, any>
+  read: boolean
+  createdAt: string
+}
+
+interface NotificationState {
+  notifications: Notification[]
+  unreadCount: number
+  loading: boolean
+  fetch: () => Promise<void>
+  add: (notification: Notification) => boolean
+  markAsRead: (id: string) => Promise<void>
+  markAllAsRead: () => Promise<void>
+  remove: (id: string) => Promise<void>
+  clear: () => void
+}
+
+const countUnread = (notifications: Notification[]) => notifications.filter(n => !n.read).length
+
+export const useNotificationStore = create<NotificationState>((set, get) => ({
+  notifications: [],
+  unreadCount: 0,
+  loading: false,
+
+  fetch: async () => {
+    set({ loading: true })
+    try {
+      const res = await notificationsAPI.getAll()
+      set({ notifications: res.data.notifications, unreadCount: res.data.unreadCount })
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error)
+    } finally {
+      set({ loading: false })
+    }
+  },
+
+  // Called for WebSocket pushes; replayed events may repeat ones already fetched.
+  // Returns whether the notification was new.
+  add: (notification) => {
+    if (get().notifications.some(n => n.id === notification.id)) {
+      return false
+    }
+    const notifications = [notification, ...get().notifications]
+    set({ notifications, unreadCount: countUnread(notifications) })
+    return true
+  },
+
+  markAsRead: async (id) => {
+    await notificationsAPI.markAsRead(id)
+    const notifications = get().notifications.map(n => (n.id === id ? { ...n, read: true } : n))
+    set({ notifications, unreadCount: countUnread(notifications) })
+  },
+
+  markAllAsRead: async () => {
+    await notificationsAPI.markAllAsRead()
+    set({ notifications: get().notifications.map(n => ({ ...n, read: true })), unreadCount: 0 })
+  },
+
+  remove: async (id) => {
+    await notificationsAPI.delete(id)
+    const notifications = get().notifications.filter(n => n.id !== id)
+    set({ notifications, unreadCount: countUnread(notifications) })
+  },
+
+  clear: () => set({ notifications: [], unreadCount: 0 })
+}))
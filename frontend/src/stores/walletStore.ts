@@ -7,6 +7,7 @@ interface WalletState {
   isConnected: boolean
   isAuthenticated: boolean
   address: string | null
+  roles: string[]
   provider: ethers.BrowserProvider | null
   signer: ethers.JsonRpcSigner | null
   chainId: number | null
@@ -15,12 +16,17 @@ interface WalletState {
   disconnect: () => void
   switchNetwork: (chainId: number) => Promise<void>
   updateBalance: () => Promise<void>
+  hasRole: (...roles: string[]) => boolean
 }
 
+// Roles that can open the admin panel (the backend enforces each route)
+export const STAFF_ROLES = ['admin', 'insurer', 'claims_reviewer', 'multisig_signer', 'kyc_officer']
+
 export const useWalletStore = create<WalletState>((set, get) => ({
   isConnected: false,
   isAuthenticated: false,
   address: null,
+  roles: [],
   provider: null,
   signer: null,
   chainId: null,
@@ -38,34 +44,36 @@ export const useWalletStore = create<WalletState>((set, get) => ({
       
       const signer = await provider.getSigner()
       const address = await signer.getAddress()
+      const network = await provider.getNetwork()
       
-      // --- Authentication Flow ---
+      // --- Sign-In with Ethereum (EIP-4361) ---
       toast.loading('Please sign the message in your wallet to log in.', { id: 'auth' });
       
-      // 1. Get nonce from backend
-      const nonceRes = await authAPI.getNonce(address);
-      const { nonce, message } = nonceRes.data;
+      // 1. Get the SIWE message (domain, chain, nonce, expiry) from backend
+      const nonceRes = await authAPI.getNonce(address, Number(network.chainId));
+      const { message } = nonceRes.data;
 
-      // 2. Sign the nonce
+      // 2. Sign the message exactly as issued
       const signature = await signer.signMessage(message);
 
-      // 3. Verify signature and get JWT
-      const verifyRes = await authAPI.verifySignature(address, signature, nonce);
-      const { token } = verifyRes.data;
+      // 3. Verify signature and start a session
+      const verifyRes = await authAPI.verifySignature(message, signature);
+      const { token, refreshToken, roles } = verifyRes.data;
 
-      // 4. Store JWT
+      // 4. Store access and refresh tokens
       localStorage.setItem('authToken', token);
+      localStorage.setItem('refreshToken', refreshToken);
       
       toast.dismiss('auth');
       toast.success('Logged in successfully!')
       
-      const network = await provider.getNetwork()
       const balance = await provider.getBalance(address)
 
       set({
         isConnected: true,
         isAuthenticated: true,
         address,
+        roles: roles || [],
         provider,
         signer,
         chainId: Number(network.chainId),
@@ -102,10 +110,12 @@ export const useWalletStore = create<WalletState>((set, get) => ({
       
       // Clean up state without showing disconnect toast
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       set({
         isConnected: false,
         isAuthenticated: false,
         address: null,
+        roles: [],
         provider: null,
         signer: null,
         chainId: null,
@@ -117,11 +127,18 @@ export const useWalletStore = create<WalletState>((set, get) => ({
   },
 
   disconnect: (showToast: boolean = true) => {
+    // Revoke the session server-side; local cleanup doesn't wait on it
+    const token = localStorage.getItem('authToken')
+    if (token) {
+      authAPI.logout(token, localStorage.getItem('refreshToken')).catch(() => {})
+    }
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     set({
       isConnected: false,
       isAuthenticated: false,
       address: null,
+      roles: [],
       provider: null,
       signer: null,
       chainId: null,
@@ -138,6 +155,11 @@ export const useWalletStore = create<WalletState>((set, get) => ({
 
   updateBalance: async () => {
     // ... (implementation remains the same)
+  },
+
+  hasRole: (...roles: string[]) => {
+    const held = get().roles
+    return held.includes('admin') || roles.some(role => held.includes(role))
   }
 }))
 
@@ -165,6 +187,10 @@ if (typeof window !== 'undefined' && window.ethereum) {
                     chainId: Number(network.chainId),
                     balance: ethers.formatEther(balance)
                   });
+                  // Roles can change between sessions; read them fresh from the profile
+                  authAPI.getProfile()
+                    .then(res => useWalletStore.setState({ roles: res.data.profile.roles || [] }))
+                    .catch(() => {});
                 });
               });
             });
@@ -172,6 +198,7 @@ if (typeof window !== 'undefined' && window.ethereum) {
         } else {
           // Token exists but no account connected, so clean up
           localStorage.removeItem('authToken');
+          localStorage.removeItem('refreshToken');
         }
       })
       .catch(console.error)
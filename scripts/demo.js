@@ -37,7 +37,13 @@ async function main() {
   console.log("💰 Step 1: Setting up user with mock USDT");
   await mockUSDT.mint(user.address, ethers.parseUnits("50000", 6));
   const userBalance = await mockUSDT.balanceOf(user.address);
-  console.log(`   User USDT balance: ${ethers.formatUnits(userBalance, 6)} USDT\n`);
+  console.log(`   User USDT balance: ${ethers.formatUnits(userBalance, 6)} USDT`);
+
+  // Underwriting capital lets the pool back the coverage sold below
+  await mockUSDT.mint(deployer.address, ethers.parseUnits("50000", 6));
+  await mockUSDT.approve(premiumPool.target, ethers.parseUnits("50000", 6));
+  await premiumPool.depositCapital(mockUSDT.target, ethers.parseUnits("50000", 6));
+  console.log(`   Underwriting capital deposited: 50000 USDT\n`);
 
   // Step 2: Create Policy
   console.log("📋 Step 2: Creating DeFi Hack Insurance Policy");
@@ -61,9 +67,7 @@ async function main() {
   const policyAddress = policyFactory.interface.parseLog(policyEvent).args[1];
   const policy = await ethers.getContractAt("Policy", policyAddress);
 
-  // Setup policy
-  await policy.setPremiumPool(premiumPool.target);
-  await policy.setClaimManager(claimManager.target);
+  // Pool, claim manager and refunds come from the factory wiring set at deployment
 
   console.log(`   ✅ Policy created at: ${policyAddress}`);
   console.log(`   📊 Premium: 500 USDT | Coverage: 25,000 USDT | Duration: 30 days\n`);
@@ -135,20 +139,34 @@ async function main() {
   
   console.log(`   ✅ Oracle verified claim as valid\n`);
 
-  // Step 7: Check claim status and payout
+  // Step 7: Finalize the claim once the investigation period is over
   console.log("💸 Step 7: Processing claim payout");
   
   const userBalanceBefore = await mockUSDT.balanceOf(user.address);
   console.log(`   💰 User balance before payout: ${ethers.formatUnits(userBalanceBefore, 6)} USDT`);
 
-  // Wait a moment for the claim to be processed
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  // Verified claims stay Investigating so reviewers can flag them; skip ahead on the local chain
+  const investigationPeriod = await claimManager.INVESTIGATION_PERIOD();
+  await ethers.provider.send("evm_increaseTime", [Number(investigationPeriod)]);
+  await ethers.provider.send("evm_mine", []);
+  console.log(`   ⏩ Advanced time past the ${Number(investigationPeriod) / 86400}-day investigation period`);
+
+  await (await claimManager.finalizeClaim(claimId)).wait();
+  console.log(`   ✅ Claim finalized`);
+
+  // High-value claims are escrowed until the signers approve; the deployer is the demo's only signer
+  const escrowTxId = await claimManager.escrowTransactions(claimId);
+  if (escrowTxId !== ethers.ZeroHash) {
+    const multiSigEscrow = await ethers.getContractAt("MultiSigEscrow", await claimManager.multiSigEscrow());
+    await (await multiSigEscrow.approveTransaction(escrowTxId)).wait();
+    console.log(`   🔐 Escrowed payout approved by signer ${deployer.address}`);
+  }
 
   const claim = await claimManager.getClaim(claimId);
-  const statusNames = ["Pending", "Investigating", "Approved", "Rejected", "Paid"];
+  const statusNames = ["Pending", "Investigating", "Approved", "Rejected", "Paid", "Appealed"];
   console.log(`   📊 Claim status: ${statusNames[claim.status]}`);
 
-  if (claim.status === 4) { // Paid
+  if (claim.status === 4n) { // Paid
     const userBalanceAfter = await mockUSDT.balanceOf(user.address);
     const payout = userBalanceAfter - userBalanceBefore;
     console.log(`   ✅ Claim paid successfully!`);
@@ -161,9 +179,9 @@ async function main() {
   console.log("=====================================");
   
   const finalPoolBalance = await premiumPool.getBalance(mockUSDT.target);
-  const totalPremiums = await premiumPool.totalPremiumsCollected();
-  const totalClaims = await premiumPool.totalClaimsPaid();
-  const utilizationRatio = await premiumPool.getUtilizationRatio();
+  const totalPremiums = await premiumPool.totalPremiumsCollected(mockUSDT.target);
+  const totalClaims = await premiumPool.totalClaimsPaid(mockUSDT.target);
+  const utilizationRatio = await premiumPool.getUtilizationRatio(mockUSDT.target);
 
   console.log(`📈 Premium Pool Statistics:`);
   console.log(`   Current Balance: ${ethers.formatUnits(finalPoolBalance, 6)} USDT`);
@@ -184,14 +202,15 @@ async function main() {
   console.log("✅ Policy created and purchased");
   console.log("✅ Hack event simulated");
   console.log("✅ Claim submitted and verified");
-  console.log("✅ Payout processed automatically");
+  console.log("✅ Claim finalized after the investigation period and payout released");
   console.log("\n💡 This demonstrates the full lifecycle of crypto insurance:");
   console.log("   1. Policy creation by insurer");
   console.log("   2. Premium payment by user");
   console.log("   3. Risk event occurrence");
   console.log("   4. Claim submission with evidence");
   console.log("   5. Oracle-based verification");
-  console.log("   6. Automated payout from premium pool");
+  console.log("   6. Investigation period, then finalization");
+  console.log("   7. Payout from premium pool (signer approval for high-value claims)");
 }
 
 main()
@@ -60,6 +60,51 @@ async function main() {
   await premiumPool.authorizeWithdrawer(claimManager.address);
   console.log("✅ ClaimManager authorized as withdrawer");
 
+  await multiSig.setClaimManager(claimManager.address);
+  console.log("✅ ClaimManager linked to MultiSigEscrow");
+
+  await premiumPool.allowToken(token.address);
+  console.log("✅ Mock USDT allowed as pool token");
+
+  await premiumPool.setPolicyFactory(policyFactory.address);
+  await premiumPool.setCapacityMultiple(process.env.POOL_CAPACITY_MULTIPLE_BPS || 50000);
+  console.log("✅ Pool capacity guard linked to PolicyFactory");
+
+  await policyFactory.setPolicyDefaults(premiumPool.address, claimManager.address);
+  console.log("✅ New policies wired to PremiumPool and ClaimManager");
+
+  // Deploy Trusted Forwarder so the backend relayer can pay gas for purchases and claims
+  console.log("\n📨 Deploying TrustedForwarder...");
+  const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+  const forwarder = await TrustedForwarder.deploy();
+  await forwarder.deployed();
+  console.log("TrustedForwarder deployed to:", forwarder.address);
+
+  await policyFactory.setTrustedForwarder(forwarder.address);
+  await claimManager.setTrustedForwarder(forwarder.address);
+  console.log("✅ Policies and ClaimManager accept relayed requests");
+
+  const certificateBaseURI = process.env.CERTIFICATE_BASE_URI || "http://localhost:3001/api/certificates/";
+  await policyFactory.setCertificateBaseURI(certificateBaseURI);
+  console.log("✅ Coverage certificate metadata served from", certificateBaseURI);
+
+  // Deploy Governance Timelock and hand it the privileged operations
+  console.log("\n⏳ Deploying GovernanceTimelock...");
+  const GovernanceTimelock = await ethers.getContractFactory("GovernanceTimelock");
+  const timelock = await GovernanceTimelock.deploy(
+    process.env.TIMELOCK_MIN_DELAY || 2 * 86400,
+    [deployer.address],
+    [deployer.address],
+    ethers.constants.AddressZero
+  );
+  await timelock.deployed();
+  console.log("GovernanceTimelock deployed to:", timelock.address);
+
+  await policyFactory.setTimelock(timelock.address);
+  await premiumPool.setTimelock(timelock.address);
+  await claimManager.setTimelock(timelock.address);
+  console.log("✅ Privileged operations routed through GovernanceTimelock");
+
   // Create deployment info
   const deploymentInfo = {
     network: "sepolia",
@@ -70,7 +115,9 @@ async function main() {
       MockOracle: oracle.address,
       MultiSigEscrow: multiSig.address,
       ClaimManager: claimManager.address,
-      PolicyFactory: policyFactory.address
+      PolicyFactory: policyFactory.address,
+      GovernanceTimelock: timelock.address,
+      TrustedForwarder: forwarder.address
     },
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
@@ -108,6 +155,8 @@ async function main() {
   console.log("PREMIUM_POOL_ADDRESS=" + premiumPool.address);
   console.log("MULTISIG_ESCROW_ADDRESS=" + multiSig.address);
   console.log("MOCK_ORACLE_ADDRESS=" + oracle.address);
+  console.log("TIMELOCK_ADDRESS=" + timelock.address);
+  console.log("TRUSTED_FORWARDER_ADDRESS=" + forwarder.address);
   console.log("ERC20_MOCK_ADDRESS=" + token.address);
 
   console.log("\n✅ Deployment completed successfully!");
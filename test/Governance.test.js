@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Governance", function () {
+  let timelock, policyFactory, premiumPool, claimManager, mockOracle, mockToken;
+  let owner, proposer, insurer, other;
+
+  const DELAY = 2 * 86400;
+  const SALT = ethers.ZeroHash;
+
+  const schedule = (target, data) =>
+    timelock.connect(proposer).schedule(target, 0, data, ethers.ZeroHash, SALT, DELAY);
+  const execute = (target, data) =>
+    timelock.connect(proposer).execute(target, 0, data, ethers.ZeroHash, SALT);
+
+  beforeEach(async function () {
+    [owner, proposer, insurer, other] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    mockToken = await ERC20Mock.deploy("Mock USDT", "MUSDT", 6, ethers.parseUnits("1000000", 6));
+
+    const PolicyFactory = await ethers.getContractFactory("PolicyFactory");
+    policyFactory = await PolicyFactory.deploy();
+
+    const PremiumPool = await ethers.getContractFactory("PremiumPool");
+    premiumPool = await PremiumPool.deploy();
+
+    const MockOracle = await ethers.getContractFactory("MockOracle");
+    mockOracle = await MockOracle.deploy();
+
+    const ClaimManager = await ethers.getContractFactory("ClaimManager");
+    claimManager = await ClaimManager.deploy(premiumPool.target, mockOracle.target, other.address);
+
+    const GovernanceTimelock = await ethers.getContractFactory("GovernanceTimelock");
+    timelock = await GovernanceTimelock.deploy(DELAY, [proposer.address], [proposer.address], ethers.ZeroAddress);
+
+    await premiumPool.allowToken(mockToken.target);
+    await mockToken.approve(premiumPool.target, ethers.parseUnits("1000", 6));
+    await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("1000", 6));
+
+    await policyFactory.setTimelock(timelock.target);
+    await premiumPool.setTimelock(timelock.target);
+    await claimManager.setTimelock(timelock.target);
+  });
+
+  it("Should reject direct calls to timelocked operations", async function () {
+    await expect(policyFactory.authorizeInsurer(insurer.address)).to.be.revertedWith("Only timelock");
+    await expect(premiumPool.authorizeWithdrawer(other.address)).to.be.revertedWith("Only timelock");
+    await expect(premiumPool.emergencyWithdraw(mockToken.target, 1, owner.address)).to.be.revertedWith("Only timelock");
+    await expect(claimManager.updateOracle(other.address)).to.be.revertedWith("Only timelock");
+    await expect(premiumPool.setTimelock(other.address)).to.be.revertedWith("Only timelock");
+    await expect(premiumPool.setPolicyFactory(other.address)).to.be.revertedWith("Only timelock");
+  });
+
+  it("Should not let the owner move pool funds through refunds", async function () {
+    expect(premiumPool.interface.getFunction("authorizeRefunder")).to.be.null;
+
+    await expect(premiumPool.refundPremium(mockToken.target, 1, owner.address))
+      .to.be.revertedWith("Not a factory policy");
+    expect(await premiumPool.getBalance(mockToken.target)).to.equal(ethers.parseUnits("1000", 6));
+  });
+
+  it("Should only execute queued operations after the delay", async function () {
+    const data = policyFactory.interface.encodeFunctionData("authorizeInsurer", [insurer.address]);
+    const id = await timelock.hashOperation(policyFactory.target, 0, data, ethers.ZeroHash, SALT);
+
+    await expect(schedule(policyFactory.target, data))
+      .to.emit(timelock, "CallScheduled")
+      .withArgs(id, 0, policyFactory.target, 0, data, ethers.ZeroHash, DELAY);
+
+    await expect(execute(policyFactory.target, data))
+      .to.be.revertedWith("TimelockController: operation is not ready");
+
+    await time.increase(DELAY);
+    await expect(execute(policyFactory.target, data))
+      .to.emit(policyFactory, "InsurerAuthorized")
+      .withArgs(insurer.address);
+
+    expect(await policyFactory.authorizedInsurers(insurer.address)).to.be.true;
+    expect(await timelock.isOperationDone(id)).to.be.true;
+  });
+
+  it("Should run emergency withdrawals and oracle updates through the timelock", async function () {
+    const withdrawData = premiumPool.interface.encodeFunctionData(
+      "emergencyWithdraw",
+      [mockToken.target, ethers.parseUnits("1000", 6), other.address]
+    );
+    const oracleData = claimManager.interface.encodeFunctionData("updateOracle", [other.address]);
+
+    await schedule(premiumPool.target, withdrawData);
+    await schedule(claimManager.target, oracleData);
+    await time.increase(DELAY);
+    await execute(premiumPool.target, withdrawData);
+    await execute(claimManager.target, oracleData);
+
+    expect(await mockToken.balanceOf(other.address)).to.equal(ethers.parseUnits("1000", 6));
+    expect(await claimManager.oracle()).to.equal(other.address);
+  });
+
+  it("Should not execute a cancelled operation", async function () {
+    const data = premiumPool.interface.encodeFunctionData("authorizeWithdrawer", [other.address]);
+    const id = await timelock.hashOperation(premiumPool.target, 0, data, ethers.ZeroHash, SALT);
+
+    await schedule(premiumPool.target, data);
+    await expect(timelock.connect(proposer).cancel(id))
+      .to.emit(timelock, "Cancelled")
+      .withArgs(id);
+
+    await time.increase(DELAY);
+    await expect(execute(premiumPool.target, data))
+      .to.be.revertedWith("TimelockController: operation is not ready");
+    expect(await premiumPool.authorizedWithdrawers(other.address)).to.be.false;
+  });
+
+  it("Should keep revocations instant for the owner", async function () {
+    const data = policyFactory.interface.encodeFunctionData("authorizeInsurer", [insurer.address]);
+    await schedule(policyFactory.target, data);
+    await time.increase(DELAY);
+    await execute(policyFactory.target, data);
+
+    await policyFactory.revokeInsurer(insurer.address);
+    expect(await policyFactory.authorizedInsurers(insurer.address)).to.be.false;
+  });
+});
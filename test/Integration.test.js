@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Integration Tests", function () {
   let policyFactory, premiumPool, claimManager, mockOracle, multiSigEscrow, mockToken;
@@ -39,6 +40,9 @@ describe("Integration Tests", function () {
     // Setup permissions
     await policyFactory.authorizeInsurer(insurer.address);
     await premiumPool.authorizeWithdrawer(claimManager.target);
+    await premiumPool.allowToken(mockToken.target);
+    await premiumPool.setPolicyFactory(policyFactory.target);
+    await policyFactory.setPolicyDefaults(premiumPool.target, claimManager.target);
     await mockOracle.authorizeOperator(owner.address);
 
     // Mint tokens to user
@@ -59,12 +63,6 @@ describe("Integration Tests", function () {
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
       policyAddress = event.args[1];
-
-      // Setup policy with premium pool and claim manager
-      const Policy = await ethers.getContractFactory("Policy");
-      const policy = Policy.attach(policyAddress);
-      await policy.connect(insurer).setPremiumPool(premiumPool.target);
-      await policy.connect(insurer).setClaimManager(claimManager.target);
     });
 
     it("Should complete full claim lifecycle", async function () {
@@ -94,16 +92,19 @@ describe("Integration Tests", function () {
       
       await mockOracle.simulateHackVerification(requestId, "0x123hack456");
 
-      // Step 4: Check claim status
+      // Step 4: Claim sits in the investigation period
       const claim = await claimManager.getClaim(claimId);
-      expect(claim.status).to.equal(2); // Approved
+      expect(claim.status).to.equal(1); // Investigating
 
-      // Step 5: Verify payout
+      // Step 5: Anyone finalizes after the period and the claim is paid
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("10000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("10000", 6));
       const userBalanceBefore = await mockToken.balanceOf(user.address);
-      
-      // Wait for automatic payout processing
-      await ethers.provider.send("evm_mine");
-      
+
+      await time.increase(7 * 86400);
+      await claimManager.connect(signer3).finalizeClaim(claimId);
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(4); // Paid
       const userBalanceAfter = await mockToken.balanceOf(user.address);
       expect(userBalanceAfter).to.be.gt(userBalanceBefore);
     });
@@ -140,6 +141,32 @@ describe("Integration Tests", function () {
   });
 
   describe("Multi-Sig High-Value Claims", function () {
+    let policy;
+
+    const submitHighValueClaim = async () => {
+      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("1000", 6));
+      await policy.connect(user).purchasePolicy();
+
+      // Submit high-value claim (>10k threshold)
+      const claimTx = await claimManager.connect(user).submitClaim(
+        policyAddress,
+        ethers.parseUnits("50000", 6), // 50,000 USDT claim
+        "Major exchange hack evidence: tx hash 0x456hack789"
+      );
+
+      const claimReceipt = await claimTx.wait();
+      const claimEvent = claimReceipt.logs.find(log => log.fragment?.name === "ClaimSubmitted");
+      return claimEvent.args[0];
+    };
+
+    const verifyAndFinalize = async (claimId) => {
+      const requests = await mockOracle.getTotalRequests();
+      const requestId = await mockOracle.allRequests(requests - 1n);
+      await mockOracle.simulateHackVerification(requestId, "0x456hack789");
+      await time.increase(7 * 86400);
+      return claimManager.finalizeClaim(claimId);
+    };
+
     beforeEach(async function () {
       // Create high-coverage policy
       const tx = await policyFactory.connect(insurer).createPolicy(
@@ -155,45 +182,613 @@ describe("Integration Tests", function () {
       policyAddress = event.args[1];
 
       const Policy = await ethers.getContractFactory("Policy");
-      const policy = Policy.attach(policyAddress);
-      await policy.connect(insurer).setPremiumPool(premiumPool.target);
-      await policy.connect(insurer).setClaimManager(claimManager.target);
+      policy = Policy.attach(policyAddress);
+      await multiSigEscrow.setClaimManager(claimManager.target);
 
       // Fund premium pool
-      await mockToken.mint(premiumPool.target, ethers.parseUnits("200000", 6));
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("200000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("200000", 6));
     });
 
     it("Should require multi-sig for high-value claims", async function () {
+      const claimId = await submitHighValueClaim();
+
+      // Check that claim requires multi-sig
+      const claim = await claimManager.getClaim(claimId);
+      expect(claim.requiresMultiSig).to.be.true;
+
+      // Claim is approved after investigation: funds move from the pool into escrow
+      await expect(verifyAndFinalize(claimId))
+        .to.emit(claimManager, "ClaimEscrowed");
+
+      // Claim should be approved but unpaid (waiting for multi-sig)
+      const updatedClaim = await claimManager.getClaim(claimId);
+      expect(updatedClaim.status).to.equal(2); // Approved
+      expect(await multiSigEscrow.getBalance(mockToken.target)).to.equal(ethers.parseUnits("50000", 6));
+
+      const txId = await claimManager.escrowTransactions(claimId);
+      const escrowTx = await multiSigEscrow.getTransaction(txId);
+      expect(escrowTx.to).to.equal(user.address);
+      expect(escrowTx.claimId).to.equal(claimId);
+    });
+
+    it("Should mark the claim paid once enough signers approve", async function () {
+      const claimId = await submitHighValueClaim();
+      await verifyAndFinalize(claimId);
+      const txId = await claimManager.escrowTransactions(claimId);
+
+      await multiSigEscrow.connect(signer1).approveTransaction(txId);
+      expect((await claimManager.getClaim(claimId)).status).to.equal(2); // Still approved
+
+      const balanceBefore = await mockToken.balanceOf(user.address);
+      await expect(multiSigEscrow.connect(signer2).approveTransaction(txId))
+        .to.emit(claimManager, "ClaimPaid")
+        .withArgs(claimId, user.address, ethers.parseUnits("50000", 6));
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(4); // Paid
+      expect(await mockToken.balanceOf(user.address)).to.equal(balanceBefore + ethers.parseUnits("50000", 6));
+      await expect(claimManager.rejectClaim(claimId, "late"))
+        .to.be.revertedWith("Cannot reject paid claim");
+    });
+
+    it("Should return declined escrow funds to the pool and reject the claim", async function () {
+      const claimId = await submitHighValueClaim();
+      await verifyAndFinalize(claimId);
+      const txId = await claimManager.escrowTransactions(claimId);
+      const poolBefore = await premiumPool.getBalance(mockToken.target);
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("50000", 6));
+
+      await expect(multiSigEscrow.connect(signer1).cancelTransaction(txId, "Exchange loss not confirmed"))
+        .to.emit(multiSigEscrow, "CancellationVoted")
+        .withArgs(txId, signer1.address, "Exchange loss not confirmed");
+      await expect(multiSigEscrow.connect(signer1).approveTransaction(txId))
+        .to.be.revertedWith("Already voted to cancel");
+      expect((await claimManager.getClaim(claimId)).status).to.equal(2); // Still approved
+
+      await expect(multiSigEscrow.connect(signer2).cancelTransaction(txId, "Exchange loss not confirmed"))
+        .to.emit(multiSigEscrow, "TransactionCancelled")
+        .and.to.emit(claimManager, "ClaimRejected")
+        .withArgs(claimId, "Exchange loss not confirmed");
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(3); // Rejected
+      expect(await claimManager.escrowTransactions(claimId)).to.equal(ethers.ZeroHash);
+      expect(await multiSigEscrow.getBalance(mockToken.target)).to.equal(0);
+      expect(await premiumPool.getBalance(mockToken.target)).to.equal(poolBefore + ethers.parseUnits("50000", 6));
+      expect(await premiumPool.totalClaimsPaid(mockToken.target)).to.equal(0);
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("100000", 6));
+      await expect(multiSigEscrow.connect(signer3).approveTransaction(txId))
+        .to.be.revertedWith("Transaction cancelled");
+
+      // The rejection opens the appeal window as usual
+      await mockToken.connect(user).approve(claimManager.target, ethers.parseUnits("2500", 6));
+      await expect(claimManager.connect(user).fileAppeal(claimId, "Hack confirmed by the exchange"))
+        .to.emit(claimManager, "AppealFiled");
+    });
+
+    it("Should only let the claim manager create escrow transactions", async function () {
+      await expect(
+        multiSigEscrow.connect(user).createTransaction(user.address, mockToken.target, 1, ethers.ZeroHash)
+      ).to.be.revertedWith("Only claim manager");
+    });
+
+    it("Should not let anyone repoint the claim manager once linked", async function () {
+      await expect(multiSigEscrow.setClaimManager(user.address))
+        .to.be.revertedWith("Claim manager already set");
+      await expect(multiSigEscrow.connect(signer1).setClaimManager(user.address))
+        .to.be.revertedWith("Only deployer");
+
+      expect(await multiSigEscrow.claimManager()).to.equal(claimManager.target);
+    });
+  });
+
+  describe("Parametric Policies", function () {
+    let policy, other;
+
+    beforeEach(async function () {
+      other = signer1;
+
+      const tx = await policyFactory.connect(insurer).createParametricPolicy(
+        "DEFI_HACK",
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target,
+        ethers.parseUnits("2000", 6) // Fixed 2,000 USDT per holder
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      policyAddress = event.args[1];
+
+      const Policy = await ethers.getContractFactory("Policy");
+      policy = Policy.attach(policyAddress);
+
+      // Fund premium pool through its accounting
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("100000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("100000", 6));
+
+      for (const holder of [user, other]) {
+        await mockToken.mint(holder.address, ethers.parseUnits("100", 6));
+        await mockToken.connect(holder).approve(policyAddress, ethers.parseUnits("100", 6));
+        await policy.connect(holder).purchasePolicy();
+      }
+    });
+
+    it("Should pay every covered holder when a trigger is reported", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const reportTx = await mockOracle.reportTriggerEvent(
+        policyAddress,
+        "Protocol X exploited",
+        latest.number,
+        latest.timestamp
+      );
+      const reportReceipt = await reportTx.wait();
+      const eventId = reportReceipt.logs.find(log => log.fragment?.name === "TriggerEventReported").args[0];
+
+      const userBefore = await mockToken.balanceOf(user.address);
+      const otherBefore = await mockToken.balanceOf(other.address);
+
+      await expect(claimManager.processParametricTrigger(eventId, 10))
+        .to.emit(claimManager, "ParametricTriggerCompleted")
+        .withArgs(eventId, policyAddress);
+
+      expect(await mockToken.balanceOf(user.address)).to.equal(userBefore + ethers.parseUnits("2000", 6));
+      expect(await mockToken.balanceOf(other.address)).to.equal(otherBefore + ethers.parseUnits("2000", 6));
+
+      const [claimId] = await claimManager.getClaimsByClaimant(user.address);
+      const claim = await claimManager.getClaim(claimId);
+      expect(claim.status).to.equal(4); // Paid
+      expect(claim.evidence).to.equal("Protocol X exploited");
+
+      await expect(claimManager.processParametricTrigger(eventId, 10))
+        .to.be.revertedWith("Trigger already processed");
+    });
+
+    it("Should skip holders who bought after the incident", async function () {
+      const incident = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_mine");
+
+      const latecomer = signer2;
+      await mockToken.mint(latecomer.address, ethers.parseUnits("100", 6));
+      await mockToken.connect(latecomer).approve(policyAddress, ethers.parseUnits("100", 6));
+      await policy.connect(latecomer).purchasePolicy();
+
+      const reportTx = await mockOracle.reportTriggerEvent(
+        policyAddress,
+        "Protocol X exploited",
+        incident.number,
+        incident.timestamp
+      );
+      const reportReceipt = await reportTx.wait();
+      const eventId = reportReceipt.logs.find(log => log.fragment?.name === "TriggerEventReported").args[0];
+
+      // Process in batches of one holder
+      await claimManager.processParametricTrigger(eventId, 1);
+      expect(await claimManager.triggerCompleted(eventId)).to.be.false;
+      await claimManager.processParametricTrigger(eventId, 1);
+      await claimManager.processParametricTrigger(eventId, 1);
+      expect(await claimManager.triggerCompleted(eventId)).to.be.true;
+
+      expect(await claimManager.triggerPaid(eventId, user.address)).to.be.true;
+      expect(await claimManager.triggerPaid(eventId, latecomer.address)).to.be.false;
+    });
+
+    it("Should not accept claim forms or unauthorized trigger reports", async function () {
+      await expect(
+        claimManager.connect(user).submitClaim(policyAddress, ethers.parseUnits("1000", 6), "hack evidence")
+      ).to.be.revertedWith("Parametric policy pays on trigger");
+
+      const latest = await ethers.provider.getBlock("latest");
+      await expect(
+        mockOracle.connect(user).reportTriggerEvent(policyAddress, "fake", latest.number, latest.timestamp)
+      ).to.be.revertedWith("Not authorized operator");
+    });
+  });
+
+  describe("Deductibles and Co-insurance", function () {
+    let policy;
+
+    beforeEach(async function () {
+      const tx = await policyFactory.connect(insurer).createPolicy(
+        "DEFI_HACK",
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      policyAddress = event.args[1];
+
+      const Policy = await ethers.getContractFactory("Policy");
+      policy = Policy.attach(policyAddress);
+
+      // 500 USDT deductible, insurer pays 80% of the rest
+      await expect(policy.connect(insurer).setClaimTerms(ethers.parseUnits("500", 6), 8000))
+        .to.emit(policy, "ClaimTermsUpdated")
+        .withArgs(ethers.parseUnits("500", 6), 8000);
+
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("100000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("100000", 6));
+
+      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("100", 6));
+      await policy.connect(user).purchasePolicy();
+    });
+
+    it("Should pay the claim net of deductible and co-insurance", async function () {
+      const expected = ethers.parseUnits("3600", 6); // (5,000 - 500) * 80%
+      expect(await policy.calculatePayout(ethers.parseUnits("5000", 6))).to.equal(expected);
+
+      const claimTx = await claimManager.connect(user).submitClaim(
+        policyAddress,
+        ethers.parseUnits("5000", 6),
+        "DeFi protocol hack evidence: tx hash 0x123..."
+      );
+      const claimReceipt = await claimTx.wait();
+      const claimId = claimReceipt.logs.find(log => log.fragment?.name === "ClaimSubmitted").args[0];
+
+      const balanceBefore = await mockToken.balanceOf(user.address);
+      const requests = await mockOracle.getTotalRequests();
+      const requestId = await mockOracle.allRequests(requests - 1n);
+
+      await mockOracle.simulateHackVerification(requestId, "0x123hack456");
+      await time.increase(7 * 86400);
+      await expect(claimManager.finalizeClaim(claimId))
+        .to.emit(claimManager, "ClaimPaid")
+        .withArgs(claimId, user.address, expected);
+
+      expect(await mockToken.balanceOf(user.address)).to.equal(balanceBefore + expected);
+    });
+
+    it("Should reject claims within the deductible", async function () {
+      await expect(
+        claimManager.connect(user).submitClaim(policyAddress, ethers.parseUnits("500", 6), "hack evidence")
+      ).to.be.revertedWith("Amount within deductible");
+    });
+
+    it("Should lock claim terms once the policy is sold", async function () {
+      await expect(policy.connect(insurer).setClaimTerms(0, 10000))
+        .to.be.revertedWith("Policy already sold");
+    });
+  });
+
+  describe("Aggregate Coverage", function () {
+    let policy;
+
+    const submit = async (amount, evidence) => {
+      const claimTx = await claimManager.connect(user).submitClaim(
+        policyAddress,
+        ethers.parseUnits(amount, 6),
+        evidence
+      );
+      await claimTx.wait();
+      const requests = await mockOracle.getTotalRequests();
+      return mockOracle.allRequests(requests - 1n);
+    };
+
+    beforeEach(async function () {
+      const tx = await policyFactory.connect(insurer).createPolicy(
+        "DEFI_HACK",
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      policyAddress = event.args[1];
+
+      const Policy = await ethers.getContractFactory("Policy");
+      policy = Policy.attach(policyAddress);
+
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("100000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("100000", 6));
+
+      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("100", 6));
+      await policy.connect(user).purchasePolicy();
+    });
+
+    it("Should count pending claims against the limit until rejected", async function () {
+      const requestId = await submit("6000", "Pending evidence awaiting review");
+
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("4000", 6));
+      await expect(submit("5000", "Second claim evidence"))
+        .to.be.revertedWith("Amount exceeds coverage");
+
+      await mockOracle.fulfillVerification(requestId, false);
+
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("10000", 6));
+    });
+
+    it("Should decrement remaining coverage on payout", async function () {
+      const requestId = await submit("6000", "DeFi protocol hack evidence: tx hash 0x123...");
+      await mockOracle.simulateHackVerification(requestId, "0x123hack456");
+      const [claimId] = await claimManager.getClaimsByClaimant(user.address);
+      await time.increase(7 * 86400);
+      await claimManager.finalizeClaim(claimId);
+
+      const usage = await policy.getCoverageUsage(user.address);
+      expect(usage.used).to.equal(ethers.parseUnits("6000", 6));
+      expect(usage.reserved).to.equal(0);
+      expect(usage.remaining).to.equal(ethers.parseUnits("4000", 6));
+
+      await expect(submit("4001", "Another hack evidence"))
+        .to.be.revertedWith("Amount exceeds coverage");
+      await submit("4000", "Another hack evidence");
+      expect(await policy.getCoverage(user.address)).to.equal(0);
+    });
+
+    it("Should block cancellation while a claim is pending", async function () {
+      const requestId = await submit("1000", "Claim before cancelling");
+      await expect(policy.connect(user).cancelPolicy())
+        .to.be.revertedWith("Pending claims on coverage");
+      await expect(policy.connect(insurer).cancelPolicyFor(user.address))
+        .to.be.revertedWith("Pending claims on coverage");
+
+      await mockOracle.fulfillVerification(requestId, false);
+      await expect(policy.connect(user).cancelPolicy()).to.emit(policy, "PolicyCancelled");
+    });
+
+    it("Should key claims by the certificate owner", async function () {
+      await submit("1000", "Claim before transfer");
+      await expect(policy.connect(user).transferFrom(user.address, signer1.address, 1))
+        .to.be.revertedWith("Pending claims on coverage");
+
+      const requestId = await mockOracle.allRequests((await mockOracle.getTotalRequests()) - 1n);
+      await mockOracle.fulfillVerification(requestId, false);
+      await policy.connect(user).transferFrom(user.address, signer1.address, 1);
+
+      await expect(submit("1000", "Claim after transfer"))
+        .to.be.revertedWith("Policy not active");
+      await claimManager.connect(signer1).submitClaim(policyAddress, ethers.parseUnits("1000", 6), "New owner claim");
+      expect(await policy.getCoverage(signer1.address)).to.equal(ethers.parseUnits("9000", 6));
+    });
+
+    it("Should only let the claim manager move the limit", async function () {
+      await expect(policy.connect(user).useCoverage(user.address, 0, 0))
+        .to.be.revertedWith("Only claim manager");
+    });
+  });
+
+  describe("Investigation Period", function () {
+    let claimId;
+
+    beforeEach(async function () {
+      const tx = await policyFactory.connect(insurer).createPolicy(
+        "DEFI_HACK",
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      policyAddress = event.args[1];
+
       const Policy = await ethers.getContractFactory("Policy");
       const policy = Policy.attach(policyAddress);
 
-      // User purchases policy
-      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("1000", 6));
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("100000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("100000", 6));
+
+      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("100", 6));
       await policy.connect(user).purchasePolicy();
 
-      // Submit high-value claim (>10k threshold)
       const claimTx = await claimManager.connect(user).submitClaim(
         policyAddress,
-        ethers.parseUnits("50000", 6), // 50,000 USDT claim
-        "Major exchange hack evidence: tx hash 0x456hack789"
+        ethers.parseUnits("5000", 6),
+        "DeFi protocol hack evidence: tx hash 0x123..."
+      );
+      const claimReceipt = await claimTx.wait();
+      claimId = claimReceipt.logs.find(log => log.fragment?.name === "ClaimSubmitted").args[0];
+
+      const requests = await mockOracle.getTotalRequests();
+      await mockOracle.simulateHackVerification(await mockOracle.allRequests(requests - 1n), "0x123hack456");
+    });
+
+    it("Should hold verified claims until the investigation period elapses", async function () {
+      expect((await claimManager.getClaim(claimId)).status).to.equal(1); // Investigating
+
+      await expect(claimManager.connect(signer1).finalizeClaim(claimId))
+        .to.be.revertedWith("Investigation period active");
+
+      await time.increaseTo(await claimManager.investigationEndsAt(claimId));
+      await expect(claimManager.connect(signer1).finalizeClaim(claimId))
+        .to.emit(claimManager, "ClaimPaid")
+        .withArgs(claimId, user.address, ethers.parseUnits("5000", 6));
+
+      await expect(claimManager.finalizeClaim(claimId))
+        .to.be.revertedWith("Claim not under investigation");
+    });
+
+    it("Should leave flagged claims for manual review", async function () {
+      await expect(claimManager.connect(signer1).flagClaim(claimId, "Velocity check"))
+        .to.be.revertedWith("Not authorized flagger");
+
+      await claimManager.setClaimFlagger(signer1.address, true);
+      await expect(claimManager.connect(signer1).flagClaim(claimId, "Velocity check"))
+        .to.emit(claimManager, "ClaimFlagged")
+        .withArgs(claimId, signer1.address, "Velocity check");
+
+      await time.increase(7 * 86400);
+      await expect(claimManager.finalizeClaim(claimId))
+        .to.be.revertedWith("Claim flagged for review");
+
+      await expect(claimManager.manualApproveClaim(claimId))
+        .to.emit(claimManager, "ClaimStatusUpdated")
+        .withArgs(claimId, 4);
+      expect((await claimManager.getClaim(claimId)).status).to.equal(4); // Paid
+    });
+  });
+
+  describe("Claim Appeals", function () {
+    let claimId;
+
+    const BOND = ethers.parseUnits("250", 6); // 5% of a 5,000 claim
+
+    beforeEach(async function () {
+      const tx = await policyFactory.connect(insurer).createPolicy(
+        "DEFI_HACK",
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target
       );
 
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      policyAddress = event.args[1];
+
+      const Policy = await ethers.getContractFactory("Policy");
+      const policy = Policy.attach(policyAddress);
+
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("100000", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("100000", 6));
+
+      await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("100", 6));
+      await policy.connect(user).purchasePolicy();
+
+      const claimTx = await claimManager.connect(user).submitClaim(
+        policyAddress,
+        ethers.parseUnits("5000", 6),
+        "Evidence the oracle could not verify"
+      );
       const claimReceipt = await claimTx.wait();
-      const claimEvent = claimReceipt.logs.find(log => log.fragment?.name === "ClaimSubmitted");
-      const claimId = claimEvent.args[0];
+      claimId = claimReceipt.logs.find(log => log.fragment?.name === "ClaimSubmitted").args[0];
 
-      // Check that claim requires multi-sig
-      const claim = await claimManager.getClaim(claimId);
-      expect(claim.requiresMultiSig).to.be.true;
+      await expect(claimManager.rejectClaim(claimId, "Loss predates coverage"))
+        .to.emit(claimManager, "ClaimRejected")
+        .withArgs(claimId, "Loss predates coverage");
 
-      // Oracle approves claim
-      const requests = await mockOracle.getTotalRequests();
-      const requestId = await mockOracle.allRequests(requests - 1n);
-      await mockOracle.simulateHackVerification(requestId, "0x456hack789");
+      await mockToken.connect(user).approve(claimManager.target, BOND);
+    });
 
-      // Claim should be investigating (waiting for multi-sig)
-      const updatedClaim = await claimManager.getClaim(claimId);
-      expect(updatedClaim.status).to.equal(1); // Investigating
+    it("Should store the rejection reason and escrow the appeal bond", async function () {
+      expect(await claimManager.rejectionReasons(claimId)).to.equal("Loss predates coverage");
+
+      await expect(claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase"))
+        .to.emit(claimManager, "AppealFiled")
+        .withArgs(claimId, user.address, BOND, "Hack happened after purchase");
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(5); // Appealed
+      expect(await mockToken.balanceOf(claimManager.target)).to.equal(BOND);
+
+      await expect(claimManager.connect(user).fileAppeal(claimId, "Again"))
+        .to.be.revertedWith("Claim not rejected");
+      await expect(claimManager.rejectClaim(claimId, "Still rejected"))
+        .to.be.revertedWith("Claim under appeal");
+    });
+
+    it("Should refund the bond and pay the claim when reviewers uphold the appeal", async function () {
+      await claimManager.setAppealReviewer(insurer.address, true);
+      await claimManager.setAppealTerms(500, 2);
+      await claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase");
+
+      const balanceBefore = await mockToken.balanceOf(user.address);
+      await expect(claimManager.connect(owner).voteOnAppeal(claimId, true))
+        .to.be.revertedWith("Not appeal reviewer");
+
+      await claimManager.connect(insurer).voteOnAppeal(claimId, true);
+      await expect(claimManager.connect(insurer).voteOnAppeal(claimId, true))
+        .to.be.revertedWith("Already voted");
+
+      // Multi-sig signers can also decide appeals
+      await expect(claimManager.connect(signer1).voteOnAppeal(claimId, true))
+        .to.emit(claimManager, "AppealResolved")
+        .withArgs(claimId, true)
+        .and.to.emit(claimManager, "ClaimPaid");
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(4); // Paid
+      expect((await claimManager.getAppeal(claimId)).status).to.equal(2); // Upheld
+      expect(await mockToken.balanceOf(user.address)).to.equal(balanceBefore + BOND + ethers.parseUnits("5000", 6));
+    });
+
+    it("Should forfeit the bond to the pool when the appeal is dismissed", async function () {
+      await claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase");
+      const poolBefore = await premiumPool.getBalance(mockToken.target);
+
+      await claimManager.connect(signer2).voteOnAppeal(claimId, false);
+
+      expect((await claimManager.getClaim(claimId)).status).to.equal(3); // Rejected
+      expect((await claimManager.getAppeal(claimId)).status).to.equal(3); // Dismissed
+      expect(await premiumPool.getBalance(mockToken.target)).to.equal(poolBefore + BOND);
+      await expect(claimManager.connect(user).fileAppeal(claimId, "One more try"))
+        .to.be.revertedWith("Already appealed");
+    });
+
+    it("Should keep the payout reserved while an appeal is open", async function () {
+      const Policy = await ethers.getContractFactory("Policy");
+      const policy = Policy.attach(policyAddress);
+
+      await claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase");
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("5000", 6));
+
+      // The reservation pins the certificate and the remaining coverage to the appeal
+      await expect(policy.connect(user).transferFrom(user.address, signer3.address, 1))
+        .to.be.revertedWith("Pending claims on coverage");
+      await expect(claimManager.connect(user).submitClaim(policyAddress, ethers.parseUnits("5001", 6), "Second loss"))
+        .to.be.revertedWith("Amount exceeds coverage");
+
+      await claimManager.connect(signer1).voteOnAppeal(claimId, true);
+      expect((await claimManager.getClaim(claimId)).status).to.equal(4); // Paid
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("5000", 6));
+
+      await policy.connect(user).transferFrom(user.address, signer3.address, 1);
+      expect(await policy.getCoverage(signer3.address)).to.equal(ethers.parseUnits("5000", 6));
+    });
+
+    it("Should release the reservation when an appeal is dismissed", async function () {
+      const Policy = await ethers.getContractFactory("Policy");
+      const policy = Policy.attach(policyAddress);
+
+      await claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase");
+      await claimManager.connect(signer1).voteOnAppeal(claimId, false);
+
+      expect(await policy.getCoverage(user.address)).to.equal(ethers.parseUnits("10000", 6));
+    });
+
+    it("Should not accept an appeal once the certificate has been transferred", async function () {
+      const Policy = await ethers.getContractFactory("Policy");
+      const policy = Policy.attach(policyAddress);
+      await policy.connect(user).transferFrom(user.address, signer3.address, 1);
+
+      await expect(claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase"))
+        .to.be.revertedWith("No coverage certificate");
+    });
+
+    it("Should let claim reviewers reject claims but not decide their own appeals", async function () {
+      await claimManager.setClaimFlagger(insurer.address, true);
+      await claimManager.setAppealReviewer(signer3.address, true);
+
+      const claimTx = await claimManager.connect(user).submitClaim(policyAddress, ethers.parseUnits("1000", 6), "Second loss");
+      const secondId = (await claimTx.wait()).logs.find(log => log.fragment?.name === "ClaimSubmitted").args[0];
+
+      await expect(claimManager.connect(user).rejectClaim(secondId, "Self-rejected"))
+        .to.be.revertedWith("Not authorized reviewer");
+      await expect(claimManager.connect(insurer).rejectClaim(secondId, "No loss on-chain"))
+        .to.emit(claimManager, "ClaimRejected")
+        .withArgs(secondId, "No loss on-chain");
+      expect(await claimManager.rejectedBy(secondId)).to.equal(insurer.address);
+
+      const thirdTx = await claimManager.connect(user).submitClaim(policyAddress, ethers.parseUnits("1000", 6), "Third loss");
+      const thirdId = (await thirdTx.wait()).logs.find(log => log.fragment?.name === "ClaimSubmitted").args[0];
+      await claimManager.connect(signer3).rejectClaim(thirdId, "Duplicate of an earlier claim");
+      await claimManager.connect(user).fileAppeal(thirdId, "Different incident");
+      await expect(claimManager.connect(signer3).voteOnAppeal(thirdId, false))
+        .to.be.revertedWith("Reviewer rejected this claim");
+      await claimManager.connect(signer1).voteOnAppeal(thirdId, false);
+    });
+
+    it("Should close appeals after the appeal window", async function () {
+      await time.increase(14 * 86400 + 1);
+
+      await expect(claimManager.connect(user).fileAppeal(claimId, "Hack happened after purchase"))
+        .to.be.revertedWith("Appeal window closed");
+      await expect(claimManager.connect(owner).fileAppeal(claimId, "Not mine"))
+        .to.be.revertedWith("Not claimant");
     });
   });
 
@@ -215,8 +810,6 @@ describe("Integration Tests", function () {
 
       const Policy = await ethers.getContractFactory("Policy");
       const policy = Policy.attach(policyAddress);
-      await policy.connect(insurer).setPremiumPool(premiumPool.target);
-      await policy.connect(insurer).setClaimManager(claimManager.target);
 
       // Purchase policy
       await mockToken.connect(user).approve(policyAddress, ethers.parseUnits("100", 6));
@@ -0,0 +1,358 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Policy", function () {
+  let policyFactory, premiumPool, mockToken, policy;
+  let owner, insurer, user, keeper;
+
+  const PREMIUM = ethers.parseUnits("100", 6);
+  const COVERAGE = ethers.parseUnits("10000", 6);
+  const DURATION = 86400 * 30;
+
+  beforeEach(async function () {
+    [owner, insurer, user, keeper] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    mockToken = await ERC20Mock.deploy("Mock USDT", "MUSDT", 6, ethers.parseUnits("1000000", 6));
+
+    const PolicyFactory = await ethers.getContractFactory("PolicyFactory");
+    policyFactory = await PolicyFactory.deploy();
+
+    const PremiumPool = await ethers.getContractFactory("PremiumPool");
+    premiumPool = await PremiumPool.deploy();
+    await premiumPool.allowToken(mockToken.target);
+    await premiumPool.setPolicyFactory(policyFactory.target);
+
+    await policyFactory.authorizeInsurer(insurer.address);
+    await policyFactory.setPolicyDefaults(premiumPool.target, ethers.ZeroAddress);
+
+    const tx = await policyFactory.connect(insurer).createPolicy(
+      "DEFI_HACK",
+      PREMIUM,
+      COVERAGE,
+      DURATION,
+      mockToken.target
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+
+    const Policy = await ethers.getContractFactory("Policy");
+    policy = Policy.attach(event.args[1]);
+
+    await mockToken.mint(user.address, ethers.parseUnits("10000", 6));
+    await mockToken.connect(user).approve(policy.target, PREMIUM);
+    await policy.connect(user).purchasePolicy();
+  });
+
+  describe("Renewal", function () {
+    it("Should extend coverage from the current expiry", async function () {
+      const before = await policy.policyHolders(user.address);
+
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+      await expect(policy.connect(user).renewPolicy())
+        .to.emit(policy, "PolicyRenewed")
+        .withArgs(user.address, PREMIUM, before.expiresAt + BigInt(DURATION));
+
+      const after = await policy.policyHolders(user.address);
+      expect(after.expiresAt).to.equal(before.expiresAt + BigInt(DURATION));
+      expect(after.premiumPaid).to.equal(PREMIUM * 2n);
+      expect(await mockToken.balanceOf(premiumPool.target)).to.equal(PREMIUM * 2n);
+    });
+
+    it("Should restart coverage from now when renewing a lapsed policy", async function () {
+      await time.increase(DURATION + 100);
+      expect(await policy.isPolicyActive(user.address)).to.be.false;
+
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+      await policy.connect(user).renewPolicy();
+
+      const now = await time.latest();
+      const after = await policy.policyHolders(user.address);
+      expect(after.expiresAt).to.equal(BigInt(now + DURATION));
+      expect(await policy.isPolicyActive(user.address)).to.be.true;
+    });
+
+    it("Should give each renewed term a fresh aggregate limit once it starts", async function () {
+      // Keeper stands in for the claim manager so payouts can be recorded directly
+      await policyFactory.setPolicyDefaults(premiumPool.target, keeper.address);
+      const tx = await policyFactory.connect(insurer).createPolicy("DEFI_HACK", PREMIUM, COVERAGE, DURATION, mockToken.target);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      const limited = (await ethers.getContractFactory("Policy")).attach(event.args[1]);
+
+      await mockToken.connect(user).approve(limited.target, PREMIUM * 3n);
+      await limited.connect(user).purchasePolicy();
+      await limited.connect(keeper).useCoverage(user.address, 0, ethers.parseUnits("6000", 6));
+
+      // Renewing early does not reset the running term's usage
+      await limited.connect(user).renewPolicy();
+      expect((await limited.getCoverageUsage(user.address)).remaining).to.equal(ethers.parseUnits("4000", 6));
+      await expect(limited.connect(keeper).useCoverage(user.address, 0, ethers.parseUnits("4001", 6)))
+        .to.be.revertedWith("Exceeds remaining coverage");
+
+      // The extended term starts at the old expiry with the full limit
+      const { expiresAt } = await limited.policyHolders(user.address);
+      await time.increaseTo(expiresAt - BigInt(DURATION));
+      let usage = await limited.getCoverageUsage(user.address);
+      expect(usage.used).to.equal(0);
+      expect(usage.remaining).to.equal(COVERAGE);
+
+      await limited.connect(keeper).useCoverage(user.address, 0, ethers.parseUnits("7000", 6));
+      expect((await limited.getCoverageUsage(user.address)).used).to.equal(ethers.parseUnits("7000", 6));
+
+      // A lapsed renewal starts its term now, also with the full limit
+      await time.increaseTo(expiresAt + 100n);
+      await limited.connect(user).renewPolicy();
+      usage = await limited.getCoverageUsage(user.address);
+      expect(usage.used).to.equal(0);
+      expect(usage.remaining).to.equal(COVERAGE);
+    });
+
+    it("Should revert renewal once the policy was expired", async function () {
+      await policy.connect(user).expirePolicy(user.address);
+
+      await expect(policy.connect(user).renewPolicy()).to.be.revertedWith("Policy not active");
+    });
+  });
+
+  describe("Auto-renew", function () {
+    beforeEach(async function () {
+      await mockToken.connect(user).approve(policy.target, PREMIUM * 2n);
+      await expect(policy.connect(user).setAutoRenew(2))
+        .to.emit(policy, "AutoRenewUpdated")
+        .withArgs(user.address, 2);
+    });
+
+    it("Should only let a keeper renew inside the renewal window", async function () {
+      expect(await policy.isRenewalDue(user.address)).to.be.false;
+      await expect(policy.connect(keeper).autoRenew(user.address))
+        .to.be.revertedWith("Renewal window not open");
+
+      const { expiresAt } = await policy.policyHolders(user.address);
+      await time.increaseTo(expiresAt - BigInt(86400));
+
+      expect(await policy.isRenewalDue(user.address)).to.be.true;
+      await policy.connect(keeper).autoRenew(user.address);
+
+      const after = await policy.policyHolders(user.address);
+      expect(after.expiresAt).to.equal(expiresAt + BigInt(DURATION));
+      expect(await policy.autoRenewals(user.address)).to.equal(1);
+    });
+
+    it("Should stop once the holder's renewals are used up", async function () {
+      await policy.connect(user).setAutoRenew(0);
+
+      const { expiresAt } = await policy.policyHolders(user.address);
+      await time.increaseTo(expiresAt - BigInt(86400));
+
+      await expect(policy.connect(keeper).autoRenew(user.address))
+        .to.be.revertedWith("Auto-renew not enabled");
+    });
+
+    it("Should clear auto-renew when the policy is expired", async function () {
+      await policy.connect(user).expirePolicy(user.address);
+      expect(await policy.autoRenewals(user.address)).to.equal(0);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should credit premiums to the pool balance", async function () {
+      expect(await premiumPool.getBalance(mockToken.target)).to.equal(PREMIUM);
+      expect(await premiumPool.totalPremiumsCollected(mockToken.target)).to.equal(PREMIUM);
+    });
+
+    it("Should refund unearned premium pro-rata minus the cancellation fee", async function () {
+      await policy.connect(insurer).setCancellationFee(1000); // 10%
+
+      const { activatedAt, expiresAt } = await policy.policyHolders(user.address);
+      await time.setNextBlockTimestamp(activatedAt + (expiresAt - activatedAt) / 2n);
+
+      const unearned = PREMIUM / 2n;
+      const fee = unearned / 10n;
+      const balanceBefore = await mockToken.balanceOf(user.address);
+
+      await expect(policy.connect(user).cancelPolicy())
+        .to.emit(policy, "PolicyCancelled")
+        .withArgs(user.address, unearned - fee, fee)
+        .and.to.emit(premiumPool, "PremiumRefunded")
+        .withArgs(mockToken.target, unearned - fee, user.address, policy.target);
+
+      expect(await mockToken.balanceOf(user.address)).to.equal(balanceBefore + unearned - fee);
+      expect(await premiumPool.getBalance(mockToken.target)).to.equal(PREMIUM - unearned + fee);
+      expect(await premiumPool.totalPremiumsRefunded(mockToken.target)).to.equal(unearned - fee);
+      expect(await policy.isPolicyActive(user.address)).to.be.false;
+    });
+
+    it("Should let the insurer cancel on the holder's behalf", async function () {
+      const balanceBefore = await mockToken.balanceOf(user.address);
+
+      await policy.connect(insurer).cancelPolicyFor(user.address);
+
+      expect(await mockToken.balanceOf(user.address)).to.be.gt(balanceBefore);
+      await expect(policy.connect(keeper).cancelPolicyFor(user.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should only refund from factory policies and reject excessive fees", async function () {
+      await expect(
+        premiumPool.connect(user).refundPremium(mockToken.target, PREMIUM, user.address)
+      ).to.be.revertedWith("Not a factory policy");
+      await expect(
+        premiumPool.connect(owner).refundPremium(mockToken.target, PREMIUM, owner.address)
+      ).to.be.revertedWith("Not a factory policy");
+
+      await expect(policy.connect(insurer).setCancellationFee(5001)).to.be.revertedWith("Fee too high");
+    });
+
+    it("Should not refund an expired policy", async function () {
+      await time.increase(DURATION + 1);
+
+      expect((await policy.calculateRefund(user.address)).refund).to.equal(0);
+      await expect(policy.connect(user).cancelPolicy()).to.be.revertedWith("Policy expired");
+    });
+  });
+
+  describe("Coverage certificates", function () {
+    it("Should mint a certificate to the buyer", async function () {
+      expect(await policy.certificateOf(user.address)).to.equal(1);
+      expect(await policy.ownerOf(1)).to.equal(user.address);
+      expect(await policy.name()).to.equal("DEFI_HACK Coverage");
+      expect(await policy.symbol()).to.equal("COVER");
+    });
+
+    it("Should move coverage to the new owner on transfer", async function () {
+      const before = await policy.policyHolders(user.address);
+
+      await expect(policy.connect(user).transferFrom(user.address, keeper.address, 1))
+        .to.emit(policy, "CoverageTransferred")
+        .withArgs(user.address, keeper.address, 1);
+
+      expect(await policy.isPolicyActive(user.address)).to.be.false;
+      expect(await policy.isPolicyActive(keeper.address)).to.be.true;
+      expect(await policy.getCoverage(keeper.address)).to.equal(COVERAGE);
+      expect(await policy.certificateOf(user.address)).to.equal(0);
+      expect(await policy.certificateOf(keeper.address)).to.equal(1);
+
+      const after = await policy.policyHolders(keeper.address);
+      expect(after.holder).to.equal(keeper.address);
+      expect(after.expiresAt).to.equal(before.expiresAt);
+    });
+
+    it("Should reset auto-renew and let the previous owner buy again", async function () {
+      await policy.connect(user).setAutoRenew(2);
+      await policy.connect(user).transferFrom(user.address, keeper.address, 1);
+
+      expect(await policy.autoRenewals(user.address)).to.equal(0);
+      expect(await policy.autoRenewals(keeper.address)).to.equal(0);
+
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+      await policy.connect(user).purchasePolicy();
+      expect(await policy.certificateOf(user.address)).to.equal(2);
+    });
+
+    it("Should reuse the holder's certificate for a new term", async function () {
+      await time.increase(DURATION + 1);
+      await policy.expirePolicy(user.address);
+
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+      await policy.connect(user).purchasePolicy();
+
+      expect(await policy.certificateOf(user.address)).to.equal(1);
+      expect(await policy.balanceOf(user.address)).to.equal(1);
+    });
+
+    it("Should not transfer to a wallet that already holds coverage", async function () {
+      await mockToken.mint(keeper.address, PREMIUM);
+      await mockToken.connect(keeper).approve(policy.target, PREMIUM);
+      await policy.connect(keeper).purchasePolicy();
+
+      await expect(policy.connect(user).transferFrom(user.address, keeper.address, 1))
+        .to.be.revertedWith("Recipient already holds coverage");
+    });
+
+    it("Should require insurer approval while transfers are restricted", async function () {
+      await expect(policy.connect(user).setTransfersRestricted(true))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await policy.connect(insurer).setTransfersRestricted(true);
+
+      await expect(policy.connect(user).transferFrom(user.address, keeper.address, 1))
+        .to.be.revertedWith("Transfer not approved by insurer");
+
+      await expect(policy.connect(insurer).approveCertificateTransfer(1, keeper.address))
+        .to.emit(policy, "CertificateTransferApproved")
+        .withArgs(1, keeper.address);
+      await policy.connect(user).transferFrom(user.address, keeper.address, 1);
+
+      expect(await policy.ownerOf(1)).to.equal(keeper.address);
+      expect(await policy.approvedTransfers(1)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should serve token URIs under the factory's base URI", async function () {
+      expect(await policy.tokenURI(1)).to.equal("");
+
+      await policyFactory.setCertificateBaseURI("https://api.example.com/api/certificates/");
+      expect(await policy.tokenURI(1)).to.equal(
+        `https://api.example.com/api/certificates/${policy.target.toLowerCase()}/1`
+      );
+    });
+  });
+
+  describe("Pool Capacity", function () {
+    it("Should revert purchases that exceed pool capacity", async function () {
+      await premiumPool.setCapacityMultiple(20000); // 2x pool balance
+
+      await mockToken.mint(keeper.address, PREMIUM);
+      await mockToken.connect(keeper).approve(policy.target, PREMIUM);
+      await expect(policy.connect(keeper).purchasePolicy()).to.be.revertedWith("Pool capacity exceeded");
+
+      await mockToken.approve(premiumPool.target, ethers.parseUnits("9900", 6));
+      await premiumPool.depositPremium(mockToken.target, ethers.parseUnits("9900", 6));
+
+      await policy.connect(keeper).purchasePolicy();
+      expect(await premiumPool.activeCoverage(mockToken.target)).to.equal(COVERAGE * 2n);
+      expect((await premiumPool.getCapacity(mockToken.target)).max).to.equal(ethers.parseUnits("20200", 6));
+    });
+
+    it("Should revert capital withdrawals that would leave coverage above capacity", async function () {
+      await premiumPool.setCapacityMultiple(20000); // 2x pool balance
+
+      const capital = ethers.parseUnits("9900", 6);
+      await mockToken.mint(keeper.address, capital);
+      await mockToken.connect(keeper).approve(premiumPool.target, capital);
+      await premiumPool.connect(keeper).depositCapital(mockToken.target, capital);
+
+      await premiumPool.connect(keeper).requestWithdrawal(mockToken.target, capital);
+      await time.increase(7 * 86400);
+      await expect(premiumPool.connect(keeper).withdrawCapital(mockToken.target))
+        .to.be.revertedWith("Pool capacity exceeded");
+
+      // Leaving 6,000 in the pool keeps 10,000 of coverage within the 2x cap
+      await premiumPool.connect(keeper).cancelWithdrawal(mockToken.target);
+      await premiumPool.connect(keeper).requestWithdrawal(mockToken.target, ethers.parseUnits("4000", 6));
+      await time.increase(7 * 86400);
+      await premiumPool.connect(keeper).withdrawCapital(mockToken.target);
+      expect(await premiumPool.getBalance(mockToken.target)).to.equal(ethers.parseUnits("6000", 6));
+    });
+
+    it("Should let anyone expire a lapsed policy to release capacity", async function () {
+      await expect(policy.connect(keeper).expirePolicy(user.address)).to.be.revertedWith("Not authorized");
+
+      await time.increase(DURATION + 1);
+      await policy.connect(keeper).expirePolicy(user.address);
+
+      expect(await premiumPool.activeCoverage(mockToken.target)).to.equal(0);
+    });
+
+    it("Should release capacity on cancellation", async function () {
+      await policy.connect(user).cancelPolicy();
+
+      expect(await premiumPool.activeCoverage(mockToken.target)).to.equal(0);
+    });
+
+    it("Should only accept coverage from factory policies", async function () {
+      await expect(premiumPool.connect(user).writeCoverage(mockToken.target, COVERAGE))
+        .to.be.revertedWith("Not a factory policy");
+    });
+  });
+});
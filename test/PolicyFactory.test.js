@@ -117,5 +117,119 @@ describe("PolicyFactory", function () {
       const policyAddress = await policyFactory.getPolicy(1);
       expect(policyAddress).to.not.equal(ethers.ZeroAddress);
     });
+
+    it("Should enumerate policies by type and insurer", async function () {
+      await policyFactory.authorizeInsurer(insurer.address);
+      const create = (signer, policyType) => policyFactory.connect(signer).createPolicy(
+        policyType,
+        ethers.parseUnits("100", 6),
+        ethers.parseUnits("10000", 6),
+        86400 * 30,
+        mockToken.target
+      );
+
+      await create(insurer, "DEFI_HACK");
+      await create(owner, "EXCHANGE_HACK");
+      await create(insurer, "EXCHANGE_HACK");
+      const [first, second, third] = await Promise.all([1, 2, 3].map(id => policyFactory.getPolicy(id)));
+
+      expect(await policyFactory.getPoliciesByType("EXCHANGE_HACK")).to.deep.equal([second, third]);
+      expect(await policyFactory.getPoliciesByType("DEFI_HACK")).to.deep.equal([first]);
+      expect(await policyFactory.getPoliciesByType("RUG_PULL")).to.deep.equal([]);
+      expect(await policyFactory.getPoliciesByInsurer(insurer.address)).to.deep.equal([first, third]);
+      expect(await policyFactory.getPoliciesByInsurer(owner.address)).to.deep.equal([second]);
+    });
+  });
+
+  describe("Policy Clones", function () {
+    const PREMIUM = ethers.parseUnits("100", 6);
+    const COVERAGE = ethers.parseUnits("10000", 6);
+
+    let Policy;
+
+    const createPolicy = async () => {
+      const tx = await policyFactory.connect(insurer).createPolicy(
+        "DEFI_HACK",
+        PREMIUM,
+        COVERAGE,
+        86400 * 30,
+        mockToken.target
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+      return { policy: Policy.attach(event.args[1]), receipt };
+    };
+
+    beforeEach(async function () {
+      Policy = await ethers.getContractFactory("Policy");
+      await policyFactory.authorizeInsurer(insurer.address);
+    });
+
+    it("Should deploy policies as minimal proxies of a locked implementation", async function () {
+      const { policy } = await createPolicy();
+      const implementation = Policy.attach(await policyFactory.policyImplementation());
+
+      // EIP-1167 runtime code is 45 bytes and embeds the implementation address
+      const code = await ethers.provider.getCode(policy.target);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code.toLowerCase()).to.include(implementation.target.slice(2).toLowerCase());
+
+      expect(await policy.owner()).to.equal(insurer.address);
+      expect((await policy.policyInfo()).coverage).to.equal(COVERAGE);
+
+      const params = {
+        id: 99,
+        insurer: user.address,
+        policyType: "HIJACK",
+        premium: 1,
+        coverage: 2,
+        duration: 1,
+        premiumToken: mockToken.target,
+        parametricPayout: 0,
+        trustedForwarder: ethers.ZeroAddress,
+        premiumPool: ethers.ZeroAddress,
+        claimManager: ethers.ZeroAddress
+      };
+      await expect(policy.connect(user).initialize(params))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(implementation.connect(user).initialize(params))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should wire new policies to the factory's default pool and claim manager", async function () {
+      const PremiumPool = await ethers.getContractFactory("PremiumPool");
+      const premiumPool = await PremiumPool.deploy();
+      await premiumPool.allowToken(mockToken.target);
+      await premiumPool.setPolicyFactory(policyFactory.target);
+
+      await expect(policyFactory.connect(user).setPolicyDefaults(premiumPool.target, owner.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(policyFactory.setPolicyDefaults(premiumPool.target, owner.address))
+        .to.emit(policyFactory, "PolicyDefaultsUpdated")
+        .withArgs(premiumPool.target, owner.address);
+
+      const { policy } = await createPolicy();
+      expect(await policy.premiumPool()).to.equal(premiumPool.target);
+      expect(await policy.claimManager()).to.equal(owner.address);
+      // The insurer cannot repoint the policy at another pool or claim manager
+      expect(policy.setPremiumPool).to.be.undefined;
+      expect(policy.setClaimManager).to.be.undefined;
+
+      // Sellable straight away, with no insurer setup calls
+      await mockToken.mint(user.address, PREMIUM);
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+      await policy.connect(user).purchasePolicy();
+      expect(await policy.isPolicyActive(user.address)).to.be.true;
+    });
+
+    it("Should cost far less gas than deploying a full Policy contract", async function () {
+      const { receipt: cloneReceipt } = await createPolicy();
+
+      const implementation = await Policy.deploy();
+      const deployReceipt = await implementation.deploymentTransaction().wait();
+
+      // A clone plus initialization stays under a quarter of the bytecode deployment alone
+      expect(cloneReceipt.gasUsed * 4n).to.be.lessThan(deployReceipt.gasUsed);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PremiumPool", function () {
+  let premiumPool, usdc, dai;
+  let owner, claimant, other, underwriter1, underwriter2;
+
+  beforeEach(async function () {
+    [owner, claimant, other, underwriter1, underwriter2] = await ethers.getSigners();
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    usdc = await ERC20Mock.deploy("Mock USDC", "MUSDC", 6, ethers.parseUnits("1000000", 6));
+    dai = await ERC20Mock.deploy("Mock DAI", "MDAI", 18, ethers.parseUnits("1000000", 18));
+
+    const PremiumPool = await ethers.getContractFactory("PremiumPool");
+    premiumPool = await PremiumPool.deploy();
+  });
+
+  describe("Token Allow-list", function () {
+    it("Should only accept deposits of allowed tokens", async function () {
+      await usdc.approve(premiumPool.target, ethers.parseUnits("100", 6));
+      await expect(premiumPool.depositPremium(usdc.target, ethers.parseUnits("100", 6)))
+        .to.be.revertedWith("Token not allowed");
+
+      await expect(premiumPool.allowToken(usdc.target))
+        .to.emit(premiumPool, "TokenAllowed")
+        .withArgs(usdc.target);
+      await premiumPool.depositPremium(usdc.target, ethers.parseUnits("100", 6));
+
+      expect(await premiumPool.getBalance(usdc.target)).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("Should keep disallowed tokens listed for reporting", async function () {
+      await premiumPool.allowToken(usdc.target);
+      await premiumPool.allowToken(dai.target);
+      await premiumPool.disallowToken(usdc.target);
+      await premiumPool.allowToken(usdc.target);
+      await premiumPool.disallowToken(usdc.target);
+
+      expect(await premiumPool.allowedTokens(usdc.target)).to.be.false;
+      expect(await premiumPool.getTokens()).to.deep.equal([usdc.target, dai.target]);
+    });
+
+    it("Should revert when non-owner manages the allow-list", async function () {
+      await expect(premiumPool.connect(other).allowToken(usdc.target))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Per-token Accounting", function () {
+    beforeEach(async function () {
+      await premiumPool.allowToken(usdc.target);
+      await premiumPool.allowToken(dai.target);
+
+      await usdc.approve(premiumPool.target, ethers.parseUnits("1000", 6));
+      await premiumPool.depositPremium(usdc.target, ethers.parseUnits("1000", 6));
+      await dai.approve(premiumPool.target, ethers.parseUnits("1000", 18));
+      await premiumPool.depositPremium(dai.target, ethers.parseUnits("1000", 18));
+    });
+
+    it("Should track premiums, payouts and utilization separately per token", async function () {
+      const claimId = ethers.id("claim-1");
+      await premiumPool.withdrawForClaim(usdc.target, ethers.parseUnits("250", 6), claimant.address, claimId);
+
+      const usdcStats = await premiumPool.getTokenStats(usdc.target);
+      expect(usdcStats.balance).to.equal(ethers.parseUnits("750", 6));
+      expect(usdcStats.premiumsCollected).to.equal(ethers.parseUnits("1000", 6));
+      expect(usdcStats.claimsPaid).to.equal(ethers.parseUnits("250", 6));
+
+      expect(await premiumPool.totalPremiumsCollected(dai.target)).to.equal(ethers.parseUnits("1000", 18));
+      expect(await premiumPool.totalClaimsPaid(dai.target)).to.equal(0);
+
+      expect(await premiumPool.getUtilizationRatio(usdc.target)).to.equal(2500); // 25%
+      expect(await premiumPool.getUtilizationRatio(dai.target)).to.equal(0);
+    });
+
+    it("Should still pay claims from a disallowed token's balance", async function () {
+      await premiumPool.disallowToken(dai.target);
+
+      await premiumPool.withdrawForClaim(dai.target, ethers.parseUnits("10", 18), claimant.address, ethers.id("claim-2"));
+      expect(await dai.balanceOf(claimant.address)).to.equal(ethers.parseUnits("10", 18));
+    });
+  });
+
+  describe("Underwriting Capital", function () {
+    let shareToken;
+
+    const deposit = async (underwriter, amount) => {
+      await usdc.mint(underwriter.address, ethers.parseUnits(amount, 6));
+      await usdc.connect(underwriter).approve(premiumPool.target, ethers.parseUnits(amount, 6));
+      return premiumPool.connect(underwriter).depositCapital(usdc.target, ethers.parseUnits(amount, 6));
+    };
+
+    beforeEach(async function () {
+      await premiumPool.allowToken(usdc.target);
+      shareToken = await ethers.getContractAt("PoolShareToken", await premiumPool.shareTokens(usdc.target));
+    });
+
+    it("Should mint shares one-to-one into an empty pool", async function () {
+      await expect(deposit(underwriter1, "1000"))
+        .to.emit(premiumPool, "CapitalDeposited")
+        .withArgs(usdc.target, underwriter1.address, ethers.parseUnits("1000", 6), ethers.parseUnits("1000", 6));
+
+      expect(await shareToken.decimals()).to.equal(6);
+      expect(await shareToken.balanceOf(underwriter1.address)).to.equal(ethers.parseUnits("1000", 6));
+      expect(await premiumPool.totalCapitalDeposited(usdc.target)).to.equal(ethers.parseUnits("1000", 6));
+      expect(await premiumPool.totalPremiumsCollected(usdc.target)).to.equal(0);
+    });
+
+    it("Should share premiums and absorb claim losses pro-rata", async function () {
+      await deposit(underwriter1, "1000");
+      await deposit(underwriter2, "3000");
+
+      await usdc.approve(premiumPool.target, ethers.parseUnits("400", 6));
+      await premiumPool.depositPremium(usdc.target, ethers.parseUnits("400", 6));
+
+      const shares1 = await shareToken.balanceOf(underwriter1.address);
+      const shares2 = await shareToken.balanceOf(underwriter2.address);
+      expect(await premiumPool.convertToAssets(usdc.target, shares1)).to.equal(ethers.parseUnits("1100", 6));
+      expect(await premiumPool.convertToAssets(usdc.target, shares2)).to.equal(ethers.parseUnits("3300", 6));
+
+      await premiumPool.withdrawForClaim(usdc.target, ethers.parseUnits("2200", 6), claimant.address, ethers.id("claim"));
+
+      expect(await premiumPool.convertToAssets(usdc.target, shares1)).to.equal(ethers.parseUnits("550", 6));
+      expect(await premiumPool.convertToAssets(usdc.target, shares2)).to.equal(ethers.parseUnits("1650", 6));
+    });
+
+    it("Should give premiums collected before the first underwriter to the protocol", async function () {
+      await usdc.approve(premiumPool.target, ethers.parseUnits("500", 6));
+      await premiumPool.depositPremium(usdc.target, ethers.parseUnits("500", 6));
+
+      await deposit(underwriter1, "1000");
+
+      expect(await shareToken.balanceOf(owner.address)).to.equal(ethers.parseUnits("500", 6));
+      expect(await shareToken.balanceOf(underwriter1.address)).to.equal(ethers.parseUnits("1000", 6));
+    });
+
+    it("Should keep queued capital exposed to losses until the cooldown ends", async function () {
+      await deposit(underwriter1, "1000");
+      await deposit(underwriter2, "1000");
+
+      const shares = await shareToken.balanceOf(underwriter1.address);
+      await premiumPool.connect(underwriter1).requestWithdrawal(usdc.target, shares);
+      expect(await shareToken.balanceOf(premiumPool.target)).to.equal(shares);
+
+      await expect(premiumPool.connect(underwriter1).withdrawCapital(usdc.target))
+        .to.be.revertedWith("Withdrawal cooldown active");
+
+      // Loss lands while the withdrawal is queued
+      await premiumPool.withdrawForClaim(usdc.target, ethers.parseUnits("1000", 6), claimant.address, ethers.id("claim"));
+
+      await time.increase(7 * 86400);
+      await expect(premiumPool.connect(underwriter1).withdrawCapital(usdc.target))
+        .to.emit(premiumPool, "CapitalWithdrawn")
+        .withArgs(usdc.target, underwriter1.address, ethers.parseUnits("500", 6), shares);
+
+      expect(await usdc.balanceOf(underwriter1.address)).to.equal(ethers.parseUnits("500", 6));
+      expect(await premiumPool.getBalance(usdc.target)).to.equal(ethers.parseUnits("500", 6));
+    });
+
+    it("Should let an unlocked withdrawal lapse once its window passes", async function () {
+      await deposit(underwriter1, "1000");
+      const shares = await shareToken.balanceOf(underwriter1.address);
+
+      await premiumPool.connect(underwriter1).requestWithdrawal(usdc.target, shares);
+      await time.increase(7 * 86400 + 3 * 86400 + 1);
+
+      await expect(premiumPool.connect(underwriter1).withdrawCapital(usdc.target))
+        .to.be.revertedWith("Withdrawal window expired");
+
+      // Cancelling returns the escrowed shares; a new request waits out a fresh cooldown
+      await premiumPool.connect(underwriter1).cancelWithdrawal(usdc.target);
+      expect(await shareToken.balanceOf(underwriter1.address)).to.equal(shares);
+
+      await premiumPool.connect(underwriter1).requestWithdrawal(usdc.target, shares);
+      await expect(premiumPool.connect(underwriter1).withdrawCapital(usdc.target))
+        .to.be.revertedWith("Withdrawal cooldown active");
+
+      await time.increase(7 * 86400);
+      await premiumPool.connect(underwriter1).withdrawCapital(usdc.target);
+      expect(await usdc.balanceOf(underwriter1.address)).to.equal(ethers.parseUnits("1000", 6));
+    });
+
+    it("Should return escrowed shares when a withdrawal is cancelled", async function () {
+      await deposit(underwriter1, "1000");
+      const shares = await shareToken.balanceOf(underwriter1.address);
+
+      await premiumPool.connect(underwriter1).requestWithdrawal(usdc.target, shares);
+      await premiumPool.connect(underwriter1).cancelWithdrawal(usdc.target);
+
+      expect(await shareToken.balanceOf(underwriter1.address)).to.equal(shares);
+      await expect(premiumPool.connect(underwriter1).withdrawCapital(usdc.target))
+        .to.be.revertedWith("No pending withdrawal");
+    });
+  });
+});
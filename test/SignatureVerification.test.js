@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { verifySignature, ERC1271_MAGIC_VALUE } = require("../backend/src/services/signatureVerifier");
+const siwe = require("../backend/src/services/siwe");
+
+describe("Signature verification (EIP-1271)", function () {
+  let wallet, mockToken;
+  let owner, other;
+
+  const MESSAGE = "Sign in to Crypto Insurance.";
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+
+    const ERC1271WalletMock = await ethers.getContractFactory("ERC1271WalletMock");
+    wallet = await ERC1271WalletMock.deploy(owner.address);
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    mockToken = await ERC20Mock.deploy("Mock USDT", "MUSDT", 6, 0);
+  });
+
+  describe("ERC1271WalletMock", function () {
+    it("Should return the magic value for owner signatures", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      expect(await wallet.isValidSignature(ethers.hashMessage(MESSAGE), signature)).to.equal(ERC1271_MAGIC_VALUE);
+    });
+
+    it("Should reject signatures from anyone else", async function () {
+      const signature = await other.signMessage(MESSAGE);
+      expect(await wallet.isValidSignature(ethers.hashMessage(MESSAGE), signature)).to.equal("0xffffffff");
+    });
+
+    it("Should only let the owner rotate the key", async function () {
+      await expect(wallet.connect(other).setOwner(other.address)).to.be.revertedWith("Not owner");
+      await expect(wallet.setOwner(other.address))
+        .to.emit(wallet, "OwnerChanged")
+        .withArgs(owner.address, other.address);
+    });
+  });
+
+  describe("verifySignature", function () {
+    it("Should verify EOA signatures without a provider", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      expect(await verifySignature({ address: owner.address, message: MESSAGE, signature }))
+        .to.deep.equal({ valid: true });
+      expect(await verifySignature({ address: other.address, message: MESSAGE, signature }))
+        .to.deep.equal({ valid: false, reason: "Signature does not match the address" });
+    });
+
+    it("Should verify contract wallet signatures via isValidSignature", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      expect(await verifySignature({
+        address: wallet.target,
+        message: MESSAGE,
+        signature,
+        provider: ethers.provider
+      })).to.deep.equal({ valid: true });
+    });
+
+    it("Should not verify contract wallets without a provider", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      expect(await verifySignature({ address: wallet.target, message: MESSAGE, signature }))
+        .to.include({ valid: false });
+    });
+
+    it("Should reject contract wallet signatures over a different message", async function () {
+      const signature = await owner.signMessage("something else");
+      expect(await verifySignature({
+        address: wallet.target,
+        message: MESSAGE,
+        signature,
+        provider: ethers.provider
+      })).to.include({ valid: false });
+    });
+
+    it("Should reject signatures from a rotated-out owner", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      await wallet.setOwner(other.address);
+
+      expect(await verifySignature({
+        address: wallet.target,
+        message: MESSAGE,
+        signature,
+        provider: ethers.provider
+      })).to.include({ valid: false });
+    });
+
+    it("Should reject contracts that don't implement EIP-1271", async function () {
+      const signature = await owner.signMessage(MESSAGE);
+      const result = await verifySignature({
+        address: mockToken.target,
+        message: MESSAGE,
+        signature,
+        provider: ethers.provider
+      });
+      expect(result.valid).to.be.false;
+      expect(result.reason).to.equal("Could not verify contract wallet signature");
+    });
+
+    it("Should reject malformed signatures", async function () {
+      expect(await verifySignature({
+        address: wallet.target,
+        message: MESSAGE,
+        signature: "not-hex",
+        provider: ethers.provider
+      })).to.include({ valid: false });
+    });
+
+    it("Should verify a SIWE message signed for a contract wallet", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const message = siwe.buildMessage({
+        domain: "localhost:5173",
+        address: wallet.target,
+        statement: MESSAGE,
+        uri: "http://localhost:5173",
+        chainId: Number(chainId),
+        nonce: "a1b2c3d4e5f60718",
+        issuedAt: new Date().toISOString()
+      });
+      const fields = siwe.parseMessage(message);
+
+      expect(fields.address).to.equal(wallet.target);
+      expect(siwe.validateFields(fields, { domain: "localhost:5173", chainIds: [Number(chainId)] })).to.be.null;
+      expect(await verifySignature({
+        address: fields.address,
+        message,
+        signature: await owner.signMessage(message),
+        provider: ethers.provider
+      })).to.deep.equal({ valid: true });
+    });
+  });
+});
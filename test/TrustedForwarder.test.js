@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Permit purchases and relayed requests", function () {
+  let forwarder, policyFactory, premiumPool, claimManager, mockToken, policy;
+  let owner, insurer, user, relayer, signer1, signer2, signer3;
+  let buyer, chainId;
+
+  const PREMIUM = ethers.parseUnits("100", 6);
+  const COVERAGE = ethers.parseUnits("10000", 6);
+  const DURATION = 86400 * 30;
+
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "data", type: "bytes" }
+    ]
+  };
+
+  const PERMIT_TYPES = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  async function signPermit(wallet, spender, value) {
+    const deadline = BigInt(await time.latest()) + 3600n;
+    const signature = await wallet.signTypedData(
+      { name: "Mock USDT", version: "1", chainId, verifyingContract: mockToken.target },
+      PERMIT_TYPES,
+      { owner: wallet.address, spender, value, nonce: await mockToken.nonces(wallet.address), deadline }
+    );
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { deadline, v, r, s };
+  }
+
+  async function signRequest(wallet, to, data, overrides = {}) {
+    const request = {
+      from: wallet.address,
+      to,
+      value: 0n,
+      gas: 1000000n,
+      nonce: await forwarder.getNonce(wallet.address),
+      deadline: BigInt(await time.latest()) + 3600n,
+      data,
+      ...overrides
+    };
+    const signature = await wallet.signTypedData(
+      { name: "TrustedForwarder", version: "1", chainId, verifyingContract: forwarder.target },
+      FORWARD_REQUEST_TYPES,
+      request
+    );
+    return { request, signature };
+  }
+
+  async function createPolicy() {
+    const tx = await policyFactory.connect(insurer).createPolicy(
+      "DEFI_HACK",
+      PREMIUM,
+      COVERAGE,
+      DURATION,
+      mockToken.target
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log => log.fragment?.name === "PolicyCreated");
+
+    const Policy = await ethers.getContractFactory("Policy");
+    return Policy.attach(event.args[1]);
+  }
+
+  async function relayPermitPurchase(wallet) {
+    const { deadline, v, r, s } = await signPermit(wallet, policy.target, PREMIUM);
+    const data = policy.interface.encodeFunctionData("purchasePolicyWithPermit", [deadline, v, r, s]);
+    const { request, signature } = await signRequest(wallet, policy.target, data);
+    return forwarder.connect(relayer).execute(request, signature);
+  }
+
+  beforeEach(async function () {
+    [owner, insurer, user, relayer, signer1, signer2, signer3] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    mockToken = await ERC20Mock.deploy("Mock USDT", "MUSDT", 6, ethers.parseUnits("1000000", 6));
+
+    const TrustedForwarder = await ethers.getContractFactory("TrustedForwarder");
+    forwarder = await TrustedForwarder.deploy();
+
+    const PolicyFactory = await ethers.getContractFactory("PolicyFactory");
+    policyFactory = await PolicyFactory.deploy();
+
+    const PremiumPool = await ethers.getContractFactory("PremiumPool");
+    premiumPool = await PremiumPool.deploy();
+
+    const MockOracle = await ethers.getContractFactory("MockOracle");
+    const mockOracle = await MockOracle.deploy();
+
+    const MultiSigEscrow = await ethers.getContractFactory("MultiSigEscrow");
+    const multiSigEscrow = await MultiSigEscrow.deploy(
+      [signer1.address, signer2.address, signer3.address],
+      2
+    );
+
+    const ClaimManager = await ethers.getContractFactory("ClaimManager");
+    claimManager = await ClaimManager.deploy(premiumPool.target, mockOracle.target, multiSigEscrow.target);
+
+    await premiumPool.allowToken(mockToken.target);
+    await premiumPool.setPolicyFactory(policyFactory.target);
+    await policyFactory.authorizeInsurer(insurer.address);
+    await policyFactory.setTrustedForwarder(forwarder.target);
+    await policyFactory.setPolicyDefaults(premiumPool.target, claimManager.target);
+    await claimManager.setTrustedForwarder(forwarder.target);
+
+    policy = await createPolicy();
+
+    // A fresh wallet with tokens but no ETH for gas
+    buyer = ethers.Wallet.createRandom().connect(ethers.provider);
+    await mockToken.mint(buyer.address, ethers.parseUnits("1000", 6));
+    await mockToken.mint(user.address, ethers.parseUnits("1000", 6));
+  });
+
+  describe("EIP-2612 permit", function () {
+    it("Should purchase with a permit instead of a separate approval", async function () {
+      const { deadline, v, r, s } = await signPermit(user, policy.target, PREMIUM);
+
+      await expect(policy.connect(user).purchasePolicyWithPermit(deadline, v, r, s))
+        .to.emit(policy, "PolicyPurchased");
+
+      expect(await policy.isPolicyActive(user.address)).to.be.true;
+      expect(await mockToken.allowance(user.address, policy.target)).to.equal(0);
+    });
+
+    it("Should still purchase when the permit was already submitted by someone else", async function () {
+      const { deadline, v, r, s } = await signPermit(user, policy.target, PREMIUM);
+      await mockToken.connect(relayer).permit(user.address, policy.target, PREMIUM, deadline, v, r, s);
+
+      await policy.connect(user).purchasePolicyWithPermit(deadline, v, r, s);
+      expect(await policy.isPolicyActive(user.address)).to.be.true;
+    });
+
+    it("Should revert without a valid permit or allowance", async function () {
+      const { deadline, v, r, s } = await signPermit(user, policy.target, PREMIUM - 1n);
+
+      await expect(policy.connect(user).purchasePolicyWithPermit(deadline, v, r, s))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+    });
+  });
+
+  describe("Relayed requests", function () {
+    it("Should relay a gasless permit purchase for the signer", async function () {
+      await expect(relayPermitPurchase(buyer))
+        .to.emit(policy, "PolicyPurchased")
+        .and.to.emit(forwarder, "RequestExecuted")
+        .withArgs(buyer.address, policy.target, 0);
+
+      expect(await policy.isPolicyActive(buyer.address)).to.be.true;
+      expect(await policy.isPolicyActive(relayer.address)).to.be.false;
+      expect(await ethers.provider.getBalance(buyer.address)).to.equal(0);
+      expect(await forwarder.getNonce(buyer.address)).to.equal(1);
+    });
+
+    it("Should relay claim submissions with the signer as claimant", async function () {
+      await relayPermitPurchase(buyer);
+
+      const amount = ethers.parseUnits("500", 6);
+      const data = claimManager.interface.encodeFunctionData("submitClaim", [policy.target, amount, "sha256:abc"]);
+      const { request, signature } = await signRequest(buyer, claimManager.target, data);
+
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.emit(claimManager, "ClaimSubmitted");
+
+      const [claimId] = await claimManager.getClaimsByClaimant(buyer.address);
+      const claim = await claimManager.getClaim(claimId);
+      expect(claim.claimant).to.equal(buyer.address);
+      expect(claim.amount).to.equal(amount);
+    });
+
+    it("Should reject replayed, expired and tampered requests", async function () {
+      const data = policy.interface.encodeFunctionData("purchasePolicy");
+      await mockToken.connect(user).approve(policy.target, PREMIUM);
+
+      const { request, signature } = await signRequest(user, policy.target, data);
+      expect(await forwarder.verify(request, signature)).to.be.true;
+      await forwarder.connect(relayer).execute(request, signature);
+
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.be.revertedWith("Invalid nonce");
+
+      const expired = await signRequest(user, policy.target, data, {
+        deadline: BigInt(await time.latest()) - 1n
+      });
+      await expect(forwarder.connect(relayer).execute(expired.request, expired.signature))
+        .to.be.revertedWith("Request expired");
+
+      const valid = await signRequest(user, policy.target, data);
+      const tampered = { ...valid.request, to: claimManager.target };
+      expect(await forwarder.verify(tampered, valid.signature)).to.be.false;
+      await expect(forwarder.connect(relayer).execute(tampered, valid.signature))
+        .to.be.revertedWith("Invalid signature");
+
+      const impersonated = { ...valid.request, from: buyer.address, nonce: 0n };
+      await expect(forwarder.connect(relayer).execute(impersonated, valid.signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should bubble up target reverts and leave the nonce unused", async function () {
+      const data = policy.interface.encodeFunctionData("purchasePolicy");
+      const { request, signature } = await signRequest(buyer, policy.target, data);
+
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+      expect(await forwarder.getNonce(buyer.address)).to.equal(0);
+    });
+
+    it("Should attribute calls to the forwarder itself on policies that don't trust it", async function () {
+      await policyFactory.setTrustedForwarder(ethers.ZeroAddress);
+      policy = await createPolicy();
+      expect(await policy.isTrustedForwarder(forwarder.target)).to.be.false;
+
+      await expect(relayPermitPurchase(buyer)).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should only let the owner set the trusted forwarder", async function () {
+      await expect(claimManager.connect(user).setTrustedForwarder(user.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(policyFactory.connect(user).setTrustedForwarder(user.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(claimManager.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(claimManager, "TrustedForwarderUpdated")
+        .withArgs(ethers.ZeroAddress);
+      expect(await claimManager.isTrustedForwarder(forwarder.target)).to.be.false;
+    });
+  });
+});